@@ -1,643 +1,6642 @@
-// server.js — G-DEX backend (0x v2 allowance-holder) + (optional) RPC gas estimation
-// + Sushi pools proxy (GraphQL)
-//
-// ✅ Hardening changes:
-// - Safe fetch() fallback (Node <18 대비)
-// - /swap tx fields: gas/value 가능한 한 HEX로 통일
-// - app.listen moved to bottom
-// - CORS headers slightly expanded
-
-const express = require("express");
-
-const app = express();
-app.use(express.json({ limit: "1mb" }));
-
-/* =========================
-   fetch polyfill (safe)
-   ========================= */
-const fetchFn =
-  typeof global.fetch === "function"
-    ? global.fetch.bind(global)
-    : (...args) => import("node-fetch").then(({ default: f }) => f(...args));
-
-/* =========================
-   CORS (화이트리스트만 허용)
-   ========================= */
-const allowedOrigins = new Set([
-  "https://gdex-app.com",
-  "https://www.gdex-app.com",
-  "https://glip-guardians.github.io",
-]);
-
-app.use((req, res, next) => {
-  const origin = req.headers.origin;
-
-  if (origin && allowedOrigins.has(origin)) {
-    res.header("Access-Control-Allow-Origin", origin);
-    res.header("Vary", "Origin");
-    res.header("Access-Control-Allow-Credentials", "true");
-  }
-
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  // ✅ 프런트/프록시에서 헤더가 추가될 수 있어 여유 있게 허용
-  res.header(
-    "Access-Control-Allow-Headers",
-    "Content-Type, 0x-api-key, Authorization, Accept"
-  );
-
-  if (req.method === "OPTIONS") return res.sendStatus(200);
-  next();
-});
-
-/* =========================
-   ENV & CONST
-   ========================= */
-const PORT = process.env.PORT || 8080;
-
-const ZEROX_API_KEY = process.env.ZEROX_API_KEY;
-const ZEROX_BASE = "https://api.0x.org";
-
-// ✅ 선택: RPC 넣으면 실패율 크게 내려감(estimateGas/fee 계산)
-const RPC_URL = process.env.RPC_URL || ""; // 예: https://eth-mainnet.g.alchemy.com/v2/xxx
-
-// 수수료(인티그레이터 fee)
-const FEE_RECIPIENT = "0x932bf0a8746c041c00131640123fa6c847835d6f";
-const FEE_PERCENTAGE = 0.001; // 0.1%
-
-const ETH_SENTINEL = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
-
-if (!ZEROX_API_KEY) console.warn("[WARN] ZEROX_API_KEY is not set.");
-if (!RPC_URL) console.warn("[WARN] RPC_URL is not set. Gas estimation will be skipped.");
-
-/* =========================
-   Helpers
-   ========================= */
-function isHexAddress(a) {
-  return typeof a === "string" && /^0x[a-fA-F0-9]{40}$/.test(a);
-}
-
-function mustBeUintString(x) {
-  // 0x에 넘길 sellAmount는 "정수 문자열(wei)" 이어야 안정적
-  return typeof x === "string" && /^[0-9]+$/.test(x);
-}
-
-function clampNumber(n, min, max) {
-  if (Number.isNaN(n)) return min;
-  return Math.min(max, Math.max(min, n));
-}
-
-async function call0x(url) {
-  console.log("[0x request]:", url);
-
-  const res = await fetchFn(url, {
-    method: "GET",
-    headers: {
-      "Content-Type": "application/json",
-      "0x-api-key": ZEROX_API_KEY || "",
-      "0x-version": "v2",
-    },
-  });
-
-  const text = await res.text();
-  let data = {};
-  try {
-    data = text ? JSON.parse(text) : {};
-  } catch {
-    data = { raw: text };
-  }
-
-  if (!res.ok) {
-    console.error("[0x error]", res.status, data);
-    const err = new Error(data.message || `0x request failed: ${res.status}`);
-    err.status = res.status;
-    err.details = data;
-    throw err;
-  }
-  return data;
-}
-
-function buildParams(body) {
-  const chainId = body.chainId || 1; // mainnet default
-  const { sellToken, buyToken, sellAmount, taker } = body;
-
-  // slippagePercentage: 프런트는 0.02(=2%) 형태로 전달 가정
-  const slip =
-    typeof body.slippagePercentage === "number" ? body.slippagePercentage : 0.02;
-  const safeSlip = clampNumber(slip, 0, 0.2); // 0% ~ 20% 제한
-  const slippageBps = Math.round(safeSlip * 10000);
-
-  const params = new URLSearchParams({
-    chainId: String(chainId),
-    sellToken,
-    buyToken,
-    sellAmount: String(sellAmount),
-    slippageBps: String(slippageBps),
-  });
-
-  if (taker) params.set("taker", taker);
-
-  // fee: price/quote 모두 동일하게 붙여야 preview/체결 불일치가 없음
-  if (FEE_RECIPIENT && FEE_PERCENTAGE > 0) {
-    params.set("feeRecipient", FEE_RECIPIENT);
-    params.set("buyTokenPercentageFee", String(FEE_PERCENTAGE));
-  }
-
-  return params;
-}
-
-/* =========================
-   Optional JSON-RPC helpers
-   ========================= */
-let rpcId = 1;
-async function rpc(method, params) {
-  if (!RPC_URL) throw new Error("RPC_URL not set");
-  const res = await fetchFn(RPC_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ jsonrpc: "2.0", id: rpcId++, method, params }),
-  });
-  const json = await res.json();
-  if (json.error) throw new Error(json.error.message || "RPC error");
-  return json.result;
-}
-
-function toHex(nBigInt) {
-  return "0x" + nBigInt.toString(16);
-}
-
-function bnFromHex(hex) {
-  return BigInt(hex);
-}
-
-/* EIP-1559 fee 추천값(간단 버전)
-   - latest baseFee + tip(eth_maxPriorityFeePerGas) 기반
-*/
-async function suggestEip1559Fees() {
-  const block = await rpc("eth_getBlockByNumber", ["latest", false]);
-  const baseFee = block && block.baseFeePerGas ? bnFromHex(block.baseFeePerGas) : 0n;
-
-  let tip = 1500000000n; // 1.5 gwei fallback
-  try {
-    const tipHex = await rpc("eth_maxPriorityFeePerGas", []);
-    tip = bnFromHex(tipHex);
-  } catch {}
-
-  // maxFee = baseFee*2 + tip (보수적)
-  const maxFee = baseFee * 2n + tip;
-  return {
-    maxPriorityFeePerGas: toHex(tip),
-    maxFeePerGas: toHex(maxFee),
-  };
-}
-
-async function estimateGasWithBuffer(tx) {
-  const gasHex = await rpc("eth_estimateGas", [tx]);
-  const gas = bnFromHex(gasHex);
-  // 20% 버퍼
-  const buffered = gas + gas / 5n;
-  return toHex(buffered);
-}
-
-// ✅ decimal-string -> hex (메타마스크/eth_sendTransaction 호환)
-function decStringToHex(decStr) {
-  try {
-    const n = BigInt(String(decStr || "0"));
-    return toHex(n);
-  } catch {
-    return "0x0";
-  }
-}
-
-// ✅ gas는 hex로 내려주는 편이 안전
-function normalizeGasField(g) {
-  if (g == null) return null;
-  const s = String(g);
-  if (s.startsWith("0x")) return s;
-  // decimal -> hex
-  if (/^[0-9]+$/.test(s)) return toHex(BigInt(s));
-  return null;
-}
-
-/* =========================
-   Routes
-   ========================= */
-app.get("/", (req, res) => res.send("G-DEX backend is running."));
-
-/* /quote — price preview */
-app.post("/quote", async (req, res) => {
-  try {
-    const b = req.body || {};
-    const { sellToken, buyToken, sellAmount } = b;
-
-    if (!sellToken || !buyToken || sellAmount == null) {
-      return res.status(400).json({ message: "Missing sellToken/buyToken/sellAmount" });
-    }
-    if (sellToken !== ETH_SENTINEL && sellToken !== "ETH" && !isHexAddress(sellToken)) {
-      return res.status(400).json({ message: "Invalid sellToken address" });
-    }
-    if (buyToken !== ETH_SENTINEL && buyToken !== "ETH" && !isHexAddress(buyToken)) {
-      return res.status(400).json({ message: "Invalid buyToken address" });
-    }
-    if (!mustBeUintString(String(sellAmount))) {
-      return res.status(400).json({ message: "sellAmount must be an integer string (wei)" });
-    }
-
-    const params = buildParams({
-      ...b,
-      sellToken: sellToken === "ETH" ? ETH_SENTINEL : sellToken,
-      buyToken: buyToken === "ETH" ? ETH_SENTINEL : buyToken,
-      sellAmount: String(sellAmount),
-    });
-
-    const url = `${ZEROX_BASE}/swap/allowance-holder/price?${params.toString()}`;
-    const priceData = await call0x(url);
-
-    res.json(priceData);
-  } catch (err) {
-    console.error("[/quote] error", err.status, err.details || err.message);
-    res.status(err.status || 500).json({
-      message: err.message || "Quote failed",
-      details: err.details || null,
-    });
-  }
-});
-
-/* /swap — build tx */
-app.post("/swap", async (req, res) => {
-  try {
-    const b = req.body || {};
-    const { sellToken, buyToken, sellAmount, taker } = b;
-
-    if (!sellToken || !buyToken || !sellAmount || !taker) {
-      return res.status(400).json({ message: "Missing sellToken/buyToken/sellAmount/taker" });
-    }
-    if (!isHexAddress(taker)) {
-      return res.status(400).json({ message: "Invalid taker address" });
-    }
-    if (!mustBeUintString(String(sellAmount))) {
-      return res.status(400).json({ message: "sellAmount must be an integer string (wei)" });
-    }
-
-    const normalizedSell = sellToken === "ETH" ? ETH_SENTINEL : sellToken;
-    const normalizedBuy  = buyToken === "ETH" ? ETH_SENTINEL : buyToken;
-
-    const params = buildParams({
-      ...b,
-      sellToken: normalizedSell,
-      buyToken: normalizedBuy,
-      sellAmount: String(sellAmount),
-    });
-
-    // ✅ intentOnFilling=true 는 allowance-holder에서 권장
-    params.set("intentOnFilling", "true");
-
-    const url = `${ZEROX_BASE}/swap/allowance-holder/quote?${params.toString()}`;
-    const quoteData = await call0x(url);
-
-    const rawTx = quoteData.transaction || {};
-    if (!rawTx.to || !rawTx.data) {
-      return res.status(500).json({ message: "0x quote did not return tx fields", raw: quoteData });
-    }
-
-    // ====== base tx (메타마스크용) ======
-    // ✅ value/gas는 가능하면 HEX로 통일해서 내림
-    const tx = {
-      to: rawTx.to,
-      data: rawTx.data,
-      value: "0x0",
-    };
-
-    // ETH sell이면 value는 sellAmount
-    if (normalizedSell === ETH_SENTINEL) {
-      tx.value = decStringToHex(String(sellAmount));
-    } else {
-      // ERC20 sell은 보통 value=0
-      tx.value = rawTx.value != null
-        ? (String(rawTx.value).startsWith("0x") ? String(rawTx.value) : decStringToHex(String(rawTx.value)))
-        : "0x0";
-    }
-
-    // 0x가 gas를 줄 때도 있고 없을 수도 → 있으면 normalize
-    const maybeGas = normalizeGasField(rawTx.gas);
-    if (maybeGas) tx.gas = maybeGas;
-
-    // RPC가 있으면 estimateGas + fee 추천
-    if (RPC_URL) {
-      const estTx = {
-        from: taker,
-        to: tx.to,
-        data: tx.data,
-        value: tx.value,
-      };
-
-      try {
-        const gasHex = await estimateGasWithBuffer(estTx);
-        tx.gas = gasHex; // ✅ hex
-      } catch (e) {
-        console.warn("[swap] estimateGas failed, fallback to 0x gas if any", e.message || e);
-      }
-
-      try {
-        const fees = await suggestEip1559Fees();
-        tx.maxFeePerGas = fees.maxFeePerGas;
-        tx.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
-      } catch (e) {
-        console.warn("[swap] fee suggestion failed", e.message || e);
-      }
-    }
-
-    console.log("[/swap] tx -> frontend:", tx);
-    res.json({ tx });
-  } catch (err) {
-    console.error("[/swap] error", err.status, err.details || err.message);
-    res.status(err.status || 500).json({
-      message: err.message || "Swap failed",
-      details: err.details || null,
-    });
-  }
-});
-
-// ==============================
-// Sushi Pools Proxy API (GraphQL)
-// GET /sushi/pools?chain=ethereum&limit=5
-// ==============================
-const SUSHI_SUBGRAPH_URL = process.env.SUSHI_SUBGRAPH_URL;
-
-// 간단 캐시(서버 메모리) — 60초
-const __sushiCache = new Map(); // key: chain|limit  value: { ts, data }
-const SUSHI_CACHE_TTL_MS = 60 * 1000;
-
-function safeNum(n, fallback = 0) {
-  const x = Number(n);
-  return Number.isFinite(x) ? x : fallback;
-}
-
-function formatUsdCompact(v) {
-  const n = safeNum(v, 0);
-
-  // ✅ 0 이하거나 너무 작으면 0.00 대신 "—"로
-  if (n <= 0) return "$—";
-  if (n < 0.01) return "<$0.01";
-
-  if (n >= 1e9) return `$${(n / 1e9).toFixed(2)}b`;
-  if (n >= 1e6) return `$${(n / 1e6).toFixed(2)}m`;
-  if (n >= 1e3) return `$${(n / 1e3).toFixed(2)}k`;
-  return `$${n.toFixed(2)}`;
-}
-
-
-
-/**
- * ✅ sushiswap/exchange(=v2 스타일) 기준:
- * pairs에는 reserveUSD/volumeUSD는 있지만 swapFee는 없음.
- */
-async function fetchSushiPoolsFromGraphql({ chain = "ethereum", limit = 5 }) {
-  if (!SUSHI_SUBGRAPH_URL) throw new Error("SUSHI_SUBGRAPH_URL env is missing");
-
-  // NOTE: chain 파라미터는 지금은 URL만 단일 사용(ethereum 고정)로 두되,
-  // 추후 멀티체인 지원 시 여기서 URL을 체인별로 분기하세요.
-  const first = Math.max(1, Math.min(20, Number(limit) || 5));
-
-  const query = `
-    query Pairs($first:Int!) {
-      pairs(first: $first, orderBy: createdAtTimestamp, orderDirection: desc) {
-        id
-        createdAtTimestamp
-        token0 { symbol }
-        token1 { symbol }
-        reserveUSD
-        volumeUSD
-      }
-    }
-  `;
-
-  const body = JSON.stringify({ query, variables: { first } });
-
-  const r = await fetchFn(SUSHI_SUBGRAPH_URL, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body,
-  });
-
-  const text = await r.text().catch(() => "");
-  if (!r.ok) throw new Error(`GraphQL HTTP ${r.status}: ${text.slice(0, 200)}`);
-
-  let json;
-  try {
-    json = text ? JSON.parse(text) : {};
-  } catch {
-    throw new Error("GraphQL returned non-JSON response");
-  }
-
-  if (json.errors?.length) {
-    throw new Error(`GraphQL errors: ${json.errors.map((e) => e.message).join(" | ")}`);
-  }
-
-  const arr = Array.isArray(json.data?.pairs) ? json.data.pairs : [];
-  if (!arr.length) {
-    throw new Error("Sushi subgraph schema mismatch or empty response");
-  }
-
-  const items = arr.map((p) => {
-    const t0 = p?.token0?.symbol || "?";
-    const t1 = p?.token1?.symbol || "?";
-    const name = `${t0} / ${t1}`;
-
-    const tvlUsd = safeNum(p.reserveUSD ?? 0, 0);
-    const volUsd = safeNum(p.volumeUSD ?? 0, 0);
-
-    // ✅ swapFee 필드가 없으므로 v2 기본 수수료(0.3%)를 고정 표시
-    const feePct = 0.3;
-
-    return {
-      id: p.id,
-      name,
-      tvlUsd,
-      tvlText: formatUsdCompact(tvlUsd),
-      volumeUsd: volUsd,
-      feePct,
-      url: `https://www.sushi.com/ethereum/pool/${p.id}`,
-    };
-  });
-
-  return items;
-}
-
-app.get("/sushi/pools", async (req, res) => {
-  try {
-    const chain = String(req.query.chain || "ethereum").toLowerCase();
-    const limit = Math.max(1, Math.min(10, Number(req.query.limit || 5)));
-
-    const cacheKey = `${chain}|${limit}`;
-    const cached = __sushiCache.get(cacheKey);
-    const now = Date.now();
-
-    if (cached && now - cached.ts < SUSHI_CACHE_TTL_MS) {
-      return res.json({ ok: true, chain, cached: true, items: cached.data });
-    }
-
-    const items = await fetchSushiPoolsFromGraphql({ chain, limit });
-    __sushiCache.set(cacheKey, { ts: now, data: items });
-
-    return res.json({ ok: true, chain, cached: false, items });
-  } catch (e) {
-    console.error("[/sushi/pools] error:", e?.message || e);
-
-    // 프런트가 "—"로라도 안전하게 뜨도록 fallback 유지
-    return res.status(200).json({
-      ok: false,
-      error: String(e?.message || e),
-      items: [
-        { id: "0x0", name: "WBTC / ETH", tvlUsd: 0, tvlText: "$—", feePct: 0.3, url: "https://www.sushi.com/ethereum/explore/pools" },
-        { id: "0x0", name: "DAI / ETH",  tvlUsd: 0, tvlText: "$—", feePct: 0.3, url: "https://www.sushi.com/ethereum/explore/pools" },
-        { id: "0x0", name: "USDC / ETH", tvlUsd: 0, tvlText: "$—", feePct: 0.3, url: "https://www.sushi.com/ethereum/explore/pools" },
-        { id: "0x0", name: "SUSHI / ETH",tvlUsd: 0, tvlText: "$—", feePct: 0.3, url: "https://www.sushi.com/ethereum/explore/pools" },
-        { id: "0x0", name: "LINK / ETH", tvlUsd: 0, tvlText: "$—", feePct: 0.3, url: "https://www.sushi.com/ethereum/explore/pools" },
-      ],
-    });
-  }
-});
-
-/* =========================
-   📰 Crypto News Section (NEW)
-   - No extra packages required (Node 18+ fetch)
-   - Caches titles (default 10 min)
-   - Returns top 5 items for rolling UI
-   ========================= */
-
-const NEWS_SOURCES = [
-  { name: "CoinDesk",      url: "https://www.coindesk.com/arc/outboundfeeds/rss/?outputType=xml" },
-  { name: "Cointelegraph", url: "https://cointelegraph.com/rss" },
-  { name: "CryptoSlate",   url: "https://cryptoslate.com/feed/" },
-  { name: "CryptoNews",    url: "https://cryptonews.com/news/feed/" },
-  { name: "CryptoPotato",  url: "https://cryptopotato.com/feed/" },
-];
-
-// in-memory cache
-let cryptoNewsCache = {
-  updatedAt: 0,
-  items: [], // [{ title, link, source }]
-  error: null
-};
-
-const NEWS_MAX_ITEMS = 5;               // 프런트 롤링 표시 5줄
-const NEWS_REFRESH_MS = 10 * 60 * 1000; // 10분마다 갱신 (원하면 5~15분으로 조절)
-
-// 아주 가벼운 RSS 파서(제목/링크만): 라이브러리 없이 정규식 기반
-function decodeXmlEntities(str = "") {
-  return str
-    .replace(/<!\[CDATA\[(.*?)\]\]>/g, "$1")
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .trim();
-}
-
-function parseRss(xml, sourceName) {
-  const items = [];
-  if (!xml || typeof xml !== "string") return items;
-
-  // <item> ... </item> 추출
-  const itemBlocks = xml.match(/<item[\s\S]*?<\/item>/gi) || [];
-  for (const block of itemBlocks) {
-    const titleMatch = block.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-    const linkMatch  = block.match(/<link[^>]*>([\s\S]*?)<\/link>/i);
-
-    const title = titleMatch ? decodeXmlEntities(titleMatch[1]) : "";
-    const link  = linkMatch  ? decodeXmlEntities(linkMatch[1])  : "";
-
-    if (!title) continue;
-
-    items.push({
-      title,
-      link: link || null,
-      source: sourceName
-    });
-
-    if (items.length >= 10) break; // 소스별 상위 몇 개만
-  }
-  return items;
-}
-
-async function fetchOneRss(src) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), 8000); // 8초 타임아웃
-  try {
-    const res = await fetch(src.url, {
-      method: "GET",
-      headers: {
-        "User-Agent": "G-DEX-NewsFetcher/1.0",
-        "Accept": "application/rss+xml, application/xml;q=0.9, */*;q=0.8"
-      },
-      signal: controller.signal
-    });
-    const text = await res.text();
-    return parseRss(text, src.name);
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-async function refreshCryptoNews() {
-  try {
-    const results = await Promise.allSettled(NEWS_SOURCES.map(fetchOneRss));
-    const merged = [];
-
-    for (const r of results) {
-      if (r.status === "fulfilled" && Array.isArray(r.value)) merged.push(...r.value);
-    }
-
-    // 중복 제거(제목 기준) + 정리
-    const seen = new Set();
-    const deduped = [];
-    for (const it of merged) {
-      const key = (it.title || "").toLowerCase();
-      if (!key || seen.has(key)) continue;
-      seen.add(key);
-      deduped.push(it);
-      if (deduped.length >= NEWS_MAX_ITEMS) break;
-    }
-
-    cryptoNewsCache = {
-      updatedAt: Date.now(),
-      items: deduped,
-      error: null
-    };
-  } catch (e) {
-    cryptoNewsCache = {
-      updatedAt: Date.now(),
-      items: cryptoNewsCache.items || [],
-      error: (e && e.message) ? e.message : String(e)
-    };
-  }
-}
-
-// 서버 시작 시 1회 갱신 + 주기 갱신
-refreshCryptoNews().catch(()=>{});
-setInterval(() => refreshCryptoNews().catch(()=>{}), NEWS_REFRESH_MS);
-
-// ✅ 프런트에서 호출할 엔드포인트
-// GET /api/crypto-news -> { updatedAt, items:[{title,link,source}], error? }
-app.get("/api/crypto-news", (req, res) => {
-  res.setHeader("Cache-Control", "no-store");
-  res.json(cryptoNewsCache);
-});
-/* =========================
-   📰 Crypto News Section End
-   ========================= */
-
-/* =========================
-   Listen
-   ========================= */
-app.listen(PORT, () => console.log(`G-DEX backend listening on port ${PORT}`));
-
-
-
-
-
-
-
-
-
+// server.js — G-DEX backend (0x v2 allowance-holder) + (optional) RPC gas estimation
+// + Sushi pools proxy (GraphQL)
+//
+// ✅ Hardening changes:
+// - Safe fetch() fallback (Node <18 대비)
+// - /swap tx fields: gas/value 가능한 한 HEX로 통일
+// - app.listen moved to bottom
+// - CORS headers slightly expanded
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const { AsyncLocalStorage } = require("async_hooks");
+const express = require("express");
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const { keccak_256 } = require("@noble/hashes/sha3");
+
+const app = express();
+app.use(express.json({ limit: "1mb" }));
+
+// 로드밸런서 뒤라면 TRUST_PROXY=1 (req.ip가 X-Forwarded-For 기준이 됨)
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^[0-9]+$/.test(tp) ? Number(tp) : tp === "true" ? true : tp);
+}
+
+/* =========================
+   fetch polyfill (safe)
+   ========================= */
+const fetchFn =
+  typeof global.fetch === "function"
+    ? global.fetch.bind(global)
+    : (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+
+/* =========================
+   Logging (JSON) + request ID
+   - 요청마다 reqId (X-Request-Id 헤더 재사용 or 새로 생성) → AsyncLocalStorage로 전달
+   - call0x / rpc / GraphQL 로그에도 같은 reqId가 찍히고, 업스트림에도 X-Request-Id로 전달
+   - API key / 토큰 / 지갑 주소 등은 로그에서 가림
+   ========================= */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] || LOG_LEVELS.info;
+const requestContext = new AsyncLocalStorage();
+
+// *Token 전체가 아니라 인증용 키 이름만 (sellToken/buyToken/feeToken/token 은 주소라 그대로 찍혀야 함)
+const REDACT_KEY_RE = /^(x-)?(access|admin|auth|bearer|id|refresh|session)[-_]?token$|authorization|api[-_]?key|secret|password|signature|cookie/i;
+const MASK_ADDRESS_KEY_RE = /^(taker|from|owner|wallet|address|useraddress|origin|recipient)$/i;
+const SENSITIVE_QUERY_KEYS = ["apikey", "api_key", "key", "token", "taker", "from", "origin", "useraddress"];
+
+function currentRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.reqId : null;
+}
+
+// 0x1234...abcd
+function maskAddress(a) {
+  return typeof a === "string" && /^0x[a-fA-F0-9]{40}$/.test(a) ? `${a.slice(0, 6)}...${a.slice(-4)}` : a;
+}
+
+function redact(value, key = "", depth = 0) {
+  if (value == null) return value;
+  if (key && REDACT_KEY_RE.test(key)) return "[REDACTED]";
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "string") return key && MASK_ADDRESS_KEY_RE.test(key) ? maskAddress(value) : value;
+  if (typeof value !== "object" || depth > 5) return value;
+  if (value instanceof Error) return { message: value.message, status: value.status, code: value.code };
+  if (Array.isArray(value)) return value.map((v) => redact(v, "", depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = redact(v, k, depth + 1);
+  return out;
+}
+
+/** URL 로그용: RPC URL은 path에 키가 있는 경우가 많아서 host만, 나머지는 민감한 query 가림 */
+function redactUrl(url, { hostOnly = false } = {}) {
+  try {
+    const u = new URL(url);
+    if (hostOnly) return u.origin;
+    for (const k of [...u.searchParams.keys()]) {
+      if (SENSITIVE_QUERY_KEYS.includes(k.toLowerCase())) {
+        const v = u.searchParams.get(k);
+        u.searchParams.set(k, /^0x[a-fA-F0-9]{40}$/.test(v) ? maskAddress(v) : "[REDACTED]");
+      }
+    }
+    return u.toString();
+  } catch {
+    return "[invalid url]";
+  }
+}
+
+function writeLog(level, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const entry = { ts: new Date().toISOString(), level, msg };
+  const reqId = currentRequestId();
+  if (reqId) entry.reqId = reqId;
+  if (fields) Object.assign(entry, redact(fields));
+  const line = JSON.stringify(entry);
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+const log = {
+  debug: (msg, fields) => writeLog("debug", msg, fields),
+  info: (msg, fields) => writeLog("info", msg, fields),
+  warn: (msg, fields) => writeLog("warn", msg, fields),
+  error: (msg, fields) => writeLog("error", msg, fields),
+};
+
+/* =========================
+   Metrics (Prometheus text format) — GET /metrics
+   ========================= */
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const __metrics = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function renderLabels(pairs) {
+  if (!pairs.length) return "";
+  const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${pairs.map(([k, v]) => `${k}="${esc(v)}"`).join(",")}}`;
+}
+
+function createCounter(name, help) {
+  const values = new Map(); // labelKey -> { pairs, value }
+  const m = {
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, v = 1) {
+      const key = labelKey(labels);
+      const e = values.get(key) || { pairs: JSON.parse(key), value: 0 };
+      e.value += v;
+      values.set(key, e);
+    },
+    lines: () => [...values.values()].map((e) => `${name}${renderLabels(e.pairs)} ${e.value}`),
+  };
+  __metrics.push(m);
+  return m;
+}
+
+function createHistogram(name, help, buckets = LATENCY_BUCKETS) {
+  const values = new Map(); // labelKey -> { pairs, counts[], sum, count }
+  const m = {
+    name,
+    help,
+    type: "histogram",
+    observe(labels, v) {
+      const key = labelKey(labels);
+      const e = values.get(key) || { pairs: JSON.parse(key), counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => {
+        if (v <= b) e.counts[i]++;
+      });
+      e.sum += v;
+      e.count++;
+      values.set(key, e);
+    },
+    lines() {
+      const out = [];
+      for (const e of values.values()) {
+        buckets.forEach((b, i) => out.push(`${name}_bucket${renderLabels([...e.pairs, ["le", b]])} ${e.counts[i]}`));
+        out.push(`${name}_bucket${renderLabels([...e.pairs, ["le", "+Inf"]])} ${e.count}`);
+        out.push(`${name}_sum${renderLabels(e.pairs)} ${e.sum}`);
+        out.push(`${name}_count${renderLabels(e.pairs)} ${e.count}`);
+      }
+      return out;
+    },
+  };
+  __metrics.push(m);
+  return m;
+}
+
+// 스크레이프 시점에 값 계산: collect() → [{ labels, value }]
+function createGauge(name, help, collect) {
+  const m = {
+    name,
+    help,
+    type: "gauge",
+    lines: () =>
+      collect().map(({ labels = {}, value }) => `${name}${renderLabels(JSON.parse(labelKey(labels)))} ${value}`),
+  };
+  __metrics.push(m);
+  return m;
+}
+
+const metrics = {
+  httpRequests: createCounter("gdex_http_requests_total", "HTTP requests by route and status"),
+  httpDuration: createHistogram("gdex_http_request_duration_seconds", "HTTP request latency by route"),
+  upstreamRequests: createCounter("gdex_upstream_requests_total", "Upstream requests by upstream and outcome"),
+  upstreamDuration: createHistogram("gdex_upstream_request_duration_seconds", "Upstream latency (until response headers)"),
+  cacheRequests: createCounter("gdex_cache_requests_total", "Cache lookups by cache and result (hit/miss/coalesced)"),
+};
+
+const __namedCaches = new Map(); // createTtlCache({ name }) → 메트릭 라벨
+
+createGauge("gdex_cache_hit_ratio", "Cache hit ratio since start ((hit + coalesced) / lookups)", () =>
+  [...__namedCaches].map(([cache, c]) => {
+    const st = c.stats();
+    const lookups = st.hits + st.misses + st.coalesced;
+    return { labels: { cache }, value: lookups ? (st.hits + st.coalesced) / lookups : 0 };
+  })
+);
+createGauge("gdex_cache_entries", "Entries currently held per cache", () =>
+  [...__namedCaches].map(([cache, c]) => ({ labels: { cache }, value: c.stats().size }))
+);
+createGauge("gdex_process_uptime_seconds", "Process uptime", () => [{ value: Math.round(process.uptime()) }]);
+createGauge("gdex_process_resident_memory_bytes", "Resident memory", () => [{ value: process.memoryUsage().rss }]);
+
+function renderMetrics() {
+  const out = [];
+  for (const m of __metrics) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines());
+  }
+  return out.join("\n") + "\n";
+}
+
+/* =========================
+   Upstream HTTP client
+   - 업스트림별 timeout (응답 body 읽기까지 포함한 전체 deadline)
+   - idempotent 호출(price, RPC 읽기, GraphQL)만 jitter backoff로 재시도: 네트워크 오류 / timeout / 429 / 5xx
+   - 429: Retry-After 동안 해당 업스트림 호출을 멈춤 (그동안은 바로 429)
+   - circuit breaker: 연속 실패 BREAKER_FAILURES회 → OPEN (cooldown 동안 즉시 503) → HALF-OPEN 1건 시도
+   ========================= */
+const UPSTREAM_POLICIES = {
+  "0x": { timeoutMs: 8000, retries: 2 },
+  rpc: { timeoutMs: 5000, retries: 1 },
+  subgraph: { timeoutMs: 8000, retries: 2 },
+  rss: { timeoutMs: 8000, retries: 0 },
+  lifi: { timeoutMs: 15000, retries: 1 }, // bridge 경로 탐색은 느림
+  tokenlist: { timeoutMs: 10000, retries: 1 },
+  webhook: { timeoutMs: 5000, retries: 0 },
+  default: { timeoutMs: 8000, retries: 1 },
+};
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS || 0); // 0 = 업스트림별 기본값
+const UPSTREAM_RETRIES = process.env.UPSTREAM_RETRIES ? Number(process.env.UPSTREAM_RETRIES) : null;
+const RETRY_BASE_MS = 200;
+const RETRY_MAX_MS = 2000;
+const RETRY_AFTER_MAX_WAIT_MS = 3000; // 이보다 긴 Retry-After는 기다리지 않고 429 그대로 반환
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const BREAKER_FAILURES = Number(process.env.BREAKER_FAILURES || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 30 * 1000);
+
+const __breakers = new Map(); // key -> { failures, openUntil, reason, trial }
+
+createGauge("gdex_upstream_circuit_open", "1 while an upstream circuit is open (or rate limited)", () =>
+  [...__breakers].map(([breaker, b]) => ({ labels: { breaker }, value: b.openUntil > Date.now() ? 1 : 0 }))
+);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// full jitter: 0 ~ min(max, base * 2^attempt)
+function backoffMs(attempt) {
+  return Math.round(Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt));
+}
+
+function parseRetryAfter(v) {
+  if (!v) return null;
+  if (/^\d+$/.test(v.trim())) return Number(v) * 1000;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? Math.max(0, t - Date.now()) : null;
+}
+
+function getBreaker(key) {
+  let b = __breakers.get(key);
+  if (!b) {
+    b = { failures: 0, openUntil: 0, reason: null, trial: false };
+    __breakers.set(key, b);
+  }
+  return b;
+}
+
+/** OPEN이면 바로 throw. cooldown이 지났으면 HALF-OPEN: 한 건만 통과 */
+function breakerAcquire(key) {
+  const b = getBreaker(key);
+  const now = Date.now();
+  const blocked = b.openUntil > now || (b.openUntil && b.trial);
+  if (blocked) {
+    const limited = b.reason === "rate_limited";
+    const err = new Error(limited ? `${key} is rate limited, retry later` : `${key} is unavailable (circuit open)`);
+    err.status = limited ? 429 : 503;
+    err.code = "UPSTREAM_UNAVAILABLE";
+    err.retryAfterMs = Math.max(0, b.openUntil - now) || BREAKER_COOLDOWN_MS;
+    throw err;
+  }
+  if (b.openUntil) b.trial = true;
+}
+
+function breakerSuccess(key) {
+  const b = getBreaker(key);
+  if (b.openUntil) log.info("upstream circuit closed", { breaker: key });
+  Object.assign(b, { failures: 0, openUntil: 0, reason: null, trial: false });
+}
+
+function breakerFailure(key, reason) {
+  const b = getBreaker(key);
+  b.failures++;
+  if (b.trial || b.failures >= BREAKER_FAILURES) {
+    if (!b.openUntil || b.trial) log.warn("upstream circuit opened", { breaker: key, failures: b.failures, reason });
+    Object.assign(b, { openUntil: Date.now() + BREAKER_COOLDOWN_MS, reason, trial: false });
+  }
+}
+
+function breakerRateLimited(key, waitMs) {
+  const b = getBreaker(key);
+  Object.assign(b, { openUntil: Date.now() + waitMs, reason: "rate_limited", trial: false });
+}
+
+function urlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid";
+  }
+}
+
+// 1회 시도: timeout은 body 읽기까지 적용되도록 타이머를 응답 후에도 유지 (unref)
+async function fetchOnce(upstream, url, opts, timeoutMs) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  if (timer.unref) timer.unref();
+  if (opts.signal) opts.signal.addEventListener("abort", () => ctrl.abort(), { once: true });
+  try {
+    return await fetchFn(url, { ...opts, signal: ctrl.signal });
+  } catch (e) {
+    clearTimeout(timer);
+    if (ctrl.signal.aborted && !(opts.signal && opts.signal.aborted)) {
+      const err = new Error(`${upstream} timed out after ${timeoutMs}ms`);
+      err.status = 504;
+      err.code = "UPSTREAM_TIMEOUT";
+      throw err;
+    }
+    throw e;
+  }
+}
+
+/**
+ * 업스트림 fetch 공통: timeout / 재시도 / circuit breaker + 메트릭 + 로그(reqId 포함) + X-Request-Id 전달
+ * upstream: "0x" | "rpc" | "subgraph" | "rss" | "tokenlist" | "1inch" | "paraswap" ...
+ * options:
+ * - idempotent: 재시도 허용 (기본 false)
+ * - breaker: breaker 키 (기본 `${upstream}:${host}`), false면 breaker 안 거침 (readiness 프로브용)
+ * - timeoutMs / retries: 업스트림 기본값 덮어쓰기
+ * 5xx/429는 재시도가 끝나면 Response 그대로 반환 (호출부에서 status 처리)
+ */
+async function upstreamFetch(upstream, url, opts = {}, options = {}) {
+  const { propagateId = true, hostOnly = false, idempotent = false, breaker } = options;
+  const policy = UPSTREAM_POLICIES[upstream] || UPSTREAM_POLICIES.default;
+  const timeoutMs = options.timeoutMs || UPSTREAM_TIMEOUT_MS || policy.timeoutMs;
+  const maxRetries = idempotent ? (options.retries ?? UPSTREAM_RETRIES ?? policy.retries) : 0;
+  const key = breaker === false ? null : breaker || `${upstream}:${urlHost(url)}`;
+
+  const reqId = currentRequestId();
+  const headers = { ...(opts.headers || {}) };
+  if (propagateId && reqId) headers["X-Request-Id"] = reqId;
+
+  for (let attempt = 0; ; attempt++) {
+    const start = process.hrtime.bigint();
+    let res = null;
+    let error = null;
+    let outcome;
+    try {
+      if (key) breakerAcquire(key);
+    } catch (e) {
+      metrics.upstreamRequests.inc({ upstream, outcome: "circuit_open" });
+      throw e;
+    }
+    try {
+      res = await fetchOnce(upstream, url, { ...opts, headers }, timeoutMs);
+      outcome = `${Math.floor(res.status / 100)}xx`;
+    } catch (e) {
+      error = e;
+      outcome = e.code === "UPSTREAM_TIMEOUT" ? "timeout" : "error";
+    }
+
+    const secs = Number(process.hrtime.bigint() - start) / 1e9;
+    metrics.upstreamRequests.inc({ upstream, outcome });
+    metrics.upstreamDuration.observe({ upstream }, secs);
+    log.debug("upstream request", {
+      upstream,
+      url: redactUrl(url, { hostOnly }),
+      outcome,
+      attempt,
+      ms: Math.round(secs * 1000),
+    });
+
+    const canRetry = attempt < maxRetries;
+
+    if (res && res.status === 429) {
+      const waitMs = parseRetryAfter(res.headers.get("retry-after")) ?? backoffMs(attempt + 1);
+      if (key) breakerRateLimited(key, waitMs);
+      if (!canRetry || waitMs > RETRY_AFTER_MAX_WAIT_MS) return res;
+      await res.arrayBuffer().catch(() => {});
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (res && res.status < 500) {
+      if (key) breakerSuccess(key);
+      return res;
+    }
+
+    if (key) breakerFailure(key, error ? outcome : `http_${res.status}`);
+    if (canRetry && (error || RETRYABLE_STATUS.has(res.status))) {
+      if (res) await res.arrayBuffer().catch(() => {});
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+    if (error) throw error;
+    return res;
+  }
+}
+
+// 요청 ID + HTTP 메트릭/액세스 로그 (프로브/스크레이프는 debug로만)
+const QUIET_ROUTES = new Set(["/metrics", "/healthz", "/readyz"]);
+app.use((req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+  const reqId = typeof incoming === "string" && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", reqId);
+
+  const start = process.hrtime.bigint();
+  res.on("close", () => {
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    const secs = Number(process.hrtime.bigint() - start) / 1e9;
+    const status = res.headersSent ? res.statusCode : 499; // 응답 전에 클라이언트가 끊음
+    metrics.httpRequests.inc({ method: req.method, route, status });
+    metrics.httpDuration.observe({ method: req.method, route }, secs);
+    requestContext.run({ reqId }, () =>
+      (QUIET_ROUTES.has(route) ? log.debug : log.info)("request", {
+        method: req.method,
+        route,
+        status,
+        ms: Math.round(secs * 1000),
+      })
+    );
+  });
+
+  requestContext.run({ reqId }, next);
+});
+
+/* =========================
+   CORS (화이트리스트만 허용)
+   ========================= */
+const DEFAULT_CORS_ORIGINS = [
+  "https://gdex-app.com",
+  "https://www.gdex-app.com",
+  "https://glip-guardians.github.io",
+];
+// /admin/config 로 런타임에 교체됨 (Runtime config 참고)
+const allowedOrigins = new Set(DEFAULT_CORS_ORIGINS);
+
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+
+  if (origin && allowedOrigins.has(origin)) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Vary", "Origin");
+    res.header("Access-Control-Allow-Credentials", "true");
+  }
+
+  res.header("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+  // ✅ 프런트/프록시에서 헤더가 추가될 수 있어 여유 있게 허용
+  res.header(
+    "Access-Control-Allow-Headers",
+    "Content-Type, 0x-api-key, Authorization, Accept, X-Request-Id"
+  );
+  res.header("Access-Control-Expose-Headers", "X-Request-Id, Retry-After");
+
+  if (req.method === "OPTIONS") return res.sendStatus(200);
+  next();
+});
+
+/* =========================
+   ENV & CONST
+   ========================= */
+const PORT = process.env.PORT || 8080;
+
+const ZEROX_API_KEY = process.env.ZEROX_API_KEY;
+const ZEROX_BASE = process.env.ZEROX_BASE || "https://api.0x.org"; // 로컬 mock 서버로 바꿔서 테스트 가능
+
+// ✅ 선택: RPC 넣으면 실패율 크게 내려감(estimateGas/fee 계산)
+// NOTE: 메인넷(chainId=1) 기본값. 다른 체인은 RPC_URL_<chainId> 또는 CHAINS_CONFIG 사용
+const RPC_URL = process.env.RPC_URL || ""; // 예: https://eth-mainnet.g.alchemy.com/v2/xxx
+const SUSHI_SUBGRAPH_URL = process.env.SUSHI_SUBGRAPH_URL || "";
+
+// 수수료(인티그레이터 fee) 기본값 — 세부 정책은 아래 Fee policy(FEE_CONFIG) 참고
+const FEE_RECIPIENT = process.env.FEE_RECIPIENT || "0x932bf0a8746c041c00131640123fa6c847835d6f";
+const FEE_PERCENTAGE = process.env.FEE_PERCENTAGE != null ? Number(process.env.FEE_PERCENTAGE) : 0.001; // 0.1%
+
+// 0x는 모든 체인에서 네이티브 토큰(ETH/BNB/POL...)을 이 주소로 표기
+const ETH_SENTINEL = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+// 0x AllowanceHolder (Cancun 체인 공통). 다른 주소 쓰는 체인은 CHAINS_CONFIG의 allowanceHolder로 덮어쓰기
+const ALLOWANCE_HOLDER = "0x0000000000001fF3684f28c67538d4D072C22734";
+
+// Multicall3: 대부분 체인에 같은 주소로 배포됨. 다르면 CHAINS_CONFIG의 multicall3로 덮어쓰기
+const MULTICALL3 = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+if (!ZEROX_API_KEY) log.warn("ZEROX_API_KEY is not set");
+
+/* =========================
+   Chain registry (멀티체인)
+   - 기본값(아래 DEFAULT_CHAINS) → CHAINS_CONFIG(JSON 파일) → 체인별 env 순서로 덮어씀
+   - env: RPC_URL_<chainId>, SUSHI_SUBGRAPH_URL_<chainId>
+   - SUPPORTED_CHAINS=1,42161 처럼 주면 해당 체인만 허용
+   ========================= */
+const DEFAULT_CHAINS = [
+  {
+    chainId: 1,
+    key: "ethereum",
+    name: "Ethereum",
+    nativeSymbol: "ETH",
+    blockTimeSec: 12, // gas oracle 예상 포함 시간용
+    explorerTxUrl: "https://etherscan.io/tx/{hash}",
+    explorerAddressUrl: "https://etherscan.io/address/{address}",
+    poolUrl: "https://www.sushi.com/ethereum/pool/{id}",
+    poolsExploreUrl: "https://www.sushi.com/ethereum/explore/pools",
+    wrappedNative: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+    usdc: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+    sushiV2Router: "0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F",
+  },
+  {
+    chainId: 10,
+    key: "optimism",
+    name: "Optimism",
+    nativeSymbol: "ETH",
+    blockTimeSec: 2,
+    explorerTxUrl: "https://optimistic.etherscan.io/tx/{hash}",
+    explorerAddressUrl: "https://optimistic.etherscan.io/address/{address}",
+    poolUrl: "https://www.sushi.com/optimism/pool/{id}",
+    poolsExploreUrl: "https://www.sushi.com/optimism/explore/pools",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+    usdc: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85",
+  },
+  {
+    chainId: 56,
+    key: "bsc",
+    name: "BNB Chain",
+    nativeSymbol: "BNB",
+    blockTimeSec: 3,
+    explorerTxUrl: "https://bscscan.com/tx/{hash}",
+    explorerAddressUrl: "https://bscscan.com/address/{address}",
+    poolUrl: "https://www.sushi.com/bsc/pool/{id}",
+    poolsExploreUrl: "https://www.sushi.com/bsc/explore/pools",
+    wrappedNative: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c",
+    usdc: "0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d",
+    sushiV2Router: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506",
+  },
+  {
+    chainId: 137,
+    key: "polygon",
+    name: "Polygon",
+    nativeSymbol: "POL",
+    blockTimeSec: 2,
+    explorerTxUrl: "https://polygonscan.com/tx/{hash}",
+    explorerAddressUrl: "https://polygonscan.com/address/{address}",
+    poolUrl: "https://www.sushi.com/polygon/pool/{id}",
+    poolsExploreUrl: "https://www.sushi.com/polygon/explore/pools",
+    wrappedNative: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
+    usdc: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359",
+    sushiV2Router: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506",
+  },
+  {
+    chainId: 8453,
+    key: "base",
+    name: "Base",
+    nativeSymbol: "ETH",
+    blockTimeSec: 2,
+    explorerTxUrl: "https://basescan.org/tx/{hash}",
+    explorerAddressUrl: "https://basescan.org/address/{address}",
+    poolUrl: "https://www.sushi.com/base/pool/{id}",
+    poolsExploreUrl: "https://www.sushi.com/base/explore/pools",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+    usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+  },
+  {
+    chainId: 42161,
+    key: "arbitrum",
+    name: "Arbitrum One",
+    nativeSymbol: "ETH",
+    blockTimeSec: 0.25,
+    explorerTxUrl: "https://arbiscan.io/tx/{hash}",
+    explorerAddressUrl: "https://arbiscan.io/address/{address}",
+    poolUrl: "https://www.sushi.com/arbitrum/pool/{id}",
+    poolsExploreUrl: "https://www.sushi.com/arbitrum/explore/pools",
+    wrappedNative: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
+    usdc: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+    sushiV2Router: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506",
+  },
+];
+
+function loadChainsConfigFile() {
+  const file = process.env.CHAINS_CONFIG;
+  if (!file) return [];
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    const arr = Array.isArray(json) ? json : json.chains;
+    return Array.isArray(arr) ? arr : [];
+  } catch (e) {
+    log.warn("CHAINS_CONFIG could not be loaded", { file, error: e.message || String(e) });
+    return [];
+  }
+}
+
+function buildChainRegistry() {
+  const byId = new Map(DEFAULT_CHAINS.map((c) => [c.chainId, { ...c }]));
+
+  // 설정 파일: 기존 체인 덮어쓰기 + 새 체인 추가
+  for (const c of loadChainsConfigFile()) {
+    const id = Number(c && c.chainId);
+    if (!Number.isInteger(id) || id <= 0) continue;
+    byId.set(id, { ...(byId.get(id) || {}), ...c, chainId: id });
+  }
+
+  // 체인별 env (메인넷은 기존 RPC_URL/SUSHI_SUBGRAPH_URL 호환)
+  for (const c of byId.values()) {
+    // 콤마로 여러 개 → 앞에서부터 사용, 실패 시 다음 URL (rpc() 참고)
+    c.rpcUrls = splitUrls(
+      process.env[`RPC_URL_${c.chainId}`] || c.rpcUrls || c.rpcUrl || (c.chainId === 1 ? RPC_URL : "")
+    );
+    c.rpcUrl = c.rpcUrls[0] || "";
+    c.subgraphUrl =
+      process.env[`SUSHI_SUBGRAPH_URL_${c.chainId}`] ||
+      c.subgraphUrl ||
+      (c.chainId === 1 ? SUSHI_SUBGRAPH_URL : "") ||
+      "";
+    c.allowanceHolder = c.allowanceHolder || ALLOWANCE_HOLDER;
+    c.multicall3 = c.multicall3 || MULTICALL3;
+    c.key = String(c.key || c.chainId).toLowerCase();
+    c.nativeSymbol = String(c.nativeSymbol || "ETH").toUpperCase();
+  }
+
+  // 허용 체인 제한 (id 또는 key)
+  const only = String(process.env.SUPPORTED_CHAINS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  if (only.length) {
+    for (const [id, c] of byId) {
+      if (!only.includes(String(id)) && !only.includes(c.key)) byId.delete(id);
+    }
+  }
+
+  return byId;
+}
+
+function splitUrls(v) {
+  const list = Array.isArray(v) ? v : String(v || "").split(",");
+  return list.map((u) => String(u).trim()).filter(Boolean);
+}
+
+const CHAINS = buildChainRegistry();
+const DEFAULT_CHAIN_ID = 1;
+
+/** chainId(숫자/문자열) 또는 key("arbitrum")로 체인 조회. 미지원이면 null */
+function getChain(idOrKey) {
+  if (idOrKey == null || idOrKey === "") return CHAINS.get(DEFAULT_CHAIN_ID) || null;
+  const s = String(idOrKey).trim().toLowerCase();
+  if (/^[0-9]+$/.test(s)) return CHAINS.get(Number(s)) || null;
+  for (const c of CHAINS.values()) if (c.key === s) return c;
+  return null;
+}
+
+function fillTemplate(tpl, vars) {
+  return String(tpl || "").replace(/\{(\w+)\}/g, (_, k) => (vars[k] != null ? String(vars[k]) : ""));
+}
+
+function isNativeToken(token, chain) {
+  if (typeof token !== "string") return false;
+  if (token.toLowerCase() === ETH_SENTINEL.toLowerCase()) return true;
+  return token.toUpperCase() === (chain ? chain.nativeSymbol : "ETH");
+}
+
+// "ETH"/"BNB" 등 네이티브 심볼 → 0x sentinel
+function normalizeToken(token, chain) {
+  return isNativeToken(token, chain) ? ETH_SENTINEL : token;
+}
+
+const chainsWithoutRpc = [...CHAINS.values()].filter((c) => !c.rpcUrl).map((c) => c.key);
+if (chainsWithoutRpc.length) {
+  log.warn("RPC URL is not set; gas estimation will be skipped there", { chains: chainsWithoutRpc });
+}
+
+/* =========================
+   Fee policy (인티그레이터 fee)
+   - FEE_CONFIG(JSON 파일)에서 읽고, 파일이 바뀌면 다시 읽음 (재배포 불필요)
+   - 적용 순서: 기본값 → chains[chainId] → pairs(첫 매치) → tiers(가장 큰 minAmount) → partners[code]
+   - 토큰 지정: 주소 / 네이티브 심볼 / "group:<이름>" (tokenGroups) / "*"
+   예)
+   {
+     "recipient": "0x...", "percentage": 0.001,
+     "chains": { "137": { "percentage": 0.0015 } },
+     "tokenGroups": { "stable": { "1": ["0xA0b8...", "0xdAC1..."] } },
+     "pairs": [{ "sell": "group:stable", "buy": "group:stable", "percentage": 0 }],
+     "tiers": [{ "token": "group:stable", "minAmount": "10000", "percentage": 0.0005 }],
+     "partners": { "GUARDIAN": { "discount": 0.5 }, "ACME": { "percentage": 0.002, "recipient": "0x..." } }
+   }
+   ========================= */
+const FEE_CONFIG_FILE = process.env.FEE_CONFIG || "";
+const FEE_CONFIG_CHECK_MS = 30 * 1000;
+const FEE_MAX_PERCENTAGE = 0.05; // 안전장치: 5% 초과 금지
+
+let feePolicy = { recipient: FEE_RECIPIENT, percentage: FEE_PERCENTAGE };
+let feePolicyMtime = 0;
+let feePolicyCheckedAt = 0;
+
+function validateFeePolicy(cfg) {
+  if (!cfg || typeof cfg !== "object" || Array.isArray(cfg)) throw new Error("fee config must be an object");
+  // pair/tier는 percentage 필수. 나머지는 생략(= 상위 규칙 값 상속)만 허용, null은 거부
+  const checkPct = (v, where, required = false) => {
+    if (v === undefined && !required) return;
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0 || v > FEE_MAX_PERCENTAGE) {
+      throw new Error(`${where}: percentage must be a number between 0 and ${FEE_MAX_PERCENTAGE}`);
+    }
+  };
+  const checkRecipient = (v, where) => {
+    if (v != null && !isHexAddress(v)) throw new Error(`${where}: invalid recipient`);
+  };
+
+  checkPct(cfg.percentage, "default");
+  checkRecipient(cfg.recipient, "default");
+  for (const [id, c] of Object.entries(cfg.chains || {})) {
+    checkPct(c.percentage, `chains.${id}`);
+    checkRecipient(c.recipient, `chains.${id}`);
+  }
+  (cfg.pairs || []).forEach((r, i) => checkPct(r.percentage, `pairs[${i}]`, true));
+  (cfg.tiers || []).forEach((t, i) => {
+    checkPct(t.percentage, `tiers[${i}]`, true);
+    if (!/^[0-9]+(\.[0-9]+)?$/.test(String(t.minAmount))) throw new Error(`tiers[${i}]: invalid minAmount`);
+  });
+  for (const [code, p] of Object.entries(cfg.partners || {})) {
+    checkPct(p.percentage, `partners.${code}`);
+    checkRecipient(p.recipient, `partners.${code}`);
+    if (p.discount != null && !(p.discount >= 0 && p.discount <= 1)) {
+      throw new Error(`partners.${code}: discount must be between 0 and 1`);
+    }
+  }
+  return cfg;
+}
+
+function loadFeePolicy(force = false) {
+  if (!FEE_CONFIG_FILE) return;
+  const now = Date.now();
+  if (!force && now - feePolicyCheckedAt < FEE_CONFIG_CHECK_MS) return;
+  feePolicyCheckedAt = now;
+
+  try {
+    const { mtimeMs } = fs.statSync(FEE_CONFIG_FILE);
+    if (!force && mtimeMs === feePolicyMtime) return;
+    const cfg = validateFeePolicy(JSON.parse(fs.readFileSync(FEE_CONFIG_FILE, "utf8")));
+    // env(FEE_RECIPIENT/FEE_PERCENTAGE)는 파일에 값이 없을 때의 기본값
+    feePolicy = { recipient: FEE_RECIPIENT, percentage: FEE_PERCENTAGE, ...cfg };
+    feePolicyMtime = mtimeMs;
+    log.info("fee policy loaded", { file: FEE_CONFIG_FILE });
+  } catch (e) {
+    // 잘못된 설정은 무시하고 직전 정책 유지
+    log.error("fee policy could not be loaded", { file: FEE_CONFIG_FILE, error: e.message || String(e) });
+  }
+}
+
+function feeTokenMatches(spec, token, chain) {
+  if (spec == null || spec === "*") return true;
+  const s = String(spec);
+  if (s.startsWith("group:")) {
+    const group = (feePolicy.tokenGroups || {})[s.slice(6)] || {};
+    const list = group[String(chain.chainId)] || [];
+    return list.some((a) => normalizeToken(a, chain).toLowerCase() === String(token).toLowerCase());
+  }
+  return normalizeToken(s, chain).toLowerCase() === String(token).toLowerCase();
+}
+
+/**
+ * 요청에 적용할 fee 계산. /quote와 /swap이 같은 입력이면 항상 같은 결과.
+ * 반환: { recipient, percentage, bps, partner, rules: [...적용된 규칙] }
+ */
+function resolveFee({ chain, sellToken, buyToken, sellAmount, sellMeta, partner }) {
+  loadFeePolicy();
+  const p = feePolicy;
+  const rules = ["default"];
+  let recipient = p.recipient;
+  let percentage = p.percentage;
+
+  const chainRule = (p.chains || {})[String(chain.chainId)];
+  if (chainRule) {
+    if (chainRule.recipient) recipient = chainRule.recipient;
+    if (chainRule.percentage != null) percentage = chainRule.percentage;
+    rules.push(`chain:${chain.chainId}`);
+  }
+
+  const pairs = p.pairs || [];
+  for (let i = 0; i < pairs.length; i++) {
+    const r = pairs[i];
+    if (r.chainId != null && Number(r.chainId) !== chain.chainId) continue;
+    const forward = feeTokenMatches(r.sell, sellToken, chain) && feeTokenMatches(r.buy, buyToken, chain);
+    const backward = !r.oneWay && feeTokenMatches(r.sell, buyToken, chain) && feeTokenMatches(r.buy, sellToken, chain);
+    if (forward || backward) {
+      percentage = r.percentage;
+      rules.push(`pair:${r.name || i}`);
+      break;
+    }
+  }
+
+  // tier: sellToken 수량(사람 단위) 기준, 조건 맞는 것 중 minAmount 가장 큰 것
+  if (sellMeta) {
+    let best = null;
+    (p.tiers || []).forEach((t, i) => {
+      if (t.chainId != null && Number(t.chainId) !== chain.chainId) return;
+      if (!feeTokenMatches(t.token, sellToken, chain)) return;
+      const min = BigInt(parseUnits(String(t.minAmount), sellMeta.decimals));
+      if (BigInt(sellAmount) < min) return;
+      if (!best || min > best.min) best = { min, tier: t, i };
+    });
+    if (best) {
+      percentage = best.tier.percentage;
+      rules.push(`tier:${best.tier.name || best.i}`);
+    }
+  }
+
+  const code = partner ? String(partner).trim().toUpperCase() : "";
+  // 자기 속성만 (constructor / __proto__ 같은 코드가 prototype을 찾지 않게)
+  const partners = p.partners || {};
+  const partnerKey = [code, partner].find((k) => k && Object.hasOwn(partners, k));
+  const partnerRule = partnerKey ? partners[partnerKey] : null;
+  if (partnerRule) {
+    if (partnerRule.percentage != null) percentage = partnerRule.percentage;
+    if (partnerRule.discount != null) percentage = percentage * (1 - partnerRule.discount);
+    if (partnerRule.recipient) recipient = partnerRule.recipient;
+    rules.push(`partner:${code}`);
+  }
+
+  percentage = clampNumber(Number(percentage) || 0, 0, FEE_MAX_PERCENTAGE);
+  // 0x에 넘길 값이 float 오차로 흔들리지 않게 bps 소수 2자리까지만
+  percentage = Math.round(percentage * 1e6) / 1e6;
+
+  return {
+    recipient: percentage > 0 ? recipient : null,
+    percentage,
+    bps: Math.round(percentage * 10000 * 100) / 100,
+    partner: partnerRule ? code : null,
+    rules,
+  };
+}
+
+loadFeePolicy(true);
+
+/* =========================
+   Helpers
+   ========================= */
+function isHexAddress(a) {
+  return typeof a === "string" && /^0x[a-fA-F0-9]{40}$/.test(a);
+}
+
+function mustBeUintString(x) {
+  // 0x에 넘길 sellAmount는 "정수 문자열(wei)" 이어야 안정적
+  return typeof x === "string" && /^[0-9]+$/.test(x);
+}
+
+function clampNumber(n, min, max) {
+  if (Number.isNaN(n)) return min;
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * 짧은 TTL 캐시 + in-flight 요청 합치기(coalescing)
+ * getOrLoad(key, loader) → { value, status: "hit" | "miss" | "coalesced", ageMs }
+ * - 에러는 캐시하지 않음 (같이 기다리던 요청들은 같은 에러를 받음)
+ */
+function createTtlCache({ ttlMs, max = 1000, name }) {
+  const entries = new Map(); // key -> { ts, value }
+  const inflight = new Map(); // key -> Promise
+  const stats = { hits: 0, misses: 0, coalesced: 0 };
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { ts: Date.now(), value });
+    // 가장 오래된 것부터 정리 (Map은 삽입 순서 유지)
+    while (entries.size > max) entries.delete(entries.keys().next().value);
+  }
+
+  const count = (result) => name && metrics.cacheRequests.inc({ cache: name, result });
+
+  const cache = {
+    ttlMs,
+    async getOrLoad(key, loader) {
+      const e = entries.get(key);
+      const now = Date.now();
+      if (e && now - e.ts < ttlMs) {
+        stats.hits++;
+        count("hit");
+        return { value: e.value, status: "hit", ageMs: now - e.ts };
+      }
+      if (inflight.has(key)) {
+        stats.coalesced++;
+        count("coalesced");
+        return { value: await inflight.get(key), status: "coalesced", ageMs: 0 };
+      }
+
+      stats.misses++;
+      count("miss");
+      const p = Promise.resolve().then(loader);
+      inflight.set(key, p);
+      try {
+        const value = await p;
+        set(key, value);
+        return { value, status: "miss", ageMs: 0 };
+      } finally {
+        inflight.delete(key);
+      }
+    },
+    set,
+    // 런타임 설정 변경용 (이미 들어있는 항목도 새 TTL 기준으로 만료)
+    setTtl(ms) {
+      ttlMs = ms;
+      cache.ttlMs = ms;
+    },
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    stats: () => ({ ...stats, size: entries.size, inflight: inflight.size }),
+  };
+  if (name) __namedCaches.set(name, cache);
+  return cache;
+}
+
+// idempotent: price처럼 재시도해도 되는 호출만 true (quote는 intentOnFilling이라 재시도 안 함)
+// body를 주면 POST (gasless submit)
+async function call0x(url, { idempotent = false, body = null } = {}) {
+  log.info("0x request", { url: redactUrl(url), method: body ? "POST" : "GET" });
+
+  const res = await upstreamFetch(
+    "0x",
+    url,
+    {
+      method: body ? "POST" : "GET",
+      headers: {
+        "Content-Type": "application/json",
+        "0x-api-key": ZEROX_API_KEY || "",
+        "0x-version": "v2",
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    },
+    { idempotent, breaker: "0x" }
+  );
+
+  const text = await res.text();
+  let data = {};
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch {
+    data = { raw: text };
+  }
+
+  if (!res.ok) {
+    log.error("0x error", { status: res.status, details: data });
+    const err = new Error(data.message || `0x request failed: ${res.status}`);
+    err.status = res.status;
+    err.details = data;
+    if (res.status === 429) err.retryAfterMs = parseRetryAfter(res.headers.get("retry-after")) ?? 1000;
+    throw err;
+  }
+  return data;
+}
+
+// slippage 기본값/상한 — /admin/config 로 런타임에 교체됨
+const DEFAULT_SLIPPAGE = { defaultPercentage: 0.02, maxPercentage: 0.2 };
+let slippageBounds = { ...DEFAULT_SLIPPAGE };
+
+// slippagePercentage: 프런트는 0.02(=2%) 형태로 전달 가정
+function resolveSlippageBps(body) {
+  const slip =
+    typeof body.slippagePercentage === "number" ? body.slippagePercentage : slippageBounds.defaultPercentage;
+  const safeSlip = clampNumber(slip, 0, slippageBounds.maxPercentage); // 기본 0% ~ 20% 제한
+  return Math.round(safeSlip * 10000);
+}
+
+function buildParams(body) {
+  const chainId = body.chainId || 1; // mainnet default
+  const { sellToken, buyToken, sellAmount, taker } = body;
+  const slippageBps = resolveSlippageBps(body);
+
+  const params = new URLSearchParams({
+    chainId: String(chainId),
+    sellToken,
+    buyToken,
+    sellAmount: String(sellAmount),
+    slippageBps: String(slippageBps),
+  });
+
+  if (taker) params.set("taker", taker);
+
+  // fee: price/quote 모두 동일하게 붙여야 preview/체결 불일치가 없음 (resolveFee 결과 사용)
+  const fee = body.fee || { recipient: FEE_RECIPIENT, percentage: FEE_PERCENTAGE };
+  if (fee.recipient && fee.percentage > 0) {
+    params.set("feeRecipient", fee.recipient);
+    params.set("buyTokenPercentageFee", String(fee.percentage));
+  }
+
+  return params;
+}
+
+/* =========================
+   Optional JSON-RPC helpers
+   ========================= */
+let rpcId = 1;
+const RPC_WRITE_METHODS = new Set(["eth_sendRawTransaction"]);
+const __rpcPreferred = new Map(); // chainId -> 마지막으로 성공한 rpcUrls index
+
+// 한 URL에 1회 호출. 전송 실패(네트워크/timeout/HTTP 오류/JSON 아님)는 err.transport = true
+// options: upstreamFetch 옵션 덮어쓰기 (readiness 프로브는 { breaker: false, timeoutMs })
+async function rpcAt(chain, idx, method, params, options = {}) {
+  const res = await upstreamFetch(
+    "rpc",
+    chain.rpcUrls[idx],
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: rpcId++, method, params }),
+    },
+    // RPC URL에는 보통 키가 들어있어서 로그/메트릭 라벨에는 host나 index만
+    { hostOnly: true, idempotent: !RPC_WRITE_METHODS.has(method), breaker: `rpc:${chain.key}#${idx}`, ...options }
+  ).catch((e) => {
+    e.transport = true;
+    throw e;
+  });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json) {
+    const err = new Error(`RPC HTTP ${res.status}${json ? "" : " (invalid JSON)"}`);
+    err.status = 502;
+    err.transport = true;
+    throw err;
+  }
+  if (json.error) {
+    const err = new Error(json.error.message || "RPC error");
+    err.code = json.error.code;
+    err.data = json.error.data; // revert data (eth_call/estimateGas)
+    throw err;
+  }
+  return json.result;
+}
+
+/**
+ * JSON-RPC 호출. chain.rpcUrls가 여러 개면 전송 실패 시 다음 URL로 넘어가고,
+ * 성공한 URL을 다음 호출부터 먼저 사용. JSON-RPC 에러(revert 등)는 넘기지 않고 그대로 throw
+ */
+async function rpc(method, params, chain = getChain(DEFAULT_CHAIN_ID)) {
+  const urls = (chain && chain.rpcUrls) || [];
+  if (!urls.length) throw new Error(`RPC URL not set for chain ${chain ? chain.chainId : "?"}`);
+
+  const first = (__rpcPreferred.get(chain.chainId) || 0) % urls.length;
+  let lastErr;
+  for (let i = 0; i < urls.length; i++) {
+    const idx = (first + i) % urls.length;
+    try {
+      const result = await rpcAt(chain, idx, method, params);
+      // 동시에 실패한 요청들이 같은 로그를 반복하지 않도록 실제로 바뀔 때만
+      if (idx !== first && (__rpcPreferred.get(chain.chainId) || 0) !== idx) {
+        log.warn("rpc failover", { chain: chain.key, from: first, to: idx });
+        __rpcPreferred.set(chain.chainId, idx);
+      }
+      return result;
+    } catch (e) {
+      if (!e.transport) throw e;
+      lastErr = e;
+    }
+  }
+  throw lastErr;
+}
+
+function toHex(nBigInt) {
+  return "0x" + nBigInt.toString(16);
+}
+
+function bnFromHex(hex) {
+  return BigInt(hex);
+}
+
+/* =========================
+   Gas oracle (eth_feeHistory)
+   - 최근 GAS_HISTORY_BLOCKS 블록 priority fee의 10/50/90 percentile(블록별 값의 중앙값) → slow/normal/fast
+   - maxFee = 다음 블록 baseFee × tier별 여유분 + tip
+   - feeHistory 미지원 → eth_maxPriorityFeePerGas, baseFee 없는 체인(legacy) → eth_gasPrice × tier 배수
+   - 예상 포함 시간은 tier별 대략적인 블록 수 × chain.blockTimeSec
+   ========================= */
+const GAS_ORACLE_TTL_MS = Number(process.env.GAS_ORACLE_TTL_MS || 6000);
+const GAS_HISTORY_BLOCKS = 20;
+const DEFAULT_SWAP_GAS = 200000n; // /gas 에서 gas 미지정 시 (일반적인 swap)
+const GAS_SPEEDS = ["slow", "normal", "fast"];
+const GAS_TIERS = {
+  slow: { percentile: 10, baseFeePct: 110n, legacyPct: 90n, blocks: 6 },
+  normal: { percentile: 50, baseFeePct: 150n, legacyPct: 100n, blocks: 2 },
+  fast: { percentile: 90, baseFeePct: 200n, legacyPct: 125n, blocks: 1 },
+};
+const __gasOracleCache = createTtlCache({ ttlMs: GAS_ORACLE_TTL_MS, max: 50, name: "gas_oracle" });
+
+function bigMedian(list) {
+  const s = [...list].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return s.length ? s[Math.floor(s.length / 2)] : null;
+}
+
+function gasTierTiming(chain, speed) {
+  const blocks = GAS_TIERS[speed].blocks;
+  return { estimatedBlocks: blocks, estimatedSeconds: Math.ceil(blocks * (chain.blockTimeSec || 12)) };
+}
+
+async function loadGasOracle(chain) {
+  const block = await rpc("eth_getBlockByNumber", ["latest", false], chain);
+  const blockNumber = block && block.number ? Number(bnFromHex(block.number)) : null;
+
+  if (chain.legacyGas || !block || block.baseFeePerGas == null) {
+    const gasPrice = bnFromHex(await rpc("eth_gasPrice", [], chain));
+    const tiers = {};
+    for (const speed of GAS_SPEEDS) {
+      const price = (gasPrice * GAS_TIERS[speed].legacyPct) / 100n;
+      tiers[speed] = { gasPrice: toHex(price), effectiveGasPrice: toHex(price), ...gasTierTiming(chain, speed) };
+    }
+    return { type: "legacy", source: "gasPrice", blockNumber, baseFeePerGas: null, tiers };
+  }
+
+  const percentiles = GAS_SPEEDS.map((s) => GAS_TIERS[s].percentile);
+  let baseFee = bnFromHex(block.baseFeePerGas);
+  let tips = null;
+  let source = "feeHistory";
+  try {
+    const h = await rpc("eth_feeHistory", [toHex(BigInt(GAS_HISTORY_BLOCKS)), "latest", percentiles], chain);
+    const bases = (h && h.baseFeePerGas) || [];
+    if (bases.length) baseFee = bnFromHex(bases[bases.length - 1]); // 마지막 값 = 다음 블록 baseFee
+    // 빈 블록(gasUsedRatio 0)은 reward가 전부 0이라 제외
+    const used = (h && h.gasUsedRatio) || [];
+    const rows = ((h && h.reward) || []).filter((r, i) => Array.isArray(r) && r.length === percentiles.length && used[i] !== 0);
+    if (rows.length) tips = percentiles.map((_, j) => bigMedian(rows.map((r) => bnFromHex(r[j]))));
+  } catch (e) {
+    log.debug("gas: eth_feeHistory failed", { chain: chain.key, error: e.message || String(e) });
+  }
+  if (!tips) {
+    source = "maxPriorityFeePerGas";
+    const tip = await rpc("eth_maxPriorityFeePerGas", [], chain)
+      .then(bnFromHex)
+      .catch(() => 0n);
+    tips = percentiles.map(() => tip);
+  }
+
+  const tiers = {};
+  GAS_SPEEDS.forEach((speed, j) => {
+    const tip = tips[j];
+    tiers[speed] = {
+      maxPriorityFeePerGas: toHex(tip),
+      maxFeePerGas: toHex((baseFee * GAS_TIERS[speed].baseFeePct) / 100n + tip),
+      effectiveGasPrice: toHex(baseFee + tip), // 실제로 낼 것으로 예상되는 값 (비용 추정용)
+      ...gasTierTiming(chain, speed),
+    };
+  });
+  return { type: "eip1559", source, blockNumber, baseFeePerGas: toHex(baseFee), tiers };
+}
+
+async function getGasOracle(chain) {
+  const { value } = await __gasOracleCache.getOrLoad(String(chain.chainId), () => loadGasOracle(chain));
+  return value;
+}
+
+// 네이티브 토큰 USD 가격 (wrapped native 기준). 모르면 null
+async function nativeUsdPrice(chain) {
+  if (!chain.wrappedNative) return null;
+  try {
+    return (await tokenUsdPrice(chain, chain.wrappedNative, 18)).priceUsd;
+  } catch {
+    return null;
+  }
+}
+
+function gasCost(gas, gasPriceHex, priceUsd) {
+  const wei = BigInt(gas) * bnFromHex(gasPriceHex);
+  const native = formatUnits(wei, 18);
+  return { wei: wei.toString(), native, usd: priceUsd != null ? Number(native) * priceUsd : null };
+}
+
+// 20% 버퍼
+function addGasBuffer(gas) {
+  return gas + gas / 5n;
+}
+
+async function estimateGasWithBuffer(tx, chain) {
+  const gasHex = await rpc("eth_estimateGas", [tx], chain);
+  return toHex(addGasBuffer(bnFromHex(gasHex)));
+}
+
+/* =========================
+   Pre-flight simulation (eth_call)
+   ========================= */
+const PANIC_CODES = {
+  0x00: "generic compiler panic",
+  0x01: "assert failed",
+  0x11: "arithmetic overflow/underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "invalid storage byte array",
+  0x31: "pop on empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to zero-initialized function",
+};
+
+// 자주 보는 custom error (OpenZeppelin v5 ERC20)
+const KNOWN_ERROR_SELECTORS = {
+  "0xe450d38c": "ERC20InsufficientBalance(address,uint256,uint256)",
+  "0xfb8f41b2": "ERC20InsufficientAllowance(address,uint256,uint256)",
+};
+
+// 노드마다 revert data 위치가 달라서(error.data / error.data.data) 둘 다 봄
+function extractRevertData(err) {
+  const d = err && err.data;
+  if (typeof d === "string" && d.startsWith("0x")) return d;
+  if (d && typeof d.data === "string" && d.data.startsWith("0x")) return d.data;
+  return null;
+}
+
+/** revert data → { type, reason, selector } */
+function decodeRevertData(data) {
+  if (!data || data === "0x") return { type: "empty", reason: null, selector: null };
+  const selector = data.slice(0, 10).toLowerCase();
+  const body = data.slice(10);
+
+  if (selector === "0x08c379a0") {
+    // Error(string)
+    try {
+      return { type: "error", reason: decodeAbiString("0x" + body), selector };
+    } catch {
+      return { type: "error", reason: null, selector };
+    }
+  }
+  if (selector === "0x4e487b71") {
+    // Panic(uint256)
+    const code = body ? Number(BigInt("0x" + body.slice(0, 64))) : null;
+    const desc = PANIC_CODES[code] || "unknown panic";
+    return { type: "panic", reason: `Panic(0x${(code || 0).toString(16)}): ${desc}`, selector, code };
+  }
+  return { type: "custom", reason: KNOWN_ERROR_SELECTORS[selector] || `custom error ${selector}`, selector };
+}
+
+/**
+ * 빌드한 tx를 taker 기준 eth_call로 돌려봄.
+ * 반환: { ok, revertReason, revertType, revertData, gasUsed }
+ *  - gasUsed는 성공 시 eth_estimateGas 값(버퍼 전, 10진 문자열)
+ */
+async function simulateTx(chain, tx) {
+  try {
+    await rpc("eth_call", [tx, "latest"], chain);
+  } catch (e) {
+    const revertData = extractRevertData(e);
+    // revert data가 없으면 노드 메시지("execution reverted: ...")라도 사용
+    const decoded = revertData ? decodeRevertData(revertData) : { type: "unknown", reason: e.message || null };
+    return {
+      ok: false,
+      revertReason: decoded.reason,
+      revertType: decoded.type,
+      revertData,
+      gasUsed: null,
+    };
+  }
+
+  let gasUsed = null;
+  try {
+    gasUsed = bnFromHex(await rpc("eth_estimateGas", [tx], chain)).toString();
+  } catch (e) {
+    log.warn("simulate: estimateGas failed after successful eth_call", { error: e.message || String(e) });
+  }
+  return { ok: true, revertReason: null, revertType: null, revertData: null, gasUsed };
+}
+
+// ✅ decimal-string -> hex (메타마스크/eth_sendTransaction 호환)
+function decStringToHex(decStr) {
+  try {
+    const n = BigInt(String(decStr || "0"));
+    return toHex(n);
+  } catch {
+    return "0x0";
+  }
+}
+
+// ✅ gas는 hex로 내려주는 편이 안전
+function normalizeGasField(g) {
+  if (g == null) return null;
+  const s = String(g);
+  if (s.startsWith("0x")) return s;
+  // decimal -> hex
+  if (/^[0-9]+$/.test(s)) return toHex(BigInt(s));
+  return null;
+}
+
+/* =========================
+   ERC-20 allowance / approve
+   - RPC 있으면 allowance/balanceOf를 직접 읽고
+   - 없으면 0x 응답의 issues.allowance / issues.balance 사용
+   ========================= */
+const ERC20_SELECTORS = {
+  allowance: "0xdd62ed3e", // allowance(address,address)
+  balanceOf: "0x70a08231", // balanceOf(address)
+  approve: "0x095ea7b3",   // approve(address,uint256)
+  transfer: "0xa9059cbb",  // transfer(address,uint256)
+};
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+function encodeAddressWord(addr) {
+  return String(addr).toLowerCase().replace(/^0x/, "").padStart(64, "0");
+}
+
+function encodeUintWord(n) {
+  return BigInt(n).toString(16).padStart(64, "0");
+}
+
+async function erc20ReadUint(chain, token, data) {
+  const hex = await rpc("eth_call", [{ to: token, data }, "latest"], chain);
+  if (!hex || hex === "0x") throw new Error(`eth_call returned empty data (${token})`);
+  return BigInt(hex.slice(0, 66));
+}
+
+function readAllowance(chain, token, owner, spender) {
+  const data = ERC20_SELECTORS.allowance + encodeAddressWord(owner) + encodeAddressWord(spender);
+  return erc20ReadUint(chain, token, data);
+}
+
+function readBalance(chain, token, owner) {
+  return erc20ReadUint(chain, token, ERC20_SELECTORS.balanceOf + encodeAddressWord(owner));
+}
+
+/* Multicall3.aggregate3 — 여러 eth_call을 한 번에 (실패한 call은 success=false로) */
+const MULTICALL3_SELECTORS = {
+  aggregate3: "0x82ad56cb", // aggregate3((address,bool,bytes)[])
+  getEthBalance: "0x4d2301cc", // getEthBalance(address)
+};
+const MULTICALL_CHUNK = 200;
+
+// calls: [{ target, data }] → aggregate3 calldata (allowFailure=true)
+function encodeAggregate3(calls) {
+  const heads = [];
+  const tails = [];
+  let offset = calls.length * 32;
+  for (const c of calls) {
+    const data = String(c.data).replace(/^0x/, "");
+    const padded = data.padEnd(Math.ceil(data.length / 64) * 64, "0");
+    const tuple =
+      encodeAddressWord(c.target) + encodeUintWord(1) + encodeUintWord(96) + encodeUintWord(data.length / 2) + padded;
+    heads.push(encodeUintWord(offset));
+    tails.push(tuple);
+    offset += tuple.length / 2;
+  }
+  return (
+    MULTICALL3_SELECTORS.aggregate3 + encodeUintWord(32) + encodeUintWord(calls.length) + heads.join("") + tails.join("")
+  );
+}
+
+// aggregate3 반환값 → [{ success, data }]
+function decodeAggregate3(hex) {
+  const h = String(hex || "").replace(/^0x/, "");
+  const word = (pos) => BigInt("0x" + h.slice(pos, pos + 64));
+  const arr = Number(word(0)) * 2;
+  const n = Number(word(arr));
+  const base = arr + 64;
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const t = base + Number(word(base + i * 64)) * 2;
+    const dataPos = t + Number(word(t + 64)) * 2;
+    const len = Number(word(dataPos)) * 2;
+    out.push({ success: word(t) === 1n, data: "0x" + h.slice(dataPos + 64, dataPos + 64 + len) });
+  }
+  return out;
+}
+
+/** calls를 MULTICALL_CHUNK개씩 나눠 aggregate3 eth_call. 결과 순서는 calls와 같음 */
+async function multicall(chain, calls) {
+  const out = [];
+  for (let i = 0; i < calls.length; i += MULTICALL_CHUNK) {
+    const chunk = calls.slice(i, i + MULTICALL_CHUNK);
+    const hex = await rpc("eth_call", [{ to: chain.multicall3, data: encodeAggregate3(chunk) }, "latest"], chain);
+    out.push(...decodeAggregate3(hex));
+  }
+  return out;
+}
+
+// /swap tx와 같은 모양(hex)으로 approve tx 생성
+function buildApproveTx(chain, token, spender, amount) {
+  return {
+    to: token,
+    data: ERC20_SELECTORS.approve + encodeAddressWord(spender) + encodeUintWord(amount),
+    value: "0x0",
+    chainId: toHex(BigInt(chain.chainId)),
+  };
+}
+
+/**
+ * taker가 spender에게 amount 이상 approve 했는지 확인.
+ * 반환: { token, spender, amount, allowance, balance, sufficientBalance, required, source, tx? }
+ *  - allowance/balance는 10진 문자열(모르면 null)
+ *  - required=true면 tx(approve)를 같이 내려줌
+ */
+async function checkApproval({ chain, token, owner, spender, amount, issues = null, unlimited = false }) {
+  const need = BigInt(amount);
+  let allowance = null;
+  let balance = null;
+  let source = "0x";
+
+  if (chain.rpcUrl) {
+    const [a, bal] = await Promise.allSettled([
+      readAllowance(chain, token, owner, spender),
+      readBalance(chain, token, owner),
+    ]);
+    if (a.status === "fulfilled") {
+      allowance = a.value;
+      source = "rpc";
+    } else {
+      log.warn("approval: allowance read failed", { error: a.reason?.message || String(a.reason) });
+    }
+    if (bal.status === "fulfilled") balance = bal.value;
+  }
+
+  // RPC로 못 읽었으면 0x issues로 보완 (issues.allowance == null → 충분)
+  if (allowance == null && issues) {
+    if (issues.allowance && issues.allowance.actual != null) allowance = BigInt(issues.allowance.actual);
+    else if (!issues.allowance) allowance = need;
+  }
+  if (balance == null && issues && issues.balance && issues.balance.actual != null) {
+    balance = BigInt(issues.balance.actual);
+  }
+
+  const out = {
+    token,
+    spender,
+    amount: need.toString(),
+    allowance: allowance == null ? null : allowance.toString(),
+    balance: balance == null ? null : balance.toString(),
+    sufficientBalance: balance == null ? (issues ? !issues.balance : null) : balance >= need,
+    required: allowance == null ? null : allowance < need,
+    source: allowance == null ? null : source,
+  };
+
+  if (out.required) {
+    const tx = buildApproveTx(chain, token, spender, unlimited ? MAX_UINT256 : need);
+    if (chain.rpcUrl) {
+      try {
+        tx.gas = await estimateGasWithBuffer({ from: owner, to: tx.to, data: tx.data, value: tx.value }, chain);
+      } catch (e) {
+        log.warn("approval: estimateGas failed", { error: e.message || String(e) });
+      }
+    }
+    // USDT처럼 0이 아닌 allowance를 바로 바꾸지 못하는 토큰 대비 힌트
+    out.resetFirst = allowance > 0n;
+    out.tx = tx;
+  }
+
+  return out;
+}
+
+/* =========================
+   Token metadata / token list
+   - symbol/name/decimals: 토큰 리스트 → eth_call 순서로 조회, 체인별 캐시
+   - TOKEN_LIST: Uniswap token-list JSON (파일 경로 또는 URL, 콤마로 여러 개)
+   ========================= */
+const TOKEN_LIST_SOURCES = String(process.env.TOKEN_LIST || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const TOKEN_LIST_REFRESH_MS = 60 * 60 * 1000; // URL 리스트는 1시간마다 갱신
+const TOKEN_META_NEGATIVE_TTL_MS = 5 * 60 * 1000; // 조회 실패는 5분만 기억
+
+const TOKEN_META_SELECTORS = {
+  name: "0x06fdde03",
+  symbol: "0x95d89b41",
+  decimals: "0x313ce567",
+};
+
+let tokenList = { name: "G-DEX", timestamp: null, version: { major: 1, minor: 0, patch: 0 }, tokens: [] };
+const __tokenListIndex = new Map(); // chainId -> { byAddress: Map, bySymbol: Map }
+const __tokenMetaCache = new Map(); // chainId:address -> { ts, meta }
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function indexTokenList(tokens) {
+  __tokenListIndex.clear();
+  for (const t of tokens) {
+    const chainId = Number(t.chainId);
+    if (!isHexAddress(t.address) || !Number.isInteger(Number(t.decimals))) continue;
+    if (!__tokenListIndex.has(chainId)) {
+      __tokenListIndex.set(chainId, { byAddress: new Map(), bySymbol: new Map() });
+    }
+    const idx = __tokenListIndex.get(chainId);
+    const meta = {
+      address: t.address,
+      symbol: t.symbol,
+      name: t.name,
+      decimals: Number(t.decimals),
+      logoURI: t.logoURI || null,
+    };
+    idx.byAddress.set(t.address.toLowerCase(), meta);
+    const sym = String(t.symbol || "").toUpperCase();
+    if (sym && !idx.bySymbol.has(sym)) idx.bySymbol.set(sym, meta); // 같은 심볼이면 먼저 나온 것 우선
+  }
+}
+
+async function readTokenListSource(src) {
+  if (/^https?:\/\//i.test(src)) {
+    const r = await upstreamFetch(
+      "tokenlist",
+      src,
+      { headers: { Accept: "application/json" } },
+      { propagateId: false, idempotent: true }
+    );
+    if (!r.ok) throw new Error(`token list HTTP ${r.status}`);
+    return r.json();
+  }
+  return JSON.parse(fs.readFileSync(src, "utf8"));
+}
+
+async function refreshTokenList() {
+  if (!TOKEN_LIST_SOURCES.length) return;
+
+  const results = await Promise.allSettled(TOKEN_LIST_SOURCES.map(readTokenListSource));
+  const seen = new Set();
+  const tokens = [];
+  results.forEach((r, i) => {
+    if (r.status !== "fulfilled") {
+      log.warn("token list load failed", { source: redactUrl(TOKEN_LIST_SOURCES[i]), error: r.reason?.message || String(r.reason) });
+      return;
+    }
+    for (const t of Array.isArray(r.value?.tokens) ? r.value.tokens : []) {
+      const key = `${t.chainId}:${String(t.address).toLowerCase()}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      tokens.push(t);
+    }
+  });
+
+  // 전부 실패하면 기존 리스트 유지
+  if (!tokens.length && tokenList.tokens.length) return;
+
+  tokenList = { ...tokenList, timestamp: new Date().toISOString(), tokens };
+  indexTokenList(tokens);
+}
+
+function findListedToken(chain, addressOrSymbol) {
+  const idx = __tokenListIndex.get(chain.chainId);
+  if (!idx) return null;
+  const s = String(addressOrSymbol);
+  return isHexAddress(s) ? idx.byAddress.get(s.toLowerCase()) || null : idx.bySymbol.get(s.toUpperCase()) || null;
+}
+
+function nativeTokenMeta(chain) {
+  return { address: ETH_SENTINEL, symbol: chain.nativeSymbol, name: chain.nativeSymbol, decimals: 18, logoURI: null };
+}
+
+// ABI string 디코딩 (MKR 같은 bytes32 반환 토큰도 처리)
+function decodeAbiString(hex) {
+  const h = String(hex || "").replace(/^0x/, "");
+  if (!h) return "";
+  if (h.length >= 128) {
+    const offset = Number(BigInt("0x" + h.slice(0, 64))) * 2;
+    const len = Number(BigInt("0x" + h.slice(offset, offset + 64))) * 2;
+    return Buffer.from(h.slice(offset + 64, offset + 64 + len), "hex").toString("utf8");
+  }
+  return Buffer.from(h.slice(0, 64), "hex").toString("utf8").replace(/\u0000+$/g, "");
+}
+
+async function fetchTokenMetaOnChain(chain, address) {
+  const call = (data) => rpc("eth_call", [{ to: address, data }, "latest"], chain);
+  const [dec, sym, name] = await Promise.allSettled([
+    call(TOKEN_META_SELECTORS.decimals),
+    call(TOKEN_META_SELECTORS.symbol),
+    call(TOKEN_META_SELECTORS.name),
+  ]);
+  if (dec.status !== "fulfilled" || !dec.value || dec.value === "0x") {
+    throw new Error(`decimals() failed for ${address}`);
+  }
+  return {
+    address,
+    symbol: sym.status === "fulfilled" ? decodeAbiString(sym.value) : null,
+    name: name.status === "fulfilled" ? decodeAbiString(name.value) : null,
+    decimals: Number(BigInt(dec.value)),
+    logoURI: null,
+  };
+}
+
+/** 토큰 메타데이터 (없으면 null). 네이티브 토큰은 decimals=18 */
+async function getTokenMeta(chain, address) {
+  if (isNativeToken(address, chain)) return nativeTokenMeta(chain);
+  if (!isHexAddress(address)) return null;
+
+  const listed = findListedToken(chain, address);
+  if (listed) return listed;
+
+  const key = `${chain.chainId}:${address.toLowerCase()}`;
+  const cached = __tokenMetaCache.get(key);
+  if (cached && (cached.meta || Date.now() - cached.ts < TOKEN_META_NEGATIVE_TTL_MS)) return cached.meta;
+  if (!chain.rpcUrl) return null;
+
+  let meta = null;
+  try {
+    meta = await fetchTokenMetaOnChain(chain, address);
+  } catch (e) {
+    log.warn("token metadata lookup failed", { token: address, error: e.message || String(e) });
+  }
+  __tokenMetaCache.set(key, { ts: Date.now(), meta });
+  return meta;
+}
+
+// "1.5" + decimals → wei 문자열
+function parseUnits(value, decimals) {
+  const s = String(value).trim();
+  if (!/^[0-9]+(\.[0-9]+)?$/.test(s)) throw badRequest(`Invalid amount: ${value}`);
+  const [whole, frac = ""] = s.split(".");
+  if (frac.length > decimals) throw badRequest(`Too many decimal places (max ${decimals})`);
+  return (BigInt(whole) * 10n ** BigInt(decimals) + BigInt(frac.padEnd(decimals, "0") || "0")).toString();
+}
+
+// wei 문자열 → "1.5"
+function formatUnits(value, decimals) {
+  const n = BigInt(String(value));
+  const base = 10n ** BigInt(decimals);
+  const whole = n / base;
+  const frac = (n % base).toString().padStart(decimals, "0").replace(/0+$/, "");
+  return frac ? `${whole}.${frac}` : whole.toString();
+}
+
+/**
+ * sellToken/buyToken: 주소, 네이티브 심볼("ETH"), 토큰 리스트 심볼("USDC") 허용
+ * 금액: sellAmount(wei) 또는 sellAmountHuman("1.5")
+ * 잘못된 입력은 status=400 에러로 throw
+ */
+// 토큰 하나 (주소 / 네이티브 심볼 / 토큰 리스트 심볼) → { address, meta }
+// denylist 토큰은 여기서 403 (quote/swap/gasless/orders/bridge 전부 이 함수를 거침)
+async function resolveTokenInput(chain, input, label) {
+  if (isNativeToken(input, chain)) return { address: ETH_SENTINEL, meta: nativeTokenMeta(chain) };
+  if (isHexAddress(input)) {
+    assertTokenNotDenied(chain, input, label);
+    return { address: input, meta: await getTokenMeta(chain, input) };
+  }
+  const listed = findListedToken(chain, input);
+  if (listed) {
+    assertTokenNotDenied(chain, listed.address, label);
+    return { address: listed.address, meta: listed };
+  }
+  if (/^0x/i.test(String(input))) throw badRequest(`Invalid ${label} address`);
+  throw badRequest(`Unknown ${label} symbol: ${input}`);
+}
+
+// sellAmount(wei) 또는 sellAmountHuman → wei 문자열
+function resolveSellAmount(b, sellMeta) {
+  if (b.sellAmountHuman != null) {
+    if (!sellMeta) throw badRequest("Unknown sellToken decimals; send sellAmount in wei");
+    return parseUnits(b.sellAmountHuman, sellMeta.decimals);
+  }
+  const sellAmount = String(b.sellAmount);
+  if (!mustBeUintString(sellAmount)) throw badRequest("sellAmount must be an integer string (wei)");
+  return sellAmount;
+}
+
+async function resolveSwapInput(b, chain) {
+  const [sell, buy] = await Promise.all([
+    resolveTokenInput(chain, b.sellToken, "sellToken"),
+    resolveTokenInput(chain, b.buyToken, "buyToken"),
+  ]);
+  const sellAmount = resolveSellAmount(b, sell.meta);
+
+  const fee = resolveFee({
+    chain,
+    sellToken: sell.address,
+    buyToken: buy.address,
+    sellAmount,
+    sellMeta: sell.meta,
+    partner: b.partner || b.ref || null,
+  });
+
+  return { sellToken: sell.address, buyToken: buy.address, sellAmount, sellMeta: sell.meta, buyMeta: buy.meta, fee };
+}
+
+// 0x 응답 금액 옆에 사람이 읽는 값 추가 (decimals 모르면 null)
+function formatSwapAmounts(data, sellMeta, buyMeta) {
+  const fmt = (v, meta) => (v != null && meta ? formatUnits(v, meta.decimals) : null);
+  return {
+    sellToken: sellMeta,
+    buyToken: buyMeta,
+    sellAmount: fmt(data.sellAmount, sellMeta),
+    buyAmount: fmt(data.buyAmount, buyMeta),
+    minBuyAmount: fmt(data.minBuyAmount, buyMeta),
+  };
+}
+
+// 입력 검증/정규화 + 0x 파라미터 생성 (/quote, /quote/stream 공용)
+async function prepareQuote(b, chain) {
+  const input = await resolveSwapInput(b, chain);
+  const params = buildParams({
+    ...b,
+    chainId: chain.chainId,
+    sellToken: input.sellToken,
+    buyToken: input.buyToken,
+    sellAmount: input.sellAmount,
+    fee: input.fee,
+  });
+  return { input, params };
+}
+
+// 0x price 캐시: 같은 체인/페어/금액/슬리피지/fee 요청은 TTL 동안 1번만 호출
+// (/swap의 quote는 절대 캐시하지 않음 — zeroExAdapter.quote 참고)
+const QUOTE_CACHE_TTL_MS = Number(process.env.QUOTE_CACHE_TTL_MS || 2000);
+const __priceCache = createTtlCache({ ttlMs: QUOTE_CACHE_TTL_MS, max: 2000, name: "quote" });
+
+/** 0x price (캐시). 반환: { data, cache: { status, ageMs } } */
+async function fetchPrice(params) {
+  const qs = params.toString();
+  const url = `${ZEROX_BASE}/swap/allowance-holder/price?${qs}`;
+  const load = () => call0x(url, { idempotent: true });
+  if (!(QUOTE_CACHE_TTL_MS > 0)) return { data: await load(), cache: { status: "bypass", ageMs: 0 } };
+
+  const r = await __priceCache.getOrLoad(qs, load);
+  return { data: r.value, cache: { status: r.status, ageMs: r.ageMs } };
+}
+
+/* =========================
+   Token risk (honeypot / fee-on-transfer)
+   - TOKEN_RISK_LIST(JSON 파일): { "deny": [...], "allow": [...] }
+     항목: "0x주소"(모든 체인) 또는 { chainId, address, reason }
+   - deny: 어떤 경로로도 거래 불가 (resolveTokenInput에서 403)
+   - allow / 토큰 리스트 토큰 / 네이티브: 검사 생략
+   - 나머지: eth_getCode(컨트랙트 여부), 판매 시뮬레이션, quote 후 0x tokenMetadata의 buy/sell tax
+     → risk 블록 warnings (severity: info | warn | high)
+   - 판매 시뮬레이션: taker 잔고로 풀(Sushi V2 token/wrappedNative) 또는 라우터에 transfer
+     eth_simulateV1로 받는 쪽 잔고 전/후를 비교해 실제 tax 측정. 노드가 지원 안 하면 eth_call(차단 여부만)
+   - 목록 파일은 POST /admin/config/reload 로 다시 읽음
+   - 결과 캐시: 코드는 체인+토큰 1시간, 판매 시뮬레이션은 체인+토큰+taker+수량 TOKEN_RISK_TTL_MS. /quote·/swap은 라우팅과 병렬로 실행
+   ========================= */
+const TOKEN_CODE_TTL_MS = 60 * 60 * 1000;
+const TOKEN_RISK_TTL_MS = Number(process.env.TOKEN_RISK_TTL_MS || 10 * 60 * 1000);
+const UNIV2_FACTORY_SELECTORS = {
+  factory: "0xc45a0155", // router.factory()
+  getPair: "0xe6a43905", // factory.getPair(address,address)
+};
+const HIGH_TAX_BPS = 1000; // 10% 이상 tax는 high
+
+function loadTokenRiskList() {
+  const out = { deny: new Map(), allow: new Map() }; // "chainId:addr" 또는 "*:addr" -> reason
+  const file = process.env.TOKEN_RISK_LIST;
+  if (!file) return out;
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const kind of ["deny", "allow"]) {
+      for (const e of Array.isArray(json[kind]) ? json[kind] : []) {
+        const address = typeof e === "string" ? e : e && e.address;
+        if (!isHexAddress(address)) continue;
+        const chainId = e && typeof e === "object" && e.chainId != null ? Number(e.chainId) : "*";
+        out[kind].set(`${chainId}:${address.toLowerCase()}`, (e && typeof e === "object" && e.reason) || null);
+      }
+    }
+    log.info("token risk list loaded", { file, deny: out.deny.size, allow: out.allow.size });
+  } catch (e) {
+    log.warn("TOKEN_RISK_LIST could not be loaded", { file, error: e.message || String(e) });
+  }
+  return out;
+}
+
+let tokenRiskList = loadTokenRiskList();
+const __tokenCodeCache = createTtlCache({ ttlMs: TOKEN_CODE_TTL_MS, max: 5000, name: "token_code" });
+const __sellSimCache = createTtlCache({ ttlMs: TOKEN_RISK_TTL_MS, max: 5000, name: "token_sell_sim" });
+const __sellTargetCache = createTtlCache({ ttlMs: TOKEN_CODE_TTL_MS, max: 5000, name: "token_sell_target" });
+
+// { kind: "deny" | "allow", reason } | null (체인 지정 항목 우선)
+function tokenRiskListing(chain, address) {
+  const a = String(address).toLowerCase();
+  for (const key of [`${chain.chainId}:${a}`, `*:${a}`]) {
+    for (const kind of ["deny", "allow"]) {
+      if (tokenRiskList[kind].has(key)) return { kind, reason: tokenRiskList[kind].get(key) };
+    }
+  }
+  return null;
+}
+
+function assertTokenNotDenied(chain, address, label) {
+  const l = tokenRiskListing(chain, address);
+  if (l && l.kind === "deny") {
+    const err = new Error(`${label} is blocked${l.reason ? `: ${l.reason}` : ""}`);
+    err.status = 403;
+    err.details = { token: address, listed: "deny", reason: l.reason };
+    throw err;
+  }
+}
+
+async function hasContractCode(chain, token) {
+  const { value } = await __tokenCodeCache.getOrLoad(`${chain.chainId}:${token.toLowerCase()}`, async () => {
+    const code = await rpc("eth_getCode", [token, "latest"], chain);
+    return Boolean(code && code !== "0x" && code !== "0x0");
+  });
+  return value;
+}
+
+// eth_call 반환 32바이트 word → BigInt (빈 반환은 0)
+function wordToBigInt(ret) {
+  return ret && ret.length >= 66 ? BigInt(ret.slice(0, 66)) : 0n;
+}
+
+// 판매 시 토큰이 들어가는 곳: Sushi V2 token/wrappedNative 풀 → 없으면 라우터
+// (세금/차단 토큰은 보통 풀로 가는 transfer에만 걸려서 임의 주소로 보내면 못 잡음)
+async function sellTarget(chain, token) {
+  const { value } = await __sellTargetCache.getOrLoad(`${chain.chainId}:${token.toLowerCase()}`, async () => {
+    const router = chain.sushiV2Router;
+    if (router && chain.wrappedNative && token.toLowerCase() !== chain.wrappedNative.toLowerCase()) {
+      try {
+        const factory = await rpc("eth_call", [{ to: router, data: UNIV2_FACTORY_SELECTORS.factory }, "latest"], chain);
+        if (wordToBigInt(factory) !== 0n) {
+          const pair = await rpc(
+            "eth_call",
+            [
+              {
+                to: topicToAddress(factory),
+                data: UNIV2_FACTORY_SELECTORS.getPair + encodeAddressWord(token) + encodeAddressWord(chain.wrappedNative),
+              },
+              "latest",
+            ],
+            chain
+          );
+          if (wordToBigInt(pair) !== 0n) return { address: topicToAddress(pair), kind: "pool" };
+        }
+      } catch (e) {
+        if (e.transport) throw e;
+      }
+    }
+    return { address: router || chain.allowanceHolder, kind: "router" };
+  });
+  return value;
+}
+
+// transfer 반환값: 없는 토큰(USDT 등)은 정상, 있으면 true여야 함
+function transferReturnedFalse(ret) {
+  return Boolean(ret && ret !== "0x" && wordToBigInt(ret) === 0n);
+}
+
+/**
+ * taker 잔고로 풀/라우터에 transfer 시뮬레이션
+ * 반환: { status: ok | reverted | failed | skipped, reason, to, target: pool | router, taxBps (측정 못 하면 null) }
+ */
+async function simulateSell(chain, token, taker, amount) {
+  const balance = await readBalance(chain, token, taker);
+  if (balance === 0n) return { status: "skipped", reason: "no_balance", to: null, target: null, taxBps: null };
+  const amt = BigInt(amount) < balance ? BigInt(amount) : balance;
+  const target = await sellTarget(chain, token);
+  const base = { to: target.address, target: target.kind };
+  const transfer = ERC20_SELECTORS.transfer + encodeAddressWord(target.address) + encodeUintWord(amt);
+  const balanceOfTarget = ERC20_SELECTORS.balanceOf + encodeAddressWord(target.address);
+
+  let calls = null;
+  try {
+    // 같은 블록 안에서 받는 쪽 잔고(전) → transfer → 잔고(후)
+    const blocks = await rpc(
+      "eth_simulateV1",
+      [
+        {
+          blockStateCalls: [
+            {
+              calls: [
+                { from: taker, to: token, data: balanceOfTarget },
+                { from: taker, to: token, data: transfer },
+                { from: taker, to: token, data: balanceOfTarget },
+              ],
+            },
+          ],
+          validation: false,
+        },
+        "latest",
+      ],
+      chain
+    );
+    calls = blocks && blocks[0] && Array.isArray(blocks[0].calls) && blocks[0].calls.length === 3 ? blocks[0].calls : null;
+  } catch (e) {
+    if (e.transport) throw e;
+    log.debug("risk: eth_simulateV1 unavailable, using eth_call", { chain: chain.key, error: e.message });
+  }
+
+  if (calls) {
+    const [before, sent, after] = calls;
+    if (sent.status !== "0x1") {
+      const revertData = (sent.error && typeof sent.error.data === "string" && sent.error.data) || sent.returnData;
+      const decoded = decodeRevertData(revertData);
+      return { ...base, status: "reverted", reason: decoded.reason || (sent.error && sent.error.message) || null, taxBps: null };
+    }
+    if (transferReturnedFalse(sent.returnData)) return { ...base, status: "failed", reason: "transfer returned false", taxBps: null };
+    const received = wordToBigInt(after.returnData) - wordToBigInt(before.returnData);
+    const taxBps = received >= amt ? 0 : Number(((amt - (received > 0n ? received : 0n)) * 10000n) / amt);
+    return { ...base, status: "ok", reason: null, taxBps };
+  }
+
+  const data = transfer;
+  try {
+    const ret = await rpc("eth_call", [{ from: taker, to: token, data }, "latest"], chain);
+    if (transferReturnedFalse(ret)) return { ...base, status: "failed", reason: "transfer returned false", taxBps: null };
+    return { ...base, status: "ok", reason: null, taxBps: null };
+  } catch (e) {
+    if (e.transport) throw e;
+    const revertData = extractRevertData(e);
+    const decoded = revertData ? decodeRevertData(revertData) : { reason: e.message || null };
+    return { ...base, status: "reverted", reason: decoded.reason, taxBps: null };
+  }
+}
+
+// taxBps { buy, sell } (null = 모름) → transfer_tax 경고 다시 계산
+function setTaxWarning(r) {
+  r.warnings = r.warnings.filter((w) => w.code !== "transfer_tax");
+  const { buy = null, sell = null } = r.taxBps || {};
+  const max = Math.max(buy || 0, sell || 0);
+  if (!(max > 0)) return;
+  const parts = [];
+  if (buy != null) parts.push(`buy tax ${buy / 100}%`);
+  if (sell != null) parts.push(`sell tax ${sell / 100}%`);
+  r.warnings.push({
+    code: "transfer_tax",
+    severity: max >= HIGH_TAX_BPS ? "high" : "warn",
+    message: `Fee-on-transfer token: ${parts.join(", ")}`,
+  });
+}
+
+/**
+ * 토큰 하나 검사. sell=true면 taker 잔고로 판매 시뮬레이션까지
+ * 반환: { token, listed, contract, sellSimulation, taxBps, warnings: [{ code, severity, message }] }
+ */
+async function assessTokenRisk(chain, token, meta, { taker = null, amount = null, sell = false } = {}) {
+  const out = { token, listed: null, contract: null, sellSimulation: null, taxBps: null, warnings: [] };
+  const warn = (code, severity, message) => out.warnings.push({ code, severity, message });
+
+  if (isNativeToken(token, chain)) {
+    out.listed = "native";
+    return out;
+  }
+  const l = tokenRiskListing(chain, token);
+  if (l && l.kind === "allow") {
+    out.listed = "allow";
+    return out;
+  }
+  if (findListedToken(chain, token)) {
+    out.listed = "tokenlist";
+    return out;
+  }
+
+  if (!meta) warn("unknown_metadata", "warn", "Token symbol/decimals could not be read; it may not be an ERC-20");
+  if (!chain.rpcUrl) {
+    warn("unchecked", "info", "No RPC for this chain; contract and sell checks were skipped");
+    return out;
+  }
+
+  try {
+    out.contract = await hasContractCode(chain, token);
+    if (!out.contract) warn("no_contract", "high", "Address has no contract code");
+  } catch (e) {
+    log.warn("risk: eth_getCode failed", { token, error: e.message || String(e) });
+  }
+
+  if (sell && out.contract && isHexAddress(taker) && amount != null) {
+    try {
+      // 결과는 taker/수량마다 다름 (지갑별 blacklist, max-tx, cooldown). 잔고가 없어 못 돌린 경우(skipped)는 캐시하지 않음
+      const key = `${chain.chainId}:${token.toLowerCase()}:${taker.toLowerCase()}:${amount}`;
+      const { value } = await __sellSimCache.getOrLoad(key, () => simulateSell(chain, token, taker, amount));
+      if (value.status === "skipped") __sellSimCache.delete(key);
+      out.sellSimulation = value;
+      if (value.taxBps != null) {
+        out.taxBps = { buy: null, sell: value.taxBps };
+        setTaxWarning(out);
+      }
+      if (out.sellSimulation.status === "reverted" || out.sellSimulation.status === "failed") {
+        warn(
+          "sell_blocked",
+          "high",
+          `Transfer simulation failed${out.sellSimulation.reason ? `: ${out.sellSimulation.reason}` : ""}; the token may not be sellable`
+        );
+      }
+    } catch (e) {
+      log.warn("risk: sell simulation failed", { token, error: e.message || String(e) });
+    }
+  }
+  return out;
+}
+
+async function assessSwapRisk(chain, input, taker) {
+  const [sellToken, buyToken] = await Promise.all([
+    assessTokenRisk(chain, input.sellToken, input.sellMeta, { taker, amount: input.sellAmount, sell: true }),
+    assessTokenRisk(chain, input.buyToken, input.buyMeta),
+  ]);
+  return { sellToken, buyToken };
+}
+
+// 0x가 시뮬레이션해서 알려주는 buy/sell tax (tokenMetadata.{sellToken,buyToken}.{buyTaxBps,sellTaxBps})
+// 직접 측정한 sell tax가 있으면 둘 중 큰 값
+function applyQuoteTaxes(risk, raw) {
+  const md = raw && raw.tokenMetadata;
+  if (!md) return risk;
+  for (const side of ["sellToken", "buyToken"]) {
+    const t = md[side];
+    if (!t || risk[side].listed) continue;
+    const measured = risk[side].taxBps ? risk[side].taxBps.sell : null;
+    const sell = Number(t.sellTaxBps || 0);
+    risk[side].taxBps = { buy: Number(t.buyTaxBps || 0), sell: measured != null ? Math.max(measured, sell) : sell };
+    setTaxWarning(risk[side]);
+  }
+  return risk;
+}
+
+// 응답용 risk 블록: level = 가장 높은 severity (high > warn > ok)
+function riskSummary(risk) {
+  const warnings = [];
+  for (const side of ["sellToken", "buyToken"]) {
+    for (const w of risk[side].warnings) warnings.push({ token: side, ...w });
+  }
+  const level = warnings.some((w) => w.severity === "high") ? "high" : warnings.some((w) => w.severity === "warn") ? "warn" : "ok";
+  const strip = ({ warnings: _w, ...r }) => r;
+  return { level, warnings, sellToken: strip(risk.sellToken), buyToken: strip(risk.buyToken) };
+}
+
+/* =========================
+   Aggregator adapters (멀티 소스 라우팅)
+   - AGGREGATORS=0x,1inch,paraswap,sushi-v2 (기본: 0x)
+   - adapter: { name, enabled(chain), price(ctx), quote(ctx) }
+     ctx = { chain, input, params, taker, slippageBps, fee }
+     반환(정규화) = { source, sellAmount, buyAmount, minBuyAmount, gas, allowanceTarget, tx?, feeCollected, raw }
+   - /quote: 활성 소스 병렬 조회 → gas(+ 안 걷힌 fee) 차감 후 buyAmount 최대인 소스 선택
+   ========================= */
+const AGGREGATORS = String(process.env.AGGREGATORS || "0x")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const AGGREGATOR_TIMEOUT_MS = Number(process.env.AGGREGATOR_TIMEOUT_MS || 5000);
+const ONEINCH_API_KEY = process.env.ONEINCH_API_KEY || "";
+const ONEINCH_BASE = "https://api.1inch.dev/swap/v6.0";
+const PARASWAP_BASE = "https://api.paraswap.io";
+const GAS_PRICE_CACHE_MS = 15 * 1000;
+const NATIVE_RATE_CACHE_MS = 60 * 1000;
+
+const __gasPriceCache = new Map(); // chainId -> { ts, wei }
+const __nativeRateCache = new Map(); // chainId:buyToken -> { ts, buyPerNative }
+
+function withTimeout(promise, ms, label) {
+  let t;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${ms}ms`);
+      err.status = 504;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+async function fetchJson(url, opts, label) {
+  const res = await upstreamFetch(label, url, opts);
+  const text = await res.text();
+  let data = {};
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch {
+    data = { raw: text };
+  }
+  if (!res.ok) {
+    const err = new Error(data.description || data.error || data.message || `${label} request failed: ${res.status}`);
+    err.status = res.status;
+    err.details = data;
+    throw err;
+  }
+  return data;
+}
+
+function applySlippage(amount, slippageBps) {
+  return ((BigInt(amount) * BigInt(10000 - slippageBps)) / 10000n).toString();
+}
+
+/* ---- 0x ---- */
+function normalize0x(d, cache = null) {
+  if (d.liquidityAvailable === false || d.buyAmount == null) {
+    const err = new Error("0x: no liquidity for this pair");
+    err.status = 404;
+    throw err;
+  }
+  const t = d.transaction || null;
+  return {
+    source: "0x",
+    sellAmount: String(d.sellAmount),
+    buyAmount: String(d.buyAmount),
+    minBuyAmount: d.minBuyAmount != null ? String(d.minBuyAmount) : null,
+    gas: d.gas != null ? String(d.gas) : t && t.gas != null ? String(t.gas) : null,
+    allowanceTarget: (d.issues && d.issues.allowance && d.issues.allowance.spender) || d.allowanceTarget || null,
+    tx: t ? { to: t.to, data: t.data, value: t.value, gas: t.gas } : null,
+    feeCollected: true,
+    cache,
+    raw: d,
+  };
+}
+
+const zeroExAdapter = {
+  name: "0x",
+  enabled: () => true,
+  async price(ctx) {
+    const { data, cache } = await fetchPrice(ctx.params);
+    return normalize0x(data, cache);
+  },
+  async quote(ctx) {
+    const params = new URLSearchParams(ctx.params);
+    // ✅ intentOnFilling=true 는 allowance-holder에서 권장
+    params.set("intentOnFilling", "true");
+    return normalize0x(await call0x(`${ZEROX_BASE}/swap/allowance-holder/quote?${params.toString()}`));
+  },
+};
+
+/* ---- 1inch (ONEINCH_API_KEY 필요) ---- */
+function oneInchParams(ctx, withTx) {
+  const p = new URLSearchParams({
+    src: ctx.input.sellToken,
+    dst: ctx.input.buyToken,
+    amount: ctx.input.sellAmount,
+    includeGas: "true",
+  });
+  if (ctx.fee && ctx.fee.percentage > 0) {
+    p.set("fee", String(ctx.fee.percentage * 100)); // 1inch는 % 단위
+    if (withTx) p.set("referrer", ctx.fee.recipient);
+  }
+  if (withTx) {
+    p.set("from", ctx.taker);
+    p.set("origin", ctx.taker);
+    p.set("slippage", String(ctx.slippageBps / 100));
+    p.set("disableEstimate", "true"); // 시뮬레이션은 우리가 따로 함
+  }
+  return p;
+}
+
+const oneInchAdapter = {
+  name: "1inch",
+  enabled: () => Boolean(ONEINCH_API_KEY),
+  async price(ctx) {
+    const d = await fetchJson(
+      `${ONEINCH_BASE}/${ctx.chain.chainId}/quote?${oneInchParams(ctx, false)}`,
+      { headers: { Authorization: `Bearer ${ONEINCH_API_KEY}`, Accept: "application/json" } },
+      "1inch"
+    );
+    return {
+      source: "1inch",
+      sellAmount: ctx.input.sellAmount,
+      buyAmount: String(d.dstAmount),
+      minBuyAmount: applySlippage(d.dstAmount, ctx.slippageBps),
+      gas: d.gas != null ? String(d.gas) : null,
+      allowanceTarget: null, // 라우터 주소는 quote(tx)에서 확인
+      tx: null,
+      feeCollected: true,
+      raw: d,
+    };
+  },
+  async quote(ctx) {
+    const d = await fetchJson(
+      `${ONEINCH_BASE}/${ctx.chain.chainId}/swap?${oneInchParams(ctx, true)}`,
+      { headers: { Authorization: `Bearer ${ONEINCH_API_KEY}`, Accept: "application/json" } },
+      "1inch"
+    );
+    const t = d.tx || {};
+    return {
+      source: "1inch",
+      sellAmount: ctx.input.sellAmount,
+      buyAmount: String(d.dstAmount),
+      minBuyAmount: applySlippage(d.dstAmount, ctx.slippageBps),
+      gas: t.gas != null ? String(t.gas) : null,
+      allowanceTarget: t.to || null,
+      tx: { to: t.to, data: t.data, value: t.value, gas: t.gas },
+      feeCollected: true,
+      raw: d,
+    };
+  },
+};
+
+/* ---- ParaSwap (decimals 필요) ---- */
+async function paraswapPrice(ctx) {
+  const { sellMeta, buyMeta } = ctx.input;
+  if (!sellMeta || !buyMeta) throw new Error("paraswap: token decimals unknown");
+  const p = new URLSearchParams({
+    srcToken: ctx.input.sellToken,
+    destToken: ctx.input.buyToken,
+    srcDecimals: String(sellMeta.decimals),
+    destDecimals: String(buyMeta.decimals),
+    amount: ctx.input.sellAmount,
+    side: "SELL",
+    network: String(ctx.chain.chainId),
+    version: "6.2",
+  });
+  if (ctx.fee && ctx.fee.percentage > 0) {
+    p.set("partnerAddress", ctx.fee.recipient);
+    p.set("partnerFeeBps", String(Math.round(ctx.fee.bps)));
+  }
+  if (ctx.taker) p.set("userAddress", ctx.taker);
+  const d = await fetchJson(`${PARASWAP_BASE}/prices?${p}`, { headers: { Accept: "application/json" } }, "paraswap");
+  if (!d.priceRoute) throw new Error("paraswap: no route");
+  return d.priceRoute;
+}
+
+const paraswapAdapter = {
+  name: "paraswap",
+  enabled: () => true,
+  async price(ctx) {
+    const r = await paraswapPrice(ctx);
+    return {
+      source: "paraswap",
+      sellAmount: String(r.srcAmount),
+      buyAmount: String(r.destAmount),
+      minBuyAmount: applySlippage(r.destAmount, ctx.slippageBps),
+      gas: r.gasCost != null ? String(r.gasCost) : null,
+      allowanceTarget: r.tokenTransferProxy || r.contractAddress || null,
+      tx: null,
+      feeCollected: true,
+      raw: r,
+    };
+  },
+  async quote(ctx) {
+    const r = await paraswapPrice(ctx);
+    const body = {
+      srcToken: r.srcToken,
+      destToken: r.destToken,
+      srcAmount: r.srcAmount,
+      slippage: ctx.slippageBps,
+      priceRoute: r,
+      userAddress: ctx.taker,
+    };
+    if (ctx.fee && ctx.fee.percentage > 0) {
+      body.partnerAddress = ctx.fee.recipient;
+      body.partnerFeeBps = String(Math.round(ctx.fee.bps));
+    }
+    const t = await fetchJson(
+      `${PARASWAP_BASE}/transactions/${ctx.chain.chainId}?ignoreChecks=true&ignoreGasEstimate=true`,
+      { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) },
+      "paraswap"
+    );
+    return {
+      source: "paraswap",
+      sellAmount: String(r.srcAmount),
+      buyAmount: String(r.destAmount),
+      minBuyAmount: applySlippage(r.destAmount, ctx.slippageBps),
+      gas: r.gasCost != null ? String(r.gasCost) : null,
+      allowanceTarget: r.tokenTransferProxy || r.contractAddress || t.to || null,
+      tx: { to: t.to, data: t.data, value: t.value, gas: t.gas },
+      feeCollected: true,
+      raw: { priceRoute: r, transaction: t },
+    };
+  },
+};
+
+/* ---- Sushi V2 라우터 직접 (on-chain reserves, getAmountsOut) ----
+   NOTE: 라우터 직접 호출이라 인티그레이터 fee는 걷히지 않음(feeCollected=false) */
+const UNIV2_SELECTORS = {
+  getAmountsOut: "0xd06ca61f", // getAmountsOut(uint256,address[])
+  swapExactTokensForTokens: "0x38ed1739", // (uint256,uint256,address[],address,uint256)
+  swapExactETHForTokens: "0x7ff36ab5", // (uint256,address[],address,uint256)
+  swapExactTokensForETH: "0x18cbafe5", // (uint256,uint256,address[],address,uint256)
+};
+const SUSHI_V2_GAS = { 2: 130000n, 3: 180000n }; // path 길이별 대략적인 gas
+const SUSHI_V2_DEADLINE_S = 20 * 60;
+
+function encodeAddressArray(addrs) {
+  return encodeUintWord(addrs.length) + addrs.map(encodeAddressWord).join("");
+}
+
+function decodeUintArray(hex) {
+  const h = String(hex).replace(/^0x/, "");
+  const offset = Number(BigInt("0x" + h.slice(0, 64))) * 2;
+  const len = Number(BigInt("0x" + h.slice(offset, offset + 64)));
+  const out = [];
+  for (let i = 0; i < len; i++) {
+    const start = offset + 64 + i * 64;
+    out.push(BigInt("0x" + h.slice(start, start + 64)));
+  }
+  return out;
+}
+
+function sushiV2Paths(chain, sellToken, buyToken) {
+  const w = chain.wrappedNative;
+  const a = isNativeToken(sellToken, chain) ? w : sellToken;
+  const b = isNativeToken(buyToken, chain) ? w : buyToken;
+  if (a.toLowerCase() === b.toLowerCase()) return []; // wrap/unwrap은 대상 아님
+  const paths = [[a, b]];
+  if (a.toLowerCase() !== w.toLowerCase() && b.toLowerCase() !== w.toLowerCase()) paths.push([a, w, b]);
+  return paths;
+}
+
+async function sushiV2BestPath(ctx) {
+  const { chain, input } = ctx;
+  const paths = sushiV2Paths(chain, input.sellToken, input.buyToken);
+  const results = await Promise.allSettled(
+    paths.map(async (path) => {
+      const data =
+        UNIV2_SELECTORS.getAmountsOut + encodeUintWord(input.sellAmount) + encodeUintWord(64) + encodeAddressArray(path);
+      const amounts = decodeUintArray(await rpc("eth_call", [{ to: chain.sushiV2Router, data }, "latest"], chain));
+      return { path, out: amounts[amounts.length - 1] };
+    })
+  );
+  let best = null;
+  for (const r of results) {
+    if (r.status === "fulfilled" && r.value.out > 0n && (!best || r.value.out > best.out)) best = r.value;
+  }
+  if (!best) throw new Error("sushi-v2: no pool for this pair");
+  return best;
+}
+
+function sushiV2Normalized(ctx, best, tx) {
+  return {
+    source: "sushi-v2",
+    sellAmount: ctx.input.sellAmount,
+    buyAmount: best.out.toString(),
+    minBuyAmount: applySlippage(best.out, ctx.slippageBps),
+    gas: (SUSHI_V2_GAS[best.path.length] || 200000n).toString(),
+    allowanceTarget: ctx.chain.sushiV2Router,
+    tx,
+    feeCollected: false,
+    raw: { router: ctx.chain.sushiV2Router, path: best.path, amountOut: best.out.toString() },
+  };
+}
+
+const sushiV2Adapter = {
+  name: "sushi-v2",
+  enabled: (chain) => Boolean(chain.rpcUrl && chain.sushiV2Router && chain.wrappedNative),
+  async price(ctx) {
+    return sushiV2Normalized(ctx, await sushiV2BestPath(ctx), null);
+  },
+  async quote(ctx) {
+    const best = await sushiV2BestPath(ctx);
+    const { chain, input, taker } = ctx;
+    const minOut = applySlippage(best.out, ctx.slippageBps);
+    const deadline = Math.floor(Date.now() / 1000) + SUSHI_V2_DEADLINE_S;
+    const path = encodeAddressArray(best.path);
+
+    let data;
+    let value = "0";
+    if (isNativeToken(input.sellToken, chain)) {
+      data =
+        UNIV2_SELECTORS.swapExactETHForTokens +
+        encodeUintWord(minOut) + encodeUintWord(128) + encodeAddressWord(taker) + encodeUintWord(deadline) + path;
+      value = input.sellAmount;
+    } else {
+      const selector = isNativeToken(input.buyToken, chain)
+        ? UNIV2_SELECTORS.swapExactTokensForETH
+        : UNIV2_SELECTORS.swapExactTokensForTokens;
+      data =
+        selector +
+        encodeUintWord(input.sellAmount) + encodeUintWord(minOut) + encodeUintWord(160) +
+        encodeAddressWord(taker) + encodeUintWord(deadline) + path;
+    }
+    return sushiV2Normalized(ctx, best, { to: chain.sushiV2Router, data, value, gas: null });
+  },
+};
+
+const AGGREGATOR_ADAPTERS = [zeroExAdapter, oneInchAdapter, paraswapAdapter, sushiV2Adapter];
+
+function enabledAdapters(chain) {
+  return AGGREGATOR_ADAPTERS.filter((a) => AGGREGATORS.includes(a.name) && a.enabled(chain));
+}
+
+async function getGasPriceWei(chain) {
+  if (!chain.rpcUrl) return null;
+  const cached = __gasPriceCache.get(chain.chainId);
+  if (cached && Date.now() - cached.ts < GAS_PRICE_CACHE_MS) return cached.wei;
+  try {
+    const wei = bnFromHex(await rpc("eth_gasPrice", [], chain));
+    __gasPriceCache.set(chain.chainId, { ts: Date.now(), wei });
+    return wei;
+  } catch (e) {
+    log.warn("route: eth_gasPrice failed", { error: e.message || String(e) });
+    return null;
+  }
+}
+
+/**
+ * 네이티브 1e18 wei 가 buyToken 으로 얼마인지 (gas 비용 환산용). 모르면 null
+ */
+async function nativeToBuyRate(ctx, quotes) {
+  const { chain, input } = ctx;
+  const ONE = 10n ** 18n;
+  if (isNativeToken(input.buyToken, chain)) return ONE;
+  if (isNativeToken(input.sellToken, chain)) {
+    const q = quotes.find((x) => x.source === "0x") || quotes[0];
+    return q ? (BigInt(q.buyAmount) * ONE) / BigInt(input.sellAmount) : null;
+  }
+
+  const key = `${chain.chainId}:${input.buyToken.toLowerCase()}`;
+  const cached = __nativeRateCache.get(key);
+  if (cached && Date.now() - cached.ts < NATIVE_RATE_CACHE_MS) return cached.buyPerNative;
+  try {
+    const p = new URLSearchParams({
+      chainId: String(chain.chainId),
+      sellToken: ETH_SENTINEL,
+      buyToken: input.buyToken,
+      sellAmount: ONE.toString(),
+    });
+    const { data: d } = await withTimeout(fetchPrice(p), AGGREGATOR_TIMEOUT_MS, "0x native price");
+    const rate = d.buyAmount != null ? BigInt(d.buyAmount) : null;
+    __nativeRateCache.set(key, { ts: Date.now(), buyPerNative: rate });
+    return rate;
+  } catch (e) {
+    log.warn("route: native price lookup failed", { error: e.message || String(e) });
+    return null;
+  }
+}
+
+/**
+ * 소스별 결과에 gas 비용(buyToken 환산)과 net 금액을 붙이고 net 기준 정렬
+ */
+async function rankQuotes(ctx, quotes) {
+  const gasPrice = await getGasPriceWei(ctx.chain);
+  const rate = gasPrice != null ? await nativeToBuyRate(ctx, quotes) : null;
+  // 0x 등은 buyAmount에서 fee가 이미 빠져 있음 → fee 안 걷는 소스도 같은 fee를 뺀 값으로 비교
+  const feePpm = ctx.fee && ctx.fee.percentage > 0 ? BigInt(Math.round(ctx.fee.percentage * 1e6)) : 0n;
+
+  const ranked = quotes.map((q) => {
+    const gasCostWei = gasPrice != null && q.gas != null ? BigInt(q.gas) * gasPrice : null;
+    const gasCostInBuyToken = gasCostWei != null && rate != null ? (gasCostWei * rate) / 10n ** 18n : null;
+    const uncollectedFee = q.feeCollected ? 0n : (BigInt(q.buyAmount) * feePpm) / 1000000n;
+    const net = BigInt(q.buyAmount) - uncollectedFee - (gasCostInBuyToken || 0n);
+    return {
+      ...q,
+      gasCostWei: gasCostWei != null ? gasCostWei.toString() : null,
+      gasCostInBuyToken: gasCostInBuyToken != null ? gasCostInBuyToken.toString() : null,
+      uncollectedFee: uncollectedFee.toString(),
+      netBuyAmount: net.toString(),
+    };
+  });
+  ranked.sort((a, b) => (BigInt(b.netBuyAmount) > BigInt(a.netBuyAmount) ? 1 : BigInt(b.netBuyAmount) < BigInt(a.netBuyAmount) ? -1 : 0));
+  return ranked;
+}
+
+/**
+ * 활성 소스 병렬 조회 후 최적 선택.
+ * mode: "price"(/quote) | "quote"(/swap, tx 포함). source 지정 시 그 소스만.
+ * 반환: { best, alternatives: [...], errors: [{ source, message }] }
+ */
+async function routeQuotes(ctx, mode, source = null) {
+  let adapters = enabledAdapters(ctx.chain);
+  if (source) {
+    adapters = adapters.filter((a) => a.name === String(source).toLowerCase());
+    if (!adapters.length) throw badRequest(`Unknown or disabled source: ${source}`);
+  }
+  if (!adapters.length) throw new Error("No liquidity sources enabled for this chain");
+
+  const settled = await Promise.allSettled(
+    adapters.map((a) => withTimeout(a[mode](ctx), AGGREGATOR_TIMEOUT_MS, a.name))
+  );
+
+  const quotes = [];
+  const errors = [];
+  settled.forEach((r, i) => {
+    if (r.status === "fulfilled") quotes.push(r.value);
+    else errors.push({ source: adapters[i].name, message: r.reason?.message || String(r.reason), status: r.reason?.status });
+  });
+
+  if (!quotes.length) {
+    // 소스가 하나면 원래 에러(상태코드/details) 그대로
+    if (settled.length === 1) throw settled[0].reason;
+    const err = new Error("All liquidity sources failed");
+    err.status = 502;
+    err.details = { errors };
+    throw err;
+  }
+
+  const ranked = await rankQuotes(ctx, quotes);
+  return { best: ranked[0], alternatives: ranked.slice(1), errors };
+}
+
+function routeContext(chain, input, params, taker) {
+  return {
+    chain,
+    input,
+    params,
+    taker: taker || null,
+    slippageBps: Number(params.get("slippageBps")),
+    fee: input.fee,
+  };
+}
+
+// 응답용 요약 (raw 제외)
+function summarizeQuote(q) {
+  return {
+    source: q.source,
+    buyAmount: q.buyAmount,
+    minBuyAmount: q.minBuyAmount,
+    gas: q.gas,
+    gasCostInBuyToken: q.gasCostInBuyToken,
+    uncollectedFee: q.uncollectedFee,
+    netBuyAmount: q.netBuyAmount,
+    feeCollected: q.feeCollected,
+    cache: q.cache || null,
+  };
+}
+
+/* =========================
+   Tx 상태 추적 (receipt + Transfer 로그 디코딩)
+   - /swap 때 quote를 (chainId, taker, calldata) 키로 잠깐 기억해 두고
+     /tx/:hash 에서 실제 수령량과 비교 (realized slippage)
+   ========================= */
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+const SWAP_MEMO_TTL_MS = 60 * 60 * 1000; // 1시간
+const SWAP_MEMO_MAX = 5000;
+const __swapQuoteMemo = new Map(); // chainId:taker:data -> { ts, buyToken, buyAmount, minBuyAmount, ... }
+
+function swapMemoKey(chainId, taker, data) {
+  return `${chainId}:${String(taker).toLowerCase()}:${String(data).toLowerCase()}`;
+}
+
+function rememberSwapQuote(chain, taker, data, quote) {
+  const now = Date.now();
+  // 오래된 것부터 정리 (Map은 삽입 순서 유지)
+  for (const [k, v] of __swapQuoteMemo) {
+    if (__swapQuoteMemo.size < SWAP_MEMO_MAX && now - v.ts < SWAP_MEMO_TTL_MS) break;
+    __swapQuoteMemo.delete(k);
+  }
+  __swapQuoteMemo.set(swapMemoKey(chain.chainId, taker, data), { ts: now, ...quote });
+}
+
+function recallSwapQuote(chain, taker, data) {
+  const v = __swapQuoteMemo.get(swapMemoKey(chain.chainId, taker, data));
+  return v && Date.now() - v.ts < SWAP_MEMO_TTL_MS ? v : null;
+}
+
+function topicToAddress(topic) {
+  return "0x" + String(topic).slice(-40);
+}
+
+function decodeTransferLogs(logs) {
+  const out = [];
+  for (const log of Array.isArray(logs) ? logs : []) {
+    const t = log.topics || [];
+    // ERC-20 Transfer만 (ERC-721은 topics 4개)
+    if (t.length !== 3 || String(t[0]).toLowerCase() !== TRANSFER_TOPIC) continue;
+    if (!log.data || log.data === "0x") continue;
+    out.push({
+      token: log.address,
+      from: topicToAddress(t[1]),
+      to: topicToAddress(t[2]),
+      amount: BigInt(log.data).toString(),
+      logIndex: log.logIndex != null ? Number(BigInt(log.logIndex)) : null,
+    });
+  }
+  return out;
+}
+
+/**
+ * 해시로 tx 상태 조회. 반환 null = 노드가 모르는 tx
+ * expected: { buyToken, buyAmount, minBuyAmount } (없으면 /swap 메모에서 찾음)
+ */
+async function getTxStatus(chain, hash, expected = {}) {
+  const [tx, receipt] = await Promise.all([
+    rpc("eth_getTransactionByHash", [hash], chain),
+    rpc("eth_getTransactionReceipt", [hash], chain),
+  ]);
+  if (!tx && !receipt) return null;
+
+  const out = {
+    hash,
+    chainId: chain.chainId,
+    status: "pending",
+    explorerUrl: fillTemplate(chain.explorerTxUrl, { hash }),
+    from: tx ? tx.from : receipt.from,
+    to: tx ? tx.to : receipt.to,
+    nonce: tx && tx.nonce != null ? Number(BigInt(tx.nonce)) : null,
+    blockNumber: null,
+    confirmations: 0,
+    gasUsed: null,
+    effectiveGasPrice: null,
+    feeWei: null,
+    transfers: [],
+    received: null,
+  };
+
+  if (!receipt) return out;
+
+  const blockNumber = BigInt(receipt.blockNumber);
+  const latest = BigInt(await rpc("eth_blockNumber", [], chain));
+  const gasUsed = BigInt(receipt.gasUsed);
+  const gasPrice = BigInt(receipt.effectiveGasPrice || (tx && tx.gasPrice) || 0);
+
+  out.status = receipt.status === "0x1" ? "confirmed" : "failed";
+  out.blockNumber = Number(blockNumber);
+  out.confirmations = latest >= blockNumber ? Number(latest - blockNumber + 1n) : 0;
+  out.gasUsed = gasUsed.toString();
+  out.effectiveGasPrice = gasPrice.toString();
+  out.feeWei = (gasUsed * gasPrice).toString();
+  out.transfers = decodeTransferLogs(receipt.logs);
+
+  const memo = tx ? recallSwapQuote(chain, tx.from, tx.input) : null;
+  // /swap 때 pending으로 기록한 수익에 체결 확인 추가 (memo 키에 tx.from이 들어가서 남의 tx로는 못 씀)
+  if (memo && memo.revenueId && !memo.confirmedHash && out.status === "confirmed") {
+    memo.confirmedHash = hash;
+    appendRevenue({ type: "status", id: memo.revenueId, status: "confirmed", ts: new Date().toISOString(), txHash: hash });
+  }
+  const buyToken = expected.buyToken || (memo && memo.buyToken);
+  if (out.status !== "confirmed" || !buyToken) return out;
+
+  const expectedAmount = expected.buyAmount || (memo && memo.buyAmount) || null;
+  const minAmount = expected.minBuyAmount || (memo && memo.minBuyAmount) || null;
+  const meta = await getTokenMeta(chain, buyToken).catch(() => null);
+  const fmt = (v) => (v != null && meta ? formatUnits(v, meta.decimals) : null);
+
+  out.received = {
+    token: buyToken,
+    amount: null,
+    formatted: null,
+    expected: expectedAmount,
+    expectedFormatted: fmt(expectedAmount),
+    minExpected: minAmount,
+    slippageBps: null,
+    source: expected.buyToken ? "query" : "swap",
+  };
+
+  if (isNativeToken(buyToken, chain)) {
+    // 네이티브 수령은 internal tx라 로그로는 안 보임
+    out.received.note = "Native token receipts are not visible in logs";
+    return out;
+  }
+
+  const recipient = String(out.from).toLowerCase();
+  let got = 0n;
+  for (const t of out.transfers) {
+    if (t.token.toLowerCase() === buyToken.toLowerCase() && t.to.toLowerCase() === recipient) {
+      got += BigInt(t.amount);
+    }
+  }
+  out.received.amount = got.toString();
+  out.received.formatted = fmt(got);
+  if (expectedAmount && BigInt(expectedAmount) > 0n) {
+    // 음수 = 예상보다 덜 받음
+    out.received.slippageBps = Number(((got - BigInt(expectedAmount)) * 10000n) / BigInt(expectedAmount));
+  }
+  return out;
+}
+
+/* =========================
+   Fee 수익 기록 (append-only JSONL)
+   - /swap (gasless는 /gasless/submit) 성공 시 {type:"swap", status:"pending"} 기록
+   - /tx/:hash (gasless는 /gasless/status) 에서 체결 확인되면 {type:"status", id, status:"confirmed", txHash} 추가
+     확인은 선택: 같은 프로세스의 swap memo(1시간)가 있을 때만. 못 하면 pending으로 남음
+   ========================= */
+const REVENUE_LOG_FILE = process.env.REVENUE_LOG_FILE || path.join(__dirname, "data", "revenue.jsonl");
+let revenueWriteChain = Promise.resolve(); // append 순서 보장
+
+function appendRevenue(record) {
+  const line = JSON.stringify(record) + "\n";
+  revenueWriteChain = revenueWriteChain
+    .then(() => fs.promises.mkdir(path.dirname(REVENUE_LOG_FILE), { recursive: true }))
+    .then(() => fs.promises.appendFile(REVENUE_LOG_FILE, line))
+    .catch((e) => log.error("revenue write failed", { error: e.message || String(e) }));
+  return revenueWriteChain;
+}
+
+/** 0x 응답에서 fee token/amount 추출. 없으면 buyAmount 기준으로 추정 */
+function extractIntegratorFee(quoteData, buyToken, fee) {
+  const f = quoteData && quoteData.fees && quoteData.fees.integratorFee;
+  if (f && f.amount != null) {
+    return { token: f.token || buyToken, amount: String(f.amount), source: "0x" };
+  }
+  if (!fee || !(fee.percentage > 0) || quoteData.buyAmount == null) return null;
+  // buyAmount는 fee 차감 후 → fee = buyAmount * p / (1 - p)
+  const ppm = BigInt(Math.round(fee.percentage * 1e6));
+  return {
+    token: buyToken,
+    amount: ((BigInt(quoteData.buyAmount) * ppm) / (1000000n - ppm)).toString(),
+    source: "estimated",
+  };
+}
+
+/** swap 성공 시 appendRevenue할 레코드 (status: pending). fee 없으면 null */
+function swapRevenueRecord({ chain, taker, sellToken, buyToken, sellAmount, quoteData, fee }) {
+  const integratorFee = extractIntegratorFee(quoteData, buyToken, fee);
+  if (!integratorFee || integratorFee.amount === "0") return null;
+
+  return {
+    type: "swap",
+    id: crypto.randomUUID(),
+    ts: new Date().toISOString(),
+    status: "pending",
+    chainId: chain.chainId,
+    taker,
+    sellToken,
+    buyToken,
+    sellAmount,
+    buyAmount: quoteData.buyAmount != null ? String(quoteData.buyAmount) : null,
+    feeToken: integratorFee.token,
+    feeAmount: integratorFee.amount,
+    feeSource: integratorFee.source,
+    feePercentage: fee ? fee.percentage : null,
+    partner: fee ? fee.partner : null,
+  };
+}
+
+async function readRevenueLog() {
+  let text = "";
+  try {
+    text = await fs.promises.readFile(REVENUE_LOG_FILE, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // 쓰다가 끊긴 줄은 건너뜀
+    }
+  }
+  return out;
+}
+
+/**
+ * 일자 × 체인 × fee 토큰 별 합계
+ * opts: { from, to (ms), chainId, confirmedOnly }
+ */
+async function aggregateRevenue({ from = 0, to = Infinity, chainId = null, confirmedOnly = false } = {}) {
+  const records = await readRevenueLog();
+  const confirmed = new Set(); // 체결 확인된 swap id
+  for (const r of records) if (r.type === "status" && r.status === "confirmed") confirmed.add(r.id);
+
+  const groups = new Map();
+  for (const r of records) {
+    if (r.type !== "swap") continue;
+    const ts = Date.parse(r.ts);
+    if (!(ts >= from && ts < to)) continue;
+    if (chainId != null && r.chainId !== chainId) continue;
+    const isConfirmed = confirmed.has(r.id);
+    if (confirmedOnly && !isConfirmed) continue;
+
+    const day = r.ts.slice(0, 10);
+    const key = `${day}|${r.chainId}|${String(r.feeToken).toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, { day, chainId: r.chainId, feeToken: r.feeToken, swaps: 0, confirmedSwaps: 0, feeAmount: 0n, confirmedFeeAmount: 0n });
+    }
+    const g = groups.get(key);
+    const amt = BigInt(r.feeAmount || "0");
+    g.swaps++;
+    g.feeAmount += amt;
+    if (isConfirmed) {
+      g.confirmedSwaps++;
+      g.confirmedFeeAmount += amt;
+    }
+  }
+
+  const rows = [...groups.values()].sort((a, b) =>
+    a.day === b.day ? a.chainId - b.chainId || String(a.feeToken).localeCompare(String(b.feeToken)) : a.day < b.day ? -1 : 1
+  );
+
+  // 토큰/체인 합계 + 사람 단위 포맷
+  const totals = new Map();
+  for (const r of rows) {
+    const key = `${r.chainId}|${String(r.feeToken).toLowerCase()}`;
+    if (!totals.has(key)) {
+      totals.set(key, { chainId: r.chainId, feeToken: r.feeToken, swaps: 0, confirmedSwaps: 0, feeAmount: 0n, confirmedFeeAmount: 0n });
+    }
+    const t = totals.get(key);
+    t.swaps += r.swaps;
+    t.confirmedSwaps += r.confirmedSwaps;
+    t.feeAmount += r.feeAmount;
+    t.confirmedFeeAmount += r.confirmedFeeAmount;
+  }
+
+  const finish = async (r) => {
+    const chain = getChain(r.chainId);
+    const meta = chain ? await getTokenMeta(chain, r.feeToken).catch(() => null) : null;
+    return {
+      ...r,
+      feeSymbol: meta ? meta.symbol : null,
+      feeAmount: r.feeAmount.toString(),
+      confirmedFeeAmount: r.confirmedFeeAmount.toString(),
+      feeAmountFormatted: meta ? formatUnits(r.feeAmount, meta.decimals) : null,
+      confirmedFeeAmountFormatted: meta ? formatUnits(r.confirmedFeeAmount, meta.decimals) : null,
+    };
+  };
+
+  return {
+    rows: await Promise.all(rows.map(finish)),
+    totals: await Promise.all([...totals.values()].map(finish)),
+  };
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))].join("\n") + "\n";
+}
+
+/* =========================
+   Admin auth
+   - ADMIN_TOKEN env, "Authorization: Bearer <token>" 또는 "x-admin-token" 헤더
+   ========================= */
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ message: "Admin API is disabled (ADMIN_TOKEN not set)" });
+
+  const auth = String(req.headers.authorization || "");
+  const given = auth.startsWith("Bearer ") ? auth.slice(7) : String(req.headers["x-admin-token"] || "");
+  const a = Buffer.from(given);
+  const b = Buffer.from(ADMIN_TOKEN);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+  next();
+}
+
+refreshTokenList().catch(() => {});
+if (TOKEN_LIST_SOURCES.some((src) => /^https?:\/\//i.test(src))) {
+  setInterval(() => refreshTokenList().catch(() => {}), TOKEN_LIST_REFRESH_MS).unref();
+}
+
+/* =========================
+   Rate limiting (token bucket)
+   - IP 별 + 지갑(taker) 별 버킷, 라우트마다 한도 다름
+   - 초과 시 429 + Retry-After
+   - RATE_LIMIT_ALLOWLIST: IP/지갑 주소 콤마 목록 (제한 없음)
+   - RATE_LIMIT_CONFIG: 한도 덮어쓰기 JSON 파일 { "<route>": { "ip": {capacity, refillPerSec}, "wallet": {...} } }
+   - store는 교체 가능: { take(key, { capacity, refillPerSec, cost }) → { allowed, remaining, retryAfterMs },
+     refund?(key, { capacity, cost }) } — refund는 다른 버킷에서 막혔을 때 뺀 토큰을 돌려주는 용도
+   ========================= */
+const DEFAULT_RATE_LIMITS = {
+  quote: { ip: { capacity: 60, refillPerSec: 1 }, wallet: { capacity: 60, refillPerSec: 1 } },
+  "quote-stream": { ip: { capacity: 10, refillPerSec: 0.1 } },
+  swap: { ip: { capacity: 20, refillPerSec: 0.3 }, wallet: { capacity: 10, refillPerSec: 0.2 } },
+  default: { ip: { capacity: 120, refillPerSec: 2 } },
+};
+
+function loadRateLimits() {
+  const file = process.env.RATE_LIMIT_CONFIG;
+  if (!file) return DEFAULT_RATE_LIMITS;
+  try {
+    const cfg = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { ...DEFAULT_RATE_LIMITS, ...cfg };
+  } catch (e) {
+    log.warn("RATE_LIMIT_CONFIG could not be loaded", { file, error: e.message || String(e) });
+    return DEFAULT_RATE_LIMITS;
+  }
+}
+
+const RATE_LIMITS = loadRateLimits();
+const RATE_LIMIT_DISABLED = process.env.RATE_LIMIT_DISABLED === "true";
+const RATE_LIMIT_ALLOWLIST = new Set(
+  String(process.env.RATE_LIMIT_ALLOWLIST || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+/** 기본 in-memory store (단일 인스턴스/로컬용). 여러 인스턴스면 Redis 등으로 교체 */
+function createMemoryRateLimitStore({ idleMs = 10 * 60 * 1000 } = {}) {
+  const buckets = new Map(); // key -> { tokens, ts }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [k, b] of buckets) if (now - b.ts > idleMs) buckets.delete(k);
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async take(key, { capacity, refillPerSec, cost = 1 }) {
+      const now = Date.now();
+      const b = buckets.get(key) || { tokens: capacity, ts: now };
+      b.tokens = Math.min(capacity, b.tokens + ((now - b.ts) / 1000) * refillPerSec);
+      b.ts = now;
+
+      let allowed = false;
+      if (b.tokens >= cost) {
+        b.tokens -= cost;
+        allowed = true;
+      }
+      buckets.set(key, b);
+
+      const retryAfterMs = allowed ? 0 : Math.ceil(((cost - b.tokens) / refillPerSec) * 1000);
+      return { allowed, remaining: Math.floor(b.tokens), retryAfterMs };
+    },
+    async refund(key, { capacity, cost = 1 }) {
+      const b = buckets.get(key);
+      if (b) b.tokens = Math.min(capacity, b.tokens + cost);
+    },
+  };
+}
+
+// RATE_LIMIT_STORE=./redis-store.js 처럼 모듈 경로를 주면 그 store 사용 (store 객체 또는 팩토리 export)
+function loadRateLimitStore() {
+  const mod = process.env.RATE_LIMIT_STORE;
+  if (!mod) return createMemoryRateLimitStore();
+  try {
+    const exported = require(path.resolve(mod));
+    const store = typeof exported === "function" ? exported() : exported;
+    if (!store || typeof store.take !== "function") throw new Error("store must implement take()");
+    return store;
+  } catch (e) {
+    log.error("RATE_LIMIT_STORE could not be loaded, using memory store", { module: mod, error: e.message || String(e) });
+    return createMemoryRateLimitStore();
+  }
+}
+
+const rateLimitStore = loadRateLimitStore();
+
+/** 라우트별 rate limit 미들웨어. route 키는 RATE_LIMITS 참고 */
+function rateLimit(route) {
+  return async (req, res, next) => {
+    if (RATE_LIMIT_DISABLED) return next();
+
+    const limits = RATE_LIMITS[route] || RATE_LIMITS.default;
+    const ip = String(req.ip || req.socket.remoteAddress || "unknown");
+    const wallet = (req.body && req.body.taker) || req.query.taker;
+    const walletKey = isHexAddress(wallet) ? wallet.toLowerCase() : null;
+
+    if (RATE_LIMIT_ALLOWLIST.has(ip.toLowerCase()) || (walletKey && RATE_LIMIT_ALLOWLIST.has(walletKey))) {
+      return next();
+    }
+
+    const checks = [];
+    if (limits.ip) checks.push({ key: `${route}|ip|${ip}`, limit: limits.ip });
+    if (limits.wallet && walletKey) checks.push({ key: `${route}|wallet|${walletKey}`, limit: limits.wallet });
+
+    try {
+      const results = await Promise.all(checks.map((c) => rateLimitStore.take(c.key, c.limit)));
+      const blocked = results.filter((r) => !r.allowed);
+      if (results.length) {
+        res.setHeader("X-RateLimit-Remaining", String(Math.min(...results.map((r) => r.remaining))));
+      }
+      if (blocked.length) {
+        // 막힌 요청은 어느 버킷에서도 소비하지 않음 (IP 한도 초과가 지갑 버킷까지 깎지 않도록)
+        if (typeof rateLimitStore.refund === "function") {
+          await Promise.all(checks.map((c, i) => (results[i].allowed ? rateLimitStore.refund(c.key, c.limit) : null)));
+        }
+        const retryAfterS = Math.max(1, Math.ceil(Math.max(...blocked.map((r) => r.retryAfterMs)) / 1000));
+        res.setHeader("Retry-After", String(retryAfterS));
+        return res.status(429).json({ message: "Too many requests", retryAfter: retryAfterS });
+      }
+    } catch (e) {
+      // store 장애 시에는 막지 않음(fail-open)
+      log.error("rate-limit store error", { error: e.message || String(e) });
+    }
+    next();
+  };
+}
+
+/* =========================
+   Routes
+   ========================= */
+app.get("/", (req, res) => res.send("G-DEX backend is running."));
+
+/* /chains — 지원 체인 목록 (rpcUrl/subgraphUrl은 키가 포함될 수 있어 제외) */
+app.get("/chains", (req, res) => {
+  const chains = [...CHAINS.values()].map((c) => ({
+    chainId: c.chainId,
+    key: c.key,
+    name: c.name,
+    nativeSymbol: c.nativeSymbol,
+    explorerTxUrl: c.explorerTxUrl,
+    explorerAddressUrl: c.explorerAddressUrl,
+    poolUrl: c.poolUrl,
+    gasEstimation: Boolean(c.rpcUrl),
+    pools: Boolean(c.subgraphUrl),
+  }));
+  res.json({ chains });
+});
+
+/* /metrics — Prometheus scrape (METRICS_TOKEN 설정 시 Bearer 필요) */
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const auth = String(req.headers.authorization || "");
+    const a = Buffer.from(auth.startsWith("Bearer ") ? auth.slice(7) : "");
+    const b = Buffer.from(METRICS_TOKEN);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+/* /quote — price preview */
+app.post("/quote", rateLimit("quote"), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const { sellToken, buyToken } = b;
+
+    const chain = getChain(b.chainId);
+    if (!chain) {
+      return res.status(400).json({ message: `Unsupported chainId: ${b.chainId}` });
+    }
+    if (!sellToken || !buyToken || (b.sellAmount == null && b.sellAmountHuman == null)) {
+      return res.status(400).json({ message: "Missing sellToken/buyToken/sellAmount" });
+    }
+
+    const { input, params } = await prepareQuote(b, chain);
+    const [tokenRisk, routed] = await Promise.all([
+      assessSwapRisk(chain, input, b.taker),
+      routeQuotes(routeContext(chain, input, params, b.taker), "price", b.source),
+    ]);
+    const best = routed.best;
+    const risk = riskSummary(applyQuoteTaxes(tokenRisk, best.source === "0x" ? best.raw : null));
+
+    // 0x가 최적이면 기존 응답 형태(0x price 필드) 유지
+    const priceData = {
+      ...(best.source === "0x" ? best.raw : {}),
+      sellToken: input.sellToken,
+      buyToken: input.buyToken,
+      sellAmount: best.sellAmount,
+      buyAmount: best.buyAmount,
+      minBuyAmount: best.minBuyAmount,
+      gas: best.gas,
+      allowanceTarget: best.allowanceTarget,
+    };
+
+    res.json({
+      ...priceData,
+      source: best.source,
+      cache: best.cache || null,
+      route: summarizeQuote(best),
+      alternatives: routed.alternatives.map(summarizeQuote),
+      sourceErrors: routed.errors,
+      risk,
+      fee: best.feeCollected ? input.fee : null,
+      formatted: formatSwapAmounts(priceData, input.sellMeta, input.buyMeta),
+      // 요청 시에만: 사려는 토큰 관련 최근 기사
+      ...(b.news === true || req.query.news === "true"
+        ? { news: tokenHeadlines(input.buyMeta && input.buyMeta.symbol, NEWS_QUOTE_ITEMS) }
+        : {}),
+    });
+  } catch (err) {
+    log.error("/quote error", { status: err.status, details: err.details || err.message });
+    // 업스트림 429 / circuit open → 클라이언트도 언제 다시 시도할지 알 수 있게
+    if (err.retryAfterMs) res.setHeader("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+    res.status(err.status || 500).json({
+      message: err.message || "Quote failed",
+      details: err.details || null,
+    });
+  }
+});
+
+/* =========================
+   /quote/stream — SSE 실시간 가격
+   - 같은 파라미터 구독은 업스트림 폴링 1개로 묶음(coalescing)
+   - RPC 있으면 새 블록마다, 없으면 interval초마다 갱신
+   ========================= */
+const STREAM_MIN_INTERVAL_S = 3;
+const STREAM_MAX_INTERVAL_S = 60;
+const STREAM_DEFAULT_INTERVAL_S = 10;
+const STREAM_BLOCK_POLL_MS = 2000;
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+const STREAM_MAX_CLIENTS = Number(process.env.STREAM_MAX_CLIENTS || 500);
+
+const __quoteStreams = new Map(); // key -> { clients:Set<res>, timer, last, lastBlock, lastFetchAt, busy }
+let quoteStreamClients = 0;
+
+createGauge("gdex_quote_stream_clients", "Connected /quote/stream clients", () => [{ value: quoteStreamClients }]);
+createGauge("gdex_quote_stream_keys", "Distinct quote streams being polled", () => [{ value: __quoteStreams.size }]);
+
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastQuote(sub, event, data) {
+  for (const client of sub.clients) sseSend(client, event, data);
+}
+
+async function tickQuoteStream(sub) {
+  if (sub.busy) return;
+  sub.busy = true;
+  try {
+    const now = Date.now();
+    let blockNumber = null;
+
+    if (sub.chain.rpcUrl) {
+      try {
+        blockNumber = Number(BigInt(await rpc("eth_blockNumber", [], sub.chain)));
+      } catch (e) {
+        log.warn("quote/stream: eth_blockNumber failed", { error: e.message || String(e) });
+      }
+    }
+
+    // 새 블록이면 바로, 아니면 interval 경과 시(블록 못 읽을 때 대비)에만 갱신
+    const newBlock = blockNumber != null && blockNumber !== sub.lastBlock;
+    const due = now - sub.lastFetchAt >= sub.intervalMs;
+    if (!newBlock && !due) return;
+
+    sub.lastFetchAt = now;
+    if (blockNumber != null) sub.lastBlock = blockNumber;
+
+    const { data: priceData } = await fetchPrice(sub.params);
+    sub.last = {
+      ...priceData,
+      fee: sub.input.fee,
+      formatted: formatSwapAmounts(priceData, sub.input.sellMeta, sub.input.buyMeta),
+      blockNumber,
+      ts: now,
+    };
+    broadcastQuote(sub, "price", sub.last);
+  } catch (e) {
+    broadcastQuote(sub, "error", { message: e.message || "Quote failed", status: e.status || 500 });
+  } finally {
+    sub.busy = false;
+  }
+}
+
+function stopQuoteStream(key) {
+  const sub = __quoteStreams.get(key);
+  if (!sub) return;
+  clearInterval(sub.timer);
+  clearInterval(sub.heartbeat);
+  __quoteStreams.delete(key);
+}
+
+app.get("/quote/stream", rateLimit("quote-stream"), async (req, res) => {
+  try {
+    const q = { ...req.query };
+    if (q.slippagePercentage != null) q.slippagePercentage = Number(q.slippagePercentage);
+
+    const chain = getChain(q.chainId);
+    if (!chain) {
+      return res.status(400).json({ message: `Unsupported chainId: ${q.chainId}` });
+    }
+    if (!q.sellToken || !q.buyToken || (q.sellAmount == null && q.sellAmountHuman == null)) {
+      return res.status(400).json({ message: "Missing sellToken/buyToken/sellAmount" });
+    }
+    if (quoteStreamClients >= STREAM_MAX_CLIENTS) {
+      return res.status(503).json({ message: "Too many quote streams" });
+    }
+
+    // await 전에 자리 확보 + close 등록 (준비 중에 끊긴 연결이 poller/카운트를 남기지 않도록)
+    let sub = null;
+    let key = null;
+    let closed = false;
+    quoteStreamClients++;
+    res.on("close", () => {
+      closed = true;
+      quoteStreamClients--;
+      if (!sub) return;
+      sub.clients.delete(res);
+      if (!sub.clients.size) stopQuoteStream(key);
+    });
+
+    const intervalS = clampNumber(Number(q.interval || STREAM_DEFAULT_INTERVAL_S), STREAM_MIN_INTERVAL_S, STREAM_MAX_INTERVAL_S);
+    const { input, params } = await prepareQuote(q, chain);
+    if (closed) return;
+    key = `${chain.rpcUrl ? "block" : intervalS}|${params.toString()}`;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx 버퍼링 끄기
+    });
+    res.write(`retry: ${intervalS * 1000}\n\n`);
+
+    sub = __quoteStreams.get(key);
+    if (!sub) {
+      sub = {
+        chain,
+        input,
+        params,
+        intervalMs: intervalS * 1000,
+        clients: new Set(),
+        last: null,
+        lastBlock: null,
+        lastFetchAt: 0,
+        busy: false,
+      };
+      sub.timer = setInterval(
+        () => tickQuoteStream(sub),
+        chain.rpcUrl ? STREAM_BLOCK_POLL_MS : sub.intervalMs
+      );
+      sub.heartbeat = setInterval(() => {
+        for (const client of sub.clients) client.write(": ping\n\n");
+      }, STREAM_HEARTBEAT_MS);
+      __quoteStreams.set(key, sub);
+      tickQuoteStream(sub);
+    } else if (sub.last) {
+      sseSend(res, "price", sub.last); // 이미 받은 가격은 바로 전달
+    }
+
+    sub.clients.add(res);
+  } catch (err) {
+    log.error("/quote/stream error", { status: err.status, error: err.message });
+    if (res.headersSent) return res.end();
+    res.status(err.status || 500).json({ message: err.message || "Quote stream failed" });
+  }
+});
+
+/* /swap — build tx */
+app.post("/swap", rateLimit("swap"), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const { sellToken, buyToken, taker } = b;
+
+    const chain = getChain(b.chainId);
+    if (!chain) {
+      return res.status(400).json({ message: `Unsupported chainId: ${b.chainId}` });
+    }
+    if (!sellToken || !buyToken || !(b.sellAmount || b.sellAmountHuman) || !taker) {
+      return res.status(400).json({ message: "Missing sellToken/buyToken/sellAmount/taker" });
+    }
+    if (!isHexAddress(taker)) {
+      return res.status(400).json({ message: "Invalid taker address" });
+    }
+    const speed = b.speed == null ? "normal" : String(b.speed);
+    if (!GAS_SPEEDS.includes(speed)) {
+      return res.status(400).json({ message: `speed must be one of ${GAS_SPEEDS.join(", ")}` });
+    }
+
+    const { input, params } = await prepareQuote(b, chain);
+    const normalizedSell = input.sellToken;
+    const normalizedBuy  = input.buyToken;
+    const sellAmount = input.sellAmount;
+    // source 지정 시(/quote에서 고른 소스) 그 소스로, 아니면 최적 소스로 tx 생성
+    const [tokenRisk, routed] = await Promise.all([
+      assessSwapRisk(chain, input, taker),
+      routeQuotes(routeContext(chain, input, params, taker), "quote", b.source),
+    ]);
+    const best = routed.best;
+    const quoteData = best.raw;
+    const risk = riskSummary(applyQuoteTaxes(tokenRisk, best.source === "0x" ? quoteData : null));
+
+    const rawTx = best.tx || {};
+    if (!rawTx.to || !rawTx.data) {
+      return res.status(500).json({ message: `${best.source} quote did not return tx fields`, raw: quoteData });
+    }
+
+    // ====== base tx (메타마스크용) ======
+    // ✅ value/gas는 가능하면 HEX로 통일해서 내림
+    const tx = {
+      to: rawTx.to,
+      data: rawTx.data,
+      value: "0x0",
+      chainId: toHex(BigInt(chain.chainId)), // 지갑 네트워크 불일치 방지
+    };
+
+    // ETH sell이면 value는 sellAmount
+    if (normalizedSell === ETH_SENTINEL) {
+      tx.value = decStringToHex(String(sellAmount));
+    } else {
+      // ERC20 sell은 보통 value=0
+      tx.value = rawTx.value != null
+        ? (String(rawTx.value).startsWith("0x") ? String(rawTx.value) : decStringToHex(String(rawTx.value)))
+        : "0x0";
+    }
+
+    // 소스가 gas를 줄 때도 있고 없을 수도 → 있으면 normalize
+    const maybeGas = normalizeGasField(rawTx.gas);
+    if (maybeGas) tx.gas = maybeGas;
+
+    // ERC20 sell이면 allowance/balance 확인 + 부족하면 approve tx 동봉
+    let approval = null;
+    if (normalizedSell !== ETH_SENTINEL) {
+      try {
+        approval = await checkApproval({
+          chain,
+          token: normalizedSell,
+          owner: taker,
+          spender: best.allowanceTarget || chain.allowanceHolder,
+          amount: String(sellAmount),
+          issues: best.source === "0x" ? quoteData.issues || null : null,
+          unlimited: b.approveUnlimited === true,
+        });
+      } catch (e) {
+        log.warn("swap: approval check failed", { error: e.message || String(e) });
+      }
+    }
+
+    // strict=true 면 revert 할 tx는 내려주지 않음
+    const strict = b.strict === true || req.query.strict === "true";
+
+    // 해당 체인 RPC가 있으면 시뮬레이션(eth_call) + gas + fee 추천
+    let simulation = null;
+    let gas = null;
+    if (chain.rpcUrl) {
+      const estTx = {
+        from: taker,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+      };
+
+      // approve 전이면 시뮬레이션은 어차피 revert → 소스가 준 gas 사용
+      if (approval && approval.required) {
+        simulation = { ok: null, skipped: "approval_required", revertReason: null, gasUsed: null };
+      } else {
+        try {
+          simulation = await simulateTx(chain, estTx);
+          if (simulation.ok && simulation.gasUsed) {
+            tx.gas = toHex(addGasBuffer(BigInt(simulation.gasUsed))); // ✅ hex
+          } else if (!simulation.ok) {
+            log.warn("swap: simulation reverted, fallback to quote gas if any", { revertReason: simulation.revertReason });
+          }
+        } catch (e) {
+          log.warn("swap: simulation failed", { error: e.message || String(e) });
+        }
+      }
+
+      try {
+        const oracle = await getGasOracle(chain);
+        const tier = oracle.tiers[speed];
+        if (oracle.type === "legacy") {
+          tx.gasPrice = tier.gasPrice;
+        } else {
+          tx.maxFeePerGas = tier.maxFeePerGas;
+          tx.maxPriorityFeePerGas = tier.maxPriorityFeePerGas;
+        }
+        gas = {
+          speed,
+          type: oracle.type,
+          estimatedSeconds: tier.estimatedSeconds,
+          estimatedCost: tx.gas ? gasCost(tx.gas, tier.effectiveGasPrice, await nativeUsdPrice(chain)) : null,
+        };
+      } catch (e) {
+        log.warn("swap: fee suggestion failed", { error: e.message || String(e) });
+      }
+    }
+
+    if (strict && !(simulation && (simulation.ok || simulation.skipped))) {
+      if (!simulation) {
+        return res.status(503).json({ message: "Simulation unavailable (no RPC for this chain)", simulation });
+      }
+      return res.status(422).json({
+        message: `Swap would revert: ${simulation.revertReason || "unknown reason"}`,
+        simulation,
+      });
+    }
+
+    const revenue = best.feeCollected
+      ? swapRevenueRecord({
+          chain,
+          taker,
+          sellToken: normalizedSell,
+          buyToken: normalizedBuy,
+          sellAmount,
+          quoteData: best.source === "0x" ? quoteData : { buyAmount: best.buyAmount },
+          fee: input.fee,
+        })
+      : null;
+    if (revenue) appendRevenue(revenue);
+
+    rememberSwapQuote(chain, taker, tx.data, {
+      sellToken: normalizedSell,
+      buyToken: normalizedBuy,
+      sellAmount,
+      buyAmount: best.buyAmount,
+      minBuyAmount: best.minBuyAmount,
+      revenueId: revenue ? revenue.id : null,
+    });
+
+    // calldata 전체는 찍지 않음 (요약만)
+    log.info("/swap tx -> frontend", {
+      source: best.source,
+      to: tx.to,
+      value: tx.value,
+      gas: tx.gas,
+      dataBytes: tx.data ? (tx.data.length - 2) / 2 : 0,
+    });
+    res.json({
+      tx,
+      source: best.source,
+      route: summarizeQuote(best),
+      alternatives: routed.alternatives.map(summarizeQuote),
+      approval,
+      simulation,
+      gas,
+      risk,
+      fee: best.feeCollected ? input.fee : null,
+      formatted: formatSwapAmounts(best, input.sellMeta, input.buyMeta),
+    });
+  } catch (err) {
+    log.error("/swap error", { status: err.status, details: err.details || err.message });
+    // 업스트림 429 / circuit open → 클라이언트도 언제 다시 시도할지 알 수 있게
+    if (err.retryAfterMs) res.setHeader("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+    res.status(err.status || 500).json({
+      message: err.message || "Swap failed",
+      details: err.details || null,
+    });
+  }
+});
+
+/* /admin/revenue — fee 수익 집계 (일자/토큰/체인), ?format=csv
+   query: from, to (YYYY-MM-DD 또는 ISO), chainId, status=confirmed */
+app.get("/admin/revenue", requireAdmin, async (req, res) => {
+  try {
+    const q = req.query;
+    const from = q.from ? Date.parse(q.from) : 0;
+    // to=YYYY-MM-DD 는 그 날짜 포함
+    const to = q.to ? Date.parse(q.to) + (/^\d{4}-\d{2}-\d{2}$/.test(q.to) ? 86400000 : 0) : Infinity;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ message: "Invalid from/to date" });
+    }
+    let chainId = null;
+    if (q.chainId != null) {
+      const chain = getChain(q.chainId);
+      if (!chain) return res.status(400).json({ message: `Unsupported chainId: ${q.chainId}` });
+      chainId = chain.chainId;
+    }
+
+    const report = await aggregateRevenue({ from, to, chainId, confirmedOnly: q.status === "confirmed" });
+
+    if (q.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="gdex-revenue.csv"');
+      return res.send(
+        toCsv(report.rows, [
+          "day", "chainId", "feeToken", "feeSymbol", "swaps", "feeAmount", "feeAmountFormatted",
+          "confirmedSwaps", "confirmedFeeAmount", "confirmedFeeAmountFormatted",
+        ])
+      );
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      from: q.from || null,
+      to: q.to || null,
+      chainId,
+      status: q.status === "confirmed" ? "confirmed" : "all",
+      ...report,
+    });
+  } catch (err) {
+    log.error("/admin/revenue error", { error: err.message });
+    res.status(500).json({ message: err.message || "Revenue report failed" });
+  }
+});
+
+/* /gas — slow/normal/fast fee 추천 + 예상 포함 시간 + gas(기본 200000) 기준 비용(네이티브/USD)
+   query: chainId, gas */
+app.get("/gas", rateLimit("default"), async (req, res) => {
+  try {
+    const chain = getChain(req.query.chainId);
+    if (!chain) return res.status(400).json({ message: `Unsupported chainId: ${req.query.chainId}` });
+    if (!chain.rpcUrl) return res.status(503).json({ message: `RPC not configured for chain ${chain.chainId}` });
+
+    let gasLimit = DEFAULT_SWAP_GAS;
+    if (req.query.gas != null) {
+      if (!/^\d{1,9}$/.test(String(req.query.gas)) || BigInt(req.query.gas) === 0n) {
+        return res.status(400).json({ message: "gas must be a positive integer" });
+      }
+      gasLimit = BigInt(req.query.gas);
+    }
+
+    const [oracle, priceUsd] = await Promise.all([getGasOracle(chain), nativeUsdPrice(chain)]);
+    const tiers = {};
+    for (const speed of GAS_SPEEDS) {
+      const t = oracle.tiers[speed];
+      tiers[speed] = { ...t, estimatedCost: gasCost(gasLimit, t.effectiveGasPrice, priceUsd) };
+    }
+
+    res.setHeader("Cache-Control", "public, max-age=5");
+    res.json({
+      chainId: chain.chainId,
+      type: oracle.type,
+      source: oracle.source,
+      blockNumber: oracle.blockNumber,
+      baseFeePerGas: oracle.baseFeePerGas,
+      gas: gasLimit.toString(),
+      nativeSymbol: chain.nativeSymbol,
+      nativeUsd: priceUsd,
+      tiers,
+    });
+  } catch (err) {
+    log.error("/gas error", { error: err.message });
+    res.status(err.status || 502).json({ message: err.message || "Gas oracle failed" });
+  }
+});
+
+/* /tx/:hash — 상태(pending/confirmed/failed) + 실제 수령량
+   query: chainId, buyToken?, expectedBuyAmount? (없으면 /swap 때 quote 사용) */
+app.get("/tx/:hash", rateLimit("default"), async (req, res) => {
+  try {
+    const { hash } = req.params;
+    const q = req.query;
+
+    const chain = getChain(q.chainId);
+    if (!chain) {
+      return res.status(400).json({ message: `Unsupported chainId: ${q.chainId}` });
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+      return res.status(400).json({ message: "Invalid tx hash" });
+    }
+    if (q.buyToken != null && !isNativeToken(q.buyToken, chain) && !isHexAddress(q.buyToken)) {
+      return res.status(400).json({ message: "Invalid buyToken address" });
+    }
+    if (q.expectedBuyAmount != null && !mustBeUintString(String(q.expectedBuyAmount))) {
+      return res.status(400).json({ message: "expectedBuyAmount must be an integer string (wei)" });
+    }
+    if (!chain.rpcUrl) {
+      return res.status(503).json({ message: `RPC URL not set for chain ${chain.chainId}` });
+    }
+
+    const status = await getTxStatus(chain, hash, {
+      buyToken: q.buyToken ? normalizeToken(q.buyToken, chain) : null,
+      buyAmount: q.expectedBuyAmount || null,
+    });
+    if (!status) return res.status(404).json({ hash, chainId: chain.chainId, status: "not_found" });
+
+    res.setHeader("Cache-Control", "no-store");
+    res.json(status);
+  } catch (err) {
+    log.error("/tx error", { error: err.message });
+    res.status(err.status || 500).json({ message: err.message || "Tx lookup failed" });
+  }
+});
+
+/* /tokens — 큐레이션 토큰 리스트 (Uniswap token-list 형식). ?chainId= 로 필터 */
+app.get("/tokens", (req, res) => {
+  let tokens = tokenList.tokens;
+  if (req.query.chainId != null) {
+    const chain = getChain(req.query.chainId);
+    if (!chain) return res.status(400).json({ message: `Unsupported chainId: ${req.query.chainId}` });
+    tokens = tokens.filter((t) => Number(t.chainId) === chain.chainId);
+  }
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.json({ ...tokenList, tokens });
+});
+
+/* /tokens/:token — 단일 토큰 메타데이터 (주소 또는 심볼) */
+app.get("/tokens/:token", rateLimit("default"), async (req, res) => {
+  try {
+    const chain = getChain(req.query.chainId);
+    if (!chain) return res.status(400).json({ message: `Unsupported chainId: ${req.query.chainId}` });
+
+    const t = req.params.token;
+    const meta = isHexAddress(t) || isNativeToken(t, chain) ? await getTokenMeta(chain, t) : findListedToken(chain, t);
+    if (!meta) return res.status(404).json({ message: `Token not found: ${t}` });
+
+    res.json({ chainId: chain.chainId, ...meta });
+  } catch (err) {
+    log.error("/tokens/:token error", { error: err.message });
+    res.status(500).json({ message: err.message || "Token lookup failed" });
+  }
+});
+
+/* /approval — ERC20 allowance 확인 + approve tx 생성 (RPC 필요) */
+app.post("/approval", rateLimit("default"), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const token = b.token || b.sellToken;
+    const amount = b.amount != null ? b.amount : b.sellAmount;
+    const { taker } = b;
+
+    const chain = getChain(b.chainId);
+    if (!chain) {
+      return res.status(400).json({ message: `Unsupported chainId: ${b.chainId}` });
+    }
+    if (!token || !taker || amount == null) {
+      return res.status(400).json({ message: "Missing token/taker/amount" });
+    }
+    if (isNativeToken(token, chain)) {
+      return res.json({ approval: null }); // 네이티브 토큰은 approve 불필요
+    }
+    if (!isHexAddress(token)) {
+      return res.status(400).json({ message: "Invalid token address" });
+    }
+    if (!isHexAddress(taker)) {
+      return res.status(400).json({ message: "Invalid taker address" });
+    }
+    if (b.spender != null && !isHexAddress(b.spender)) {
+      return res.status(400).json({ message: "Invalid spender address" });
+    }
+    if (!mustBeUintString(String(amount))) {
+      return res.status(400).json({ message: "amount must be an integer string (wei)" });
+    }
+    if (!chain.rpcUrl) {
+      return res.status(503).json({ message: `RPC URL not set for chain ${chain.chainId}` });
+    }
+
+    const approval = await checkApproval({
+      chain,
+      token,
+      owner: taker,
+      spender: b.spender || chain.allowanceHolder,
+      amount: String(amount),
+      unlimited: b.approveUnlimited === true,
+    });
+    if (approval.required == null) {
+      return res.status(502).json({ message: "Could not read allowance", approval });
+    }
+
+    res.json({ approval });
+  } catch (err) {
+    log.error("/approval error", { error: err.message });
+    res.status(err.status || 500).json({ message: err.message || "Approval check failed" });
+  }
+});
+
+/* =========================
+   Gasless swaps (0x gasless API, EIP-712 서명)
+   - POST /gasless/price: 서명 없이 보는 예상 가격 (taker 선택)
+   - POST /gasless/quote: /swap과 같은 입력 검증 + fee(buildParams) → approval/trade typed data
+   - POST /gasless/submit: 사용자가 서명한 approval/trade를 0x에 전달 → tradeHash
+   - GET /gasless/status/:tradeHash: 진행 상태 (pending → submitted → succeeded → confirmed | failed)
+   - 0x gasless는 fee 파라미터 이름이 다름 (swapFeeRecipient / swapFeeBps / swapFeeToken)
+   - 우리가 발급한 quote의 trade만 submit 가능 (fee 빠진 trade를 우리 키로 릴레이하지 않도록)
+   ========================= */
+const __gaslessTrades = new Map(); // tradeHash -> { ts, chainId, tradeHash, revenueId, confirmed }
+const GASLESS_TRADE_MAX = 5000;
+
+// 키 순서와 무관한 JSON (프런트가 typed data를 다시 직렬화해도 같은 값)
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+function gaslessTradeKey(eip712) {
+  return "gasless:" + crypto.createHash("sha256").update(canonicalJson(eip712 || null)).digest("hex");
+}
+
+// buildParams 결과(allowance-holder 형식 fee) → gasless 형식 fee
+// gasless swapFeeBps는 정수만 받음 → 반올림한 bps 기준으로 fee를 다시 계산 (응답/수익 기록도 이 값으로)
+function gaslessFee(fee) {
+  if (!fee) return fee;
+  const bps = Math.round(fee.bps != null ? fee.bps : fee.percentage * 10000);
+  return { ...fee, bps, percentage: bps / 10000, recipient: bps > 0 ? fee.recipient : null };
+}
+
+// fee: gaslessFee()로 반올림된 값
+function toGaslessParams(params, fee, buyToken) {
+  const p = new URLSearchParams(params);
+  p.delete("feeRecipient");
+  p.delete("buyTokenPercentageFee");
+  if (fee && fee.recipient && fee.bps > 0) {
+    p.set("swapFeeRecipient", fee.recipient);
+    p.set("swapFeeBps", String(fee.bps));
+    p.set("swapFeeToken", buyToken);
+  }
+  return p;
+}
+
+/** 65바이트 hex 서명 또는 { v, r, s } → 0x가 받는 { v, r, s, signatureType: 2(EIP-712) } */
+function normalizeEip712Signature(sig) {
+  if (sig && typeof sig === "object") {
+    const v = Number(sig.v);
+    if (!/^0x[0-9a-fA-F]{64}$/.test(sig.r || "") || !/^0x[0-9a-fA-F]{64}$/.test(sig.s || "") || !(v === 27 || v === 28)) {
+      throw badRequest("signature must have v (27|28), r and s");
+    }
+    return { v, r: sig.r, s: sig.s, signatureType: Number(sig.signatureType || 2) };
+  }
+  const h = String(sig || "").replace(/^0x/, "");
+  if (!/^[0-9a-fA-F]{130}$/.test(h)) throw badRequest("signature must be a 65-byte hex string or { v, r, s }");
+  let v = parseInt(h.slice(128, 130), 16);
+  if (v < 27) v += 27;
+  return { v, r: "0x" + h.slice(0, 64), s: "0x" + h.slice(64, 128), signatureType: 2 };
+}
+
+function signedPart(part, label) {
+  if (!part || typeof part !== "object" || !part.type || !part.eip712 || typeof part.eip712 !== "object") {
+    throw badRequest(`${label} must be { type, eip712, signature }`);
+  }
+  return { type: part.type, eip712: part.eip712, signature: normalizeEip712Signature(part.signature) };
+}
+
+// price/quote 공통 입력 검증 → { chain, input, fee, params }
+async function gaslessRequest(b, { takerRequired }) {
+  const chain = getChain(b.chainId);
+  if (!chain) throw badRequest(`Unsupported chainId: ${b.chainId}`);
+  if (!b.sellToken || !b.buyToken || (b.sellAmount == null && b.sellAmountHuman == null)) {
+    throw badRequest("sellToken, buyToken, sellAmount are required");
+  }
+  if (takerRequired ? !isHexAddress(b.taker) : b.taker != null && !isHexAddress(b.taker)) {
+    throw badRequest(takerRequired ? "taker is required for gasless" : "taker must be an address");
+  }
+
+  const input = await resolveSwapInput(b, chain);
+  if (isNativeToken(input.sellToken, chain)) {
+    throw badRequest(`Gasless cannot sell native ${chain.nativeSymbol}; wrap it or use /swap`);
+  }
+
+  const fee = gaslessFee(input.fee);
+  const params = buildParams({
+    ...b,
+    chainId: chain.chainId,
+    sellToken: input.sellToken,
+    buyToken: input.buyToken,
+    sellAmount: input.sellAmount,
+    fee,
+  });
+  return { chain, input, fee, params: toGaslessParams(params, fee, input.buyToken) };
+}
+
+app.post("/gasless/price", rateLimit("quote"), async (req, res) => {
+  try {
+    const { chain, input, fee, params } = await gaslessRequest(req.body || {}, { takerRequired: false });
+    const data = await call0x(`${ZEROX_BASE}/gasless/price?${params}`, { idempotent: true });
+
+    if (data.liquidityAvailable === false) {
+      return res.json({ liquidityAvailable: false, message: "No gasless liquidity for this pair/amount" });
+    }
+
+    res.json({
+      liquidityAvailable: true,
+      chainId: chain.chainId,
+      sellToken: input.sellToken,
+      buyToken: input.buyToken,
+      sellAmount: data.sellAmount != null ? String(data.sellAmount) : input.sellAmount,
+      buyAmount: data.buyAmount,
+      minBuyAmount: data.minBuyAmount,
+      fees: data.fees || null,
+      issues: data.issues || null,
+      fee,
+      formatted: formatSwapAmounts(data, input.sellMeta, input.buyMeta),
+    });
+  } catch (err) {
+    log.error("/gasless/price error", { status: err.status, details: err.details || err.message });
+    if (err.retryAfterMs) res.setHeader("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+    res.status(err.status || 500).json({ message: err.message || "Gasless price failed", details: err.details || null });
+  }
+});
+
+app.post("/gasless/quote", rateLimit("quote"), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const { chain, input, fee, params } = await gaslessRequest(b, { takerRequired: true });
+    const data = await call0x(`${ZEROX_BASE}/gasless/quote?${params}`);
+
+    if (data.liquidityAvailable === false || !data.trade) {
+      return res.json({ liquidityAvailable: false, message: "No gasless liquidity for this pair/amount" });
+    }
+
+    rememberSwapQuote(chain, b.taker, gaslessTradeKey(data.trade.eip712), {
+      sellToken: input.sellToken,
+      buyToken: input.buyToken,
+      sellAmount: input.sellAmount,
+      buyAmount: data.buyAmount != null ? String(data.buyAmount) : null,
+      minBuyAmount: data.minBuyAmount != null ? String(data.minBuyAmount) : null,
+      quoteData: { buyAmount: data.buyAmount, fees: data.fees },
+      fee,
+    });
+
+    res.json({
+      liquidityAvailable: true,
+      chainId: chain.chainId,
+      sellToken: input.sellToken,
+      buyToken: input.buyToken,
+      sellAmount: data.sellAmount != null ? String(data.sellAmount) : input.sellAmount,
+      buyAmount: data.buyAmount,
+      minBuyAmount: data.minBuyAmount,
+      approval: data.approval || null, // null이면 이미 승인됨 (또는 permit 불필요)
+      trade: data.trade,
+      fees: data.fees || null,
+      issues: data.issues || null,
+      fee,
+      formatted: formatSwapAmounts(data, input.sellMeta, input.buyMeta),
+    });
+  } catch (err) {
+    log.error("/gasless/quote error", { status: err.status, details: err.details || err.message });
+    if (err.retryAfterMs) res.setHeader("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+    res.status(err.status || 500).json({ message: err.message || "Gasless quote failed", details: err.details || null });
+  }
+});
+
+app.post("/gasless/submit", rateLimit("swap"), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const chain = getChain(b.chainId);
+    if (!chain) return res.status(400).json({ message: `Unsupported chainId: ${b.chainId}` });
+    if (!isHexAddress(b.taker)) return res.status(400).json({ message: "taker is required" });
+
+    const trade = signedPart(b.trade, "trade");
+    const approval = b.approval ? signedPart(b.approval, "approval") : null;
+
+    const memo = recallSwapQuote(chain, b.taker, gaslessTradeKey(trade.eip712));
+    if (!memo) return res.status(400).json({ message: "Unknown or expired trade; request a new /gasless/quote" });
+
+    const data = await call0x(`${ZEROX_BASE}/gasless/submit`, {
+      body: { chainId: chain.chainId, trade, ...(approval ? { approval } : {}) },
+    });
+    if (!data.tradeHash) throw Object.assign(new Error("0x did not return a tradeHash"), { status: 502, details: data });
+
+    const revenue = swapRevenueRecord({
+      chain,
+      taker: b.taker,
+      sellToken: memo.sellToken,
+      buyToken: memo.buyToken,
+      sellAmount: memo.sellAmount,
+      quoteData: memo.quoteData,
+      fee: memo.fee,
+    });
+    if (revenue) appendRevenue({ ...revenue, tradeHash: data.tradeHash });
+
+    for (const [k, v] of __gaslessTrades) {
+      if (__gaslessTrades.size < GASLESS_TRADE_MAX && Date.now() - v.ts < SWAP_MEMO_TTL_MS) break;
+      __gaslessTrades.delete(k);
+    }
+    __gaslessTrades.set(String(data.tradeHash).toLowerCase(), {
+      ts: Date.now(),
+      tradeHash: data.tradeHash,
+      chainId: chain.chainId,
+      revenueId: revenue ? revenue.id : null,
+      confirmed: false,
+    });
+
+    log.info("/gasless/submit -> 0x", { tradeHash: data.tradeHash, approval: Boolean(approval) });
+    res.json({ tradeHash: data.tradeHash, type: data.type || trade.type, zid: data.zid || null });
+  } catch (err) {
+    log.error("/gasless/submit error", { status: err.status, details: err.details || err.message });
+    if (err.retryAfterMs) res.setHeader("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+    res.status(err.status || 500).json({ message: err.message || "Gasless submit failed", details: err.details || null });
+  }
+});
+
+app.get("/gasless/status/:tradeHash", rateLimit("default"), async (req, res) => {
+  try {
+    const tradeHash = String(req.params.tradeHash || "");
+    if (!/^0x[0-9a-fA-F]{64}$/.test(tradeHash)) return res.status(400).json({ message: "Invalid tradeHash" });
+    const chain = getChain(req.query.chainId);
+    if (!chain) return res.status(400).json({ message: `Unsupported chainId: ${req.query.chainId}` });
+
+    const data = await call0x(`${ZEROX_BASE}/gasless/status/${tradeHash}?chainId=${chain.chainId}`, {
+      idempotent: true,
+    });
+    const transactions = Array.isArray(data.transactions) ? data.transactions : [];
+
+    const t = __gaslessTrades.get(tradeHash.toLowerCase());
+    if (t && t.revenueId && !t.confirmed && data.status === "confirmed") {
+      t.confirmed = true;
+      appendRevenue({
+        type: "status",
+        id: t.revenueId,
+        status: "confirmed",
+        ts: new Date().toISOString(),
+        txHash: transactions.length ? transactions[transactions.length - 1].hash : t.tradeHash,
+        tradeHash: t.tradeHash,
+      });
+    }
+
+    res.json({
+      tradeHash,
+      chainId: chain.chainId,
+      status: data.status || "unknown",
+      reason: data.reason || null,
+      transactions: transactions.map((tx) => ({
+        ...tx,
+        explorerUrl: tx.hash ? fillTemplate(chain.explorerTxUrl, { hash: tx.hash }) : null,
+      })),
+      approvalTransactions: data.approvalTransactions || null,
+    });
+  } catch (err) {
+    log.error("/gasless/status error", { status: err.status, error: err.message });
+    res.status(err.status || 500).json({ message: err.message || "Gasless status lookup failed", details: err.details || null });
+  }
+});
+
+/* =========================
+   Bridge (체인 간 이동: 출발 체인 swap → bridge → 도착 체인 swap)
+   - BRIDGE_PROVIDERS=lifi (기본). adapter: { name, enabled(), quote(ctx), status(q) }
+     ctx = { fromChain, toChain, sell, buy, sellAmount, taker, recipient, slippageBps, fee }
+     quote 반환(정규화) = { provider, id, tool, steps[], fromAmount, toAmount, toAmountMin,
+                           etaSeconds, fees, gas, approvalAddress, tx(첫 단계), raw }
+     status 반환 = { status: pending|done|failed|not_found, substatus, sending, receiving }
+   - 여러 provider가 켜져 있으면 병렬 조회 후 toAmount 최대 경로 선택 (aggregator와 같은 방식)
+   ========================= */
+const BRIDGE_PROVIDERS = String(process.env.BRIDGE_PROVIDERS || "lifi")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const BRIDGE_TIMEOUT_MS = Number(process.env.BRIDGE_TIMEOUT_MS || 20000);
+const BRIDGE_INTEGRATOR = process.env.BRIDGE_INTEGRATOR || "gdex";
+const LIFI_BASE = process.env.LIFI_BASE || "https://li.quest/v1"; // 로컬 mock 서버로 바꿔서 테스트 가능
+const LIFI_API_KEY = process.env.LIFI_API_KEY || "";
+const BRIDGE_STATUSES = new Set(["pending", "done", "failed", "not_found"]);
+
+/* ---- Li.Fi ---- */
+const LIFI_NATIVE = "0x0000000000000000000000000000000000000000";
+
+function lifiToken(address) {
+  return address.toLowerCase() === ETH_SENTINEL.toLowerCase() ? LIFI_NATIVE : address;
+}
+
+function lifiHeaders() {
+  return { Accept: "application/json", ...(LIFI_API_KEY ? { "x-lifi-api-key": LIFI_API_KEY } : {}) };
+}
+
+function lifiStep(st) {
+  const a = st.action || {};
+  const e = st.estimate || {};
+  const tok = (t) => (t ? { address: t.address, symbol: t.symbol, decimals: t.decimals } : null);
+  return {
+    type: st.type === "cross" ? "bridge" : st.type === "swap" ? "swap" : st.type || "unknown",
+    tool: (st.toolDetails && st.toolDetails.name) || st.tool || null,
+    fromChainId: a.fromChainId ?? null,
+    toChainId: a.toChainId ?? null,
+    fromToken: tok(a.fromToken),
+    toToken: tok(a.toToken),
+    fromAmount: a.fromAmount != null ? String(a.fromAmount) : null,
+    toAmount: e.toAmount != null ? String(e.toAmount) : null,
+    etaSeconds: e.executionDuration ?? null,
+  };
+}
+
+function sumUsd(list) {
+  let total = 0;
+  let known = false;
+  for (const c of list) {
+    const v = Number(c.amountUSD);
+    if (Number.isFinite(v)) {
+      total += v;
+      known = true;
+    }
+  }
+  return known ? Number(total.toFixed(2)) : null;
+}
+
+const lifiBridge = {
+  name: "lifi",
+  enabled: () => true,
+  async quote(ctx) {
+    const p = new URLSearchParams({
+      fromChain: String(ctx.fromChain.chainId),
+      toChain: String(ctx.toChain.chainId),
+      fromToken: lifiToken(ctx.sell.address),
+      toToken: lifiToken(ctx.buy.address),
+      fromAmount: ctx.sellAmount,
+      fromAddress: ctx.taker,
+      toAddress: ctx.recipient,
+      slippage: String(ctx.slippageBps / 10000),
+      integrator: BRIDGE_INTEGRATOR,
+    });
+    if (ctx.fee && ctx.fee.percentage > 0) p.set("fee", String(ctx.fee.percentage));
+    const d = await fetchJson(`${LIFI_BASE}/quote?${p}`, { headers: lifiHeaders() }, "lifi");
+
+    const e = d.estimate || {};
+    if (e.toAmount == null || !d.transactionRequest) {
+      const err = new Error("lifi: no route for this transfer");
+      err.status = 404;
+      throw err;
+    }
+    const steps = (Array.isArray(d.includedSteps) && d.includedSteps.length ? d.includedSteps : [d]).map(lifiStep);
+    const feeCosts = Array.isArray(e.feeCosts) ? e.feeCosts : [];
+    const gasCosts = Array.isArray(e.gasCosts) ? e.gasCosts : [];
+    const t = d.transactionRequest;
+    return {
+      provider: "lifi",
+      id: d.id || null,
+      tool: (d.toolDetails && d.toolDetails.name) || d.tool || null,
+      steps,
+      fromAmount: String(e.fromAmount ?? ctx.sellAmount),
+      toAmount: String(e.toAmount),
+      toAmountMin: e.toAmountMin != null ? String(e.toAmountMin) : null,
+      etaSeconds: e.executionDuration ?? null,
+      fees: {
+        totalUsd: sumUsd(feeCosts),
+        items: feeCosts.map((c) => ({
+          name: c.name || null,
+          amount: c.amount != null ? String(c.amount) : null,
+          token: c.token ? c.token.symbol : null,
+          usd: c.amountUSD != null ? Number(c.amountUSD) : null,
+          included: c.included !== false, // true면 toAmount에서 이미 빠짐
+        })),
+      },
+      gas: { totalUsd: sumUsd(gasCosts) },
+      approvalAddress: e.approvalAddress || null,
+      tx: { to: t.to, data: t.data, value: t.value, gas: t.gasLimit || null, chainId: t.chainId || ctx.fromChain.chainId },
+      statusParams: { bridge: d.tool || null },
+      raw: d,
+    };
+  },
+  async status({ txHash, fromChain, toChain, bridge }) {
+    const p = new URLSearchParams({ txHash });
+    if (fromChain) p.set("fromChain", String(fromChain.chainId));
+    if (toChain) p.set("toChain", String(toChain.chainId));
+    if (bridge) p.set("bridge", bridge);
+    let d;
+    try {
+      d = await fetchJson(`${LIFI_BASE}/status?${p}`, { headers: lifiHeaders() }, "lifi");
+    } catch (e) {
+      // 아직 인덱싱 전인 tx는 404
+      if (e.status === 404) return { status: "not_found", substatus: null, sending: null, receiving: null, raw: e.details };
+      throw e;
+    }
+    const leg = (x) =>
+      x && x.txHash
+        ? { txHash: x.txHash, chainId: x.chainId ?? null, amount: x.amount != null ? String(x.amount) : null }
+        : null;
+    const st = String(d.status || "").toLowerCase();
+    return {
+      status: BRIDGE_STATUSES.has(st) ? st : st === "invalid" ? "failed" : "pending",
+      substatus: d.substatus || null,
+      message: d.substatusMessage || null,
+      sending: leg(d.sending),
+      receiving: leg(d.receiving),
+      raw: d,
+    };
+  },
+};
+
+const BRIDGE_ADAPTERS = [lifiBridge];
+
+function enabledBridges() {
+  return BRIDGE_ADAPTERS.filter((a) => BRIDGE_PROVIDERS.includes(a.name) && a.enabled());
+}
+
+function bridgeExplorer(chain, leg) {
+  return leg ? { ...leg, explorerUrl: chain ? fillTemplate(chain.explorerTxUrl, { hash: leg.txHash }) : null } : null;
+}
+
+app.post("/bridge/quote", rateLimit("quote"), async (req, res) => {
+  try {
+    const b = req.body || {};
+    if (b.fromChainId == null || b.toChainId == null) {
+      return res.status(400).json({ message: "fromChainId and toChainId are required" });
+    }
+    const fromChain = getChain(b.fromChainId);
+    const toChain = getChain(b.toChainId);
+    if (!fromChain) return res.status(400).json({ message: `Unsupported fromChainId: ${b.fromChainId}` });
+    if (!toChain) return res.status(400).json({ message: `Unsupported toChainId: ${b.toChainId}` });
+    if (fromChain.chainId === toChain.chainId) {
+      return res.status(400).json({ message: "fromChainId and toChainId are the same; use /quote" });
+    }
+    if (!b.sellToken || !b.buyToken || (b.sellAmount == null && b.sellAmountHuman == null)) {
+      return res.status(400).json({ message: "sellToken, buyToken, sellAmount are required" });
+    }
+    if (!isHexAddress(b.taker)) return res.status(400).json({ message: "taker is required" });
+    if (b.recipient != null && !isHexAddress(b.recipient)) return res.status(400).json({ message: "Invalid recipient" });
+
+    const providers = enabledBridges().filter((a) => !b.provider || a.name === String(b.provider).toLowerCase());
+    if (!providers.length) return res.status(400).json({ message: `No bridge provider available${b.provider ? `: ${b.provider}` : ""}` });
+
+    const [sell, buy] = await Promise.all([
+      resolveTokenInput(fromChain, b.sellToken, "sellToken"),
+      resolveTokenInput(toChain, b.buyToken, "buyToken"),
+    ]);
+    const sellAmount = resolveSellAmount(b, sell.meta);
+    const fee = resolveFee({
+      chain: fromChain,
+      sellToken: sell.address,
+      buyToken: buy.address,
+      sellAmount,
+      sellMeta: sell.meta,
+      partner: b.partner || b.ref || null,
+    });
+    const ctx = {
+      fromChain,
+      toChain,
+      sell,
+      buy,
+      sellAmount,
+      taker: b.taker,
+      recipient: b.recipient || b.taker,
+      slippageBps: resolveSlippageBps(b),
+      fee,
+    };
+
+    const results = await Promise.allSettled(
+      providers.map((a) => withTimeout(a.quote(ctx), BRIDGE_TIMEOUT_MS, `bridge ${a.name}`))
+    );
+    const routes = [];
+    const errors = [];
+    results.forEach((r, i) => {
+      if (r.status === "fulfilled") routes.push(r.value);
+      else errors.push({ provider: providers[i].name, status: r.reason.status || null, message: r.reason.message || String(r.reason) });
+    });
+    if (!routes.length) {
+      const first = results[0].reason;
+      log.warn("bridge: no route", { errors });
+      return res.status(first.status && first.status < 500 ? first.status : 502).json({ message: "No bridge route found", errors });
+    }
+    routes.sort((x, y) => (BigInt(y.toAmount) > BigInt(x.toAmount) ? 1 : BigInt(y.toAmount) < BigInt(x.toAmount) ? -1 : 0));
+    const best = routes[0];
+
+    // 첫 단계 tx는 출발 체인에서 실행 → 그 체인 기준 approval 확인
+    let approval = null;
+    if (sell.address !== ETH_SENTINEL && best.approvalAddress) {
+      try {
+        approval = await checkApproval({
+          chain: fromChain,
+          token: sell.address,
+          owner: b.taker,
+          spender: best.approvalAddress,
+          amount: sellAmount,
+          unlimited: b.approveUnlimited === true,
+        });
+      } catch (e) {
+        log.warn("bridge: approval check failed", { error: e.message || String(e) });
+      }
+    }
+
+    const summarize = (r) => ({
+      provider: r.provider,
+      tool: r.tool,
+      toAmount: r.toAmount,
+      toAmountMin: r.toAmountMin,
+      etaSeconds: r.etaSeconds,
+      feesUsd: r.fees.totalUsd,
+      gasUsd: r.gas.totalUsd,
+    });
+    const fmt = (v, meta) => (v != null && meta ? formatUnits(v, meta.decimals) : null);
+
+    log.info("/bridge/quote", {
+      provider: best.provider,
+      tool: best.tool,
+      from: fromChain.key,
+      to: toChain.key,
+      steps: best.steps.map((st) => st.type).join(">"),
+    });
+    res.json({
+      provider: best.provider,
+      id: best.id,
+      tool: best.tool,
+      fromChainId: fromChain.chainId,
+      toChainId: toChain.chainId,
+      sellToken: sell.address,
+      buyToken: buy.address,
+      sellAmount: best.fromAmount,
+      buyAmount: best.toAmount,
+      minBuyAmount: best.toAmountMin,
+      etaSeconds: best.etaSeconds,
+      steps: best.steps,
+      fees: best.fees,
+      gas: best.gas,
+      tx: best.tx,
+      approval,
+      status: { provider: best.provider, fromChainId: fromChain.chainId, toChainId: toChain.chainId, ...best.statusParams },
+      alternatives: routes.slice(1).map(summarize),
+      sourceErrors: errors,
+      fee,
+      formatted: {
+        sellToken: sell.meta,
+        buyToken: buy.meta,
+        sellAmount: fmt(best.fromAmount, sell.meta),
+        buyAmount: fmt(best.toAmount, buy.meta),
+        minBuyAmount: fmt(best.toAmountMin, buy.meta),
+      },
+    });
+  } catch (err) {
+    log.error("/bridge/quote error", { status: err.status, details: err.details || err.message });
+    if (err.retryAfterMs) res.setHeader("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+    res.status(err.status || 500).json({ message: err.message || "Bridge quote failed", details: err.details || null });
+  }
+});
+
+/* /bridge/status — query: txHash(첫 단계 tx), fromChainId, toChainId, provider, bridge(/bridge/quote의 status 값) */
+app.get("/bridge/status", rateLimit("default"), async (req, res) => {
+  try {
+    const q = req.query;
+    const txHash = String(q.txHash || "");
+    if (!/^0x[0-9a-fA-F]{64}$/.test(txHash)) return res.status(400).json({ message: "Invalid txHash" });
+    const fromChain = q.fromChainId != null ? getChain(q.fromChainId) : null;
+    if (!fromChain) return res.status(400).json({ message: `Unsupported fromChainId: ${q.fromChainId}` });
+    const toChain = q.toChainId != null ? getChain(q.toChainId) : null;
+    if (q.toChainId != null && !toChain) return res.status(400).json({ message: `Unsupported toChainId: ${q.toChainId}` });
+
+    const providers = enabledBridges();
+    const adapter = q.provider ? providers.find((a) => a.name === String(q.provider).toLowerCase()) : providers[0];
+    if (!adapter) return res.status(400).json({ message: `No bridge provider available${q.provider ? `: ${q.provider}` : ""}` });
+
+    const st = await adapter.status({ txHash, fromChain, toChain, bridge: q.bridge ? String(q.bridge) : null });
+    const chainOf = (leg, fallback) => (leg && leg.chainId != null ? getChain(leg.chainId) : fallback);
+
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      provider: adapter.name,
+      txHash,
+      status: st.status,
+      substatus: st.substatus,
+      message: st.message || null,
+      sending: bridgeExplorer(chainOf(st.sending, fromChain), st.sending),
+      receiving: bridgeExplorer(chainOf(st.receiving, toChain), st.receiving),
+    });
+  } catch (err) {
+    log.error("/bridge/status error", { status: err.status, error: err.message });
+    res.status(err.status || 500).json({ message: err.message || "Bridge status lookup failed", details: err.details || null });
+  }
+});
+
+/* =========================
+   Wallet portfolio — GET /wallet/:address/portfolio?chainId=1
+   - 네이티브 + 토큰 리스트(TOKEN_LIST) + ?tokens= 로 준 토큰 잔고를 Multicall3 한 번(청크)으로 조회
+   - USD 가격: 0x /price (토큰 1개 → USDC), 실패하면 subgraph derivedETH × ethPrice
+   - 잔고는 주소별로 짧게, 토큰 가격은 토큰별로 조금 더 길게 캐시
+   ========================= */
+const PORTFOLIO_BALANCE_TTL_MS = Number(process.env.PORTFOLIO_BALANCE_TTL_MS || 15 * 1000);
+const PORTFOLIO_PRICE_TTL_MS = 60 * 1000;
+const PORTFOLIO_MAX_TOKENS = 500;
+const PORTFOLIO_MAX_EXTRA_TOKENS = 50;
+const PORTFOLIO_MAX_PRICED = 40; // 잔고 있는 토큰 중 가격 조회 최대 개수
+const PORTFOLIO_PRICE_CONCURRENCY = 4;
+
+const __balanceCache = createTtlCache({ ttlMs: PORTFOLIO_BALANCE_TTL_MS, max: 1000, name: "wallet_balances" });
+const __usdPriceCache = createTtlCache({ ttlMs: PORTFOLIO_PRICE_TTL_MS, max: 2000, name: "token_usd_price" });
+
+function portfolioTokens(chain, extra) {
+  const idx = __tokenListIndex.get(chain.chainId);
+  const byAddr = new Map();
+  for (const t of idx ? idx.byAddress.values() : []) {
+    if (byAddr.size >= PORTFOLIO_MAX_TOKENS) break;
+    byAddr.set(t.address.toLowerCase(), t);
+  }
+  for (const a of extra) if (!byAddr.has(a.toLowerCase())) byAddr.set(a.toLowerCase(), null); // 메타는 나중에
+  return byAddr;
+}
+
+/** [{ token, balance }] — 0번은 네이티브 */
+async function readWalletBalances(chain, owner, tokenAddrs) {
+  const calls = [
+    { target: chain.multicall3, data: MULTICALL3_SELECTORS.getEthBalance + encodeAddressWord(owner) },
+    ...tokenAddrs.map((t) => ({ target: t, data: ERC20_SELECTORS.balanceOf + encodeAddressWord(owner) })),
+  ];
+  const results = await multicall(chain, calls);
+  return results.map((r, i) => ({
+    token: i === 0 ? ETH_SENTINEL : tokenAddrs[i - 1],
+    balance: r.success && r.data.length >= 66 ? BigInt(r.data.slice(0, 66)).toString() : null,
+  }));
+}
+
+async function subgraphUsdPrice(chain, token) {
+  const id = isNativeToken(token, chain) ? chain.wrappedNative : token;
+  if (!chain.subgraphUrl || !id) return null;
+  const data = await sushiGraphql(
+    chain,
+    `query Price($id:ID!) { token(id: $id) { derivedETH } bundle(id: "1") { ethPrice } }`,
+    { id: id.toLowerCase() }
+  );
+  const p = safeNum(data.token?.derivedETH, 0) * safeNum(data.bundle?.ethPrice, 0);
+  return p > 0 ? p : null;
+}
+
+/** 토큰 1개의 USD 가격 → { priceUsd, source } (모르면 priceUsd=null) */
+async function tokenUsdPrice(chain, token, decimals) {
+  if (chain.usdc && token.toLowerCase() === chain.usdc.toLowerCase()) return { priceUsd: 1, source: "usdc" };
+
+  const { value } = await __usdPriceCache.getOrLoad(`${chain.chainId}:${token.toLowerCase()}`, async () => {
+    if (chain.usdc) {
+      try {
+        const usdc = await getTokenMeta(chain, chain.usdc);
+        const p = new URLSearchParams({
+          chainId: String(chain.chainId),
+          sellToken: token,
+          buyToken: chain.usdc,
+          sellAmount: (10n ** BigInt(decimals)).toString(),
+        });
+        const { data: d } = await fetchPrice(p);
+        if (d.buyAmount != null && usdc) {
+          return { priceUsd: Number(formatUnits(d.buyAmount, usdc.decimals)), source: "0x" };
+        }
+      } catch (e) {
+        log.debug("portfolio: 0x price failed", { token, error: e.message || String(e) });
+      }
+    }
+    try {
+      const priceUsd = await subgraphUsdPrice(chain, token);
+      if (priceUsd != null) return { priceUsd, source: "subgraph" };
+    } catch (e) {
+      log.debug("portfolio: subgraph price failed", { token, error: e.message || String(e) });
+    }
+    return { priceUsd: null, source: null };
+  });
+  return value;
+}
+
+// fn을 최대 limit개씩 동시에
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+async function getPortfolio(chain, owner, extraTokens, includeZero) {
+  const tokens = portfolioTokens(chain, extraTokens);
+  const addrs = [...tokens.keys()];
+
+  const cacheKey = `${chain.chainId}:${owner.toLowerCase()}:${extraTokens.map((t) => t.toLowerCase()).sort().join(",")}`;
+  const { value: balances, status, ageMs } = await __balanceCache.getOrLoad(cacheKey, () =>
+    readWalletBalances(chain, owner, addrs)
+  );
+
+  const held = balances.filter((b) => b.balance != null && (includeZero || BigInt(b.balance) > 0n));
+  const holdings = await Promise.all(
+    held.map(async (b) => {
+      const meta = isNativeToken(b.token, chain)
+        ? nativeTokenMeta(chain)
+        : tokens.get(b.token.toLowerCase()) || (await getTokenMeta(chain, b.token));
+      if (!meta) return null;
+      return {
+        token: meta.address,
+        symbol: meta.symbol,
+        name: meta.name,
+        decimals: meta.decimals,
+        logoURI: meta.logoURI || null,
+        native: isNativeToken(b.token, chain),
+        balance: b.balance,
+        balanceFormatted: formatUnits(b.balance, meta.decimals),
+        priceUsd: null,
+        valueUsd: null,
+        priceSource: null,
+      };
+    })
+  ).then((list) => list.filter(Boolean));
+
+  // 가격은 잔고 있는 것만 (너무 많으면 앞에서부터 PORTFOLIO_MAX_PRICED개)
+  const toPrice = holdings.filter((h) => BigInt(h.balance) > 0n).slice(0, PORTFOLIO_MAX_PRICED);
+  await mapLimit(toPrice, PORTFOLIO_PRICE_CONCURRENCY, async (h) => {
+    const { priceUsd, source } = await tokenUsdPrice(chain, h.native ? ETH_SENTINEL : h.token, h.decimals);
+    h.priceUsd = priceUsd;
+    h.priceSource = source;
+    h.valueUsd = priceUsd != null ? Number(h.balanceFormatted) * priceUsd : null;
+  });
+
+  holdings.sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+  const totalUsd = holdings.reduce((sum, h) => sum + (h.valueUsd || 0), 0);
+
+  return {
+    chainId: chain.chainId,
+    address: owner,
+    totalUsd,
+    totalText: formatUsdCompact(totalUsd),
+    holdings,
+    unpriced: holdings.filter((h) => h.priceUsd == null && BigInt(h.balance) > 0n).length,
+    tokensChecked: addrs.length + 1,
+    cache: { status, ageMs },
+  };
+}
+
+app.get("/wallet/:address/portfolio", rateLimit("default"), async (req, res) => {
+  try {
+    const owner = String(req.params.address || "");
+    if (!isHexAddress(owner)) return res.status(400).json({ message: "Invalid address" });
+
+    const chain = getChain(req.query.chainId);
+    if (!chain) return res.status(400).json({ message: `Unsupported chainId: ${req.query.chainId}` });
+    if (!chain.rpcUrl) return res.status(503).json({ message: `RPC URL is not configured for ${chain.key}` });
+
+    const extra = String(req.query.tokens || "")
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+    if (extra.length > PORTFOLIO_MAX_EXTRA_TOKENS) {
+      return res.status(400).json({ message: `At most ${PORTFOLIO_MAX_EXTRA_TOKENS} extra tokens` });
+    }
+    const bad = extra.find((t) => !isHexAddress(t));
+    if (bad) return res.status(400).json({ message: `Invalid token address: ${bad}` });
+
+    const portfolio = await getPortfolio(chain, owner, extra, String(req.query.includeZero || "") === "true");
+    res.setHeader("Cache-Control", "no-store");
+    res.json(portfolio);
+  } catch (err) {
+    log.error("/wallet/:address/portfolio error", { error: err.message });
+    res.status(err.status || 502).json({ message: err.message || "Portfolio lookup failed" });
+  }
+});
+
+/* =========================
+   Limit orders / price alerts
+   - "sellAmount A → B, 가격(B per A)이 triggerPrice 이상(gte)/이하(lte)가 되면" 알림
+   - ORDERS_FILE(JSON)에 저장 → 재시작해도 유지
+   - watcher가 ORDER_WATCH_INTERVAL_MS마다 /quote와 같은 경로(prepareQuote → fetchPrice → call0x)로 가격 확인
+   - 조건 충족 시 status=ready + SSE(/orders/stream) + webhook(선택). 실제 tx는 프런트가 /swap으로 새로 받아서 서명
+   - 인증: 지갑 서명(EIP-191) 로그인 → 세션 토큰. 생성/조회/수정/취소/stream 모두 본인(taker) 주문만
+     GET /orders/auth?taker= 로 받은 message를 personal_sign → POST /orders/auth { taker, message, signature } → { token }
+     이후 Authorization: Bearer <token> (EventSource는 헤더를 못 보내서 /orders/stream 은 ?token= 도 허용)
+   ========================= */
+const ORDERS_FILE = process.env.ORDERS_FILE || path.join(__dirname, "data", "orders.json");
+const ORDER_WATCH_INTERVAL_MS = Number(process.env.ORDER_WATCH_INTERVAL_MS || 15 * 1000);
+const ORDER_WEBHOOK_SECRET = process.env.ORDER_WEBHOOK_SECRET || "";
+const ORDER_DEFAULT_TTL_SEC = 7 * 24 * 3600;
+const ORDER_MAX_TTL_SEC = 30 * 24 * 3600;
+const ORDER_MAX_OPEN_PER_TAKER = 20;
+const ORDER_MAX_OPEN_TOTAL = 5000;
+const ORDER_KEEP_CLOSED_MS = 7 * 24 * 3600 * 1000; // 끝난 주문은 7일 뒤 정리
+const ORDER_PRICE_CONCURRENCY = 4;
+const ORDER_CONDITIONS = new Set(["gte", "lte"]);
+const ORDER_KINDS = new Set(["order", "alert"]);
+const ORDER_PUBLIC_STATUSES = new Set(["open", "ready", "cancelled", "expired"]);
+// 세션 서명 키. 없으면 재시작할 때마다 새로 만들어짐 (= 다시 로그인 필요, 인스턴스 여러 대면 반드시 설정)
+const ORDER_AUTH_SECRET = process.env.ORDER_AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+const ORDER_AUTH_TTL_MS = Number(process.env.ORDER_AUTH_TTL_MS || 24 * 3600 * 1000);
+const ORDER_AUTH_MESSAGE_MAX_AGE_MS = 10 * 60 * 1000; // 서명할 message 유효 시간
+
+if (!process.env.ORDER_AUTH_SECRET) log.warn("ORDER_AUTH_SECRET is not set; order sessions reset on restart");
+
+const __orders = new Map(); // id -> order
+const __orderClients = new Set(); // { res, taker }
+const __orderAuthUsed = new Map(); // 이미 쓴 로그인 서명 -> 만료 시각 (재사용 방지)
+let ordersWriteChain = Promise.resolve();
+let orderWatchBusy = false;
+
+function loadOrders() {
+  try {
+    const arr = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+    for (const o of Array.isArray(arr) ? arr : []) if (o && o.id) __orders.set(o.id, o);
+    log.info("orders loaded", { file: ORDERS_FILE, count: __orders.size });
+  } catch (e) {
+    if (e.code !== "ENOENT") log.error("orders could not be loaded", { file: ORDERS_FILE, error: e.message });
+  }
+}
+
+// 전체를 임시 파일에 쓰고 rename (중간에 죽어도 파일이 깨지지 않게), 쓰기 순서 보장
+function saveOrders() {
+  const json = JSON.stringify([...__orders.values()], null, 2);
+  const tmp = `${ORDERS_FILE}.tmp`;
+  ordersWriteChain = ordersWriteChain
+    .then(() => fs.promises.mkdir(path.dirname(ORDERS_FILE), { recursive: true }))
+    .then(() => fs.promises.writeFile(tmp, json))
+    .then(() => fs.promises.rename(tmp, ORDERS_FILE))
+    .catch((e) => log.error("orders write failed", { error: e.message || String(e) }));
+  return ordersWriteChain;
+}
+
+/** EIP-191 personal_sign 서명자 주소 (소문자). 형식이 틀리거나 복구 실패면 null */
+function recoverPersonalSigner(message, signature) {
+  const h = String(signature || "").replace(/^0x/, "");
+  if (!/^[0-9a-fA-F]{130}$/.test(h)) return null;
+  const msg = Buffer.from(String(message), "utf8");
+  const digest = keccak_256(Buffer.concat([Buffer.from(`\x19Ethereum Signed Message:\n${msg.length}`, "utf8"), msg]));
+  let v = parseInt(h.slice(128), 16);
+  if (v >= 27) v -= 27;
+  if (v !== 0 && v !== 1) return null;
+  try {
+    const pub = secp256k1.Signature.fromCompact(h.slice(0, 128)).addRecoveryBit(v).recoverPublicKey(digest).toRawBytes(false);
+    return "0x" + Buffer.from(keccak_256(pub.subarray(1)).subarray(-20)).toString("hex");
+  } catch {
+    return null;
+  }
+}
+
+function orderAuthHmac(data) {
+  return crypto.createHmac("sha256", ORDER_AUTH_SECRET).update(data).digest("base64url");
+}
+
+// nonce = HMAC(taker|issuedAt) → 서버가 발급한 message인지 저장 없이 확인
+function orderAuthMessage(taker, issuedAt) {
+  const nonce = orderAuthHmac(`msg|${taker}|${issuedAt}`).slice(0, 16);
+  return [
+    "G-DEX: sign in to manage your limit orders and price alerts.",
+    "This request will not trigger a blockchain transaction or cost any gas.",
+    "",
+    `Wallet: ${taker}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+  ].join("\n");
+}
+
+/** 서명 확인 → 세션 토큰. 실패는 401 */
+function createOrderSession(b) {
+  const fail = (message) => Object.assign(new Error(message), { status: 401 });
+  if (!isHexAddress(b.taker)) throw badRequest("Invalid taker");
+  const taker = b.taker.toLowerCase();
+  const m = /\nIssued At: (\S+)$/.exec(String(b.message || ""));
+  const issuedMs = m ? Date.parse(m[1]) : NaN;
+  if (!m || b.message !== orderAuthMessage(taker, m[1])) throw fail("Unknown sign-in message; request a new one from GET /orders/auth");
+  const now = Date.now();
+  if (!(now - issuedMs <= ORDER_AUTH_MESSAGE_MAX_AGE_MS && issuedMs <= now + 60 * 1000)) throw fail("Sign-in message expired");
+
+  const signature = String(b.signature || "").toLowerCase();
+  if (recoverPersonalSigner(b.message, signature) !== taker) throw fail("Signature does not match taker");
+  for (const [k, exp] of __orderAuthUsed) if (exp <= now) __orderAuthUsed.delete(k);
+  if (__orderAuthUsed.has(signature)) throw fail("Sign-in message already used");
+  __orderAuthUsed.set(signature, issuedMs + ORDER_AUTH_MESSAGE_MAX_AGE_MS);
+
+  const expiresAt = now + ORDER_AUTH_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ taker, exp: expiresAt })).toString("base64url");
+  return { token: `${payload}.${orderAuthHmac(`session|${payload}`)}`, taker, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// 세션 토큰 → taker (잘못됐거나 만료면 null)
+function orderSessionTaker(token) {
+  const [payload, mac] = String(token || "").split(".");
+  if (!payload || !mac) return null;
+  const a = Buffer.from(mac);
+  const b = Buffer.from(orderAuthHmac(`session|${payload}`));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  try {
+    const { taker, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return isHexAddress(taker) && exp > Date.now() ? taker : null;
+  } catch {
+    return null;
+  }
+}
+
+// 주문 API 인증 미들웨어 → req.orderTaker. ?taker= 가 있으면 세션 지갑과 같아야 함
+function requireOrderSession(req, res, next) {
+  const auth = String(req.headers.authorization || "");
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : req.path === "/orders/stream" ? req.query.token : null;
+  const taker = orderSessionTaker(token);
+  if (!taker) return res.status(401).json({ message: "Sign in with your wallet first (POST /orders/auth)" });
+  if (req.query.taker != null && String(req.query.taker).toLowerCase() !== taker) {
+    return res.status(403).json({ message: "taker does not match the signed-in wallet" });
+  }
+  req.orderTaker = taker;
+  next();
+}
+
+// 본인 주문만 (남의 주문은 존재 여부도 숨김)
+function findOwnOrder(req) {
+  const o = __orders.get(String(req.params.id));
+  return o && o.taker === req.orderTaker ? o : null;
+}
+
+// 루프백/사설/링크로컬/CGNAT/멀티캐스트 등 외부에서 닿으면 안 되는 주소
+function isPrivateAddress(ip) {
+  let a = String(ip).toLowerCase();
+  const mapped = /^::ffff:(?:([0-9.]+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/.exec(a); // IPv4-mapped IPv6
+  if (mapped) {
+    a = mapped[1] || [parseInt(mapped[2], 16) >> 8, parseInt(mapped[2], 16) & 255, parseInt(mapped[3], 16) >> 8, parseInt(mapped[3], 16) & 255].join(".");
+  }
+  if (net.isIPv4(a)) {
+    const [x, y] = a.split(".").map(Number);
+    return (
+      x === 0 || x === 10 || x === 127 || x >= 224 ||
+      (x === 100 && y >= 64 && y <= 127) ||
+      (x === 169 && y === 254) ||
+      (x === 172 && y >= 16 && y <= 31) ||
+      (x === 192 && (y === 168 || a.startsWith("192.0.0."))) ||
+      (x === 198 && (y === 18 || y === 19))
+    );
+  }
+  // ::, ::1, fc00::/7 (ULA), fe80::/10 (link-local), ff00::/8, 64:ff9b::/96 (NAT64)
+  return a === "::" || a === "::1" || /^f[cd]/.test(a) || /^fe[89ab]/.test(a) || a.startsWith("ff") || a.startsWith("64:ff9b:");
+}
+
+// 연결할 때 실제로 쓰는 DNS 결과를 검사 (검사 후 재조회하는 DNS rebinding도 막힘)
+function webhookLookup(hostname, options, cb) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return cb(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = list.find((r) => isPrivateAddress(r.address));
+    if (blocked) return cb(new Error(`webhook host resolves to a private address (${blocked.address})`));
+    cb(null, address, family);
+  });
+}
+
+/**
+ * webhook POST. upstreamFetch(fetch)는 DNS lookup을 바꿀 수 없어서 https.request + webhookLookup 사용
+ * redirect는 따라가지 않음 (3xx = 실패). 반환: HTTP status
+ */
+function postWebhook(url, headers, body) {
+  const { timeoutMs } = UPSTREAM_POLICIES.webhook;
+  const start = process.hrtime.bigint();
+  return new Promise((resolve, reject) => {
+    const req = https.request(
+      url,
+      { method: "POST", headers: { ...headers, "Content-Length": Buffer.byteLength(body) }, lookup: webhookLookup, timeout: timeoutMs },
+      (r) => {
+        r.resume();
+        r.on("end", () => resolve(r.statusCode));
+        r.on("error", reject);
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error(`webhook timed out after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(body);
+  }).then(
+    (status) => {
+      metrics.upstreamRequests.inc({ upstream: "webhook", outcome: `${Math.floor(status / 100)}xx` });
+      metrics.upstreamDuration.observe({ upstream: "webhook" }, Number(process.hrtime.bigint() - start) / 1e9);
+      return status;
+    },
+    (e) => {
+      metrics.upstreamRequests.inc({ upstream: "webhook", outcome: "error" });
+      throw e;
+    }
+  );
+}
+
+// https만, localhost / IP 직접 지정은 거부 (내부망 호출 방지). DNS 이름은 보낼 때 webhookLookup에서 확인
+function validateWebhookUrl(url) {
+  let u;
+  try {
+    u = new URL(String(url));
+  } catch {
+    throw badRequest("webhookUrl must be a valid URL");
+  }
+  if (u.protocol !== "https:") throw badRequest("webhookUrl must use https");
+  const host = u.hostname.toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost") || /^[0-9.]+$/.test(host) || host.includes(":")) {
+    throw badRequest("webhookUrl host is not allowed");
+  }
+  return u.toString();
+}
+
+function parseTriggerPrice(v) {
+  const n = Number(v);
+  if (v == null || v === "" || !Number.isFinite(n) || n <= 0) throw badRequest("triggerPrice must be a positive number");
+  return n;
+}
+
+function parseExpiry(b, now) {
+  let expiresAt;
+  if (b.expiresAt != null) expiresAt = typeof b.expiresAt === "number" ? b.expiresAt * 1000 : Date.parse(b.expiresAt);
+  else expiresAt = now + Number(b.expiresInSec != null ? b.expiresInSec : ORDER_DEFAULT_TTL_SEC) * 1000;
+  if (!Number.isFinite(expiresAt) || expiresAt <= now) throw badRequest("expiresAt must be in the future");
+  if (expiresAt - now > ORDER_MAX_TTL_SEC * 1000) throw badRequest(`Orders can live at most ${ORDER_MAX_TTL_SEC / 86400} days`);
+  return new Date(expiresAt).toISOString();
+}
+
+// 저장된 주문 → 응답용 (webhook 비밀 정보는 없지만 URL은 host만)
+function publicOrder(o) {
+  const { webhookUrl, ...rest } = o;
+  return { ...rest, webhook: webhookUrl ? urlHost(webhookUrl) : null };
+}
+
+function isTriggered(o, price) {
+  return o.condition === "gte" ? price >= o.triggerPrice : price <= o.triggerPrice;
+}
+
+// taker: 로그인한 지갑 (body.taker가 있으면 같아야 함)
+async function createOrder(b, taker) {
+  const chain = getChain(b.chainId);
+  if (!chain) throw badRequest(`Unsupported chainId: ${b.chainId}`);
+  if (b.taker != null && String(b.taker).toLowerCase() !== taker) {
+    throw Object.assign(new Error("taker does not match the signed-in wallet"), { status: 403 });
+  }
+  if (!b.sellToken || !b.buyToken) throw badRequest("sellToken and buyToken are required");
+  if (b.sellAmount == null && b.sellAmountHuman == null) throw badRequest("sellAmount or sellAmountHuman is required");
+
+  const kind = b.kind || "order";
+  if (!ORDER_KINDS.has(kind)) throw badRequest("kind must be order or alert");
+  const condition = b.condition || "gte";
+  if (!ORDER_CONDITIONS.has(condition)) throw badRequest("condition must be gte or lte");
+  const triggerPrice = parseTriggerPrice(b.triggerPrice);
+  const now = Date.now();
+  const expiresAt = parseExpiry(b, now);
+  const webhookUrl = b.webhookUrl ? validateWebhookUrl(b.webhookUrl) : null;
+
+  const open = [...__orders.values()].filter((o) => o.status === "open");
+  if (open.length >= ORDER_MAX_OPEN_TOTAL) {
+    const err = new Error("Order book is full, try again later");
+    err.status = 503;
+    throw err;
+  }
+  if (open.filter((o) => o.taker === taker).length >= ORDER_MAX_OPEN_PER_TAKER) {
+    throw badRequest(`At most ${ORDER_MAX_OPEN_PER_TAKER} open orders per wallet`);
+  }
+
+  const input = await resolveSwapInput(b, chain);
+  if (!input.sellMeta || !input.buyMeta) throw badRequest("Unknown token decimals; cannot compute a price");
+
+  const order = {
+    id: crypto.randomUUID(),
+    kind,
+    status: "open",
+    chainId: chain.chainId,
+    taker,
+    sellToken: input.sellToken,
+    buyToken: input.buyToken,
+    sellAmount: input.sellAmount,
+    sellSymbol: input.sellMeta.symbol,
+    buySymbol: input.buyMeta.symbol,
+    sellDecimals: input.sellMeta.decimals,
+    buyDecimals: input.buyMeta.decimals,
+    partner: b.partner || b.ref || null,
+    triggerPrice,
+    condition,
+    webhookUrl,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    expiresAt,
+    lastPrice: null,
+    lastCheckedAt: null,
+    triggeredAt: null,
+    notifiedAt: null,
+    notifyError: null,
+  };
+  __orders.set(order.id, order);
+  await saveOrders();
+  return order;
+}
+
+function updateOrder(o, b) {
+  if (o.status !== "open") throw badRequest(`Order is ${o.status}`);
+  const now = Date.now();
+  const next = { ...o };
+  if (b.triggerPrice != null) next.triggerPrice = parseTriggerPrice(b.triggerPrice);
+  if (b.condition != null) {
+    if (!ORDER_CONDITIONS.has(b.condition)) throw badRequest("condition must be gte or lte");
+    next.condition = b.condition;
+  }
+  if (b.expiresAt != null || b.expiresInSec != null) next.expiresAt = parseExpiry(b, now);
+  if (b.webhookUrl !== undefined) next.webhookUrl = b.webhookUrl ? validateWebhookUrl(b.webhookUrl) : null;
+  next.updatedAt = new Date(now).toISOString();
+  __orders.set(o.id, next);
+  return next;
+}
+
+async function sendOrderWebhook(o, event) {
+  const body = JSON.stringify({ event, order: publicOrder(o) });
+  const headers = { "Content-Type": "application/json", "User-Agent": "G-DEX-Orders/1.0" };
+  if (ORDER_WEBHOOK_SECRET) {
+    headers["X-GDEX-Signature"] = crypto.createHmac("sha256", ORDER_WEBHOOK_SECRET).update(body).digest("hex");
+  }
+  const status = await postWebhook(o.webhookUrl, headers, body);
+  if (status < 200 || status >= 300) throw new Error(`webhook HTTP ${status}`);
+}
+
+async function notifyOrder(o, event) {
+  for (const c of __orderClients) {
+    if (c.taker === o.taker) sseSend(c.res, event, publicOrder(o));
+  }
+  if (!o.webhookUrl) return;
+  try {
+    await sendOrderWebhook(o, event);
+    o.notifiedAt = new Date().toISOString();
+    o.notifyError = null;
+  } catch (e) {
+    o.notifyError = e.message || String(e);
+    log.warn("order webhook failed", { orderId: o.id, error: o.notifyError });
+  }
+}
+
+// 같은 체인/페어/금액/partner 주문은 가격 한 번만 조회
+async function checkOrderGroup(orders) {
+  const o = orders[0];
+  const chain = getChain(o.chainId);
+  if (!chain) return;
+  const { params } = await prepareQuote(
+    { chainId: o.chainId, sellToken: o.sellToken, buyToken: o.buyToken, sellAmount: o.sellAmount, partner: o.partner },
+    chain
+  );
+  const { data } = await fetchPrice(params);
+  if (data.buyAmount == null) return;
+
+  const price =
+    Number(formatUnits(data.buyAmount, o.buyDecimals)) / Number(formatUnits(o.sellAmount, o.sellDecimals));
+  const now = new Date().toISOString();
+  for (const o of orders) {
+    // 가격 조회 / 알림을 기다리는 동안 PATCH·DELETE로 바뀌었을 수 있어 맵에서 다시 읽음
+    const ord = __orders.get(o.id);
+    if (!ord) continue;
+    ord.lastPrice = price;
+    ord.lastCheckedAt = now;
+    if (ord.status !== "open" || !isTriggered(ord, price)) continue;
+    ord.status = "ready";
+    ord.triggeredAt = now;
+    ord.updatedAt = now;
+    log.info("order triggered", { orderId: ord.id, price, triggerPrice: ord.triggerPrice });
+    await notifyOrder(ord, "order.ready");
+  }
+}
+
+async function watchOrders() {
+  if (orderWatchBusy) return;
+  orderWatchBusy = true;
+  try {
+    const now = Date.now();
+    let changed = false;
+    const groups = new Map();
+    for (const o of __orders.values()) {
+      if (o.status === "open" && Date.parse(o.expiresAt) <= now) {
+        o.status = "expired";
+        o.updatedAt = new Date(now).toISOString();
+        changed = true;
+        await notifyOrder(o, "order.expired");
+        continue;
+      }
+      if (o.status !== "open") {
+        if (now - Date.parse(o.updatedAt) > ORDER_KEEP_CLOSED_MS) {
+          __orders.delete(o.id);
+          changed = true;
+        }
+        continue;
+      }
+      const key = [o.chainId, o.sellToken, o.buyToken, o.sellAmount, o.partner || ""].join("|").toLowerCase();
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(o);
+    }
+
+    await mapLimit([...groups.values()], ORDER_PRICE_CONCURRENCY, async (orders) => {
+      try {
+        await checkOrderGroup(orders);
+        changed = true;
+      } catch (e) {
+        log.warn("order price check failed", { orders: orders.length, error: e.message || String(e) });
+      }
+    });
+    if (changed) await saveOrders();
+  } finally {
+    orderWatchBusy = false;
+  }
+}
+
+loadOrders();
+if (ORDER_WATCH_INTERVAL_MS > 0) {
+  setInterval(
+    () => watchOrders().catch((e) => log.error("order watcher error", { error: e.message })),
+    ORDER_WATCH_INTERVAL_MS
+  ).unref();
+}
+
+// 로그인용 message (서명만 하면 되는 텍스트)
+app.get("/orders/auth", rateLimit("default"), (req, res) => {
+  const taker = String(req.query.taker || "");
+  if (!isHexAddress(taker)) return res.status(400).json({ message: "taker is required" });
+  const issuedAt = new Date().toISOString();
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ message: orderAuthMessage(taker.toLowerCase(), issuedAt), issuedAt });
+});
+
+app.post("/orders/auth", rateLimit("default"), (req, res) => {
+  try {
+    res.json(createOrderSession(req.body || {}));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message || "Sign-in failed" });
+  }
+});
+
+app.post("/orders", rateLimit("default"), requireOrderSession, async (req, res) => {
+  try {
+    const order = await createOrder(req.body || {}, req.orderTaker);
+    res.status(201).json(publicOrder(order));
+  } catch (err) {
+    if (!err.status || err.status >= 500) log.error("/orders error", { error: err.message });
+    res.status(err.status || 500).json({ message: err.message || "Order create failed", details: err.details || null });
+  }
+});
+
+app.get("/orders", rateLimit("default"), requireOrderSession, (req, res) => {
+  const taker = req.orderTaker;
+  const status = req.query.status ? String(req.query.status) : null;
+  if (status && !ORDER_PUBLIC_STATUSES.has(status)) {
+    return res.status(400).json({ message: "status must be open, ready, cancelled or expired" });
+  }
+  const orders = [...__orders.values()]
+    .filter((o) => o.taker === taker && (!status || o.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicOrder);
+  res.json({ orders });
+});
+
+// SSE: 로그인한 지갑 주문만. event: order.ready | order.expired | order.cancelled
+app.get("/orders/stream", rateLimit("quote-stream"), requireOrderSession, (req, res) => {
+  if (__orderClients.size >= STREAM_MAX_CLIENTS) {
+    return res.status(503).json({ message: "Too many stream clients, try again later" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(": connected\n\n"); // 헤더를 바로 보내야 EventSource가 open됨 (ready 주문이 없으면 첫 ping까지 대기)
+  const client = { res, taker: req.orderTaker };
+  __orderClients.add(client);
+  // 연결 직후 이미 ready인 주문을 한 번 보내줌 (연결이 끊겨 있던 사이 트리거된 것)
+  for (const o of __orders.values()) {
+    if (o.taker === client.taker && o.status === "ready") sseSend(res, "order.ready", publicOrder(o));
+  }
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    __orderClients.delete(client);
+  });
+});
+
+app.get("/orders/:id", rateLimit("default"), requireOrderSession, (req, res) => {
+  const o = findOwnOrder(req);
+  if (!o) return res.status(404).json({ message: "Order not found" });
+  res.json(publicOrder(o));
+});
+
+app.patch("/orders/:id", rateLimit("default"), requireOrderSession, async (req, res) => {
+  try {
+    const o = findOwnOrder(req);
+    if (!o) return res.status(404).json({ message: "Order not found" });
+    const updated = updateOrder(o, req.body || {});
+    await saveOrders();
+    res.json(publicOrder(updated));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message || "Order update failed" });
+  }
+});
+
+app.delete("/orders/:id", rateLimit("default"), requireOrderSession, async (req, res) => {
+  try {
+    const o = findOwnOrder(req);
+    if (!o) return res.status(404).json({ message: "Order not found" });
+    if (o.status === "open" || o.status === "ready") {
+      o.status = "cancelled";
+      o.updatedAt = new Date().toISOString();
+      await saveOrders();
+      // webhook 응답을 기다리지 않음 (notifiedAt / notifyError는 나중에 저장)
+      notifyOrder(o, "order.cancelled")
+        .then(saveOrders)
+        .catch((e) => log.error("order cancel notify failed", { orderId: o.id, error: e.message || String(e) }));
+    }
+    res.json(publicOrder(o));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message || "Order cancel failed" });
+  }
+});
+
+// ==============================
+// Sushi Pools Proxy API (GraphQL)
+// GET /sushi/pools?chain=ethereum&limit=5&orderBy=tvl&token=WETH&minTvl=10000&cursor=...
+// GET /sushi/pools/:id?chain=ethereum   (chain: key 또는 chainId)
+// ==============================
+
+// 간단 캐시(서버 메모리) — 60초, 동시 요청은 GraphQL 1번으로 합침
+const SUSHI_CACHE_TTL_MS = 60 * 1000;
+const __sushiCache = createTtlCache({ ttlMs: SUSHI_CACHE_TTL_MS, max: 200, name: "sushi_pools" }); // key: 쿼리 조합
+
+// v2 subgraph에는 swapFee가 없음 → 체인 설정(sushiFeePct / sushiLpFeePct)으로, 기본은 0.3% (LP 몫 0.25%)
+const SUSHI_V2_FEE_PCT = 0.3;
+const SUSHI_V2_LP_FEE_PCT = 0.25;
+const SUSHI_ORDER_FIELDS = { tvl: "reserveUSD", volume: "volumeUSD", created: "createdAtTimestamp" };
+const SUSHI_MAX_LIMIT = 50;
+const SUSHI_DAY_DATA_DAYS = 8; // 오늘(진행 중) + 지난 7일
+
+function safeNum(n, fallback = 0) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : fallback;
+}
+
+function formatUsdCompact(v) {
+  const n = safeNum(v, 0);
+
+  // ✅ 0 이하거나 너무 작으면 0.00 대신 "—"로
+  if (n <= 0) return "$—";
+  if (n < 0.01) return "<$0.01";
+
+  if (n >= 1e9) return `$${(n / 1e9).toFixed(2)}b`;
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(2)}m`;
+  if (n >= 1e3) return `$${(n / 1e3).toFixed(2)}k`;
+  return `$${n.toFixed(2)}`;
+}
+
+function sushiFees(c) {
+  return {
+    feePct: safeNum(c.sushiFeePct, SUSHI_V2_FEE_PCT),
+    lpFeePct: safeNum(c.sushiLpFeePct, SUSHI_V2_LP_FEE_PCT),
+  };
+}
+
+async function sushiGraphql(c, query, variables) {
+  if (!c.subgraphUrl) throw new Error(`Sushi subgraph URL is missing for ${c.key}`);
+
+  const body = JSON.stringify({ query, variables });
+  const r = await upstreamFetch(
+    "subgraph",
+    c.subgraphUrl,
+    { method: "POST", headers: { "content-type": "application/json" }, body },
+    { idempotent: true, breaker: `subgraph:${c.key}` }
+  );
+
+  const text = await r.text().catch(() => "");
+  if (!r.ok) throw new Error(`GraphQL HTTP ${r.status}: ${text.slice(0, 200)}`);
+
+  let json;
+  try {
+    json = text ? JSON.parse(text) : {};
+  } catch {
+    throw new Error("GraphQL returned non-JSON response");
+  }
+
+  if (json.errors?.length) {
+    throw new Error(`GraphQL errors: ${json.errors.map((e) => e.message).join(" | ")}`);
+  }
+  return json.data || {};
+}
+
+/**
+ * cursor = base64url({ v, skip }): 마지막 항목의 정렬 값 + 그 값과 같은 항목을 몇 개 지나왔는지.
+ * graph-node는 (정렬 필드, id) 순으로 정렬하므로 `${field}_lte: v` + skip으로 동률도 빠짐없이 이어짐
+ */
+function encodeSushiCursor(v, skip) {
+  return Buffer.from(JSON.stringify({ v, skip })).toString("base64url");
+}
+
+function decodeSushiCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof c.v !== "string" || !Number.isInteger(c.skip) || c.skip < 0 || c.skip > 5000) return null;
+    return c;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * ✅ sushiswap/exchange(=v2 스타일) 기준:
+ * pairs에는 reserveUSD/volumeUSD는 있지만 swapFee는 없음.
+ * token: 심볼(부분 일치, 대소문자 무시) 또는 토큰 주소 — token0/token1 어느 쪽이든
+ */
+async function fetchSushiPoolsFromGraphql({
+  chain = "ethereum",
+  limit = 5,
+  orderBy = "created",
+  direction = "desc",
+  token = "",
+  minTvl = 0,
+  cursor = null,
+}) {
+  const c = typeof chain === "object" && chain ? chain : getChain(chain);
+  if (!c) throw new Error(`Unsupported chain: ${chain}`);
+
+  const first = Math.max(1, Math.min(SUSHI_MAX_LIMIT, Number(limit) || 5));
+  const field = SUSHI_ORDER_FIELDS[orderBy] || SUSHI_ORDER_FIELDS.created;
+  const asc = direction === "asc";
+
+  const base = {};
+  if (minTvl > 0) base.reserveUSD_gte = String(minTvl);
+  if (cursor) base[`${field}_${asc ? "gte" : "lte"}`] = cursor.v;
+
+  let where = base;
+  if (token) {
+    const side = isHexAddress(token)
+      ? (t) => ({ [t]: token.toLowerCase() })
+      : (t) => ({ [`${t}_`]: { symbol_contains_nocase: token } });
+    where = { or: [{ ...base, ...side("token0") }, { ...base, ...side("token1") }] };
+  }
+
+  const query = `
+    query Pairs($first:Int!, $skip:Int!, $orderBy:Pair_orderBy!, $dir:OrderDirection!, $where:Pair_filter) {
+      pairs(first: $first, skip: $skip, orderBy: $orderBy, orderDirection: $dir, where: $where) {
+        id
+        createdAtTimestamp
+        token0 { id symbol }
+        token1 { id symbol }
+        reserveUSD
+        volumeUSD
+      }
+    }
+  `;
+
+  // 다음 페이지 유무 확인용으로 1개 더
+  const data = await sushiGraphql(c, query, {
+    first: first + 1,
+    skip: cursor ? cursor.skip : 0,
+    orderBy: field,
+    dir: asc ? "asc" : "desc",
+    where,
+  });
+
+  if (!Array.isArray(data.pairs)) {
+    throw new Error("Sushi subgraph schema mismatch or empty response");
+  }
+
+  const page = data.pairs.slice(0, first);
+  let nextCursor = null;
+  if (data.pairs.length > first) {
+    const lastV = String(page[page.length - 1][field]);
+    let ties = page.filter((p) => String(p[field]) === lastV).length;
+    if (cursor && cursor.v === lastV) ties += cursor.skip; // 페이지 전체가 같은 값
+    nextCursor = encodeSushiCursor(lastV, ties);
+  }
+
+  const { feePct } = sushiFees(c);
+  const items = page.map((p) => {
+    const t0 = p?.token0?.symbol || "?";
+    const t1 = p?.token1?.symbol || "?";
+    const name = `${t0} / ${t1}`;
+
+    const tvlUsd = safeNum(p.reserveUSD ?? 0, 0);
+    const volUsd = safeNum(p.volumeUSD ?? 0, 0);
+
+    return {
+      id: p.id,
+      name,
+      token0: { id: p?.token0?.id || null, symbol: t0 },
+      token1: { id: p?.token1?.id || null, symbol: t1 },
+      tvlUsd,
+      tvlText: formatUsdCompact(tvlUsd),
+      volumeUsd: volUsd,
+      feePct,
+      createdAt: safeNum(p.createdAtTimestamp, 0),
+      url: fillTemplate(c.poolUrl, { id: p.id }),
+    };
+  });
+
+  return { items, nextCursor };
+}
+
+/**
+ * 풀 상세: reserve, 토큰 USD 가격(derivedETH × bundle.ethPrice), pairDayDatas 기반 24h 거래량/수수료, 수수료 APR
+ * - 24h = 마지막으로 끝난 날(UTC) 기준 (오늘 데이터는 진행 중이라 제외)
+ * - APR = LP 수수료(24h 또는 7일 평균) × 365 / TVL
+ */
+async function fetchSushiPoolDetail({ chain, id }) {
+  const c = chain;
+  const query = `
+    query Pool($id:ID!, $pair:String!, $days:Int!) {
+      pair(id: $id) {
+        id
+        createdAtTimestamp
+        reserve0
+        reserve1
+        reserveUSD
+        volumeUSD
+        token0Price
+        token1Price
+        txCount
+        token0 { id symbol name decimals derivedETH }
+        token1 { id symbol name decimals derivedETH }
+      }
+      pairDayDatas(first: $days, orderBy: date, orderDirection: desc, where: { pair: $pair }) {
+        date
+        volumeUSD
+        reserveUSD
+        txCount
+      }
+      bundle(id: "1") { ethPrice }
+    }
+  `;
+
+  const data = await sushiGraphql(c, query, { id, pair: id, days: SUSHI_DAY_DATA_DAYS });
+  const p = data.pair;
+  if (!p) return null;
+
+  const ethPrice = safeNum(data.bundle?.ethPrice, 0);
+  const { feePct, lpFeePct } = sushiFees(c);
+  const tvlUsd = safeNum(p.reserveUSD, 0);
+
+  const todayStart = Math.floor(Date.now() / 86400000) * 86400;
+  const dayData = (Array.isArray(data.pairDayDatas) ? data.pairDayDatas : []).map((d) => ({
+    date: safeNum(d.date, 0),
+    volumeUsd: safeNum(d.volumeUSD, 0),
+    tvlUsd: safeNum(d.reserveUSD, 0),
+    txCount: safeNum(d.txCount, 0),
+  }));
+  const completed = dayData.filter((d) => d.date < todayStart).slice(0, 7);
+
+  const volume24hUsd = completed.length ? completed[0].volumeUsd : 0;
+  const volume7dAvgUsd = completed.length
+    ? completed.reduce((sum, d) => sum + d.volumeUsd, 0) / completed.length
+    : 0;
+  const apr = (dailyVolume) => (tvlUsd > 0 ? (dailyVolume * (lpFeePct / 100) * 365) / tvlUsd : null);
+
+  const tokenOut = (t, reserve) => {
+    const priceUsd = safeNum(t?.derivedETH, 0) * ethPrice;
+    return {
+      id: t?.id || null,
+      symbol: t?.symbol || "?",
+      name: t?.name || null,
+      decimals: safeNum(t?.decimals, 18),
+      reserve: String(reserve ?? "0"),
+      priceUsd: priceUsd > 0 ? priceUsd : null,
+    };
+  };
+
+  return {
+    id: p.id,
+    name: `${p.token0?.symbol || "?"} / ${p.token1?.symbol || "?"}`,
+    url: fillTemplate(c.poolUrl, { id: p.id }),
+    createdAt: safeNum(p.createdAtTimestamp, 0),
+    token0: tokenOut(p.token0, p.reserve0),
+    token1: tokenOut(p.token1, p.reserve1),
+    // v2 스키마: token0Price = token1 1개당 token0 수량
+    price: {
+      token0InToken1: safeNum(p.token1Price, 0),
+      token1InToken0: safeNum(p.token0Price, 0),
+    },
+    tvlUsd,
+    tvlText: formatUsdCompact(tvlUsd),
+    volumeUsd: safeNum(p.volumeUSD, 0),
+    volume24hUsd,
+    fees24hUsd: volume24hUsd * (feePct / 100),
+    lpFees24hUsd: volume24hUsd * (lpFeePct / 100),
+    feePct,
+    lpFeePct,
+    feeApr: apr(volume24hUsd),
+    feeApr7d: apr(volume7dAvgUsd),
+    txCount: safeNum(p.txCount, 0),
+    dayData,
+  };
+}
+
+app.get("/sushi/pools", async (req, res) => {
+  const c = getChain(req.query.chain || "ethereum");
+  if (!c) {
+    return res.status(400).json({ ok: false, error: `Unsupported chain: ${req.query.chain}`, items: [] });
+  }
+  const chain = c.key;
+
+  const orderBy = String(req.query.orderBy || "created").toLowerCase();
+  if (!SUSHI_ORDER_FIELDS[orderBy]) {
+    return res.status(400).json({ ok: false, error: "orderBy must be tvl, volume or created", items: [] });
+  }
+  const direction = String(req.query.direction || "desc").toLowerCase();
+  if (direction !== "asc" && direction !== "desc") {
+    return res.status(400).json({ ok: false, error: "direction must be asc or desc", items: [] });
+  }
+  const minTvl = req.query.minTvl != null ? Number(req.query.minTvl) : 0;
+  if (!Number.isFinite(minTvl) || minTvl < 0) {
+    return res.status(400).json({ ok: false, error: "minTvl must be a non-negative number", items: [] });
+  }
+  const token = String(req.query.token || "").trim();
+  if (token.length > 64) {
+    return res.status(400).json({ ok: false, error: "token is too long", items: [] });
+  }
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeSushiCursor(req.query.cursor);
+    if (!cursor) return res.status(400).json({ ok: false, error: "Invalid cursor", items: [] });
+  }
+  const limit = Math.max(1, Math.min(SUSHI_MAX_LIMIT, Number(req.query.limit || 5) || 5));
+
+  try {
+    const cacheKey = ["list", chain, orderBy, direction, limit, token.toLowerCase(), minTvl, req.query.cursor || ""].join("|");
+    const { value, status } = await __sushiCache.getOrLoad(cacheKey, () =>
+      fetchSushiPoolsFromGraphql({ chain: c, limit, orderBy, direction, token, minTvl, cursor })
+    );
+
+    return res.json({ ok: true, chain, cached: status !== "miss", items: value.items, nextCursor: value.nextCursor });
+  } catch (e) {
+    log.error("/sushi/pools error", { error: e?.message || String(e) });
+
+    // 가짜 풀 대신 빈 목록 + 에러. 프런트는 exploreUrl로 Sushi 사이트 링크만 걸 수 있음
+    return res.status(200).json({
+      ok: false,
+      chain,
+      error: String(e?.message || e),
+      items: [],
+      nextCursor: null,
+      exploreUrl: c.poolsExploreUrl || null,
+    });
+  }
+});
+
+app.get("/sushi/pools/:id", async (req, res) => {
+  const c = getChain(req.query.chain || "ethereum");
+  if (!c) return res.status(400).json({ ok: false, error: `Unsupported chain: ${req.query.chain}` });
+  const id = String(req.params.id || "");
+  if (!isHexAddress(id)) return res.status(400).json({ ok: false, error: "Invalid pool id" });
+
+  try {
+    const { value: pool, status } = await __sushiCache.getOrLoad(`pool|${c.key}|${id.toLowerCase()}`, () =>
+      fetchSushiPoolDetail({ chain: c, id: id.toLowerCase() })
+    );
+    if (!pool) return res.status(404).json({ ok: false, chain: c.key, error: "Pool not found" });
+    return res.json({ ok: true, chain: c.key, cached: status !== "miss", pool });
+  } catch (e) {
+    log.error("/sushi/pools/:id error", { error: e?.message || String(e) });
+    return res.status(502).json({ ok: false, chain: c.key, error: String(e?.message || e) });
+  }
+});
+
+/* =========================
+   Pair candles (OHLCV) — GET /pairs/:id/candles?interval=1h&limit=100&chain=ethereum
+   - 5m: swaps로 직접 집계 (체결 가격 기준 OHLC)
+   - 1h / 1d: pairHourDatas / pairDayDatas (구간 끝 reserve로 close, open = 직전 close)
+   - price = token0 1개당 token1 수량 (invert=true면 반대)
+   - 끝난 캔들은 메모리에 보관하고, 이후 요청은 마지막 캔들 이후만 다시 가져옴
+   ========================= */
+const CANDLE_INTERVALS = {
+  "5m": { seconds: 300, maxLimit: 288, source: "swaps" },
+  "1h": { seconds: 3600, maxLimit: 500, source: "hour" },
+  "1d": { seconds: 86400, maxLimit: 365, source: "day" },
+};
+const CANDLE_DEFAULT_LIMIT = 100;
+const CANDLE_STORE_MAX_PAIRS = 200;
+const CANDLE_SWAP_PAGE = 1000;
+const CANDLE_SWAP_MAX_PAGES = 5;
+const CANDLE_TAIL_TTL_MS = 15 * 1000;
+
+const __candleStore = new Map(); // `${chain}|${pair}|${interval}` -> { tokens, candles: Map<start, candle>, from, to }
+const __candleTailCache = createTtlCache({ ttlMs: CANDLE_TAIL_TTL_MS, max: 500, name: "candles_tail" });
+
+function candleStoreEntry(key) {
+  let e = __candleStore.get(key);
+  if (e) {
+    __candleStore.delete(key); // LRU: 최근 사용을 뒤로
+  } else {
+    e = { tokens: null, candles: new Map(), from: 0, to: 0 };
+  }
+  __candleStore.set(key, e);
+  while (__candleStore.size > CANDLE_STORE_MAX_PAIRS) __candleStore.delete(__candleStore.keys().next().value);
+  return e;
+}
+
+function ratio(a, b) {
+  const x = safeNum(a, 0);
+  const y = safeNum(b, 0);
+  return x > 0 && y > 0 ? y / x : null;
+}
+
+const CANDLE_PAIR_FIELDS = "pair(id: $pair) { token0 { id symbol } token1 { id symbol } }";
+
+// 1h / 1d: 구간마다 close = reserve1 / reserve0
+async function fetchReserveCandleRows(c, pair, spec, from, to) {
+  const [entity, timeField] = spec.source === "hour" ? ["pairHourDatas", "hourStartUnix"] : ["pairDayDatas", "date"];
+  const query = `
+    query Candles($pair:String!, $from:Int!, $to:Int!) {
+      ${CANDLE_PAIR_FIELDS}
+      rows: ${entity}(first: 1000, orderBy: ${timeField}, orderDirection: asc,
+        where: { pair: $pair, ${timeField}_gte: $from, ${timeField}_lt: $to }) {
+        t: ${timeField}
+        reserve0
+        reserve1
+        volumeUSD
+        volumeToken0
+        volumeToken1
+        txCount
+      }
+    }
+  `;
+  const data = await sushiGraphql(c, query, { pair, from, to });
+  const rows = (Array.isArray(data.rows) ? data.rows : []).map((r) => ({
+    start: Math.floor(safeNum(r.t, 0) / spec.seconds) * spec.seconds,
+    close: ratio(r.reserve0, r.reserve1),
+    volumeUsd: safeNum(r.volumeUSD, 0),
+    volume0: safeNum(r.volumeToken0, 0),
+    volume1: safeNum(r.volumeToken1, 0),
+    trades: safeNum(r.txCount, 0),
+  }));
+  return { pair: data.pair || null, rows, truncated: false };
+}
+
+// 5m: swaps를 최신부터 페이지로 가져와 구간별 OHLC. 너무 많으면 오래된 쪽이 잘림 (truncated)
+async function fetchSwapCandleRows(c, pair, spec, from, to) {
+  const query = `
+    query Swaps($pair:String!, $from:Int!, $before:Int!, $first:Int!, $skip:Int!) {
+      ${CANDLE_PAIR_FIELDS}
+      swaps(first: $first, skip: $skip, orderBy: timestamp, orderDirection: desc,
+        where: { pair: $pair, timestamp_gte: $from, timestamp_lte: $before }) {
+        id
+        timestamp
+        amount0In
+        amount0Out
+        amount1In
+        amount1Out
+        amountUSD
+      }
+    }
+  `;
+
+  const seen = new Set();
+  const swaps = [];
+  let pairInfo = null;
+  let before = to - 1;
+  let skip = 0;
+  let truncated = false;
+
+  for (let page = 0; ; page++) {
+    if (page >= CANDLE_SWAP_MAX_PAGES) {
+      truncated = true;
+      break;
+    }
+    const data = await sushiGraphql(c, query, { pair, from, before, first: CANDLE_SWAP_PAGE, skip });
+    pairInfo = pairInfo || data.pair || null;
+    const batch = Array.isArray(data.swaps) ? data.swaps : [];
+    for (const sw of batch) {
+      if (seen.has(sw.id)) continue;
+      seen.add(sw.id);
+      swaps.push(sw);
+    }
+    if (batch.length < CANDLE_SWAP_PAGE) break;
+
+    // 다음 페이지: 마지막 timestamp 이하 + 같은 timestamp는 skip으로 건너뜀
+    const lastTs = safeNum(batch[batch.length - 1].timestamp, 0);
+    const ties = batch.filter((sw) => safeNum(sw.timestamp, 0) === lastTs).length;
+    skip = lastTs === before ? skip + ties : ties; // 페이지 전체가 같은 timestamp면 누적
+    before = lastTs;
+  }
+
+  const buckets = new Map();
+  for (const sw of swaps.reverse()) {
+    const a0 = safeNum(sw.amount0In, 0) + safeNum(sw.amount0Out, 0);
+    const a1 = safeNum(sw.amount1In, 0) + safeNum(sw.amount1Out, 0);
+    const price = ratio(a0, a1);
+    if (price == null) continue;
+    const start = Math.floor(safeNum(sw.timestamp, 0) / spec.seconds) * spec.seconds;
+    const b = buckets.get(start);
+    if (!b) {
+      buckets.set(start, {
+        start,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volumeUsd: safeNum(sw.amountUSD, 0),
+        volume0: a0,
+        volume1: a1,
+        trades: 1,
+      });
+      continue;
+    }
+    b.high = Math.max(b.high, price);
+    b.low = Math.min(b.low, price);
+    b.close = price;
+    b.volumeUsd += safeNum(sw.amountUSD, 0);
+    b.volume0 += a0;
+    b.volume1 += a1;
+    b.trades++;
+  }
+  return { pair: pairInfo, rows: [...buckets.values()], truncated };
+}
+
+/**
+ * rows → 연속된 캔들. 거래 없는 구간은 직전 close로 평평하게 채움.
+ * prevClose: from 직전 캔들의 close (없으면 첫 거래부터 시작)
+ */
+function buildCandles(rows, spec, from, to, prevClose) {
+  const byStart = new Map(rows.map((r) => [r.start, r]));
+  const out = [];
+  let last = prevClose;
+  for (let t = from; t < to; t += spec.seconds) {
+    const r = byStart.get(t);
+    if (!r || r.close == null) {
+      if (last == null) continue;
+      out.push({ time: t, open: last, high: last, low: last, close: last, volumeUsd: 0, volume0: 0, volume1: 0, trades: 0 });
+      continue;
+    }
+    const open = r.open != null ? r.open : last != null ? last : r.close;
+    out.push({
+      time: t,
+      open,
+      high: Math.max(open, r.high ?? r.close),
+      low: Math.min(open, r.low ?? r.close),
+      close: r.close,
+      volumeUsd: r.volumeUsd,
+      volume0: r.volume0,
+      volume1: r.volume1,
+      trades: r.trades,
+    });
+    last = r.close;
+  }
+  return out;
+}
+
+async function getPairCandles({ chain, pair, interval, limit }) {
+  const spec = CANDLE_INTERVALS[interval];
+  const now = Math.floor(Date.now() / 1000);
+  const currentStart = Math.floor(now / spec.seconds) * spec.seconds; // 진행 중인 캔들
+  const from = currentStart - (limit - 1) * spec.seconds;
+  const to = currentStart + spec.seconds;
+
+  const storeKey = `${chain.key}|${pair}|${interval}`;
+  const entry = candleStoreEntry(storeKey);
+  // 보관 중인 구간이 요청 시작을 덮고 있으면 그 뒤만 가져옴
+  const cached = entry.to && entry.from <= from && entry.to >= from;
+  const fetchFrom = cached ? entry.to : from;
+
+  // 직전 close를 알기 위해 한 구간 앞부터 요청 (보관분이 있으면 그걸 사용)
+  const loader = spec.source === "swaps" ? fetchSwapCandleRows : fetchReserveCandleRows;
+  const lookback = cached ? 0 : spec.seconds;
+  const { value: fetched } = await __candleTailCache.getOrLoad(`${chain.key}|${pair}|${interval}|${fetchFrom}|${to}`, () =>
+    loader(chain, pair, spec, fetchFrom - lookback, to)
+  );
+  if (!fetched.pair && !entry.tokens) {
+    __candleStore.delete(storeKey);
+    return null;
+  }
+  entry.tokens = entry.tokens || fetched.pair;
+
+  let prevClose = null;
+  if (cached) {
+    const prev = entry.candles.get(fetchFrom - spec.seconds);
+    prevClose = prev ? prev.close : null;
+  } else {
+    const before = fetched.rows.filter((r) => r.start < fetchFrom && r.close != null);
+    prevClose = before.length ? before[before.length - 1].close : null;
+  }
+  const fresh = buildCandles(fetched.rows, spec, fetchFrom, to, prevClose);
+
+  // 끝난 캔들만 보관 (truncated면 잘린 구간이 비어 보이므로 보관하지 않음)
+  if (!fetched.truncated) {
+    if (!cached) entry.candles.clear();
+    for (const cd of fresh) if (cd.time < currentStart) entry.candles.set(cd.time, cd);
+    entry.from = cached ? entry.from : fetchFrom;
+    entry.to = currentStart;
+    // 요청 가능한 최대 범위보다 오래된 것은 정리
+    const oldest = currentStart - spec.maxLimit * spec.seconds;
+    for (const t of entry.candles.keys()) if (t < oldest) entry.candles.delete(t);
+    entry.from = Math.max(entry.from, oldest);
+  }
+
+  const stored = cached ? [...entry.candles.values()].filter((cd) => cd.time >= from && cd.time < fetchFrom) : [];
+  const candles = [...stored, ...fresh.filter((cd) => cd.time >= from)].sort((a, b) => a.time - b.time);
+  return { tokens: entry.tokens, candles, cachedCandles: stored.length, truncated: fetched.truncated };
+}
+
+function invertCandle(cd) {
+  const inv = (x) => (x > 0 ? 1 / x : null);
+  return {
+    ...cd,
+    open: inv(cd.open),
+    high: inv(cd.low),
+    low: inv(cd.high),
+    close: inv(cd.close),
+    volume0: cd.volume1,
+    volume1: cd.volume0,
+  };
+}
+
+app.get("/pairs/:id/candles", rateLimit("default"), async (req, res) => {
+  const c = getChain(req.query.chain || "ethereum");
+  if (!c) return res.status(400).json({ message: `Unsupported chain: ${req.query.chain}` });
+  if (!c.subgraphUrl) return res.status(400).json({ message: `Sushi subgraph URL is missing for ${c.key}` });
+
+  const pair = String(req.params.id || "").toLowerCase();
+  if (!isHexAddress(pair)) return res.status(400).json({ message: "Invalid pair id" });
+
+  const interval = String(req.query.interval || "1h");
+  const spec = CANDLE_INTERVALS[interval];
+  if (!spec) return res.status(400).json({ message: "interval must be 5m, 1h or 1d" });
+
+  const limit = req.query.limit != null ? Number(req.query.limit) : CANDLE_DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > spec.maxLimit) {
+    return res.status(400).json({ message: `limit must be 1-${spec.maxLimit} for ${interval}` });
+  }
+  const invert = String(req.query.invert || "") === "true";
+
+  try {
+    const r = await getPairCandles({ chain: c, pair, interval, limit });
+    if (!r) return res.status(404).json({ message: "Pair not found" });
+
+    const base = invert ? r.tokens.token1 : r.tokens.token0;
+    const quote = invert ? r.tokens.token0 : r.tokens.token1;
+    res.json({
+      chainId: c.chainId,
+      pair,
+      interval,
+      base,
+      quote,
+      source: spec.source === "swaps" ? "swaps" : spec.source === "hour" ? "pairHourDatas" : "pairDayDatas",
+      truncated: r.truncated,
+      cachedCandles: r.cachedCandles,
+      candles: invert ? r.candles.map(invertCandle) : r.candles,
+    });
+  } catch (err) {
+    log.error("/pairs/:id/candles error", { error: err.message });
+    res.status(err.status || 502).json({ message: err.message || "Candles lookup failed" });
+  }
+});
+
+/* =========================
+   📰 Crypto News Section
+   - RSS 2.0 / Atom 피드 → 롤링 아카이브 (NEWS_ARCHIVE_FILE에 저장, 재시작해도 유지)
+   - 항목: title, link, source, publishedAt, summary, thumbnail
+   - 소스: 기본 목록 또는 NEWS_SOURCES_CONFIG(JSON 파일) [{ name, url, enabled }]
+   - 소스별 상태(마지막 성공/실패, 연속 실패 수)는 /api/crypto-news/sources
+   - 기사마다 언급된 토큰 심볼 태그(tokens) — 별칭 사전(기본값 + NEWS_TOKEN_ALIASES)으로 매칭
+   ========================= */
+
+const DEFAULT_NEWS_SOURCES = [
+  { name: "CoinDesk",      url: "https://www.coindesk.com/arc/outboundfeeds/rss/?outputType=xml", enabled: true },
+  { name: "Cointelegraph", url: "https://cointelegraph.com/rss", enabled: true },
+  { name: "CryptoSlate",   url: "https://cryptoslate.com/feed/", enabled: true },
+  { name: "CryptoNews",    url: "https://cryptonews.com/news/feed/", enabled: true },
+  { name: "CryptoPotato",  url: "https://cryptopotato.com/feed/", enabled: true },
+];
+
+const NEWS_MAX_ITEMS = 5;               // 기본 페이지 크기 (프런트 롤링 표시 5줄)
+const NEWS_PAGE_MAX = 50;
+const NEWS_REFRESH_MS = Number(process.env.NEWS_REFRESH_MS || 10 * 60 * 1000); // 10분마다 갱신
+const NEWS_ITEMS_PER_SOURCE = 50;
+const NEWS_SUMMARY_MAX = 300;
+const NEWS_ARCHIVE_FILE = process.env.NEWS_ARCHIVE_FILE || path.join(__dirname, "data", "news.json");
+const NEWS_ARCHIVE_MAX = Number(process.env.NEWS_ARCHIVE_MAX || 2000);
+const NEWS_ARCHIVE_DAYS = Number(process.env.NEWS_ARCHIVE_DAYS || 7);
+
+// { name, url, enabled } 정리 — 이름 중복, http(s) 아닌 url은 제외
+function normalizeNewsSources(arr) {
+  const out = [];
+  const names = new Set();
+  for (const s of Array.isArray(arr) ? arr : []) {
+    if (!s || typeof s.name !== "string" || !s.name.trim()) continue;
+    let u;
+    try {
+      u = new URL(String(s.url));
+    } catch {
+      continue;
+    }
+    if (u.protocol !== "https:" && u.protocol !== "http:") continue;
+    const name = s.name.trim();
+    if (names.has(name.toLowerCase())) continue;
+    names.add(name.toLowerCase());
+    out.push({ name, url: u.toString(), enabled: s.enabled !== false });
+  }
+  return out;
+}
+
+function loadNewsSources() {
+  const file = process.env.NEWS_SOURCES_CONFIG;
+  if (!file) return DEFAULT_NEWS_SOURCES;
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    const list = normalizeNewsSources(Array.isArray(json) ? json : json.sources);
+    if (!list.length) throw new Error("no valid sources");
+    return list;
+  } catch (e) {
+    log.warn("NEWS_SOURCES_CONFIG could not be loaded", { file, error: e.message || String(e) });
+    return DEFAULT_NEWS_SOURCES;
+  }
+}
+
+const NEWS_SOURCES_AT_START = loadNewsSources(); // /admin/config 에서 되돌릴 기본값
+let newsSources = NEWS_SOURCES_AT_START;
+
+// 심볼 -> 별칭. 대문자 약어(WETH 등)는 심볼처럼 대소문자 구분, 나머지(프로젝트명)는 구분 없이 단어 단위 매칭
+const DEFAULT_NEWS_TOKEN_ALIASES = {
+  BTC: ["Bitcoin", "WBTC"],
+  ETH: ["Ethereum", "Ether", "WETH"],
+  USDC: ["USD Coin"],
+  USDT: ["Tether"],
+  DAI: ["MakerDAO"],
+  BNB: ["Binance Coin", "WBNB"],
+  SOL: ["Solana"],
+  XRP: ["Ripple"],
+  DOGE: ["Dogecoin"],
+  ADA: ["Cardano"],
+  AVAX: ["Avalanche"],
+  POL: ["Polygon", "MATIC"],
+  ARB: ["Arbitrum"],
+  OP: ["Optimism"],
+  LINK: ["Chainlink"],
+  UNI: ["Uniswap"],
+  SUSHI: ["SushiSwap"],
+  AAVE: [],
+  PEPE: [],
+};
+const NEWS_QUOTE_ITEMS = 3; // /quote news 필드
+
+// NEWS_TOKEN_ALIASES: { "SYMBOL": ["별칭", ...] } JSON 파일 — 기본값에 덮어씀
+function loadNewsTokenAliases() {
+  const aliases = { ...DEFAULT_NEWS_TOKEN_ALIASES };
+  const file = process.env.NEWS_TOKEN_ALIASES;
+  if (!file) return aliases;
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [sym, list] of Object.entries(json || {})) {
+      if (!/^[A-Za-z0-9]{1,15}$/.test(sym) || !Array.isArray(list)) continue;
+      aliases[sym.toUpperCase()] = list.map((a) => String(a).trim()).filter(Boolean);
+    }
+  } catch (e) {
+    log.warn("NEWS_TOKEN_ALIASES could not be loaded", { file, error: e.message || String(e) });
+  }
+  return aliases;
+}
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isSymbolLike(alias) {
+  return /^[A-Z0-9]{2,10}$/.test(alias);
+}
+
+// 심볼별 정규식 2개: 심볼/약어(대소문자 구분, $eth 는 허용), 이름(대소문자 무시)
+function buildNewsTaggers(aliases) {
+  return Object.entries(aliases).map(([symbol, list]) => {
+    const syms = [symbol, ...list.filter(isSymbolLike)].map(escapeRegExp);
+    const names = list.filter((a) => !isSymbolLike(a)).map(escapeRegExp);
+    return {
+      symbol,
+      symRe: new RegExp(`(?:^|[^A-Za-z0-9])(?:${syms.join("|")})(?![A-Za-z0-9])`),
+      symCiRe: new RegExp(`\\$(?:${syms.join("|")})(?![A-Za-z0-9])`, "i"),
+      nameRe: names.length ? new RegExp(`(?:^|[^A-Za-z0-9])(?:${names.join("|")})(?![A-Za-z0-9])`, "i") : null,
+    };
+  });
+}
+
+let newsTokenAliases = loadNewsTokenAliases();
+let newsTaggers = buildNewsTaggers(newsTokenAliases);
+
+function tagNews(it) {
+  const text = `${it.title} ${it.summary || ""}`;
+  return newsTaggers
+    .filter((t) => t.symRe.test(text) || t.symCiRe.test(text) || (t.nameRe && t.nameRe.test(text)))
+    .map((t) => t.symbol);
+}
+
+// 심볼/별칭 → 사전의 대표 심볼 (WETH → ETH). 사전에 없으면 null
+function canonicalNewsSymbol(symbol) {
+  const s = String(symbol || "").trim();
+  if (!s) return null;
+  const upper = s.toUpperCase();
+  if (newsTokenAliases[upper]) return upper;
+  for (const [sym, list] of Object.entries(newsTokenAliases)) {
+    if (list.some((a) => a.toUpperCase() === upper)) return sym;
+  }
+  return null;
+}
+
+const __newsArchive = new Map(); // id -> item
+let __newsSorted = []; // 최신순 (publishedAt, 없으면 fetchedAt)
+const __newsSourceHealth = new Map(); // source name -> { lastFetchAt, lastSuccessAt, lastError, consecutiveFailures, items, ms }
+let newsState = { updatedAt: 0, error: null };
+let newsWriteChain = Promise.resolve();
+
+const XML_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  hellip: "…", mdash: "—", ndash: "–", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”",
+  laquo: "«", raquo: "»", bull: "•", middot: "·", copy: "©", reg: "®", trade: "™",
+  euro: "€", pound: "£", yen: "¥", cent: "¢", deg: "°", times: "×",
+};
+
+// 이름 있는 엔티티 + &#123; / &#x1F680; (한 번만 치환해서 &amp;lt; 가 < 로 두 번 풀리지 않게)
+function decodeXmlEntities(str = "") {
+  return String(str).replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const cp = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return cp > 0 && cp <= 0x10ffff ? String.fromCodePoint(cp) : m;
+    }
+    return XML_ENTITIES[e] ?? XML_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// 요소 내용 → 문자열 (CDATA 안은 그대로, 밖은 엔티티 디코딩)
+function xmlText(raw) {
+  return String(raw || "")
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map((part) => (part.startsWith("<![CDATA[") ? part.slice(9, -3) : decodeXmlEntities(part)))
+    .join("")
+    .trim();
+}
+
+function htmlToText(html) {
+  return decodeXmlEntities(
+    String(html || "")
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// 첫 번째로 있는 태그의 내용 (없으면 null)
+function xmlTag(block, names) {
+  for (const name of names) {
+    const m = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "i"));
+    if (m) return m[1];
+  }
+  return null;
+}
+
+function xmlAttr(tag, attr) {
+  const m = String(tag).match(new RegExp(`\\s${attr}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, "i"));
+  return m ? decodeXmlEntities(m[1] ?? m[2]).trim() : null;
+}
+
+function httpUrl(u) {
+  return /^https?:\/\//i.test(u || "") ? u : null;
+}
+
+// media:thumbnail → media:content(image) → enclosure(image) → 본문 첫 <img>
+function feedThumbnail(block, html) {
+  const thumb = block.match(/<media:thumbnail\b[^>]*>/i);
+  if (thumb && httpUrl(xmlAttr(thumb[0], "url"))) return xmlAttr(thumb[0], "url");
+  for (const tag of block.match(/<(?:media:content|enclosure)\b[^>]*>/gi) || []) {
+    const url = httpUrl(xmlAttr(tag, "url"));
+    const type = xmlAttr(tag, "type") || "";
+    const medium = xmlAttr(tag, "medium") || "";
+    if (url && (medium === "image" || type.startsWith("image/") || /\.(jpe?g|png|gif|webp)(\?|$)/i.test(url))) return url;
+  }
+  const img = String(html || "").match(/<img\b[^>]*>/i);
+  return img ? httpUrl(xmlAttr(img[0], "src")) : null;
+}
+
+function feedDate(raw) {
+  const t = Date.parse(xmlText(raw || ""));
+  if (Number.isNaN(t)) return null;
+  return new Date(Math.min(t, Date.now())).toISOString(); // 미래 날짜(시간대 오류)는 지금으로
+}
+
+function truncateText(text, max) {
+  return text.length > max ? text.slice(0, max - 1).replace(/\s+\S*$/, "") + "…" : text;
+}
+
+/** RSS 2.0 <item> / Atom <entry> → [{ id, title, link, source, publishedAt, summary, thumbnail }] */
+function parseFeed(xml, sourceName) {
+  const items = [];
+  if (!xml || typeof xml !== "string") return items;
+
+  const isAtom = !/<item[\s>]/i.test(xml) && /<entry[\s>]/i.test(xml);
+  const blocks = xml.match(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi) || [];
+
+  for (const block of blocks) {
+    const title = htmlToText(xmlText(xmlTag(block, ["title"])));
+    if (!title) continue;
+
+    let link = null;
+    let guid = null;
+    let html = "";
+    if (isAtom) {
+      for (const tag of block.match(/<link\b[^>]*>/gi) || []) {
+        const rel = xmlAttr(tag, "rel");
+        if (!rel || rel === "alternate") {
+          link = httpUrl(xmlAttr(tag, "href"));
+          if (link) break;
+        }
+      }
+      guid = xmlText(xmlTag(block, ["id"]));
+      html = xmlText(xmlTag(block, ["summary", "content"]));
+    } else {
+      link = httpUrl(xmlText(xmlTag(block, ["link"])));
+      guid = xmlText(xmlTag(block, ["guid"]));
+      html = xmlText(xmlTag(block, ["description", "content:encoded"]));
+    }
+    if (!link && httpUrl(guid)) link = guid;
+
+    const summary = truncateText(htmlToText(html), NEWS_SUMMARY_MAX);
+    items.push({
+      id: crypto.createHash("sha1").update(`${sourceName}|${guid || link || title}`).digest("hex").slice(0, 16),
+      title,
+      link,
+      source: sourceName,
+      publishedAt: feedDate(xmlTag(block, isAtom ? ["published", "updated"] : ["pubDate", "dc:date", "published"])),
+      summary: summary || null,
+      thumbnail: feedThumbnail(block, html),
+    });
+
+    if (items.length >= NEWS_ITEMS_PER_SOURCE) break;
+  }
+  return items;
+}
+
+async function fetchFeed(src) {
+  // 타임아웃(8초)은 upstreamFetch 정책에서 처리
+  const res = await upstreamFetch("rss", src.url, {
+    method: "GET",
+    headers: {
+      "User-Agent": "G-DEX-NewsFetcher/1.0",
+      "Accept": "application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8"
+    }
+  }, { propagateId: false });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const items = parseFeed(await res.text(), src.name);
+  if (!items.length) throw new Error("no items (not an RSS/Atom feed?)");
+  return items;
+}
+
+function newsSortTs(it) {
+  return Date.parse(it.publishedAt || it.fetchedAt) || 0;
+}
+
+function loadNewsArchive() {
+  try {
+    const arr = JSON.parse(fs.readFileSync(NEWS_ARCHIVE_FILE, "utf8"));
+    // 별칭 사전이 바뀌었을 수 있어서 로드할 때 다시 태깅
+    for (const it of Array.isArray(arr) ? arr : []) {
+      if (it && it.id && it.title) __newsArchive.set(it.id, { ...it, tokens: tagNews(it) });
+    }
+    pruneNewsArchive();
+    log.info("news archive loaded", { file: NEWS_ARCHIVE_FILE, count: __newsArchive.size });
+  } catch (e) {
+    if (e.code !== "ENOENT") log.error("news archive could not be loaded", { file: NEWS_ARCHIVE_FILE, error: e.message });
+  }
+}
+
+// orders와 같은 방식: 임시 파일에 쓰고 rename, 쓰기 순서 보장
+function saveNewsArchive() {
+  const json = JSON.stringify(__newsSorted);
+  const tmp = `${NEWS_ARCHIVE_FILE}.tmp`;
+  newsWriteChain = newsWriteChain
+    .then(() => fs.promises.mkdir(path.dirname(NEWS_ARCHIVE_FILE), { recursive: true }))
+    .then(() => fs.promises.writeFile(tmp, json))
+    .then(() => fs.promises.rename(tmp, NEWS_ARCHIVE_FILE))
+    .catch((e) => log.error("news archive write failed", { error: e.message || String(e) }));
+  return newsWriteChain;
+}
+
+// 보관 기간 지난 것 삭제 + 최신 NEWS_ARCHIVE_MAX개만, __newsSorted 재구성
+function pruneNewsArchive() {
+  const cutoff = Date.now() - NEWS_ARCHIVE_DAYS * 86400000;
+  const sorted = [...__newsArchive.values()]
+    .filter((it) => newsSortTs(it) >= cutoff)
+    .sort((a, b) => newsSortTs(b) - newsSortTs(a) || (a.id < b.id ? 1 : -1))
+    .slice(0, NEWS_ARCHIVE_MAX);
+  const removed = __newsArchive.size - sorted.length;
+  __newsArchive.clear();
+  for (const it of sorted) __newsArchive.set(it.id, it);
+  __newsSorted = sorted;
+  return removed;
+}
+
+async function refreshCryptoNews() {
+  const sources = newsSources.filter((s) => s.enabled);
+  const started = Date.now();
+  const results = await Promise.allSettled(
+    sources.map(async (src) => {
+      const t0 = Date.now();
+      try {
+        return await fetchFeed(src);
+      } finally {
+        const h = __newsSourceHealth.get(src.name) || { consecutiveFailures: 0 };
+        h.ms = Date.now() - t0;
+        __newsSourceHealth.set(src.name, h);
+      }
+    })
+  );
+
+  const fetchedAt = new Date().toISOString();
+  // 같은 기사가 여러 매체/피드에 올라오면 제목으로 한 번만
+  const titles = new Set([...__newsArchive.values()].map((it) => it.title.toLowerCase()));
+  // 보관 기간이 지난 기사는 넣었다가 바로 지우게 되므로(매번 파일 쓰기) 처음부터 건너뜀
+  const cutoff = Date.now() - NEWS_ARCHIVE_DAYS * 86400000;
+  let added = 0;
+  let failed = 0;
+
+  results.forEach((r, i) => {
+    const h = __newsSourceHealth.get(sources[i].name);
+    h.lastFetchAt = fetchedAt;
+    if (r.status === "fulfilled") {
+      h.lastSuccessAt = fetchedAt;
+      h.lastError = null;
+      h.consecutiveFailures = 0;
+      h.items = r.value.length;
+      for (const it of r.value) {
+        const key = it.title.toLowerCase();
+        if (__newsArchive.has(it.id) || titles.has(key)) continue;
+        if (it.publishedAt && Date.parse(it.publishedAt) < cutoff) continue;
+        titles.add(key);
+        __newsArchive.set(it.id, { ...it, tokens: tagNews(it), fetchedAt });
+        added++;
+      }
+    } else {
+      failed++;
+      h.lastError = (r.reason && r.reason.message) || String(r.reason);
+      h.consecutiveFailures = (h.consecutiveFailures || 0) + 1;
+      log.warn("news source failed", { source: sources[i].name, error: h.lastError, failures: h.consecutiveFailures });
+    }
+  });
+
+  const removed = pruneNewsArchive();
+  newsState = {
+    updatedAt: Date.now(),
+    error: sources.length && failed === sources.length ? "all news sources failed" : null,
+  };
+  if (added || removed) saveNewsArchive();
+  log.info("news refreshed", { sources: sources.length, failed, added, removed, total: __newsSorted.length, ms: Date.now() - started });
+}
+
+let newsRefreshMs = NEWS_REFRESH_MS;
+let newsTimer = null;
+
+function runNewsRefresh() {
+  return refreshCryptoNews().catch((e) => log.error("news refresh failed", { error: e.message || String(e) }));
+}
+
+// 주기 변경(/admin/config) 시 타이머 교체
+function scheduleNewsRefresh(ms) {
+  newsRefreshMs = ms;
+  if (newsTimer) clearInterval(newsTimer);
+  newsTimer = setInterval(runNewsRefresh, ms);
+  newsTimer.unref();
+}
+
+// 서버 시작 시 아카이브 로드 + 1회 갱신 + 주기 갱신
+loadNewsArchive();
+runNewsRefresh();
+scheduleNewsRefresh(NEWS_REFRESH_MS);
+
+function encodeNewsCursor(it) {
+  return Buffer.from(JSON.stringify({ t: newsSortTs(it), id: it.id })).toString("base64url");
+}
+
+function decodeNewsCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isFinite(c.t) || typeof c.id !== "string") return null;
+    return c;
+  } catch {
+    return null;
+  }
+}
+
+// 짧은 검색어(BTC, ETH, $PEPE)는 단어 단위로 — "eth"가 "ethics"에 걸리지 않게. 나머지는 부분 일치
+// 사전에 있는 토큰이면 태그(Bitcoin 기사 → BTC)도 매칭
+function newsMatcher(q) {
+  const term = q.trim().toLowerCase();
+  const sym = term.replace(/^\$/, "");
+  const tag = canonicalNewsSymbol(sym);
+  if ((term.startsWith("$") || sym.length <= 5) && /^[a-z0-9]+$/.test(sym)) {
+    const re = new RegExp(`(^|[^a-z0-9])\\$?${sym}([^a-z0-9]|$)`, "i");
+    return (it) => (tag && (it.tokens || []).includes(tag)) || re.test(it.title) || re.test(it.summary || "");
+  }
+  return (it) =>
+    (tag && (it.tokens || []).includes(tag)) ||
+    it.title.toLowerCase().includes(term) ||
+    (it.summary || "").toLowerCase().includes(term);
+}
+
+// 최신순 아카이브에서 filters 통과한 것 limit개 + 다음 cursor
+function pageNews(filters, limit, cursor) {
+  const items = [];
+  let more = false;
+  for (const it of __newsSorted) {
+    if (cursor) {
+      const t = newsSortTs(it);
+      if (t > cursor.t || (t === cursor.t && it.id >= cursor.id)) continue;
+    }
+    if (!filters.every((f) => f(it))) continue;
+    if (items.length === limit) {
+      more = true;
+      break;
+    }
+    items.push(it);
+  }
+  return {
+    items: items.map(({ fetchedAt, ...it }) => it),
+    nextCursor: more ? encodeNewsCursor(items[items.length - 1]) : null,
+  };
+}
+
+/** 토큰 관련 최근 기사 (/quote news 필드). 사전에 있으면 태그, 없으면 심볼 단어 매칭 */
+function tokenHeadlines(symbol, limit) {
+  if (!symbol) return [];
+  const tag = canonicalNewsSymbol(symbol);
+  const filter = tag ? (it) => (it.tokens || []).includes(tag) : newsMatcher(String(symbol));
+  return pageNews([filter], limit, null).items.map(({ title, link, source, publishedAt, thumbnail }) => ({
+    title,
+    link,
+    source,
+    publishedAt,
+    thumbnail,
+  }));
+}
+
+// since: ISO 날짜 또는 epoch(초/밀리초)
+function parseSince(v) {
+  if (/^\d+$/.test(String(v))) {
+    const n = Number(v);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const t = Date.parse(String(v));
+  return Number.isNaN(t) ? null : t;
+}
+
+// ✅ 프런트에서 호출할 엔드포인트
+// GET /api/crypto-news?limit&source&q&since&cursor -> { updatedAt, items:[...], nextCursor, error }
+app.get("/api/crypto-news", (req, res) => {
+  const q = req.query;
+  const limit = Math.max(1, Math.min(NEWS_PAGE_MAX, Number(q.limit || NEWS_MAX_ITEMS) || NEWS_MAX_ITEMS));
+
+  const filters = [];
+  if (q.source) {
+    const names = new Set(String(q.source).toLowerCase().split(",").map((s) => s.trim()).filter(Boolean));
+    filters.push((it) => names.has(it.source.toLowerCase()));
+  }
+  if (q.q) {
+    if (String(q.q).length > 100) return res.status(400).json({ message: "q is too long" });
+    filters.push(newsMatcher(String(q.q)));
+  }
+  if (q.since) {
+    const since = parseSince(q.since);
+    if (since == null) return res.status(400).json({ message: "Invalid since (ISO date or epoch)" });
+    filters.push((it) => newsSortTs(it) >= since);
+  }
+  let cursor = null;
+  if (q.cursor) {
+    cursor = decodeNewsCursor(q.cursor);
+    if (!cursor) return res.status(400).json({ message: "Invalid cursor" });
+  }
+
+  const page = pageNews(filters, limit, cursor);
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ updatedAt: newsState.updatedAt, ...page, error: newsState.error });
+});
+
+// GET /api/crypto-news/token/:symbolOrAddress?chainId&limit&cursor -> 해당 토큰 태그가 붙은 기사
+// 주소는 토큰 메타데이터의 심볼로 바꿔서 찾음 (WETH → ETH 처럼 별칭도 대표 심볼로)
+app.get("/api/crypto-news/token/:symbolOrAddress", rateLimit("default"), async (req, res) => {
+  try {
+    const raw = String(req.params.symbolOrAddress || "").trim();
+    let symbol = raw.replace(/^\$/, "");
+    if (isHexAddress(raw)) {
+      const chain = getChain(req.query.chainId);
+      if (!chain) return res.status(400).json({ message: `Unsupported chainId: ${req.query.chainId}` });
+      const meta = await getTokenMeta(chain, raw);
+      if (!meta || !meta.symbol) return res.status(404).json({ message: "Unknown token" });
+      symbol = meta.symbol;
+    } else if (!/^[A-Za-z0-9]{1,15}$/.test(symbol)) {
+      return res.status(400).json({ message: "Expected a token symbol or address" });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeNewsCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ message: "Invalid cursor" });
+    }
+    const limit = Math.max(1, Math.min(NEWS_PAGE_MAX, Number(req.query.limit || NEWS_MAX_ITEMS) || NEWS_MAX_ITEMS));
+
+    const tag = canonicalNewsSymbol(symbol);
+    const filter = tag ? (it) => (it.tokens || []).includes(tag) : newsMatcher(symbol);
+    const page = pageNews([filter], limit, cursor);
+
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      updatedAt: newsState.updatedAt,
+      token: { symbol: tag || symbol.toUpperCase(), query: raw, matchedBy: tag ? "tag" : "text" },
+      ...page,
+    });
+  } catch (err) {
+    log.error("/api/crypto-news/token error", { error: err.message });
+    res.status(err.status || 500).json({ message: err.message || "News lookup failed" });
+  }
+});
+
+// GET /api/crypto-news/sources -> 소스별 상태
+app.get("/api/crypto-news/sources", (req, res) => {
+  const counts = new Map();
+  for (const it of __newsSorted) counts.set(it.source, (counts.get(it.source) || 0) + 1);
+  const sources = newsSources.map((s) => {
+    const h = __newsSourceHealth.get(s.name) || {};
+    const status = !s.enabled ? "disabled" : !h.lastFetchAt ? "pending" : h.lastError ? "failing" : "ok";
+    return {
+      name: s.name,
+      url: s.url,
+      enabled: s.enabled,
+      status,
+      lastFetchAt: h.lastFetchAt || null,
+      lastSuccessAt: h.lastSuccessAt || null,
+      lastError: h.lastError || null,
+      consecutiveFailures: h.consecutiveFailures || 0,
+      lastItems: h.items ?? null,
+      archived: counts.get(s.name) || 0,
+      ms: h.ms ?? null,
+    };
+  });
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ updatedAt: newsState.updatedAt, refreshMs: newsRefreshMs, archived: __newsSorted.length, sources });
+});
+/* =========================
+   📰 Crypto News Section End
+   ========================= */
+
+/* =========================
+   Runtime config (/admin/config)
+   - 배포 없이 바꾸는 설정: CORS origin, 뉴스 소스/갱신 주기, Sushi 캐시 TTL, slippage 기본값/상한
+   - RUNTIME_CONFIG_FILE(JSON)에 기본값과 다른 항목만 저장 → 시작 시 적용, 변경 즉시 반영(재시작 불필요)
+   - 변경 이력: ADMIN_AUDIT_FILE(JSONL) { ts, actor, ip, reqId, changes: [{ key, from, to }] }
+   - actor는 X-Admin-Actor 헤더 (토큰이 공용이라 누가 바꿨는지 남기려면 필요)
+   - reload는 TOKEN_RISK_LIST 파일도 다시 읽음
+   ========================= */
+const RUNTIME_CONFIG_FILE = process.env.RUNTIME_CONFIG_FILE || path.join(__dirname, "data", "runtime-config.json");
+const ADMIN_AUDIT_FILE = process.env.ADMIN_AUDIT_FILE || path.join(__dirname, "data", "admin-audit.jsonl");
+const CORS_ORIGINS_MAX = 50;
+const NEWS_SOURCES_MAX = 30;
+
+const RUNTIME_CONFIG_DEFAULTS = {
+  corsOrigins: [...DEFAULT_CORS_ORIGINS],
+  newsSources: NEWS_SOURCES_AT_START,
+  newsRefreshMs: NEWS_REFRESH_MS,
+  sushiCacheTtlMs: SUSHI_CACHE_TTL_MS,
+  slippage: { ...DEFAULT_SLIPPAGE },
+};
+
+function intInRange(v, min, max, label) {
+  if (!Number.isInteger(v) || v < min || v > max) throw badRequest(`${label} must be an integer between ${min} and ${max}`);
+  return v;
+}
+
+// 항목별 검증 → 정규화된 값 (잘못되면 badRequest)
+const RUNTIME_CONFIG_VALIDATORS = {
+  corsOrigins(v) {
+    if (!Array.isArray(v) || v.length > CORS_ORIGINS_MAX) throw badRequest(`corsOrigins must be an array (max ${CORS_ORIGINS_MAX})`);
+    return [
+      ...new Set(
+        v.map((o) => {
+          let u;
+          try {
+            u = new URL(String(o));
+          } catch {
+            throw badRequest(`Invalid origin: ${o}`);
+          }
+          // origin만 (경로/슬래시 없이), https 또는 로컬 개발용 http://localhost
+          const local = u.protocol === "http:" && (u.hostname === "localhost" || u.hostname === "127.0.0.1");
+          if (u.origin !== String(o) || (u.protocol !== "https:" && !local)) {
+            throw badRequest(`Invalid origin: ${o} (expected https://host[:port])`);
+          }
+          return u.origin;
+        })
+      ),
+    ];
+  },
+  newsSources(v) {
+    if (!Array.isArray(v) || !v.length || v.length > NEWS_SOURCES_MAX) {
+      throw badRequest(`newsSources must be a non-empty array (max ${NEWS_SOURCES_MAX})`);
+    }
+    const list = normalizeNewsSources(v);
+    if (list.length !== v.length) throw badRequest("newsSources entries need a unique name and an http(s) url");
+    return list;
+  },
+  newsRefreshMs: (v) => intInRange(v, 60 * 1000, 24 * 60 * 60 * 1000, "newsRefreshMs"),
+  sushiCacheTtlMs: (v) => intInRange(v, 0, 60 * 60 * 1000, "sushiCacheTtlMs"),
+  slippage(v) {
+    if (!v || typeof v !== "object") throw badRequest("slippage must be { defaultPercentage, maxPercentage }");
+    const out = { ...slippageBounds, ...v };
+    const d = Number(out.defaultPercentage);
+    const m = Number(out.maxPercentage);
+    if (!Number.isFinite(m) || m <= 0 || m > 0.5) throw badRequest("slippage.maxPercentage must be > 0 and <= 0.5");
+    if (!Number.isFinite(d) || d < 0 || d > m) throw badRequest("slippage.defaultPercentage must be between 0 and maxPercentage");
+    return { defaultPercentage: d, maxPercentage: m };
+  },
+};
+
+let runtimeOverrides = {}; // 기본값과 다른 항목만
+let runtimeConfigUpdatedAt = null;
+let auditWriteChain = Promise.resolve();
+let runtimeConfigWriteChain = Promise.resolve();
+
+function effectiveRuntimeConfig() {
+  return { ...RUNTIME_CONFIG_DEFAULTS, ...runtimeOverrides };
+}
+
+/**
+ * patch({ key: value | null }) 검증 → 새 overrides. null은 기본값으로 되돌림
+ * 하나라도 잘못되면 전체 거부 (details에 항목별 에러)
+ */
+function validateRuntimePatch(patch, base) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) throw badRequest("Body must be an object");
+  const next = { ...base };
+  const errors = [];
+  for (const [key, value] of Object.entries(patch)) {
+    const validate = RUNTIME_CONFIG_VALIDATORS[key];
+    if (!validate) {
+      errors.push({ key, message: "Unknown setting" });
+      continue;
+    }
+    if (value === null) {
+      delete next[key];
+      continue;
+    }
+    try {
+      next[key] = validate(value);
+    } catch (e) {
+      errors.push({ key, message: e.message });
+    }
+  }
+  if (errors.length) {
+    const err = badRequest("Invalid config");
+    err.details = errors;
+    throw err;
+  }
+  return next;
+}
+
+// 실제 반영 (모듈 변수 교체)
+function applyRuntimeConfig(prev, next) {
+  allowedOrigins.clear();
+  for (const o of next.corsOrigins) allowedOrigins.add(o);
+
+  slippageBounds = { ...next.slippage };
+
+  if (next.sushiCacheTtlMs !== __sushiCache.ttlMs) {
+    __sushiCache.setTtl(next.sushiCacheTtlMs);
+    __sushiCache.clear();
+  }
+
+  if (next.newsRefreshMs !== newsRefreshMs) scheduleNewsRefresh(next.newsRefreshMs);
+  if (JSON.stringify(next.newsSources) !== JSON.stringify(prev.newsSources)) {
+    newsSources = next.newsSources;
+    for (const name of [...__newsSourceHealth.keys()]) {
+      if (!newsSources.some((src) => src.name === name)) __newsSourceHealth.delete(name);
+    }
+    runNewsRefresh();
+  }
+}
+
+function diffRuntimeConfig(prev, next) {
+  return Object.keys(RUNTIME_CONFIG_VALIDATORS)
+    .filter((key) => JSON.stringify(prev[key]) !== JSON.stringify(next[key]))
+    .map((key) => ({ key, from: prev[key], to: next[key] }));
+}
+
+function saveRuntimeConfig() {
+  const json = JSON.stringify({ updatedAt: runtimeConfigUpdatedAt, settings: runtimeOverrides }, null, 2);
+  const tmp = `${RUNTIME_CONFIG_FILE}.tmp`;
+  runtimeConfigWriteChain = runtimeConfigWriteChain
+    .then(() => fs.promises.mkdir(path.dirname(RUNTIME_CONFIG_FILE), { recursive: true }))
+    .then(() => fs.promises.writeFile(tmp, json))
+    .then(() => fs.promises.rename(tmp, RUNTIME_CONFIG_FILE));
+  return runtimeConfigWriteChain;
+}
+
+function appendAudit(record) {
+  const line = JSON.stringify(record) + "\n";
+  auditWriteChain = auditWriteChain
+    .then(() => fs.promises.mkdir(path.dirname(ADMIN_AUDIT_FILE), { recursive: true }))
+    .then(() => fs.promises.appendFile(ADMIN_AUDIT_FILE, line))
+    .catch((e) => log.error("admin audit write failed", { error: e.message || String(e) }));
+  return auditWriteChain;
+}
+
+function auditActor(req) {
+  const actor = String(req.headers["x-admin-actor"] || "").trim();
+  return /^[\w.@:-]{1,64}$/.test(actor) ? actor : "admin";
+}
+
+// 파일 → overrides. 잘못된 항목은 건너뛰고 경고 (시작은 막지 않음)
+function readRuntimeConfigFile() {
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(RUNTIME_CONFIG_FILE, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") log.error("runtime config could not be loaded", { file: RUNTIME_CONFIG_FILE, error: e.message });
+    return null;
+  }
+  const settings = (json && json.settings) || {};
+  const out = {};
+  for (const [key, value] of Object.entries(settings)) {
+    try {
+      Object.assign(out, validateRuntimePatch({ [key]: value }, {}));
+    } catch (e) {
+      log.warn("runtime config: invalid setting ignored", { key, details: e.details || e.message });
+    }
+  }
+  return { settings: out, updatedAt: json.updatedAt || null };
+}
+
+function loadRuntimeConfig() {
+  const loaded = readRuntimeConfigFile();
+  if (!loaded) return;
+  const prev = effectiveRuntimeConfig();
+  runtimeOverrides = loaded.settings;
+  runtimeConfigUpdatedAt = loaded.updatedAt;
+  applyRuntimeConfig(prev, effectiveRuntimeConfig());
+  log.info("runtime config loaded", { file: RUNTIME_CONFIG_FILE, settings: Object.keys(runtimeOverrides) });
+}
+
+loadRuntimeConfig();
+
+function runtimeConfigResponse() {
+  return {
+    updatedAt: runtimeConfigUpdatedAt,
+    config: effectiveRuntimeConfig(),
+    overridden: Object.keys(runtimeOverrides),
+    defaults: RUNTIME_CONFIG_DEFAULTS,
+    tokenRiskList: {
+      file: process.env.TOKEN_RISK_LIST || null,
+      deny: tokenRiskList.deny.size,
+      allow: tokenRiskList.allow.size,
+    },
+  };
+}
+
+/* /admin/config — 현재 설정 (기본값 / 변경된 항목 포함) */
+app.get("/admin/config", requireAdmin, (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json(runtimeConfigResponse());
+});
+
+/* PATCH /admin/config — { corsOrigins?, newsSources?, newsRefreshMs?, sushiCacheTtlMs?, slippage? }, null이면 기본값으로 */
+app.patch("/admin/config", requireAdmin, async (req, res) => {
+  try {
+    const next = validateRuntimePatch(req.body, runtimeOverrides);
+    const prev = effectiveRuntimeConfig();
+    const prevOverrides = runtimeOverrides;
+    const prevUpdatedAt = runtimeConfigUpdatedAt;
+    runtimeOverrides = next;
+    const after = effectiveRuntimeConfig();
+    const changes = diffRuntimeConfig(prev, after);
+    if (!changes.length) return res.json({ ...runtimeConfigResponse(), changes });
+
+    runtimeConfigUpdatedAt = new Date().toISOString();
+    try {
+      await saveRuntimeConfig();
+    } catch (e) {
+      // 파일에 못 쓰면 메모리도 되돌림 (재시작 시 설정이 사라지는 것 방지)
+      runtimeOverrides = prevOverrides;
+      runtimeConfigUpdatedAt = prevUpdatedAt;
+      runtimeConfigWriteChain = Promise.resolve();
+      throw Object.assign(new Error(`Could not save config: ${e.message}`), { status: 500 });
+    }
+    applyRuntimeConfig(prev, after);
+
+    const actor = auditActor(req);
+    appendAudit({ ts: runtimeConfigUpdatedAt, actor, ip: req.ip || null, reqId: currentRequestId(), changes });
+    log.info("runtime config updated", { actor, keys: changes.map((c) => c.key) });
+    res.json({ ...runtimeConfigResponse(), changes });
+  } catch (err) {
+    log.error("/admin/config error", { status: err.status, error: err.message });
+    res.status(err.status || 500).json({ message: err.message || "Config update failed", details: err.details || null });
+  }
+});
+
+/* POST /admin/config/reload — 파일을 직접 고쳤을 때 다시 읽어서 반영 */
+app.post("/admin/config/reload", requireAdmin, (req, res) => {
+  const loaded = readRuntimeConfigFile();
+  const prev = effectiveRuntimeConfig();
+  runtimeOverrides = loaded ? loaded.settings : {};
+  runtimeConfigUpdatedAt = loaded ? loaded.updatedAt : null;
+  const after = effectiveRuntimeConfig();
+  const changes = diffRuntimeConfig(prev, after);
+  applyRuntimeConfig(prev, after);
+  tokenRiskList = loadTokenRiskList();
+  if (changes.length) {
+    const actor = auditActor(req);
+    appendAudit({ ts: new Date().toISOString(), actor, ip: req.ip || null, reqId: currentRequestId(), source: "file", changes });
+    log.info("runtime config reloaded", { actor, keys: changes.map((c) => c.key) });
+  }
+  res.json({ ...runtimeConfigResponse(), changes });
+});
+
+/* /admin/config/audit?limit=50 — 최근 변경 이력 (최신순) */
+app.get("/admin/config/audit", requireAdmin, async (req, res) => {
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit || 50) || 50));
+  let text = "";
+  try {
+    text = await fs.promises.readFile(ADMIN_AUDIT_FILE, "utf8");
+  } catch (e) {
+    if (e.code !== "ENOENT") return res.status(500).json({ message: e.message });
+  }
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {}
+  }
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ entries: entries.slice(-limit).reverse() });
+});
+
+/* =========================
+   Health / readiness
+   - /healthz: 프로세스만 살아있으면 200 (liveness)
+   - /readyz: 설정 + RPC(eth_chainId) / 0x / subgraph / 뉴스 캐시 점검
+     필수(critical) 항목이 실패하면 503 → 로드밸런서가 트래픽을 빼도록
+     critical: 설정, 0x, 기본 체인(DEFAULT_CHAIN_ID) RPC. 다른 체인 RPC는 실패해도 degraded
+   - 프로브는 circuit breaker를 거치지 않음 (사용자 요청의 half-open 시도를 뺏거나, 열린 breaker 때문에 바로 fail 나지 않도록)
+   - 프로브가 자주 오므로 결과는 READY_CACHE_MS 동안 재사용
+   ========================= */
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS || 3000);
+const READY_CACHE_MS = Number(process.env.READY_CACHE_MS || 5000);
+const __readyCache = createTtlCache({ ttlMs: READY_CACHE_MS, max: 1, name: "readyz" });
+
+async function runCheck(critical, fn) {
+  const start = Date.now();
+  try {
+    const extra = await withTimeout(Promise.resolve().then(fn), READY_TIMEOUT_MS, "check");
+    return { status: "ok", critical, latencyMs: Date.now() - start, ...extra };
+  } catch (e) {
+    return { status: "fail", critical, latencyMs: Date.now() - start, error: e.message || String(e) };
+  }
+}
+
+function checkConfig() {
+  const missing = [];
+  const warnings = [];
+  if (!ZEROX_API_KEY) missing.push("ZEROX_API_KEY");
+  if (!isHexAddress(FEE_RECIPIENT)) missing.push("FEE_RECIPIENT");
+  for (const c of CHAINS.values()) {
+    if (!c.rpcUrl) warnings.push(`RPC URL not set for ${c.key}`);
+    if (!c.subgraphUrl) warnings.push(`subgraph URL not set for ${c.key}`);
+  }
+  return {
+    status: missing.length ? "fail" : "ok",
+    critical: true,
+    ...(missing.length ? { missing } : {}),
+    ...(warnings.length ? { warnings } : {}),
+  };
+}
+
+// fallback URL까지 전부 확인: 다른 체인을 가리키는 URL이 있으면 fail, 일부만 죽었으면 ok + errors
+async function checkRpc(chain) {
+  const ids = await Promise.all(
+    chain.rpcUrls.map((_, i) =>
+      rpcAt(chain, i, "eth_chainId", [], { breaker: false, timeoutMs: READY_TIMEOUT_MS, retries: 0 }).then(
+        (r) => Number(BigInt(r)),
+        (e) => e
+      )
+    )
+  );
+  const wrong = ids.findIndex((id) => typeof id === "number" && id !== chain.chainId);
+  if (wrong >= 0) throw new Error(`rpc #${wrong}: eth_chainId returned ${ids[wrong]}, expected ${chain.chainId}`);
+  const errors = ids.map((id, i) => (id instanceof Error ? `rpc #${i}: ${id.message}` : null)).filter(Boolean);
+  if (errors.length === ids.length) throw new Error(errors.join("; "));
+  return { chainId: chain.chainId, urls: ids.length, healthy: ids.length - errors.length, ...(errors.length ? { errors } : {}) };
+}
+
+async function check0x() {
+  const res = await upstreamFetch(
+    "0x",
+    `${ZEROX_BASE}/sources?chainId=${DEFAULT_CHAIN_ID}`,
+    { headers: { "0x-api-key": ZEROX_API_KEY || "", "0x-version": "v2" } },
+    { breaker: false, timeoutMs: READY_TIMEOUT_MS }
+  );
+  if (res.status === 401 || res.status === 403) throw new Error(`0x rejected the API key (HTTP ${res.status})`);
+  if (!res.ok) throw new Error(`0x HTTP ${res.status}`);
+  return { httpStatus: res.status };
+}
+
+async function checkSubgraph(chain) {
+  const r = await upstreamFetch(
+    "subgraph",
+    chain.subgraphUrl,
+    {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ query: "{ _meta { block { number } } }" }),
+    },
+    { breaker: false, timeoutMs: READY_TIMEOUT_MS }
+  );
+  const json = await r.json().catch(() => ({}));
+  if (!r.ok || json.errors) throw new Error(json.errors?.[0]?.message || `GraphQL HTTP ${r.status}`);
+  return { block: json.data?._meta?.block?.number ?? null };
+}
+
+// 뉴스는 부가 기능이라 critical 아님. 갱신 주기 2배 넘게 안 바뀌면 stale
+function checkNews() {
+  const { updatedAt, error } = newsState;
+  if (!updatedAt) return { status: "pending", critical: false };
+  const ageMs = Date.now() - updatedAt;
+  const failing = newsSources.filter((s) => s.enabled && (__newsSourceHealth.get(s.name) || {}).lastError).map((s) => s.name);
+  const status = ageMs > newsRefreshMs * 2 ? "stale" : error || !__newsSorted.length ? "fail" : "ok";
+  return {
+    status,
+    critical: false,
+    ageMs,
+    items: __newsSorted.length,
+    ...(failing.length ? { failingSources: failing } : {}),
+    ...(error ? { error } : {}),
+  };
+}
+
+async function readiness() {
+  const chains = [...CHAINS.values()];
+  const [zx, rpcs, subgraphs] = await Promise.all([
+    runCheck(true, check0x),
+    Promise.all(chains.filter((c) => c.rpcUrl).map((c) => runCheck(c.chainId === DEFAULT_CHAIN_ID, () => checkRpc(c)))),
+    Promise.all(chains.filter((c) => c.subgraphUrl).map((c) => runCheck(false, () => checkSubgraph(c)))),
+  ]);
+
+  const checks = { config: checkConfig(), "0x": zx };
+  chains.filter((c) => c.rpcUrl).forEach((c, i) => (checks[`rpc:${c.key}`] = rpcs[i]));
+  chains.filter((c) => c.subgraphUrl).forEach((c, i) => (checks[`subgraph:${c.key}`] = subgraphs[i]));
+  checks.news = checkNews();
+
+  const list = Object.values(checks);
+  const status = list.some((c) => c.critical && c.status !== "ok")
+    ? "not_ready"
+    : list.some((c) => c.status !== "ok")
+    ? "degraded"
+    : "ready";
+  return { status, checkedAt: new Date().toISOString(), checks };
+}
+
+app.get("/healthz", (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ status: "ok", uptimeSec: Math.round(process.uptime()) });
+});
+
+app.get("/readyz", async (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  try {
+    const { value, status, ageMs } = await __readyCache.getOrLoad("readyz", readiness);
+    res.status(value.status === "not_ready" ? 503 : 200).json({ ...value, cached: status !== "miss", ageMs });
+  } catch (err) {
+    log.error("/readyz error", { error: err.message });
+    res.status(503).json({ status: "not_ready", message: err.message });
+  }
+});
+
+/* =========================
+   Listen
+   - node server.js 로 실행할 때만 listen. 테스트는 require 해서 app과 순수 함수를 씀
+   - 주기 작업 타이머는 unref (listen 중인 서버가 프로세스를 유지함)
+   ========================= */
+if (require.main === module) {
+  app.listen(PORT, () => log.info("G-DEX backend listening", { port: PORT }));
+}
+
+module.exports = {
+  app,
+  // chains
+  getChain,
+  isNativeToken,
+  normalizeToken,
+  fillTemplate,
+  // ERC-20 approval
+  encodeAddressWord,
+  encodeUintWord,
+  checkApproval,
+  // tokens
+  parseUnits,
+  formatUnits,
+  decodeAbiString,
+  // tx status
+  decodeTransferLogs,
+  // simulation
+  extractRevertData,
+  decodeRevertData,
+  // fee policy
+  validateFeePolicy,
+  resolveFee,
+  // revenue
+  swapRevenueRecord,
+  toCsv,
+  // rate limiting
+  createMemoryRateLimitStore,
+  // cache
+  createTtlCache,
+  // logging
+  redact,
+  redactUrl,
+  // upstream
+  upstreamFetch,
+  parseRetryAfter,
+  rpc,
+  // sushi pools
+  encodeSushiCursor,
+  decodeSushiCursor,
+  // candles
+  buildCandles,
+  invertCandle,
+  // portfolio
+  encodeAggregate3,
+  decodeAggregate3,
+  mapLimit,
+  // orders
+  isPrivateAddress,
+  webhookLookup,
+  parseTriggerPrice,
+  isTriggered,
+  watchOrders,
+  // 0x / gasless
+  buildParams,
+  gaslessFee,
+  toGaslessParams,
+  canonicalJson,
+  normalizeEip712Signature,
+  // gas oracle
+  bigMedian,
+  // news
+  parseFeed,
+  refreshCryptoNews,
+  encodeNewsCursor,
+  decodeNewsCursor,
+  buildNewsTaggers,
+  tagNews,
+  // bridge
+  lifiStep,
+  sumUsd,
+  // token risk
+  tokenRiskListing,
+  simulateSell,
+  setTaxWarning,
+  applyQuoteTaxes,
+  riskSummary,
+  // runtime config
+  validateRuntimePatch,
+};
+
+
+
+
+
+
+
+
+
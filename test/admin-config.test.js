@@ -0,0 +1,263 @@
+// 런타임 설정 (/admin/config) — 검증, 즉시 반영(CORS / slippage / 뉴스 소스), 파일 저장, 변경 이력, reload
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+const { tokenMetaCall } = require("./support/abi");
+
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const ADMIN = { authorization: "Bearer admin-secret" };
+const as = (actor) => ({ ...ADMIN, "x-admin-actor": actor });
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  mock.rpc("eth_call", ([call]) => tokenMetaCall({ [WETH]: { symbol: "WETH", decimals: 18 } }, call) || "0x");
+  mock.rpc("eth_getCode", "0x6080");
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "1000", minBuyAmount: "990" },
+  }));
+  srv = await startServer(
+    { MOCK_URL: mock.url, RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, QUOTE_CACHE_TTL_MS: "0", ADMIN_TOKEN: "admin-secret" },
+    {
+      files: {
+        // 시작 시 적용, 잘못된 항목은 무시
+        RUNTIME_CONFIG_FILE: {
+          updatedAt: "2026-01-01T00:00:00.000Z",
+          settings: { sushiCacheTtlMs: 5000, newsRefreshMs: 5, bogus: true },
+        },
+      },
+    }
+  );
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+const config = async () => (await srv.request("GET", "/admin/config", null, ADMIN)).body;
+const audit = async (limit = 50) => (await srv.request("GET", `/admin/config/audit?limit=${limit}`, null, ADMIN)).body.entries;
+const savedFile = () => JSON.parse(fs.readFileSync(process.env.RUNTIME_CONFIG_FILE, "utf8"));
+
+test("admin endpoints require the admin token", async () => {
+  for (const [method, route] of [
+    ["GET", "/admin/config"],
+    ["PATCH", "/admin/config"],
+    ["POST", "/admin/config/reload"],
+    ["GET", "/admin/config/audit"],
+  ]) {
+    assert.equal((await srv.request(method, route, method === "PATCH" ? {} : null)).status, 401, route);
+  }
+  assert.equal((await srv.request("GET", "/admin/config", null, { authorization: "Bearer nope" })).status, 401);
+  assert.equal((await srv.request("GET", "/admin/config", null, { "x-admin-token": "admin-secret" })).status, 200);
+});
+
+test("settings from the file are applied at start", async () => {
+  const res = await srv.request("GET", "/admin/config", null, ADMIN);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+  assert.equal(res.body.updatedAt, "2026-01-01T00:00:00.000Z");
+  assert.deepEqual(res.body.overridden, ["sushiCacheTtlMs"]);
+  assert.equal(res.body.config.sushiCacheTtlMs, 5000);
+  assert.equal(res.body.config.newsRefreshMs, 600000);
+  assert.equal(res.body.defaults.sushiCacheTtlMs, 60000);
+  assert.deepEqual(res.body.config.slippage, { defaultPercentage: 0.02, maxPercentage: 0.2 });
+  assert.deepEqual(res.body.tokenRiskList, { file: null, deny: 0, allow: 0 });
+});
+
+test("invalid patches are rejected as a whole with per-key details", async () => {
+  const res = await srv.request(
+    "PATCH",
+    "/admin/config",
+    {
+      corsOrigins: ["http://evil.example"],
+      newsRefreshMs: 10,
+      slippage: { maxPercentage: 0.9 },
+      newsSources: [{ name: "x", url: "ftp://x.example" }],
+      sushiCacheTtlMs: 1000,
+      foo: 1,
+    },
+    ADMIN
+  );
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, "Invalid config");
+  assert.deepEqual(res.body.details, [
+    { key: "corsOrigins", message: "Invalid origin: http://evil.example (expected https://host[:port])" },
+    { key: "newsRefreshMs", message: "newsRefreshMs must be an integer between 60000 and 86400000" },
+    { key: "slippage", message: "slippage.maxPercentage must be > 0 and <= 0.5" },
+    { key: "newsSources", message: "newsSources entries need a unique name and an http(s) url" },
+    { key: "foo", message: "Unknown setting" },
+  ]);
+  // 유효한 항목(sushiCacheTtlMs)도 반영되지 않음
+  assert.equal((await config()).config.sushiCacheTtlMs, 5000);
+
+  const arr = await srv.request("PATCH", "/admin/config", [], ADMIN);
+  assert.equal(arr.status, 400);
+  assert.equal(arr.body.message, "Body must be an object");
+});
+
+test("CORS origins change immediately and are saved with an audit entry", async () => {
+  const preflight = (origin) => srv.request("OPTIONS", "/quote", null, { origin });
+  assert.equal((await preflight("https://gdex-app.com")).headers.get("access-control-allow-origin"), "https://gdex-app.com");
+
+  const res = await srv.request(
+    "PATCH",
+    "/admin/config",
+    { corsOrigins: ["https://app.example", "http://localhost:5173", "https://app.example"] },
+    as("alice@ops")
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.changes, [
+    {
+      key: "corsOrigins",
+      from: ["https://gdex-app.com", "https://www.gdex-app.com", "https://glip-guardians.github.io"],
+      to: ["https://app.example", "http://localhost:5173"],
+    },
+  ]);
+  assert.deepEqual(res.body.overridden, ["sushiCacheTtlMs", "corsOrigins"]);
+  assert.notEqual(res.body.updatedAt, "2026-01-01T00:00:00.000Z");
+
+  assert.equal((await preflight("https://app.example")).headers.get("access-control-allow-origin"), "https://app.example");
+  assert.equal((await preflight("http://localhost:5173")).headers.get("access-control-allow-origin"), "http://localhost:5173");
+  assert.equal((await preflight("https://gdex-app.com")).headers.get("access-control-allow-origin"), null);
+
+  // 기본값과 다른 항목만 파일에
+  assert.deepEqual(savedFile(), {
+    updatedAt: res.body.updatedAt,
+    settings: { sushiCacheTtlMs: 5000, corsOrigins: ["https://app.example", "http://localhost:5173"] },
+  });
+
+  await eventually(async () => {
+    const [entry] = await audit(1);
+    assert.equal(entry.actor, "alice@ops");
+    assert.equal(entry.ts, res.body.updatedAt);
+    assert.equal(entry.ip, "127.0.0.1");
+    assert.equal(entry.reqId, res.headers.get("x-request-id"));
+    assert.deepEqual(entry.changes, res.body.changes);
+  });
+});
+
+test("slippage bounds apply to new quotes", async () => {
+  const res = await srv.request("PATCH", "/admin/config", { slippage: { defaultPercentage: 0.01, maxPercentage: 0.05 } }, ADMIN);
+  assert.equal(res.status, 200);
+
+  const quote = (extra) => srv.request("POST", "/quote", { chainId: 1, sellToken: "ETH", buyToken: WETH, sellAmount: "1000", ...extra });
+  const slippageSent = () => mock.requests.filter((r) => r.path === "/swap/allowance-holder/price").at(-1).query.slippageBps;
+  assert.equal((await quote()).status, 200);
+  assert.equal(slippageSent(), "100");
+  assert.equal((await quote({ slippagePercentage: 0.3 })).status, 200);
+  assert.equal(slippageSent(), "500"); // 상한으로 잘림
+
+  // 일부만 보내면 현재 값에 합침
+  const partial = await srv.request("PATCH", "/admin/config", { slippage: { maxPercentage: 0.1 } }, ADMIN);
+  assert.deepEqual(partial.body.config.slippage, { defaultPercentage: 0.01, maxPercentage: 0.1 });
+  const bad = await srv.request("PATCH", "/admin/config", { slippage: { defaultPercentage: 0.2 } }, ADMIN);
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.details[0].message, "slippage.defaultPercentage must be between 0 and maxPercentage");
+});
+
+test("news sources and refresh interval are swapped without a restart", async () => {
+  mock.on("GET /wire.xml", { body: "<rss><channel></channel></rss>", type: "application/rss+xml" });
+  const res = await srv.request(
+    "PATCH",
+    "/admin/config",
+    { newsSources: [{ name: "Wire", url: `${mock.url}/wire.xml` }], newsRefreshMs: 120000 },
+    ADMIN
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.changes.map((c) => c.key), ["newsSources", "newsRefreshMs"]);
+  assert.deepEqual(res.body.config.newsSources, [{ name: "Wire", url: `${mock.url}/wire.xml`, enabled: true }]);
+
+  await eventually(() => assert.ok(mock.requests.some((r) => r.path === "/wire.xml")));
+  const sources = await srv.request("GET", "/api/crypto-news/sources");
+  assert.equal(sources.body.refreshMs, 120000);
+  assert.deepEqual(sources.body.sources.map((s) => s.name), ["Wire"]);
+});
+
+test("null resets to the default and no-op patches are not audited", async () => {
+  const res = await srv.request("PATCH", "/admin/config", { sushiCacheTtlMs: null }, ADMIN);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.changes, [{ key: "sushiCacheTtlMs", from: 5000, to: 60000 }]);
+  assert.ok(!res.body.overridden.includes("sushiCacheTtlMs"));
+  assert.equal(savedFile().settings.sushiCacheTtlMs, undefined);
+
+  await eventually(async () => assert.deepEqual((await audit(1))[0].changes, res.body.changes));
+  const count = (await audit()).length;
+  const again = await srv.request("PATCH", "/admin/config", { sushiCacheTtlMs: 60000 }, ADMIN);
+  assert.equal(again.status, 200);
+  assert.deepEqual(again.body.changes, []);
+  assert.equal((await audit()).length, count);
+});
+
+test("audit log is newest first and falls back to a generic actor", async () => {
+  await srv.request("PATCH", "/admin/config", { newsRefreshMs: 180000 }, as("bad actor!"));
+  await eventually(async () => assert.equal((await audit(1))[0].changes[0].to, 180000));
+  const entries = await audit();
+  assert.equal(entries[0].actor, "admin");
+  assert.ok(entries.every((e, i) => i === 0 || e.ts <= entries[i - 1].ts));
+  assert.equal((await audit(2)).length, 2);
+});
+
+test("reload applies a hand-edited file and records it", async () => {
+  fs.writeFileSync(
+    process.env.RUNTIME_CONFIG_FILE,
+    JSON.stringify({ updatedAt: "2026-02-02T00:00:00.000Z", settings: { corsOrigins: ["https://edited.example"] } })
+  );
+  const res = await srv.request("POST", "/admin/config/reload", null, as("bob"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.updatedAt, "2026-02-02T00:00:00.000Z");
+  assert.deepEqual(res.body.overridden, ["corsOrigins"]);
+  // 파일에 없는 항목은 기본값으로
+  assert.deepEqual(res.body.config.slippage, { defaultPercentage: 0.02, maxPercentage: 0.2 });
+  assert.deepEqual(res.body.changes.map((c) => c.key), ["corsOrigins", "newsSources", "newsRefreshMs", "slippage"]);
+
+  const preflight = await srv.request("OPTIONS", "/quote", null, { origin: "https://edited.example" });
+  assert.equal(preflight.headers.get("access-control-allow-origin"), "https://edited.example");
+
+  await eventually(async () => {
+    const [entry] = await audit(1);
+    assert.equal(entry.source, "file");
+    assert.equal(entry.actor, "bob");
+  });
+});
+
+test("validateRuntimePatch normalizes values and keeps the base untouched", () => {
+  const { validateRuntimePatch } = srv.mod;
+  const base = { newsRefreshMs: 120000 };
+  const next = validateRuntimePatch(
+    {
+      corsOrigins: ["https://a.example:8443", "http://127.0.0.1:3000"],
+      newsSources: [{ name: " Feed ", url: "https://feed.example/rss", enabled: false }],
+      sushiCacheTtlMs: 0,
+      newsRefreshMs: null,
+    },
+    base
+  );
+  assert.deepEqual(next, {
+    corsOrigins: ["https://a.example:8443", "http://127.0.0.1:3000"],
+    newsSources: [{ name: "Feed", url: "https://feed.example/rss", enabled: false }],
+    sushiCacheTtlMs: 0,
+  });
+  assert.deepEqual(base, { newsRefreshMs: 120000 });
+
+  const details = (patch) => {
+    try {
+      validateRuntimePatch(patch, {});
+    } catch (e) {
+      return e.details.map((d) => d.message);
+    }
+    assert.fail("expected an error");
+  };
+  assert.deepEqual(details({ corsOrigins: ["https://a.example/"] }), ["Invalid origin: https://a.example/ (expected https://host[:port])"]);
+  assert.deepEqual(details({ corsOrigins: "https://a.example" }), ["corsOrigins must be an array (max 50)"]);
+  assert.deepEqual(details({ newsSources: [] }), ["newsSources must be a non-empty array (max 30)"]);
+  assert.deepEqual(details({ newsSources: [{ name: "A", url: "https://a.example" }, { name: "a", url: "https://b.example" }] }), [
+    "newsSources entries need a unique name and an http(s) url",
+  ]);
+  assert.deepEqual(details({ sushiCacheTtlMs: 1.5 }), ["sushiCacheTtlMs must be an integer between 0 and 3600000"]);
+  assert.deepEqual(details({ slippage: 0.1 }), ["slippage must be { defaultPercentage, maxPercentage }"]);
+});
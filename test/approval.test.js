@@ -0,0 +1,136 @@
+// ERC-20 allowance 확인 + approve tx (/approval, checkApproval)
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+const { word } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const TAKER = "0x1111111111111111111111111111111111111111";
+const SPENDER = "0x2222222222222222222222222222222222222222";
+const ALLOWANCE_HOLDER = "0x0000000000001fF3684f28c67538d4D072C22734";
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+let mock;
+let srv;
+let allowance;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc` });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  allowance = 0n;
+  mock.rpc("eth_call", ([call]) => {
+    if (call.data.startsWith("0xdd62ed3e")) return word(allowance);
+    if (call.data.startsWith("0x70a08231")) return word(5000000);
+    return "0x";
+  });
+  mock.rpc("eth_estimateGas", "0xb71b");
+});
+
+const approvalBody = { chainId: 1, token: USDC, taker: TAKER, amount: "1000000" };
+
+test("returns an approve tx when the allowance is too low", async () => {
+  allowance = 10n;
+  const res = await srv.request("POST", "/approval", approvalBody);
+  assert.equal(res.status, 200);
+  const a = res.body.approval;
+  assert.equal(a.required, true);
+  assert.equal(a.allowance, "10");
+  assert.equal(a.balance, "5000000");
+  assert.equal(a.sufficientBalance, true);
+  assert.equal(a.spender, ALLOWANCE_HOLDER);
+  assert.equal(a.source, "rpc");
+  assert.equal(a.resetFirst, true);
+  assert.deepEqual(a.tx, {
+    to: USDC,
+    data: "0x095ea7b3" + ALLOWANCE_HOLDER.slice(2).toLowerCase().padStart(64, "0") + word(1000000).slice(2),
+    value: "0x0",
+    chainId: "0x1",
+    gas: "0xdbba", // 46875 + 20%
+  });
+
+  const [read] = mock.requests.filter((r) => r.path === "/rpc" && r.body.params[0].data.startsWith("0xdd62ed3e"));
+  assert.equal(read.body.params[0].data, "0xdd62ed3e" + TAKER.slice(2).padStart(64, "0") + ALLOWANCE_HOLDER.slice(2).toLowerCase().padStart(64, "0"));
+});
+
+test("no tx when the allowance already covers the amount", async () => {
+  allowance = 1000000n;
+  const res = await srv.request("POST", "/approval", { ...approvalBody, spender: SPENDER });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.approval.required, false);
+  assert.equal(res.body.approval.spender, SPENDER);
+  assert.equal(res.body.approval.tx, undefined);
+});
+
+test("approveUnlimited approves max uint256", async () => {
+  const res = await srv.request("POST", "/approval", { ...approvalBody, approveUnlimited: true });
+  assert.equal(res.body.approval.tx.data.slice(-64), MAX_UINT256.toString(16));
+  assert.equal(res.body.approval.resetFirst, false);
+});
+
+test("native tokens need no approval", async () => {
+  const res = await srv.request("POST", "/approval", { ...approvalBody, token: "ETH" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { approval: null });
+  assert.equal(mock.requests.length, 0);
+});
+
+test("validates the input", async () => {
+  const cases = [
+    [{ ...approvalBody, token: undefined }, /Missing/],
+    [{ ...approvalBody, token: "0x12" }, /Invalid token/],
+    [{ ...approvalBody, taker: "me" }, /Invalid taker/],
+    [{ ...approvalBody, spender: "0x12" }, /Invalid spender/],
+    [{ ...approvalBody, amount: "1.5" }, /integer string/],
+  ];
+  for (const [body, message] of cases) {
+    const res = await srv.request("POST", "/approval", body);
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, message);
+  }
+  const res = await srv.request("POST", "/approval", { ...approvalBody, chainId: 10 });
+  assert.equal(res.status, 503); // RPC 없는 체인
+});
+
+test("502 when the allowance cannot be read", async () => {
+  mock.rpc("eth_call", "0x");
+  const res = await srv.request("POST", "/approval", approvalBody);
+  assert.equal(res.status, 502);
+  assert.equal(res.body.approval.required, null);
+});
+
+test("checkApproval falls back to 0x issues without RPC", async () => {
+  const { checkApproval, getChain } = srv.mod;
+  const chain = getChain(10);
+  const args = { chain, token: USDC, owner: TAKER, spender: SPENDER, amount: "100" };
+
+  let a = await checkApproval({ ...args, issues: { allowance: { actual: "40", spender: SPENDER }, balance: { actual: "50" } } });
+  assert.equal(a.required, true);
+  assert.equal(a.allowance, "40");
+  assert.equal(a.sufficientBalance, false);
+  assert.equal(a.source, "0x");
+  assert.equal(a.tx.gas, undefined);
+
+  a = await checkApproval({ ...args, issues: { allowance: null, balance: null } });
+  assert.equal(a.required, false);
+  assert.equal(a.sufficientBalance, true);
+
+  a = await checkApproval(args);
+  assert.equal(a.required, null);
+});
+
+test("ABI words are 32-byte, lowercase, unprefixed", () => {
+  const { encodeAddressWord, encodeUintWord } = srv.mod;
+  assert.equal(encodeAddressWord("0xABCDEF0000000000000000000000000000000001"), "000000000000000000000000abcdef0000000000000000000000000000000001");
+  assert.equal(encodeUintWord(255), "0".repeat(62) + "ff");
+  assert.equal(encodeUintWord(MAX_UINT256), "f".repeat(64));
+});
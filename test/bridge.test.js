@@ -0,0 +1,270 @@
+// /bridge/* ↔ 로컬 mock Li.Fi 서버
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+const { word, tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const TAKER = "0x1111111111111111111111111111111111111111";
+const DIAMOND = "0x1231DEB6f5749EF6cE6943a275A1D3E7486F4EaE";
+const TX_HASH = "0x" + "11".repeat(32);
+const TOKENS = { [USDC]: { symbol: "USDC", decimals: 6 } };
+const LIFI_NATIVE = "0x0000000000000000000000000000000000000000";
+const BRIDGE_TIMEOUT_MS = 300;
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({
+    RPC_URL: `${mock.url}/rpc`,
+    LIFI_BASE: `${mock.url}/lifi`,
+    LIFI_API_KEY: "lifi-key",
+    BRIDGE_TIMEOUT_MS: String(BRIDGE_TIMEOUT_MS),
+    UPSTREAM_TIMEOUT_MS: String(BRIDGE_TIMEOUT_MS),
+    BREAKER_FAILURES: "100",
+    FEE_PERCENTAGE: "0.001",
+  });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  mock.rpc("eth_call", ([call]) => {
+    const meta = tokenMetaCall(TOKENS, call);
+    if (meta) return meta;
+    if (call.data.startsWith("0xdd62ed3e")) return word(0); // allowance
+    if (call.data.startsWith("0x70a08231")) return word(5000000); // balanceOf
+    return "0x";
+  });
+  mock.rpc("eth_estimateGas", "0xb71b");
+});
+
+const token = (address, symbol, decimals, chainId) => ({ address, symbol, decimals, chainId, priceUSD: "1" });
+
+function lifiQuote(q) {
+  return {
+    id: "route-1",
+    type: "lifi",
+    tool: "stargate",
+    toolDetails: { key: "stargate", name: "Stargate" },
+    action: { fromChainId: 1, toChainId: 42161, fromAmount: q.fromAmount },
+    estimate: {
+      fromAmount: q.fromAmount,
+      toAmount: "400000000000000000",
+      toAmountMin: "396000000000000000",
+      approvalAddress: DIAMOND,
+      executionDuration: 180,
+      feeCosts: [
+        { name: "LIFI Fixed Fee", amount: "1000", amountUSD: "0.01", token: token(USDC, "USDC", 6, 1), included: true },
+        { name: "Bridge Fee", amount: "2000", amountUSD: "0.02", token: token(USDC, "USDC", 6, 1), included: false },
+      ],
+      gasCosts: [{ amountUSD: "1.50" }, { amountUSD: "0.25" }],
+    },
+    includedSteps: [
+      { type: "protocol", tool: "feeCollection", action: { fromChainId: 1, toChainId: 1, fromAmount: q.fromAmount }, estimate: {} },
+      {
+        type: "swap",
+        tool: "uniswap",
+        toolDetails: { name: "Uniswap" },
+        action: { fromChainId: 1, toChainId: 1, fromToken: token(USDC, "USDC", 6, 1), toToken: token(LIFI_NATIVE, "ETH", 18, 1), fromAmount: q.fromAmount },
+        estimate: { toAmount: "401000000000000000", executionDuration: 30 },
+      },
+      {
+        type: "cross",
+        tool: "stargate",
+        toolDetails: { name: "Stargate" },
+        action: { fromChainId: 1, toChainId: 42161, fromToken: token(LIFI_NATIVE, "ETH", 18, 1), toToken: token(LIFI_NATIVE, "ETH", 18, 42161), fromAmount: "401000000000000000" },
+        estimate: { toAmount: "400000000000000000", executionDuration: 150 },
+      },
+    ],
+    transactionRequest: { to: DIAMOND, data: "0xabcdef", value: "0x0", gasLimit: "0x61a80", chainId: 1, from: q.fromAddress },
+  };
+}
+
+const quoteBody = { fromChainId: 1, toChainId: 42161, sellToken: USDC, buyToken: "ETH", sellAmountHuman: "5", taker: TAKER };
+const lifiCalls = (route) => mock.requests.filter((r) => r.path === `/lifi${route}`);
+
+test("quote normalizes the Li.Fi route", async () => {
+  mock.on("GET /lifi/quote", (req) => ({ body: lifiQuote(req.query) }));
+
+  const res = await srv.request("POST", "/bridge/quote", quoteBody);
+  assert.equal(res.status, 200);
+  const q = res.body;
+  assert.equal(q.provider, "lifi");
+  assert.equal(q.tool, "Stargate");
+  assert.equal(q.sellAmount, "5000000");
+  assert.equal(q.buyAmount, "400000000000000000");
+  assert.equal(q.minBuyAmount, "396000000000000000");
+  assert.equal(q.etaSeconds, 180);
+  assert.deepEqual(
+    q.steps.map((st) => [st.type, st.tool]),
+    [
+      ["protocol", "feeCollection"],
+      ["swap", "Uniswap"],
+      ["bridge", "Stargate"],
+    ]
+  );
+  assert.deepEqual(q.steps[2].toToken, { address: LIFI_NATIVE, symbol: "ETH", decimals: 18 });
+  assert.equal(q.fees.totalUsd, 0.03);
+  assert.deepEqual(
+    q.fees.items.map((f) => [f.name, f.token, f.included]),
+    [
+      ["LIFI Fixed Fee", "USDC", true],
+      ["Bridge Fee", "USDC", false],
+    ]
+  );
+  assert.equal(q.gas.totalUsd, 1.75);
+  assert.deepEqual(q.tx, { to: DIAMOND, data: "0xabcdef", value: "0x0", gas: "0x61a80", chainId: 1 });
+  assert.deepEqual(q.status, { provider: "lifi", fromChainId: 1, toChainId: 42161, bridge: "stargate" });
+  assert.equal(q.formatted.buyAmount, "0.4");
+  assert.equal(q.approval.required, true);
+  assert.equal(q.approval.spender, DIAMOND);
+
+  const [call] = lifiCalls("/quote");
+  assert.equal(call.query.fromToken, USDC);
+  assert.equal(call.query.toToken, LIFI_NATIVE); // 네이티브는 Li.Fi 표기로
+  assert.equal(call.query.toAddress, TAKER);
+  assert.equal(call.query.fee, "0.001");
+  assert.equal(call.query.integrator, "gdex");
+  assert.equal(call.headers["x-lifi-api-key"], "lifi-key");
+});
+
+test("quote validates chains and addresses before calling the provider", async () => {
+  const cases = [
+    [{ ...quoteBody, toChainId: 1 }, /same/],
+    [{ ...quoteBody, toChainId: 999999 }, /Unsupported toChainId/],
+    [{ ...quoteBody, taker: "0x12" }, /taker is required/],
+    [{ ...quoteBody, recipient: "nope" }, /Invalid recipient/],
+    [{ ...quoteBody, provider: "socket" }, /No bridge provider available: socket/],
+  ];
+  for (const [body, message] of cases) {
+    const res = await srv.request("POST", "/bridge/quote", body);
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, message);
+  }
+  assert.equal(lifiCalls("/quote").length, 0);
+});
+
+test("quote without a transaction is reported as no route", async () => {
+  mock.on("GET /lifi/quote", (req) => ({ body: { ...lifiQuote(req.query), transactionRequest: undefined } }));
+  const res = await srv.request("POST", "/bridge/quote", quoteBody);
+  assert.equal(res.status, 404);
+  assert.equal(res.body.message, "No bridge route found");
+  assert.deepEqual(res.body.errors, [{ provider: "lifi", status: 404, message: "lifi: no route for this transfer" }]);
+});
+
+test("provider errors keep their status and message", async () => {
+  mock.on("GET /lifi/quote", { status: 400, body: { code: 1011, message: "The from amount must be greater than zero." } });
+  let res = await srv.request("POST", "/bridge/quote", quoteBody);
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [{ provider: "lifi", status: 400, message: "The from amount must be greater than zero." }]);
+
+  mock.on("GET /lifi/quote", { status: 500, body: { message: "internal" } });
+  res = await srv.request("POST", "/bridge/quote", quoteBody);
+  assert.equal(res.status, 502);
+  assert.equal(res.body.errors[0].status, 500);
+});
+
+test("quote times out after BRIDGE_TIMEOUT_MS", async () => {
+  mock.on("GET /lifi/quote", (req) => ({ delayMs: BRIDGE_TIMEOUT_MS * 3, body: lifiQuote(req.query) }));
+  const res = await srv.request("POST", "/bridge/quote", quoteBody);
+  assert.equal(res.status, 502);
+  assert.equal(res.body.errors[0].status, 504);
+  assert.match(res.body.errors[0].message, /timed out/);
+});
+
+test("status maps Li.Fi states", async () => {
+  const cases = [
+    [{ status: "DONE", substatus: "COMPLETED" }, "done"],
+    [{ status: "PENDING", substatus: "WAIT_DESTINATION_TRANSACTION" }, "pending"],
+    [{ status: "FAILED", substatus: "UNKNOWN_ERROR" }, "failed"],
+    [{ status: "INVALID" }, "failed"],
+    [{ status: "NOT_FOUND" }, "not_found"],
+    [{ status: "SOMETHING_NEW" }, "pending"],
+  ];
+  for (const [body, status] of cases) {
+    mock.on("GET /lifi/status", { body });
+    const res = await srv.request("GET", `/bridge/status?txHash=${TX_HASH}&fromChainId=1&toChainId=42161`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, status, body.status);
+    assert.equal(res.body.substatus, body.substatus || null);
+  }
+});
+
+test("status links both legs to their explorers", async () => {
+  const receiving = "0x" + "22".repeat(32);
+  mock.on("GET /lifi/status", {
+    body: {
+      status: "DONE",
+      substatus: "COMPLETED",
+      substatusMessage: "The transfer is complete.",
+      sending: { txHash: TX_HASH, chainId: 1, amount: "5000000" },
+      receiving: { txHash: receiving, chainId: 42161, amount: 400000000000000000 },
+      tool: "stargate",
+    },
+  });
+  const res = await srv.request("GET", `/bridge/status?txHash=${TX_HASH}&fromChainId=1&toChainId=42161&bridge=stargate`);
+  assert.equal(res.body.message, "The transfer is complete.");
+  assert.deepEqual(res.body.sending, { txHash: TX_HASH, chainId: 1, amount: "5000000", explorerUrl: `https://etherscan.io/tx/${TX_HASH}` });
+  assert.equal(res.body.receiving.amount, "400000000000000000");
+  assert.equal(res.body.receiving.explorerUrl, `https://arbiscan.io/tx/${receiving}`);
+
+  const [call] = lifiCalls("/status");
+  assert.deepEqual(call.query, { txHash: TX_HASH, fromChain: "1", toChain: "42161", bridge: "stargate" });
+});
+
+test("status: unindexed tx is not_found, other errors pass through", async () => {
+  mock.on("GET /lifi/status", { status: 404, body: { message: "Not a valid transaction hash" } });
+  let res = await srv.request("GET", `/bridge/status?txHash=${TX_HASH}&fromChainId=1`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "not_found");
+  assert.equal(res.body.sending, null);
+
+  mock.on("GET /lifi/status", { status: 400, body: { message: "Invalid chain" } });
+  res = await srv.request("GET", `/bridge/status?txHash=${TX_HASH}&fromChainId=1`);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, "Invalid chain");
+
+  mock.on("GET /lifi/status", { delayMs: BRIDGE_TIMEOUT_MS * 3, body: { status: "DONE" } });
+  res = await srv.request("GET", `/bridge/status?txHash=${TX_HASH}&fromChainId=1`);
+  assert.equal(res.status, 504);
+  assert.match(res.body.message, /timed out/);
+});
+
+test("status validates the query", async () => {
+  let res = await srv.request("GET", "/bridge/status?txHash=0x12&fromChainId=1");
+  assert.equal(res.status, 400);
+  res = await srv.request("GET", `/bridge/status?txHash=${TX_HASH}`);
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /fromChainId/);
+  assert.equal(lifiCalls("/status").length, 0);
+});
+
+test("lifiStep maps step types and falls back to the tool key", () => {
+  const { lifiStep } = srv.mod;
+  assert.deepEqual(lifiStep({ type: "lifi", tool: "across", action: { fromChainId: 10 }, estimate: { toAmount: 5 } }), {
+    type: "lifi",
+    tool: "across",
+    fromChainId: 10,
+    toChainId: null,
+    fromToken: null,
+    toToken: null,
+    fromAmount: null,
+    toAmount: "5",
+    etaSeconds: null,
+  });
+  assert.equal(lifiStep({}).type, "unknown");
+});
+
+test("sumUsd ignores unknown amounts", () => {
+  const { sumUsd } = srv.mod;
+  assert.equal(sumUsd([{ amountUSD: "0.1" }, { amountUSD: "0.2" }, {}]), 0.3);
+  assert.equal(sumUsd([{}, { amountUSD: "n/a" }]), null);
+});
@@ -0,0 +1,91 @@
+// 0x price 캐시 + in-flight 합치기 (createTtlCache), /swap은 캐시 안 씀
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const TAKER = "0x1111111111111111111111111111111111111111";
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ ZEROX_BASE: mock.url, QUOTE_CACHE_TTL_MS: "5000" });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  const body = (req) => ({
+    liquidityAvailable: true,
+    sellAmount: req.query.sellAmount,
+    buyAmount: "1000000000",
+    minBuyAmount: "990000000",
+    transaction: { to: "0x0000000000001fF3684f28c67538d4D072C22734", data: "0xdeadbeef", value: req.query.sellAmount },
+  });
+  mock.on("GET /swap/allowance-holder/price", (req) => ({ body: body(req), delayMs: 100 }));
+  mock.on("GET /swap/allowance-holder/quote", (req) => ({ body: body(req) }));
+});
+
+const calls = (kind) => mock.requests.filter((r) => r.path === `/swap/allowance-holder/${kind}`).length;
+const quoteBody = (sellAmount) => ({ chainId: 1, sellToken: "ETH", buyToken: USDC, sellAmount });
+
+test("concurrent identical quotes share one upstream call, then hit the cache", async () => {
+  const [a, b] = await Promise.all([srv.request("POST", "/quote", quoteBody("1000")), srv.request("POST", "/quote", quoteBody("1000"))]);
+  assert.deepEqual([a.body.cache.status, b.body.cache.status].sort(), ["coalesced", "miss"]);
+  assert.equal(calls("price"), 1);
+
+  const c = await srv.request("POST", "/quote", quoteBody("1000"));
+  assert.equal(c.body.cache.status, "hit");
+  assert.ok(c.body.cache.ageMs >= 0);
+  assert.deepEqual(c.body.route.cache, c.body.cache);
+  assert.equal(calls("price"), 1);
+
+  // 금액/슬리피지가 다르면 다른 키
+  await srv.request("POST", "/quote", quoteBody("2000"));
+  await srv.request("POST", "/quote", { ...quoteBody("1000"), slippagePercentage: 0.005 });
+  assert.equal(calls("price"), 3);
+
+  const metrics = (await srv.request("GET", "/metrics")).body;
+  assert.match(metrics, /gdex_cache_requests_total\{cache="quote",result="coalesced"\} 1/);
+});
+
+test("/swap quotes are never served from cache", async () => {
+  const body = { ...quoteBody("3000"), taker: TAKER };
+  assert.equal((await srv.request("POST", "/swap", body)).status, 200);
+  assert.equal((await srv.request("POST", "/swap", body)).status, 200);
+  assert.equal(calls("quote"), 2);
+});
+
+test("createTtlCache: TTL, errors, eviction and stats", async () => {
+  const { createTtlCache } = srv.mod;
+  const cache = createTtlCache({ ttlMs: 50, max: 2 });
+  let loads = 0;
+  const load = async () => ++loads;
+
+  assert.deepEqual(await cache.getOrLoad("a", load), { value: 1, status: "miss", ageMs: 0 });
+  assert.equal((await cache.getOrLoad("a", load)).status, "hit");
+
+  // 에러는 같이 기다린 쪽도 받고, 캐시되지 않음
+  const failing = () => new Promise((_, reject) => setTimeout(() => reject(new Error("boom")), 10));
+  const results = await Promise.allSettled([cache.getOrLoad("e", failing), cache.getOrLoad("e", failing)]);
+  assert.deepEqual(results.map((r) => r.reason.message), ["boom", "boom"]);
+  assert.deepEqual(await cache.getOrLoad("e", load), { value: 2, status: "miss", ageMs: 0 });
+
+  // max=2: 가장 오래된 "a"가 밀려남
+  await cache.getOrLoad("b", load);
+  assert.equal((await cache.getOrLoad("a", load)).status, "miss");
+
+  await new Promise((r) => setTimeout(r, 60));
+  assert.equal((await cache.getOrLoad("a", load)).status, "miss");
+  cache.setTtl(60000);
+  assert.equal((await cache.getOrLoad("a", load)).status, "hit");
+
+  assert.deepEqual(cache.stats(), { hits: 2, misses: 6, coalesced: 1, size: 2, inflight: 0 });
+});
@@ -0,0 +1,140 @@
+// 페어 캔들 (OHLCV) — 1h reserve 기반 / 5m swaps 집계, 빈 구간 채우기, 끝난 캔들 보관, invert
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const PAIR_INFO = { token0: { id: USDC, symbol: "USDC" }, token1: { id: WETH, symbol: "WETH" } };
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ SUSHI_SUBGRAPH_URL: `${mock.url}/subgraph` });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+const graphCalls = () => mock.requests.filter((r) => r.path === "/subgraph").map((r) => r.body);
+const pairId = (n) => `0x${String(n).padStart(40, "0")}`;
+
+test("1h candles come from reserves, fill gaps and reuse finished candles", async () => {
+  const cur = Math.floor(Date.now() / 3600000) * 3600;
+  const rows = [
+    { t: cur - 3 * 3600, reserve0: "1", reserve1: "2", volumeUSD: "10", volumeToken0: "1", volumeToken1: "2", txCount: "1" },
+    { t: cur - 3600, reserve0: "1", reserve1: "4", volumeUSD: "20", volumeToken0: "2", volumeToken1: "8", txCount: "2" },
+    { t: cur, reserve0: "1", reserve1: "3", volumeUSD: "5", volumeToken0: "1", volumeToken1: "3", txCount: "1" },
+  ];
+  mock.on("POST /subgraph", (req) => {
+    const { from, to } = req.body.variables;
+    return { body: { data: { pair: PAIR_INFO, rows: rows.filter((r) => r.t >= from && r.t < to) } } };
+  });
+
+  const res = await srv.request("GET", `/pairs/${pairId(1)}/candles?interval=1h&limit=3`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "pairHourDatas");
+  assert.equal(res.body.cachedCandles, 0);
+  assert.deepEqual(res.body.base, PAIR_INFO.token0);
+  // 직전 구간(cur-3h)까지 가져와 첫 캔들의 open으로 씀
+  assert.deepEqual(graphCalls()[0].variables, { pair: pairId(1), from: cur - 3 * 3600, to: cur + 3600 });
+  assert.match(graphCalls()[0].query, /pairHourDatas/);
+  assert.deepEqual(
+    res.body.candles.map((cd) => [cd.time, cd.open, cd.high, cd.low, cd.close, cd.trades]),
+    [
+      [cur - 2 * 3600, 2, 2, 2, 2, 0], // 거래 없음 → 직전 close로 평평하게
+      [cur - 3600, 2, 4, 2, 4, 2],
+      [cur, 4, 4, 3, 3, 1],
+    ]
+  );
+
+  // 두 번째 요청: 끝난 캔들은 보관분을 쓰고 진행 중인 구간만 다시 가져옴
+  const again = await srv.request("GET", `/pairs/${pairId(1)}/candles?interval=1h&limit=3`);
+  assert.equal(again.body.cachedCandles, 2);
+  assert.deepEqual(graphCalls()[1].variables, { pair: pairId(1), from: cur, to: cur + 3600 });
+  assert.deepEqual(again.body.candles, res.body.candles);
+});
+
+test("5m candles aggregate swaps into OHLC and can be inverted", async () => {
+  const cur = Math.floor(Date.now() / 300000) * 300;
+  const t = cur - 300;
+  const swaps = [
+    { id: "c", timestamp: String(t + 30), amount0In: "2", amount0Out: "0", amount1In: "0", amount1Out: "5", amountUSD: "5" },
+    { id: "b", timestamp: String(t + 20), amount0In: "0", amount0Out: "1", amount1In: "3", amount1Out: "0", amountUSD: "3" },
+    { id: "a", timestamp: String(t + 10), amount0In: "1", amount0Out: "0", amount1In: "0", amount1Out: "2", amountUSD: "2" },
+  ];
+  mock.on("POST /subgraph", { body: { data: { pair: PAIR_INFO, swaps } } });
+
+  const res = await srv.request("GET", `/pairs/${pairId(2)}/candles?interval=5m&limit=2`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "swaps");
+  assert.equal(res.body.truncated, false);
+  assert.deepEqual(res.body.candles, [
+    { time: t, open: 2, high: 3, low: 2, close: 2.5, volumeUsd: 10, volume0: 4, volume1: 10, trades: 3 },
+    { time: cur, open: 2.5, high: 2.5, low: 2.5, close: 2.5, volumeUsd: 0, volume0: 0, volume1: 0, trades: 0 },
+  ]);
+  const { variables } = graphCalls()[0];
+  assert.equal(variables.from, t - 300);
+  assert.equal(variables.before, cur + 299);
+
+  const inv = await srv.request("GET", `/pairs/${pairId(2)}/candles?interval=5m&limit=2&invert=true`);
+  assert.deepEqual(inv.body.base, PAIR_INFO.token1);
+  assert.deepEqual(inv.body.quote, PAIR_INFO.token0);
+  assert.deepEqual(inv.body.candles[0], { time: t, open: 0.5, high: 0.5, low: 1 / 3, close: 0.4, volumeUsd: 10, volume0: 10, volume1: 4, trades: 3 });
+});
+
+test("unknown pairs, bad parameters and subgraph errors", async () => {
+  mock.on("POST /subgraph", { body: { data: { pair: null, rows: [] } } });
+  const missing = await srv.request("GET", `/pairs/${pairId(3)}/candles?interval=1d&limit=5`);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.message, "Pair not found");
+
+  for (const [q, message] of [
+    ["interval=15m", "interval must be 5m, 1h or 1d"],
+    ["interval=5m&limit=289", "limit must be 1-288 for 5m"],
+    ["interval=1d&limit=1.5", "limit must be 1-365 for 1d"],
+  ]) {
+    const res = await srv.request("GET", `/pairs/${pairId(3)}/candles?${q}`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, message);
+  }
+  assert.equal((await srv.request("GET", "/pairs/nope/candles")).status, 400);
+  assert.equal((await srv.request("GET", `/pairs/${pairId(3)}/candles?chain=arbitrum`)).status, 400);
+
+  mock.on("POST /subgraph", { body: { errors: [{ message: "indexer down" }] } });
+  const failed = await srv.request("GET", `/pairs/${pairId(4)}/candles`);
+  assert.equal(failed.status, 502);
+});
+
+test("buildCandles fills gaps only after the first known price", () => {
+  const { buildCandles } = srv.mod;
+  const spec = { seconds: 60 };
+  const rows = [{ start: 120, close: 5, volumeUsd: 1, volume0: 1, volume1: 5, trades: 1 }];
+  assert.deepEqual(
+    buildCandles(rows, spec, 0, 240, null).map((cd) => [cd.time, cd.open, cd.close]),
+    [
+      [120, 5, 5],
+      [180, 5, 5],
+    ]
+  );
+  assert.deepEqual(
+    buildCandles(rows, spec, 60, 180, 4).map((cd) => [cd.time, cd.open, cd.high, cd.low, cd.close]),
+    [
+      [60, 4, 4, 4, 4],
+      [120, 4, 5, 4, 5],
+    ]
+  );
+});
+
+test("invertCandle swaps high/low and the volumes", () => {
+  const { invertCandle } = srv.mod;
+  const cd = { time: 0, open: 2, high: 4, low: 1, close: 0, volumeUsd: 3, volume0: 1, volume1: 2, trades: 1 };
+  assert.deepEqual(invertCandle(cd), { time: 0, open: 0.5, high: 1, low: 0.25, close: null, volumeUsd: 3, volume0: 2, volume1: 1, trades: 1 });
+});
@@ -0,0 +1,98 @@
+// 체인 레지스트리 (CHAINS_CONFIG / RPC_URL_<id> / SUPPORTED_CHAINS) + 체인별 0x 호출
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+
+const ETH_SENTINEL = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+const ARB_USDC = "0xaf88d065e77c8cC2239327C5EDb3A432268e5831";
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer(
+    {
+      ZEROX_BASE: mock.url,
+      SUPPORTED_CHAINS: "1,arbitrum,324",
+      RPC_URL_42161: `${mock.url}/rpc, ${mock.url}/rpc-backup`,
+    },
+    {
+      files: {
+        CHAINS_CONFIG: [
+          { chainId: 324, key: "zkSync", name: "zkSync Era", nativeSymbol: "eth", explorerTxUrl: "https://era.zksync.network/tx/{hash}" },
+          { chainId: 42161, name: "Arbitrum" },
+          { chainId: "oops" },
+        ],
+      },
+    }
+  );
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+test("/chains lists only SUPPORTED_CHAINS with config overrides", async () => {
+  const res = await srv.request("GET", "/chains");
+  assert.equal(res.status, 200);
+  const byId = Object.fromEntries(res.body.chains.map((c) => [c.chainId, c]));
+  assert.deepEqual(Object.keys(byId).map(Number).sort((a, b) => a - b), [1, 324, 42161]);
+  assert.equal(byId[42161].name, "Arbitrum"); // 파일이 기본값 덮어씀
+  assert.equal(byId[42161].explorerTxUrl, "https://arbiscan.io/tx/{hash}"); // 나머지 기본값 유지
+  assert.equal(byId[42161].gasEstimation, true);
+  assert.equal(byId[324].key, "zksync");
+  assert.equal(byId[324].nativeSymbol, "ETH");
+  assert.equal(byId[324].gasEstimation, false);
+});
+
+test("getChain resolves ids and keys", () => {
+  const { getChain } = srv.mod;
+  assert.equal(getChain("42161").key, "arbitrum");
+  assert.equal(getChain("Arbitrum").chainId, 42161);
+  assert.equal(getChain(undefined).chainId, 1);
+  assert.equal(getChain(10), null); // SUPPORTED_CHAINS 밖
+  assert.equal(getChain("nope"), null);
+  assert.deepEqual(getChain(42161).rpcUrls, [`${mock.url}/rpc`, `${mock.url}/rpc-backup`]);
+  assert.equal(getChain(324).allowanceHolder, "0x0000000000001fF3684f28c67538d4D072C22734");
+});
+
+test("native symbols map to the 0x sentinel", () => {
+  const { getChain, isNativeToken, normalizeToken, fillTemplate } = srv.mod;
+  const arb = getChain(42161);
+  assert.equal(isNativeToken("eth", arb), true);
+  assert.equal(isNativeToken(ETH_SENTINEL.toLowerCase(), arb), true);
+  assert.equal(isNativeToken("BNB", arb), false);
+  assert.equal(normalizeToken("ETH", arb), ETH_SENTINEL);
+  assert.equal(normalizeToken(ARB_USDC, arb), ARB_USDC);
+  assert.equal(fillTemplate("https://x/{hash}/{missing}", { hash: "0xab" }), "https://x/0xab/");
+});
+
+test("/quote sends the requested chain to 0x", async () => {
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "2000000", minBuyAmount: "1990000", gas: "100000" },
+  }));
+  mock.rpc("eth_getCode", "0x6080");
+  mock.rpc("eth_call", "0x");
+
+  const res = await srv.request("POST", "/quote", { chainId: "arbitrum", sellToken: "ETH", buyToken: ARB_USDC, sellAmount: "1000000000000000" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "0x");
+  assert.equal(res.body.buyAmount, "2000000");
+
+  const [call] = mock.requests.filter((r) => r.path === "/swap/allowance-holder/price");
+  assert.equal(call.query.chainId, "42161");
+  assert.equal(call.query.sellToken, ETH_SENTINEL);
+  assert.equal(call.query.buyToken, ARB_USDC);
+});
+
+test("/quote rejects unsupported chains", async () => {
+  const res = await srv.request("POST", "/quote", { chainId: 10, sellToken: "ETH", buyToken: ARB_USDC, sellAmount: "1" });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /Unsupported chainId: 10/);
+  assert.equal(mock.requests.length, 0);
+});
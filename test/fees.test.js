@@ -0,0 +1,161 @@
+// 인티그레이터 fee 정책 (FEE_CONFIG: 체인/페어/티어/파트너) + /quote·/swap 동일 fee
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+const { tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const DAI = "0x6B175474E89094C44Da98b954EedeAC495271d0F";
+const ETH_SENTINEL = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+const TAKER = "0x1111111111111111111111111111111111111111";
+const DEFAULT_RECIPIENT = "0x2222222222222222222222222222222222222222";
+const ACME_RECIPIENT = "0x3333333333333333333333333333333333333333";
+
+const feeConfig = {
+  recipient: DEFAULT_RECIPIENT,
+  percentage: 0.001,
+  chains: { 137: { percentage: 0.0015 } },
+  tokenGroups: { stable: { 1: [USDC, DAI] } },
+  pairs: [{ name: "stables", sell: "group:stable", buy: "group:stable", percentage: 0 }],
+  tiers: [
+    { name: "whale", token: USDC, minAmount: "10000", percentage: 0.0005 },
+    { token: USDC, minAmount: "1000", percentage: 0.0008 },
+  ],
+  partners: { ACME: { percentage: 0.002, recipient: ACME_RECIPIENT }, HALF: { discount: 0.5 } },
+};
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, QUOTE_CACHE_TTL_MS: "0" }, { files: { FEE_CONFIG: feeConfig } });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  mock.rpc("eth_call", ([call]) => tokenMetaCall({ [USDC.toLowerCase()]: { symbol: "USDC", decimals: 6 } }, call) || "0x");
+  mock.rpc("eth_getCode", "0x6080");
+  mock.rpc("eth_estimateGas", "0x186a0");
+});
+
+function fee({ chainId = 1, ...args }) {
+  const { resolveFee, getChain } = srv.mod;
+  return resolveFee({ chain: getChain(chainId), sellMeta: { decimals: 6 }, partner: null, ...args });
+}
+
+test("default and per-chain fees", () => {
+  assert.deepEqual(fee({ sellToken: ETH_SENTINEL, buyToken: USDC, sellAmount: "1", sellMeta: { decimals: 18 } }), {
+    recipient: DEFAULT_RECIPIENT,
+    percentage: 0.001,
+    bps: 10,
+    partner: null,
+    rules: ["default"],
+  });
+  const polygon = fee({ chainId: 137, sellToken: ETH_SENTINEL, buyToken: USDC, sellAmount: "1", sellMeta: null });
+  assert.equal(polygon.percentage, 0.0015);
+  assert.deepEqual(polygon.rules, ["default", "chain:137"]);
+});
+
+test("stablecoin pairs match both directions and drop the recipient at 0", () => {
+  for (const [sellToken, buyToken] of [[USDC, DAI], [DAI, USDC]]) {
+    const f = fee({ sellToken, buyToken, sellAmount: "1" });
+    assert.equal(f.percentage, 0);
+    assert.equal(f.recipient, null);
+    assert.deepEqual(f.rules, ["default", "pair:stables"]);
+  }
+});
+
+test("amount tiers pick the largest matching minAmount", () => {
+  const sell = (human) => fee({ sellToken: USDC, buyToken: ETH_SENTINEL, sellAmount: String(BigInt(human) * 10n ** 6n) });
+  assert.equal(sell(10).percentage, 0.001);
+  assert.deepEqual(sell(5000).rules, ["default", "tier:1"]);
+  assert.equal(sell(5000).percentage, 0.0008);
+  assert.deepEqual(sell(20000).rules, ["default", "tier:whale"]);
+  assert.equal(sell(20000).percentage, 0.0005);
+});
+
+test("partner codes override or discount the fee", () => {
+  const acme = fee({ sellToken: ETH_SENTINEL, buyToken: USDC, sellAmount: "1", partner: " acme " });
+  assert.equal(acme.percentage, 0.002);
+  assert.equal(acme.recipient, ACME_RECIPIENT);
+  assert.equal(acme.partner, "ACME");
+
+  const half = fee({ sellToken: USDC, buyToken: ETH_SENTINEL, sellAmount: "20000000000", partner: "HALF" });
+  assert.equal(half.percentage, 0.00025);
+  assert.equal(half.bps, 2.5);
+  assert.deepEqual(half.rules, ["default", "tier:whale", "partner:HALF"]);
+
+  assert.equal(fee({ sellToken: ETH_SENTINEL, buyToken: USDC, sellAmount: "1", partner: "NOPE" }).partner, null);
+  // prototype 멤버는 partner가 아님
+  for (const partner of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+    const r = fee({ sellToken: ETH_SENTINEL, buyToken: USDC, sellAmount: "1", partner });
+    assert.equal(r.partner, null, partner);
+    assert.deepEqual(r.rules, ["default"], partner);
+  }
+});
+
+test("validateFeePolicy rejects bad or null values", () => {
+  const { validateFeePolicy } = srv.mod;
+  assert.doesNotThrow(() => validateFeePolicy(feeConfig));
+  assert.doesNotThrow(() => validateFeePolicy({ chains: { 1: { recipient: DEFAULT_RECIPIENT } } })); // 생략 = 상속
+  const cases = [
+    [null, /must be an object/],
+    [{ percentage: null }, /default: percentage/],
+    [{ chains: { 1: { percentage: null } } }, /chains\.1: percentage/],
+    [{ pairs: [{ sell: "*", buy: "*" }] }, /pairs\[0\]: percentage/],
+    [{ tiers: [{ minAmount: "1", percentage: null }] }, /tiers\[0\]: percentage/],
+    [{ tiers: [{ minAmount: "1e3", percentage: 0 }] }, /tiers\[0\]: invalid minAmount/],
+    [{ percentage: 0.06 }, /between 0 and 0.05/],
+    [{ recipient: "0x12" }, /default: invalid recipient/],
+    [{ partners: { X: { discount: 2 } } }, /partners\.X: discount/],
+  ];
+  for (const [cfg, message] of cases) assert.throws(() => validateFeePolicy(cfg), message);
+});
+
+const mockPrice = () =>
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "2500000000", minBuyAmount: "2490000000" },
+  }));
+
+test("/quote and /swap send and echo the same fee", async () => {
+  mockPrice();
+  mock.on("GET /swap/allowance-holder/quote", (req) => ({
+    body: {
+      liquidityAvailable: true,
+      sellAmount: req.query.sellAmount,
+      buyAmount: "2500000000",
+      minBuyAmount: "2490000000",
+      transaction: { to: "0x0000000000001fF3684f28c67538d4D072C22734", data: "0xdeadbeef", value: req.query.sellAmount },
+    },
+  }));
+  const body = { chainId: 1, sellToken: "ETH", buyToken: USDC, sellAmount: "1000000000000000000", taker: TAKER, partner: "acme" };
+
+  const quote = await srv.request("POST", "/quote", body);
+  const swap = await srv.request("POST", "/swap", body);
+  assert.equal(quote.status, 200);
+  assert.equal(swap.status, 200);
+  assert.equal(quote.body.fee.percentage, 0.002);
+  assert.deepEqual(swap.body.fee, quote.body.fee);
+
+  const sent = mock.requests.filter((r) => r.path.startsWith("/swap/allowance-holder/")).map((r) => [r.query.feeRecipient, r.query.buyTokenPercentageFee]);
+  assert.deepEqual(sent, [
+    [ACME_RECIPIENT, "0.002"],
+    [ACME_RECIPIENT, "0.002"],
+  ]);
+
+  // 0 fee면 fee 파라미터 자체를 안 보냄
+  mock.reset();
+  mockPrice();
+  const stable = await srv.request("POST", "/quote", { chainId: 1, sellToken: USDC, buyToken: DAI, sellAmount: "1000000" });
+  assert.equal(stable.status, 200);
+  const [call] = mock.requests.filter((r) => r.path === "/swap/allowance-holder/price");
+  assert.equal(call.query.feeRecipient, undefined);
+  assert.equal(call.query.buyTokenPercentageFee, undefined);
+});
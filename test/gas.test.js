@@ -0,0 +1,121 @@
+// 가스 오라클 (/gas) — eth_feeHistory percentile, maxPriorityFeePerGas / legacy gasPrice fallback, 비용 추정
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+const { tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const gwei = (n) => "0x" + (BigInt(Math.round(n * 1e3)) * 10n ** 6n).toString(16);
+const toGwei = (hex) => Number(BigInt(hex)) / 1e9;
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, GAS_ORACLE_TTL_MS: "0" });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  mock.rpc("eth_getBlockByNumber", { number: "0x100", baseFeePerGas: gwei(18) });
+  mock.rpc("eth_call", ([call]) => tokenMetaCall({ [USDC]: { symbol: "USDC", decimals: 6 } }, call) || "0x");
+  // WETH 1개 → 2500 USDC
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "2500000000" },
+  }));
+});
+
+const rpcCalls = (method) => mock.requests.filter((r) => r.path === "/rpc" && r.body.method === method);
+
+test("tiers use the median percentile tips of non-empty blocks and the next base fee", async () => {
+  mock.rpc("eth_feeHistory", {
+    baseFeePerGas: [gwei(17), gwei(18), gwei(19), gwei(19.5), gwei(20)],
+    gasUsedRatio: [0.5, 0, 0.9, 0.4],
+    reward: [
+      [gwei(1), gwei(2), gwei(5)],
+      [gwei(0), gwei(0), gwei(0)], // 빈 블록 → 제외
+      [gwei(2), gwei(3), gwei(6)],
+      [gwei(3), gwei(4), gwei(9)],
+    ],
+  });
+
+  const res = await srv.request("GET", "/gas?chainId=1&gas=100000");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "public, max-age=5");
+  assert.equal(res.body.type, "eip1559");
+  assert.equal(res.body.source, "feeHistory");
+  assert.equal(res.body.blockNumber, 256);
+  assert.equal(toGwei(res.body.baseFeePerGas), 20);
+  assert.deepEqual(rpcCalls("eth_feeHistory")[0].body.params, ["0x14", "latest", [10, 50, 90]]);
+
+  const { slow, normal, fast } = res.body.tiers;
+  assert.deepEqual([slow, normal, fast].map((t) => toGwei(t.maxPriorityFeePerGas)), [2, 3, 6]);
+  // maxFee = baseFee × (110 / 150 / 200%) + tip
+  assert.deepEqual([slow, normal, fast].map((t) => toGwei(t.maxFeePerGas)), [24, 33, 46]);
+  assert.deepEqual([slow, normal, fast].map((t) => toGwei(t.effectiveGasPrice)), [22, 23, 26]);
+  assert.deepEqual([slow, normal, fast].map((t) => t.estimatedBlocks), [6, 2, 1]);
+  assert.equal(fast.estimatedSeconds, 12);
+
+  // 100000 gas × 23 gwei = 0.0023 ETH × $2500
+  assert.equal(res.body.nativeUsd, 2500);
+  assert.equal(normal.estimatedCost.wei, "2300000000000000");
+  assert.equal(normal.estimatedCost.native, "0.0023");
+  assert.ok(Math.abs(normal.estimatedCost.usd - 5.75) < 1e-9);
+});
+
+test("falls back to eth_maxPriorityFeePerGas when feeHistory is unavailable", async () => {
+  mock.rpc("eth_feeHistory", () => {
+    throw Object.assign(new Error("method not found"), { code: -32601 });
+  });
+  mock.rpc("eth_maxPriorityFeePerGas", gwei(1.5));
+  const res = await srv.request("GET", "/gas?chainId=1");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "maxPriorityFeePerGas");
+  assert.equal(res.body.gas, "200000");
+  assert.equal(toGwei(res.body.baseFeePerGas), 18);
+  assert.deepEqual(Object.values(res.body.tiers).map((t) => toGwei(t.maxPriorityFeePerGas)), [1.5, 1.5, 1.5]);
+  assert.equal(toGwei(res.body.tiers.fast.maxFeePerGas), 37.5);
+});
+
+test("chains without a base fee get legacy gasPrice tiers", async () => {
+  mock.rpc("eth_getBlockByNumber", { number: "0x10" });
+  mock.rpc("eth_gasPrice", gwei(10));
+  const res = await srv.request("GET", "/gas?chainId=1");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.type, "legacy");
+  assert.equal(res.body.source, "gasPrice");
+  assert.equal(res.body.baseFeePerGas, null);
+  assert.deepEqual(Object.values(res.body.tiers).map((t) => toGwei(t.gasPrice)), [9, 10, 12.5]);
+  assert.equal(rpcCalls("eth_feeHistory").length, 0);
+});
+
+test("rejects bad gas limits and unknown chains; RPC failures are 502", async () => {
+  for (const q of ["gas=0", "gas=abc", "gas=1234567890", "gas=-5"]) {
+    const res = await srv.request("GET", `/gas?chainId=1&${q}`);
+    assert.equal(res.status, 400, q);
+    assert.equal(res.body.message, "gas must be a positive integer");
+  }
+  assert.equal((await srv.request("GET", "/gas?chainId=999")).status, 400);
+
+  mock.rpc("eth_getBlockByNumber", () => {
+    throw new Error("upstream down");
+  });
+  const failed = await srv.request("GET", "/gas?chainId=1");
+  assert.equal(failed.status, 502);
+  assert.match(failed.body.message, /upstream down/);
+});
+
+test("bigMedian picks the upper middle of sorted bigints", () => {
+  const { bigMedian } = srv.mod;
+  assert.equal(bigMedian([]), null);
+  assert.equal(bigMedian([3n, 1n, 2n]), 2n);
+  assert.equal(bigMedian([4n, 1n, 3n, 2n]), 3n);
+  assert.equal(bigMedian([10n ** 30n, 1n]), 10n ** 30n);
+});
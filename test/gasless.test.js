@@ -0,0 +1,263 @@
+// /gasless/* ↔ 로컬 mock 0x 서버
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+const { tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const TAKER = "0x1111111111111111111111111111111111111111";
+const RECIPIENT = "0x9999999999999999999999999999999999999999";
+const TOKENS = { [USDC]: { symbol: "USDC", decimals: 6 }, [WETH]: { symbol: "WETH", decimals: 18 } };
+const SIG = "0x" + "11".repeat(32) + "22".repeat(32) + "1b";
+const TRADE_HASH = "0x" + "ab".repeat(32);
+
+const tradeTypedData = {
+  types: { EIP712Domain: [{ name: "name", type: "string" }] },
+  domain: { name: "Settler", chainId: 1 },
+  primaryType: "PermitWitnessTransferFrom",
+  message: { nonce: "1", deadline: "1900000000" },
+};
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer(
+    {
+      ZEROX_BASE: mock.url,
+      RPC_URL: `${mock.url}/rpc`,
+      FEE_RECIPIENT: RECIPIENT,
+      FEE_PERCENTAGE: "0.0015",
+    },
+    { files: { FEE_CONFIG: { partners: { HALF: { discount: 0.5 } } } } }
+  );
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  mock.rpc("eth_call", ([call]) => tokenMetaCall(TOKENS, call) ?? "0x");
+});
+
+const zeroxCalls = (route) => mock.requests.filter((r) => r.path === route);
+
+function mockQuote(overrides = {}) {
+  mock.on("GET /gasless/quote", () => ({
+    body: {
+      liquidityAvailable: true,
+      sellAmount: "1000000",
+      buyAmount: "400000000000000",
+      minBuyAmount: "396000000000000",
+      approval: null,
+      trade: { type: "settler_metatransaction", hash: "0x" + "cd".repeat(32), eip712: tradeTypedData },
+      fees: { integratorFee: { amount: "320000000000", token: WETH, type: "volume" } },
+      issues: { allowance: null, balance: null },
+      ...overrides,
+    },
+  }));
+}
+
+const quoteBody = { chainId: 1, sellToken: USDC, buyToken: WETH, sellAmount: "1000000", taker: TAKER };
+
+test("price sends an integer swapFeeBps and reports the rounded fee", async () => {
+  mock.on("GET /gasless/price", () => ({
+    body: { liquidityAvailable: true, sellAmount: "1000000", buyAmount: "400000000000000", minBuyAmount: "396000000000000" },
+  }));
+
+  const res = await srv.request("POST", "/gasless/price", { ...quoteBody, taker: undefined, partner: "half" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.liquidityAvailable, true);
+  assert.equal(res.body.fee.bps, 8); // 15bps * 50% = 7.5 → 8
+  assert.equal(res.body.fee.percentage, 0.0008);
+  assert.equal(res.body.formatted.sellAmount, "1");
+  assert.equal(res.body.formatted.buyAmount, "0.0004");
+
+  const [call] = zeroxCalls("/gasless/price");
+  assert.equal(call.query.swapFeeBps, "8");
+  assert.equal(call.query.swapFeeRecipient, RECIPIENT);
+  assert.equal(call.query.swapFeeToken, WETH);
+  assert.equal(call.query.buyTokenPercentageFee, undefined);
+  assert.equal(call.query.feeRecipient, undefined);
+  assert.equal(call.headers["0x-api-key"], "test-key");
+});
+
+test("price and quote report missing liquidity", async () => {
+  mock.on("GET /gasless/price", { body: { liquidityAvailable: false, zid: "z1" } });
+  mock.on("GET /gasless/quote", { body: { liquidityAvailable: false, zid: "z2" } });
+
+  for (const route of ["/gasless/price", "/gasless/quote"]) {
+    const res = await srv.request("POST", route, quoteBody);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.liquidityAvailable, false);
+    assert.match(res.body.message, /No gasless liquidity/);
+  }
+});
+
+test("quote validates the taker and refuses native sells", async () => {
+  mockQuote();
+  let res = await srv.request("POST", "/gasless/quote", { ...quoteBody, taker: undefined });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /taker is required/);
+
+  res = await srv.request("POST", "/gasless/quote", { ...quoteBody, sellToken: "ETH" });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /cannot sell native/);
+  assert.equal(zeroxCalls("/gasless/quote").length, 0);
+});
+
+test("quote → submit relays the signed trade", async () => {
+  mockQuote();
+  mock.on("POST /gasless/submit", { body: { tradeHash: TRADE_HASH, type: "settler_metatransaction", zid: "z3" } });
+
+  const quote = await srv.request("POST", "/gasless/quote", { ...quoteBody, partner: "HALF" });
+  assert.equal(quote.status, 200);
+  assert.equal(quote.body.liquidityAvailable, true);
+  assert.equal(quote.body.approval, null);
+  assert.deepEqual(quote.body.trade.eip712, tradeTypedData);
+  assert.equal(quote.body.fee.bps, 8);
+  assert.equal(zeroxCalls("/gasless/quote")[0].query.taker, TAKER);
+
+  // 프런트가 typed data 키 순서를 바꿔 보내도 같은 거래
+  const { message, primaryType, domain, types } = quote.body.trade.eip712;
+  const res = await srv.request("POST", "/gasless/submit", {
+    chainId: 1,
+    taker: TAKER,
+    trade: { type: quote.body.trade.type, eip712: { message, primaryType, domain, types }, signature: SIG },
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { tradeHash: TRADE_HASH, type: "settler_metatransaction", zid: "z3" });
+
+  const [sent] = zeroxCalls("/gasless/submit");
+  assert.equal(sent.body.chainId, 1);
+  assert.deepEqual(sent.body.trade.signature, { v: 27, r: "0x" + "11".repeat(32), s: "0x" + "22".repeat(32), signatureType: 2 });
+  assert.equal(sent.body.approval, undefined);
+});
+
+test("submit rejects unknown trades and malformed signatures", async () => {
+  mock.on("POST /gasless/submit", { body: { tradeHash: TRADE_HASH } });
+  const trade = { type: "settler_metatransaction", eip712: { ...tradeTypedData, message: { nonce: "2" } }, signature: SIG };
+
+  let res = await srv.request("POST", "/gasless/submit", { chainId: 1, taker: TAKER, trade });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /Unknown or expired trade/);
+
+  res = await srv.request("POST", "/gasless/submit", { chainId: 1, taker: TAKER, trade: { ...trade, signature: "0x1234" } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /signature/);
+  assert.equal(zeroxCalls("/gasless/submit").length, 0);
+});
+
+test("submit records pending revenue and status confirms it once", async () => {
+  mockQuote({ trade: { type: "settler_metatransaction", eip712: { ...tradeTypedData, message: { nonce: "3" } } } });
+  mock.on("POST /gasless/submit", { body: { tradeHash: TRADE_HASH, type: "settler_metatransaction" } });
+  const quote = await srv.request("POST", "/gasless/quote", quoteBody);
+  await srv.request("POST", "/gasless/submit", {
+    chainId: 1,
+    taker: TAKER,
+    trade: { type: quote.body.trade.type, eip712: quote.body.trade.eip712, signature: SIG },
+  });
+
+  const txHash = "0x" + "ef".repeat(32);
+  mock.on("GET /gasless/status/" + TRADE_HASH, { body: { status: "submitted", transactions: [{ hash: txHash, timestamp: 1 }] } });
+  let res = await srv.request("GET", `/gasless/status/${TRADE_HASH}?chainId=1`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "submitted");
+  assert.equal(res.body.transactions[0].explorerUrl, `https://etherscan.io/tx/${txHash}`);
+  assert.equal(zeroxCalls(`/gasless/status/${TRADE_HASH}`)[0].query.chainId, "1");
+
+  mock.on("GET /gasless/status/" + TRADE_HASH, { body: { status: "confirmed", transactions: [{ hash: txHash, timestamp: 2 }] } });
+  await srv.request("GET", `/gasless/status/${TRADE_HASH}?chainId=1`);
+  await srv.request("GET", `/gasless/status/${TRADE_HASH}?chainId=1`);
+
+  const rows = await eventually(() => {
+    const lines = fs.readFileSync(process.env.REVENUE_LOG_FILE, "utf8").trim().split("\n");
+    const found = lines.map((l) => JSON.parse(l)).filter((r) => r.tradeHash === TRADE_HASH);
+    assert.equal(found.filter((r) => r.type === "status").length, 1);
+    return found;
+  });
+  // submit 때 pending, 체결 확인은 별도 줄로 한 번만 (같은 tradeHash의 앞 테스트 submit도 남아 있음)
+  const confirm = rows.find((r) => r.type === "status");
+  const swap = rows.findLast((r) => r.type === "swap");
+  assert.equal(swap.type, "swap");
+  assert.equal(swap.status, "pending");
+  assert.equal(swap.feeAmount, "320000000000");
+  assert.deepEqual([confirm.type, confirm.id, confirm.status, confirm.txHash], ["status", swap.id, "confirmed", txHash]);
+});
+
+test("status validates the trade hash", async () => {
+  const res = await srv.request("GET", "/gasless/status/0x1234?chainId=1");
+  assert.equal(res.status, 400);
+});
+
+test("0x errors pass through with status and details", async () => {
+  const details = { name: "INPUT_INVALID", message: "Validation Failed", data: { details: [{ field: "sellAmount" }] } };
+  mock.on("GET /gasless/quote", { status: 400, body: details });
+  let res = await srv.request("POST", "/gasless/quote", quoteBody);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, "Validation Failed");
+  assert.deepEqual(res.body.details, details);
+
+  mock.on("POST /gasless/submit", { status: 400, body: { name: "TRADE_EXPIRED", message: "Trade has expired" } });
+  mockQuote({ trade: { type: "settler_metatransaction", eip712: { ...tradeTypedData, message: { nonce: "4" } } } });
+  const quote = await srv.request("POST", "/gasless/quote", quoteBody);
+  res = await srv.request("POST", "/gasless/submit", {
+    chainId: 1,
+    taker: TAKER,
+    trade: { type: quote.body.trade.type, eip712: quote.body.trade.eip712, signature: SIG },
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, "Trade has expired");
+  assert.equal(res.body.details.name, "TRADE_EXPIRED");
+
+  // 429는 Retry-After 그대로 (0x 차단기가 열리므로 마지막에)
+  mock.on("GET /gasless/price", { status: 429, headers: { "retry-after": "7" }, body: { message: "Too many requests" } });
+  res = await srv.request("POST", "/gasless/price", quoteBody);
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get("retry-after"), "7");
+});
+
+test("gaslessFee rounds to whole bps and drops the recipient at 0", () => {
+  const { gaslessFee } = srv.mod;
+  assert.deepEqual(gaslessFee({ recipient: RECIPIENT, percentage: 0.00075, bps: 7.5 }), {
+    recipient: RECIPIENT,
+    percentage: 0.0008,
+    bps: 8,
+  });
+  assert.equal(gaslessFee({ recipient: RECIPIENT, percentage: 0.00004, bps: 0.4 }).recipient, null);
+  assert.equal(gaslessFee(null), null);
+});
+
+test("toGaslessParams renames the fee parameters", () => {
+  const { buildParams, toGaslessParams } = srv.mod;
+  const fee = { recipient: RECIPIENT, percentage: 0.0008, bps: 8 };
+  const params = buildParams({ chainId: 1, sellToken: USDC, buyToken: WETH, sellAmount: "1", taker: TAKER, fee });
+  const p = toGaslessParams(params, fee, WETH);
+  assert.equal(p.get("swapFeeBps"), "8");
+  assert.equal(p.get("swapFeeToken"), WETH);
+  assert.equal(p.has("buyTokenPercentageFee"), false);
+  assert.equal(toGaslessParams(params, { ...fee, bps: 0 }, WETH).has("swapFeeBps"), false);
+});
+
+test("normalizeEip712Signature accepts hex and { v, r, s }", () => {
+  const { normalizeEip712Signature } = srv.mod;
+  const r = "0x" + "11".repeat(32);
+  const s = "0x" + "22".repeat(32);
+  assert.deepEqual(normalizeEip712Signature("0x" + "11".repeat(32) + "22".repeat(32) + "00"), { v: 27, r, s, signatureType: 2 });
+  assert.deepEqual(normalizeEip712Signature({ v: "28", r, s }), { v: 28, r, s, signatureType: 2 });
+  assert.throws(() => normalizeEip712Signature({ v: 1, r, s }), { status: 400 });
+  assert.throws(() => normalizeEip712Signature("0xabc"), { status: 400 });
+});
+
+test("canonicalJson ignores key order", () => {
+  const { canonicalJson } = srv.mod;
+  assert.equal(canonicalJson({ b: [1, { d: 1, c: 2 }], a: null }), canonicalJson({ a: null, b: [1, { c: 2, d: 1 }] }));
+  assert.equal(canonicalJson({ b: 1, a: 2 }), '{"a":2,"b":1}');
+});
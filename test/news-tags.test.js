@@ -0,0 +1,130 @@
+// 뉴스 토큰 태그 — 별칭 사전(기본값 + NEWS_TOKEN_ALIASES), /api/crypto-news/token/:symbolOrAddress, /quote news 필드
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+const { tokenMetaCall } = require("./support/abi");
+
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const NOW = Date.now();
+const item = (title, h) =>
+  `<item><title>${title}</title><link>https://news.example/${h}</link><pubDate>${new Date(NOW - h * 3600000).toUTCString()}</pubDate></item>`;
+
+const RSS = `<?xml version="1.0"?><rss><channel>
+  ${item("WETH volumes surge on Uniswap", 1)}
+  ${item("Pepe the Frog memecoin rallies as $pepe holders cheer", 2)}
+  ${item("Ethereum devs schedule the next upgrade", 3)}
+  ${item("Methane-powered mining farms expand", 4)}
+  ${item("G-DEX adds limit orders", 5)}
+  ${item("Tether mints another billion", 6)}
+  ${item("ETH staking yields dip", 7)}
+</channel></rss>`;
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  mock.on("GET /news.xml", { body: RSS, type: "application/rss+xml" });
+  mock.rpc("eth_call", ([call]) => tokenMetaCall({ [WETH]: { symbol: "WETH", decimals: 18 } }, call));
+  mock.rpc("eth_getCode", "0x6080");
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "1000", minBuyAmount: "990" },
+  }));
+  srv = await startServer(
+    { MOCK_URL: mock.url, RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url },
+    // 사전에 추가 (기본값 위에 덮어씀), 형식이 틀린 심볼은 무시
+    { files: { NEWS_TOKEN_ALIASES: { gdx: ["G-DEX"], PEPE: ["Pepe the Frog"], "not a symbol": ["x"] } } }
+  );
+  await eventually(async () => assert.equal((await srv.request("GET", "/api/crypto-news")).body.items.length, 5));
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+const titles = (res) => res.body.items.map((it) => it.title);
+
+test("archived items carry the token tags they mention", async () => {
+  const res = await srv.request("GET", "/api/crypto-news?limit=10");
+  const tags = Object.fromEntries(res.body.items.map((it) => [it.title, it.tokens]));
+  assert.deepEqual(tags, {
+    "WETH volumes surge on Uniswap": ["ETH", "UNI"],
+    "Pepe the Frog memecoin rallies as $pepe holders cheer": ["PEPE"],
+    "Ethereum devs schedule the next upgrade": ["ETH"],
+    "Methane-powered mining farms expand": [],
+    "G-DEX adds limit orders": ["GDX"],
+    "Tether mints another billion": ["USDT"],
+    "ETH staking yields dip": ["ETH"],
+  });
+});
+
+test("token news by symbol or alias uses the tag", async () => {
+  const eth = await srv.request("GET", "/api/crypto-news/token/weth?limit=10");
+  assert.equal(eth.status, 200);
+  assert.deepEqual(eth.body.token, { symbol: "ETH", query: "weth", matchedBy: "tag" });
+  assert.deepEqual(titles(eth), ["WETH volumes surge on Uniswap", "Ethereum devs schedule the next upgrade", "ETH staking yields dip"]);
+
+  const pepe = await srv.request("GET", "/api/crypto-news/token/$PEPE");
+  assert.deepEqual(titles(pepe), ["Pepe the Frog memecoin rallies as $pepe holders cheer"]);
+
+  // 사전에 없으면 단어 단위 텍스트 매칭
+  const mining = await srv.request("GET", "/api/crypto-news/token/farms");
+  assert.deepEqual(mining.body.token, { symbol: "FARMS", query: "farms", matchedBy: "text" });
+  assert.deepEqual(titles(mining), ["Methane-powered mining farms expand"]);
+
+  // cursor 페이지
+  const first = await srv.request("GET", "/api/crypto-news/token/ETH?limit=2");
+  const next = await srv.request("GET", `/api/crypto-news/token/ETH?limit=2&cursor=${first.body.nextCursor}`);
+  assert.deepEqual(titles(next), ["ETH staking yields dip"]);
+  assert.equal(next.body.nextCursor, null);
+});
+
+test("token news by address resolves the on-chain symbol", async () => {
+  const res = await srv.request("GET", `/api/crypto-news/token/${WETH}?chainId=1&limit=1`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.token, { symbol: "ETH", query: WETH, matchedBy: "tag" });
+  assert.equal(res.body.items.length, 1);
+
+  const unknown = await srv.request("GET", "/api/crypto-news/token/0x2222222222222222222222222222222222222222?chainId=1");
+  assert.equal(unknown.status, 404);
+  assert.equal((await srv.request("GET", `/api/crypto-news/token/${WETH}?chainId=999`)).status, 400);
+  assert.equal((await srv.request("GET", "/api/crypto-news/token/not-a-symbol")).status, 400);
+  assert.equal((await srv.request("GET", "/api/crypto-news/token/ETH?cursor=bad")).status, 400);
+});
+
+test("/quote adds buy-token headlines only when asked", async () => {
+  const body = { chainId: 1, sellToken: "ETH", buyToken: WETH, sellAmount: "1000" };
+  const plain = await srv.request("POST", "/quote", body);
+  assert.equal(plain.status, 200);
+  assert.equal(plain.body.news, undefined);
+
+  const res = await srv.request("POST", "/quote", { ...body, sellAmount: "2000", news: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.news.length, 3);
+  assert.deepEqual(Object.keys(res.body.news[0]), ["title", "link", "source", "publishedAt", "thumbnail"]);
+  assert.equal(res.body.news[0].title, "WETH volumes surge on Uniswap");
+});
+
+test("buildNewsTaggers: symbols are case-sensitive words, names are not", () => {
+  const { buildNewsTaggers } = srv.mod;
+  const [t] = buildNewsTaggers({ ETH: ["Ethereum", "WETH"] });
+  assert.equal(t.symbol, "ETH");
+  assert.equal(t.symRe.test("ETH rallies"), true);
+  assert.equal(t.symRe.test("(WETH)"), true);
+  assert.equal(t.symRe.test("eth rallies"), false);
+  assert.equal(t.symRe.test("ETHW forks"), false);
+  assert.equal(t.symCiRe.test("buy $eth now"), true);
+  assert.equal(t.nameRe.test("the ethereum network"), true);
+  assert.equal(t.nameRe.test("Ethereumish"), false);
+  assert.equal(buildNewsTaggers({ AAVE: [] })[0].nameRe, null);
+  // 정규식 특수문자는 이스케이프
+  assert.equal(buildNewsTaggers({ X: ["a.b"] })[0].nameRe.test("axb"), false);
+});
+
+test("tagNews reads title and summary", () => {
+  const { tagNews } = srv.mod;
+  assert.deepEqual(tagNews({ title: "Market wrap", summary: "Bitcoin and Solana lead" }), ["BTC", "SOL"]);
+  assert.deepEqual(tagNews({ title: "Nothing here", summary: null }), []);
+});
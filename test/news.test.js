@@ -0,0 +1,226 @@
+// 뉴스 피드 (RSS 2.0 / Atom) → 아카이브, 최신순 cursor 페이지, source / q / since 필터, 소스별 상태
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+
+const NOW = Date.now();
+const ago = (h) => new Date(NOW - h * 3600000);
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/"><channel><title>Alpha</title>
+  <item>
+    <title>Bitcoin ETF inflows &amp; record highs</title>
+    <link>https://alpha.example/btc</link>
+    <pubDate>${ago(1).toUTCString()}</pubDate>
+    <description><![CDATA[<p>Funds bought <b>more</b> BTC.</p><img src="https://img.example/btc.png">]]></description>
+  </item>
+  <item>
+    <title>Ethics in DeFi governance</title>
+    <guid>https://alpha.example/ethics</guid>
+    <pubDate>${ago(2).toUTCString()}</pubDate>
+    <media:thumbnail url="https://img.example/ethics.jpg"/>
+  </item>
+  <item>
+    <title>Solana validators restart after outage</title>
+    <link>https://alpha.example/sol</link>
+    <pubDate>${ago(3).toUTCString()}</pubDate>
+    <enclosure url="https://img.example/sol.webp" type="image/webp" length="1"/>
+  </item>
+  <item>
+    <title>Uniswap v4 launches</title>
+    <link>https://alpha.example/uni</link>
+    <pubDate>${ago(4).toUTCString()}</pubDate>
+  </item>
+  <item>
+    <title>Old news</title>
+    <link>https://alpha.example/old</link>
+    <pubDate>${ago(24 * 10).toUTCString()}</pubDate>
+  </item>
+</channel></rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"><title>Beta</title>
+  <entry>
+    <title>UNISWAP V4 LAUNCHES</title>
+    <id>urn:beta:uni</id>
+    <link rel="alternate" href="https://beta.example/uni"/>
+    <published>${ago(4).toISOString()}</published>
+  </entry>
+  <entry>
+    <title type="html">$ETH gas fees drop</title>
+    <id>urn:beta:gas</id>
+    <link rel="self" href="https://beta.example/self"/>
+    <link href="https://beta.example/gas"/>
+    <updated>${ago(0.5).toISOString()}</updated>
+    <summary type="html">&lt;b&gt;Cheaper&lt;/b&gt; swaps on mainnet</summary>
+  </entry>
+</feed>`;
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  mock.on("GET /alpha.xml", { body: RSS, type: "application/rss+xml" });
+  mock.on("GET /beta.xml", { body: ATOM, type: "application/atom+xml" });
+  mock.on("GET /gamma.xml", { status: 404, body: "gone" });
+  srv = await startServer(
+    {},
+    {
+      files: {
+        NEWS_SOURCES_CONFIG: [
+          { name: "Alpha", url: `${mock.url}/alpha.xml` },
+          { name: "Beta", url: `${mock.url}/beta.xml` },
+          { name: "Gamma", url: `${mock.url}/gamma.xml` },
+          { name: "Off", url: `${mock.url}/off.xml`, enabled: false },
+          { name: "alpha", url: `${mock.url}/dup.xml` }, // 이름 중복 → 무시
+          { name: "Ftp", url: "ftp://news.example/feed" }, // http(s) 아님 → 무시
+        ],
+      },
+    }
+  );
+  // 뉴스는 시작 시 비동기로 읽음
+  await eventually(async () => assert.ok((await srv.request("GET", "/api/crypto-news")).body.updatedAt > 0));
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+const titles = (res) => res.body.items.map((it) => it.title);
+
+test("feeds are merged newest first, de-duplicated by title and pruned by age", async () => {
+  const res = await srv.request("GET", "/api/crypto-news?limit=10");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+  assert.equal(res.body.error, null);
+  assert.deepEqual(titles(res), [
+    "$ETH gas fees drop",
+    "Bitcoin ETF inflows & record highs",
+    "Ethics in DeFi governance",
+    "Solana validators restart after outage",
+    "Uniswap v4 launches",
+  ]);
+
+  const [gas, btc, ethics, sol, uni] = res.body.items;
+  assert.equal(gas.source, "Beta");
+  assert.equal(gas.link, "https://beta.example/gas");
+  assert.equal(gas.summary, "Cheaper swaps on mainnet");
+  assert.equal(btc.summary, "Funds bought more BTC.");
+  assert.equal(btc.thumbnail, "https://img.example/btc.png");
+  assert.equal(btc.publishedAt, new Date(Math.floor(ago(1).getTime() / 1000) * 1000).toISOString());
+  assert.equal(ethics.link, "https://alpha.example/ethics"); // guid가 URL이면 link로
+  assert.equal(ethics.thumbnail, "https://img.example/ethics.jpg");
+  assert.equal(sol.thumbnail, "https://img.example/sol.webp");
+  assert.equal(uni.source, "Alpha");
+  assert.equal(btc.fetchedAt, undefined);
+  assert.match(btc.id, /^[0-9a-f]{16}$/);
+
+  // 기본 페이지 크기는 5
+  assert.equal((await srv.request("GET", "/api/crypto-news")).body.items.length, 5);
+});
+
+test("cursor pagination walks the archive without gaps", async () => {
+  const seen = [];
+  let cursor = null;
+  for (let page = 0; page < 5; page++) {
+    const res = await srv.request("GET", `/api/crypto-news?limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+    seen.push(...titles(res));
+    cursor = res.body.nextCursor;
+    if (!cursor) break;
+  }
+  assert.equal(cursor, null);
+  assert.equal(seen.length, 5);
+  assert.equal(new Set(seen).size, 5);
+
+  assert.equal((await srv.request("GET", "/api/crypto-news?cursor=garbage")).status, 400);
+});
+
+test("source, q and since filters", async () => {
+  assert.deepEqual(titles(await srv.request("GET", "/api/crypto-news?source=beta&limit=10")), ["$ETH gas fees drop"]);
+  assert.equal((await srv.request("GET", "/api/crypto-news?source=Alpha,BETA&limit=10")).body.items.length, 5);
+
+  // 짧은 검색어는 단어 단위 ("eth"가 "Ethics"에 안 걸림)
+  assert.deepEqual(titles(await srv.request("GET", "/api/crypto-news?q=eth&limit=10")), ["$ETH gas fees drop"]);
+  // 사전에 있는 토큰은 태그로도 (Bitcoin 기사 → BTC)
+  assert.deepEqual(titles(await srv.request("GET", "/api/crypto-news?q=btc&limit=10")), ["Bitcoin ETF inflows & record highs"]);
+  assert.deepEqual(titles(await srv.request("GET", "/api/crypto-news?q=governance")), ["Ethics in DeFi governance"]);
+
+  const since = ago(1.5).toISOString();
+  assert.deepEqual(titles(await srv.request("GET", `/api/crypto-news?since=${since}&limit=10`)), [
+    "$ETH gas fees drop",
+    "Bitcoin ETF inflows & record highs",
+  ]);
+  const epoch = Math.floor(ago(2.5).getTime() / 1000);
+  assert.equal((await srv.request("GET", `/api/crypto-news?since=${epoch}&limit=10`)).body.items.length, 3);
+
+  assert.equal((await srv.request("GET", "/api/crypto-news?since=yesterday")).status, 400);
+  assert.equal((await srv.request("GET", `/api/crypto-news?q=${"x".repeat(101)}`)).status, 400);
+});
+
+test("per-source health and the archive file", async () => {
+  await srv.mod.refreshCryptoNews();
+  const res = await srv.request("GET", "/api/crypto-news/sources");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.archived, 5);
+  assert.equal(res.body.refreshMs, 600000);
+  const byName = Object.fromEntries(res.body.sources.map((s) => [s.name, s]));
+  assert.deepEqual(Object.keys(byName), ["Alpha", "Beta", "Gamma", "Off"]);
+  assert.equal(byName.Alpha.status, "ok");
+  assert.equal(byName.Alpha.lastItems, 5);
+  assert.equal(byName.Alpha.archived, 4);
+  assert.equal(byName.Beta.archived, 1);
+  assert.equal(byName.Gamma.status, "failing");
+  assert.equal(byName.Gamma.lastError, "HTTP 404");
+  assert.equal(byName.Gamma.consecutiveFailures, 2);
+  assert.equal(byName.Gamma.lastSuccessAt, null);
+  assert.equal(byName.Off.status, "disabled");
+  assert.equal(byName.Off.lastFetchAt, null);
+  assert.equal(mock.requests.filter((r) => r.path === "/off.xml").length, 0);
+
+  // 다시 읽어도 중복으로 쌓이지 않음
+  assert.equal((await srv.request("GET", "/api/crypto-news?limit=50")).body.items.length, 5);
+  await eventually(() => {
+    const saved = JSON.parse(fs.readFileSync(path.join(srv.dir, "news.json"), "utf8"));
+    assert.equal(saved.length, 5);
+    assert.ok(saved.every((it) => it.fetchedAt && Array.isArray(it.tokens)));
+  });
+});
+
+test("parseFeed decodes entities, drops non-http links and skips untitled items", () => {
+  const { parseFeed } = srv.mod;
+  const items = parseFeed(
+    `<rss><channel>
+      <item><title>A &amp;lt; B &#8212; &#x1F680; &hellip;</title><link>javascript:alert(1)</link></item>
+      <item><title>   </title><link>https://x.example/empty</link></item>
+      <item><title><![CDATA[Raw &amp; <b>bold</b>]]></title><description>${"word ".repeat(100)}</description></item>
+    </channel></rss>`,
+    "Src"
+  );
+  assert.equal(items.length, 2);
+  assert.equal(items[0].title, "A < B — 🚀 …"); // 제목도 HTML이라 한 번 더 풀림
+  assert.equal(items[0].link, null);
+  assert.equal(items[0].publishedAt, null);
+  assert.equal(items[1].title, "Raw & bold");
+  assert.ok(items[1].summary.length <= 300);
+  assert.ok(items[1].summary.endsWith("word…"));
+
+  // 미래 날짜는 지금으로
+  const [future] = parseFeed(`<feed><entry><title>t</title><updated>2999-01-01T00:00:00Z</updated></entry></feed>`, "Src");
+  assert.ok(Date.parse(future.publishedAt) <= Date.now());
+
+  assert.deepEqual(parseFeed("<html><body>not a feed</body></html>", "Src"), []);
+  assert.deepEqual(parseFeed(null, "Src"), []);
+});
+
+test("news cursors round-trip and reject tampering", () => {
+  const { encodeNewsCursor, decodeNewsCursor } = srv.mod;
+  const publishedAt = ago(1).toISOString();
+  assert.deepEqual(decodeNewsCursor(encodeNewsCursor({ id: "abc", publishedAt })), { t: Date.parse(publishedAt), id: "abc" });
+  assert.equal(decodeNewsCursor(Buffer.from(JSON.stringify({ t: "1", id: "x" })).toString("base64url")), null);
+  assert.equal(decodeNewsCursor("!!"), null);
+});
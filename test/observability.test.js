@@ -0,0 +1,130 @@
+// JSON 로그 + 요청 ID 전달 + 민감 정보 가림 + /metrics
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const TAKER = "0x1111111111111111111111111111111111111111";
+
+let mock;
+let srv;
+let logs;
+const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+
+before(async () => {
+  // 서버 JSON 로그는 잡아두고(테스트 출력에서 뺌) 나머지는 그대로 출력
+  logs = [];
+  for (const stream of ["stdout", "stderr"]) {
+    process[stream].write = function (chunk, ...rest) {
+      if (String(chunk).startsWith('{"ts":')) {
+        logs.push(JSON.parse(chunk));
+        return true;
+      }
+      return writes[stream].call(this, chunk, ...rest);
+    };
+  }
+  mock = await startMock();
+  srv = await startServer({ ZEROX_BASE: mock.url, LOG_LEVEL: "info", METRICS_TOKEN: "scrape-me" });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+  process.stdout.write = writes.stdout;
+  process.stderr.write = writes.stderr;
+});
+
+beforeEach(() => {
+  mock.reset();
+  logs.length = 0;
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "1000000000", minBuyAmount: "990000000" },
+  }));
+});
+
+const quoteBody = { chainId: 1, sellToken: "ETH", buyToken: USDC, sellAmount: "1000", taker: TAKER };
+
+test("request IDs are reused, returned and sent upstream", async () => {
+  const res = await srv.request("POST", "/quote", quoteBody, { "x-request-id": "client-42" });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-request-id"), "client-42");
+  const [call] = mock.requests.filter((r) => r.path === "/swap/allowance-holder/price");
+  assert.equal(call.headers["x-request-id"], "client-42");
+  assert.equal(call.headers["0x-api-key"], "test-key");
+
+  // 0x 호출 로그와 액세스 로그가 같은 reqId로 묶임
+  const mine = logs.filter((l) => l.reqId === "client-42").map((l) => l.msg);
+  assert.ok(mine.includes("0x request"));
+  assert.ok(mine.includes("request"));
+
+  // 이상한 값은 버리고 새로 생성
+  const fresh = await srv.request("POST", "/quote", quoteBody, { "x-request-id": "bad id with spaces" });
+  assert.match(fresh.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+});
+
+test("logs mask wallet addresses and never print the API key", async () => {
+  await srv.request("POST", "/quote", { ...quoteBody, sellAmount: "2000" }); // 캐시 안 타게
+  const text = JSON.stringify(logs);
+  const zeroX = logs.find((l) => l.msg === "0x request");
+  assert.match(zeroX.url, /taker=0x1111\.\.\.1111/);
+  assert.ok(!text.includes(TAKER));
+  assert.ok(!text.includes("test-key"));
+  const access = logs.find((l) => l.msg === "request");
+  assert.deepEqual(Object.keys(access).sort(), ["level", "method", "ms", "msg", "reqId", "route", "status", "ts"]);
+  assert.equal(access.route, "/quote");
+});
+
+test("redact hides credentials but keeps token addresses", () => {
+  const { redact } = srv.mod;
+  const out = redact({
+    apiKey: "k",
+    "0x-api-key": "k",
+    authorization: "Bearer x",
+    "x-admin-token": "a",
+    sessionToken: "s",
+    signature: "0xsig",
+    sellToken: USDC,
+    feeToken: USDC,
+    token: USDC,
+    taker: TAKER,
+    nested: [{ password: "p", amount: 5n }],
+    err: Object.assign(new Error("boom"), { status: 502 }),
+  });
+  assert.deepEqual(out, {
+    apiKey: "[REDACTED]",
+    "0x-api-key": "[REDACTED]",
+    authorization: "[REDACTED]",
+    "x-admin-token": "[REDACTED]",
+    sessionToken: "[REDACTED]",
+    signature: "[REDACTED]",
+    sellToken: USDC,
+    feeToken: USDC,
+    token: USDC,
+    taker: "0x1111...1111",
+    nested: [{ password: "[REDACTED]", amount: "5" }],
+    err: { message: "boom", status: 502, code: undefined },
+  });
+});
+
+test("redactUrl strips keys from query strings and RPC paths", () => {
+  const { redactUrl } = srv.mod;
+  assert.equal(redactUrl("https://eth.example/v2/SECRET", { hostOnly: true }), "https://eth.example");
+  assert.equal(
+    redactUrl(`https://api.example/x?apiKey=abc&taker=${TAKER}&chainId=1`),
+    "https://api.example/x?apiKey=%5BREDACTED%5D&taker=0x1111...1111&chainId=1"
+  );
+  assert.equal(redactUrl("not a url"), "[invalid url]");
+});
+
+test("/metrics requires the token and exposes route and upstream series", async () => {
+  await srv.request("POST", "/quote", quoteBody);
+  assert.equal((await srv.request("GET", "/metrics")).status, 401);
+  const res = await srv.request("GET", "/metrics", null, { authorization: "Bearer scrape-me" });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(res.body, /^gdex_http_requests_total\{method="POST",route="\/quote",status="200"\} \d+$/m);
+  assert.match(res.body, /^gdex_http_request_duration_seconds_bucket\{method="POST",route="\/quote",le="\+Inf"\} \d+$/m);
+  assert.match(res.body, /^gdex_upstream_requests_total\{outcome="2xx",upstream="0x"\} \d+$/m);
+  assert.match(res.body, /^gdex_cache_hit_ratio\{cache="quote"\} [\d.]+$/m);
+});
@@ -0,0 +1,283 @@
+// 지정가 주문 / 가격 알림 — 지갑 서명 로그인, 본인 주문 CRUD, watcher 트리거 + SSE, webhook URL 검사
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const { keccak_256 } = require("@noble/hashes/sha3");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+const { tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, QUOTE_CACHE_TTL_MS: "0", ORDER_AUTH_SECRET: "test-secret" });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  mock.rpc("eth_call", ([call]) => tokenMetaCall({ [USDC]: { symbol: "USDC", decimals: 6 } }, call) || "0x");
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "2000000000", minBuyAmount: "2000000000" },
+  }));
+});
+
+function wallet(n) {
+  const priv = Buffer.from(String(n).padStart(64, "0"), "hex");
+  const pub = secp256k1.getPublicKey(priv, false);
+  const address = "0x" + Buffer.from(keccak_256(pub.subarray(1)).subarray(-20)).toString("hex");
+  // EIP-191 personal_sign
+  const sign = (message) => {
+    const msg = Buffer.from(message, "utf8");
+    const digest = keccak_256(Buffer.concat([Buffer.from(`\x19Ethereum Signed Message:\n${msg.length}`, "utf8"), msg]));
+    const sig = secp256k1.sign(digest, priv);
+    return "0x" + sig.toCompactHex() + (27 + sig.recovery).toString(16);
+  };
+  return { address, sign };
+}
+
+const ALICE = wallet(1);
+const BOB = wallet(2);
+
+async function signIn(w) {
+  const { body } = await srv.request("GET", `/orders/auth?taker=${w.address}`);
+  const res = await srv.request("POST", "/orders/auth", { taker: w.address, message: body.message, signature: w.sign(body.message) });
+  assert.equal(res.status, 200);
+  return { authorization: `Bearer ${res.body.token}` };
+}
+
+const orderBody = (extra = {}) => ({ chainId: 1, sellToken: "ETH", buyToken: USDC, sellAmount: "1000000000000000000", triggerPrice: 1900, ...extra });
+
+// SSE 구독: next(event) → 다음 해당 이벤트의 data
+async function subscribe(token) {
+  const ac = new AbortController();
+  const res = await fetch(`${srv.url}/orders/stream?token=${encodeURIComponent(token)}`, { signal: ac.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  return {
+    res,
+    async next(event) {
+      for (;;) {
+        let i;
+        while ((i = buf.indexOf("\n\n")) !== -1) {
+          const chunk = buf.slice(0, i);
+          buf = buf.slice(i + 2);
+          const ev = /^event: (.*)$/m.exec(chunk);
+          const data = /^data: (.*)$/m.exec(chunk);
+          if (ev && ev[1] === event) return JSON.parse(data[1]);
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error("stream ended");
+        buf += decoder.decode(value, { stream: true });
+      }
+    },
+    close() {
+      ac.abort();
+    },
+  };
+}
+
+test("sign-in accepts only a fresh server message signed by the taker", async () => {
+  const { body } = await srv.request("GET", `/orders/auth?taker=${ALICE.address}`);
+  assert.match(body.message, new RegExp(`Wallet: ${ALICE.address}\nNonce: \\S{16}\nIssued At: ${body.issuedAt}$`));
+  assert.equal((await srv.request("GET", "/orders/auth?taker=nope")).status, 400);
+
+  const login = (extra) => srv.request("POST", "/orders/auth", { taker: ALICE.address, message: body.message, ...extra });
+  const bad = await login({ signature: BOB.sign(body.message) });
+  assert.equal(bad.status, 401);
+  assert.equal(bad.body.message, "Signature does not match taker");
+
+  const forged = body.message.replace(/Nonce: \S+/, "Nonce: AAAAAAAAAAAAAAAA");
+  const unknown = await login({ message: forged, signature: ALICE.sign(forged) });
+  assert.equal(unknown.status, 401);
+  assert.match(unknown.body.message, /^Unknown sign-in message/);
+
+  const signature = ALICE.sign(body.message);
+  const ok = await login({ signature });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.taker, ALICE.address);
+  assert.ok(Date.parse(ok.body.expiresAt) > Date.now());
+
+  // 같은 서명은 한 번만
+  const replay = await login({ signature });
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.message, "Sign-in message already used");
+});
+
+test("order routes require a valid session for the same wallet", async () => {
+  assert.equal((await srv.request("GET", "/orders")).status, 401);
+  assert.equal((await srv.request("GET", "/orders", null, { authorization: "Bearer x.y" })).status, 401);
+
+  const auth = await signIn(ALICE);
+  const [, mac] = auth.authorization.slice(7).split(".");
+  const tampered = Buffer.from(JSON.stringify({ taker: BOB.address, exp: Date.now() + 60000 })).toString("base64url");
+  assert.equal((await srv.request("GET", "/orders", null, { authorization: `Bearer ${tampered}.${mac}` })).status, 401);
+
+  const mismatch = await srv.request("GET", `/orders?taker=${BOB.address}`, null, auth);
+  assert.equal(mismatch.status, 403);
+  const create = await srv.request("POST", "/orders", orderBody({ taker: BOB.address }), auth);
+  assert.equal(create.status, 403);
+});
+
+test("create, read, update and cancel your own orders", async () => {
+  const alice = await signIn(ALICE);
+  const bob = await signIn(BOB);
+
+  const created = await srv.request("POST", "/orders", orderBody({ kind: "alert", condition: "lte", webhookUrl: "https://hooks.example.com/gdex?secret=1" }), alice);
+  assert.equal(created.status, 201);
+  const order = created.body;
+  assert.equal(order.taker, ALICE.address);
+  assert.equal(order.status, "open");
+  assert.equal(order.buySymbol, "USDC");
+  assert.equal(order.webhook, "hooks.example.com");
+  assert.equal(order.webhookUrl, undefined);
+
+  assert.deepEqual((await srv.request("GET", "/orders?status=open", null, alice)).body.orders.map((o) => o.id), [order.id]);
+  assert.equal((await srv.request("GET", "/orders?status=done", null, alice)).status, 400);
+  // 남의 주문은 없는 것처럼
+  assert.deepEqual((await srv.request("GET", "/orders", null, bob)).body.orders, []);
+  assert.equal((await srv.request("GET", `/orders/${order.id}`, null, bob)).status, 404);
+  assert.equal((await srv.request("DELETE", `/orders/${order.id}`, null, bob)).status, 404);
+
+  const patched = await srv.request("PATCH", `/orders/${order.id}`, { triggerPrice: "1800.5", webhookUrl: null }, alice);
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.triggerPrice, 1800.5);
+  assert.equal(patched.body.webhook, null);
+  assert.equal((await srv.request("PATCH", `/orders/${order.id}`, { triggerPrice: 0 }, alice)).status, 400);
+
+  const cancelled = await srv.request("DELETE", `/orders/${order.id}`, null, alice);
+  assert.equal(cancelled.body.status, "cancelled");
+  const late = await srv.request("PATCH", `/orders/${order.id}`, { triggerPrice: 1 }, alice);
+  assert.equal(late.status, 400);
+  assert.equal(late.body.message, "Order is cancelled");
+
+  // 파일에 저장 (재시작해도 유지)
+  await eventually(() => {
+    const saved = JSON.parse(fs.readFileSync(path.join(srv.dir, "orders.json"), "utf8"));
+    assert.equal(saved.find((o) => o.id === order.id).status, "cancelled");
+  });
+});
+
+test("invalid orders are rejected", async () => {
+  const auth = await signIn(ALICE);
+  for (const [extra, message] of [
+    [{ triggerPrice: null }, "triggerPrice must be a positive number"],
+    [{ triggerPrice: "abc" }, "triggerPrice must be a positive number"],
+    [{ condition: "eq" }, "condition must be gte or lte"],
+    [{ kind: "stop" }, "kind must be order or alert"],
+    [{ expiresInSec: -1 }, "expiresAt must be in the future"],
+    [{ expiresInSec: 31 * 86400 }, "Orders can live at most 30 days"],
+    [{ webhookUrl: "http://hooks.example.com" }, "webhookUrl must use https"],
+    [{ webhookUrl: "https://127.0.0.1/hook" }, "webhookUrl host is not allowed"],
+    [{ webhookUrl: "https://[::1]/hook" }, "webhookUrl host is not allowed"],
+    [{ webhookUrl: "https://api.localhost/hook" }, "webhookUrl host is not allowed"],
+  ]) {
+    const res = await srv.request("POST", "/orders", orderBody(extra), auth);
+    assert.equal(res.status, 400, message);
+    assert.equal(res.body.message, message);
+  }
+});
+
+test("the watcher marks triggered orders ready and pushes them over SSE", async () => {
+  const auth = await signIn(ALICE);
+  const token = auth.authorization.slice(7);
+  const hit = (await srv.request("POST", "/orders", orderBody({ triggerPrice: 1900 }), auth)).body;
+  const miss = (await srv.request("POST", "/orders", orderBody({ triggerPrice: 2100 }), auth)).body;
+  const expiring = (await srv.request("POST", "/orders", orderBody({ sellAmount: "2000000000000000000", expiresInSec: 0.2 }), auth)).body;
+
+  const stream = await subscribe(token);
+  await new Promise((r) => setTimeout(r, 250));
+  await srv.mod.watchOrders();
+
+  // 같은 페어/금액 주문은 가격 조회 한 번
+  assert.equal(mock.requests.filter((r) => r.path === "/swap/allowance-holder/price").length, 1);
+  // 만료 처리가 가격 확인보다 먼저
+  assert.equal((await stream.next("order.expired")).id, expiring.id);
+  const ready = await stream.next("order.ready");
+  assert.equal(ready.id, hit.id);
+  assert.equal(ready.lastPrice, 2000);
+  stream.close();
+
+  const get = async (id) => (await srv.request("GET", `/orders/${id}`, null, auth)).body;
+  assert.equal((await get(miss.id)).status, "open");
+  assert.equal((await get(miss.id)).lastPrice, 2000);
+  assert.equal((await get(expiring.id)).status, "expired");
+
+  // 나중에 연결해도 ready 주문은 바로 받음
+  const later = await subscribe(token);
+  assert.equal((await later.next("order.ready")).id, hit.id);
+  later.close();
+});
+
+test("edits made while the watcher waits for a price are not overwritten", async () => {
+  const auth = await signIn(BOB);
+  const token = auth.authorization.slice(7);
+  const body = orderBody({ sellAmount: "3000000000000000000" });
+  const lowered = (await srv.request("POST", "/orders", { ...body, triggerPrice: 1900 }, auth)).body;
+  const raised = (await srv.request("POST", "/orders", { ...body, triggerPrice: 2100 }, auth)).body;
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    delayMs: 200,
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "6000000000", minBuyAmount: "6000000000" },
+  }));
+
+  const stream = await subscribe(token);
+  const watching = srv.mod.watchOrders();
+  await eventually(() => assert.ok(mock.requests.some((r) => r.path === "/swap/allowance-holder/price")));
+  // 가격 조회 중에 조건을 서로 바꿈
+  assert.equal((await srv.request("PATCH", `/orders/${lowered.id}`, { triggerPrice: 2100 }, auth)).status, 200);
+  assert.equal((await srv.request("PATCH", `/orders/${raised.id}`, { triggerPrice: 1900 }, auth)).status, 200);
+  await watching;
+
+  // 바뀐 조건으로 판단 (가격 2000)
+  const ready = await stream.next("order.ready");
+  assert.equal(ready.id, raised.id);
+  assert.equal(ready.triggerPrice, 1900);
+  stream.close();
+
+  const get = async (id) => (await srv.request("GET", `/orders/${id}`, null, auth)).body;
+  assert.equal((await get(lowered.id)).status, "open");
+  assert.equal((await get(lowered.id)).lastPrice, 2000);
+  assert.equal((await get(raised.id)).status, "ready");
+  await eventually(() => {
+    const saved = JSON.parse(fs.readFileSync(path.join(srv.dir, "orders.json"), "utf8"));
+    assert.equal(saved.find((o) => o.id === raised.id).status, "ready");
+    assert.equal(saved.find((o) => o.id === lowered.id).status, "open");
+  });
+});
+
+test("isPrivateAddress covers loopback, private, link-local and mapped ranges", () => {
+  const { isPrivateAddress } = srv.mod;
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "224.0.0.1", "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:a9fe:a9fe", "64:ff9b::a00:1"]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "172.32.0.1", "100.128.0.1", "2606:4700::1111", "::ffff:808:808"]) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test("webhookLookup refuses hosts that resolve to private addresses", async () => {
+  const { webhookLookup } = srv.mod;
+  const err = await new Promise((resolve) => webhookLookup("localhost", {}, resolve));
+  assert.match(err.message, /^webhook host resolves to a private address/);
+});
+
+test("parseTriggerPrice and isTriggered", () => {
+  const { parseTriggerPrice, isTriggered } = srv.mod;
+  assert.equal(parseTriggerPrice("1.5"), 1.5);
+  for (const v of [null, "", "0", -1, "NaN", Infinity]) assert.throws(() => parseTriggerPrice(v), { status: 400 });
+  assert.equal(isTriggered({ condition: "gte", triggerPrice: 10 }, 10), true);
+  assert.equal(isTriggered({ condition: "gte", triggerPrice: 10 }, 9.99), false);
+  assert.equal(isTriggered({ condition: "lte", triggerPrice: 10 }, 10), true);
+  assert.equal(isTriggered({ condition: "lte", triggerPrice: 10 }, 10.01), false);
+});
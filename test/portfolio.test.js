@@ -0,0 +1,192 @@
+// 지갑 포트폴리오 — Multicall3 잔고 조회, USD 가격(0x → subgraph fallback), 캐시, aggregate3 인코딩
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+const { word, tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const DAI = "0x6B175474E89094C44Da98b954EedeAC495271d0F";
+const MKR = "0x9f8f72aa9304c8b593d555f12ef6589cc3a579a2";
+const OWNER = "0x1111111111111111111111111111111111111111";
+const MULTICALL3 = "0xca11bde05977b3631167028862be2a173976ca11";
+const ETH_SENTINEL = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+let mock;
+let srv;
+
+// aggregate3 반환값 (Result{ bool success; bytes returnData }[]) 인코딩
+function encodeResults(results) {
+  const strip = (h) => h.replace(/^0x/, "");
+  const heads = [];
+  const tails = [];
+  let offset = results.length * 32;
+  for (const r of results) {
+    const data = strip(r.data || "0x");
+    const tuple = strip(word(r.success ? 1 : 0)) + strip(word(64)) + strip(word(data.length / 2)) + data.padEnd(Math.ceil(data.length / 64) * 64, "0");
+    heads.push(strip(word(offset)));
+    tails.push(tuple);
+    offset += tuple.length / 2;
+  }
+  return word(32) + strip(word(results.length)) + heads.join("") + tails.join("");
+}
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer(
+    {
+      RPC_URL: `${mock.url}/rpc`,
+      ZEROX_BASE: mock.url,
+      SUSHI_SUBGRAPH_URL: `${mock.url}/subgraph`,
+      TOKEN_LIST: (files) => files.TOKENS_FILE,
+    },
+    {
+      files: {
+        TOKENS_FILE: {
+          name: "Local",
+          tokens: [
+            { chainId: 1, address: USDC, symbol: "USDC", name: "USD Coin", decimals: 6 },
+            { chainId: 1, address: DAI, symbol: "DAI", name: "Dai Stablecoin", decimals: 18 },
+          ],
+        },
+      },
+    }
+  );
+  // 토큰 리스트는 시작 시 비동기로 읽음
+  await eventually(async () => assert.equal((await srv.request("GET", "/tokens/DAI?chainId=1")).status, 200));
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  mock.rpc("eth_call", ([call]) => {
+    if (call.to.toLowerCase() === MULTICALL3 && call.data.startsWith("0x82ad56cb")) {
+      // 순서: 네이티브, USDC, DAI, (추가 토큰...)
+      const results = [
+        { success: true, data: word(1500000000000000000n) },
+        { success: true, data: word(100000000) },
+        { success: true, data: word(0) },
+        { success: true, data: word(2000000000000000000n) }, // MKR
+        { success: false, data: "0x" }, // 잔고 조회 실패 → 목록에서 빠짐
+      ];
+      return encodeResults(results.slice(0, Number(BigInt("0x" + call.data.slice(74, 138)))));
+    }
+    return tokenMetaCall({ [MKR]: { symbol: "MKR", decimals: 18 } }, call);
+  });
+  mock.on("GET /swap/allowance-holder/price", (req) =>
+    req.query.sellToken === ETH_SENTINEL
+      ? { body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "2000000000" } }
+      : { status: 400, body: { message: "no route" } }
+  );
+  mock.on("POST /subgraph", { body: { data: { token: { derivedETH: "0.5" }, bundle: { ethPrice: "2000" } } } });
+});
+
+const multicalls = () => mock.requests.filter((r) => r.path === "/rpc" && r.body.params?.[0]?.to?.toLowerCase() === MULTICALL3);
+
+test("balances come from one multicall and are priced via 0x, USDC and the subgraph", async () => {
+  const failing = "0x2222222222222222222222222222222222222222";
+  const res = await srv.request("GET", `/wallet/${OWNER}/portfolio?chainId=1&tokens=${MKR},${failing}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+  assert.equal(multicalls().length, 1);
+  assert.equal(res.body.tokensChecked, 5);
+  assert.equal(res.body.cache.status, "miss");
+
+  assert.deepEqual(
+    res.body.holdings.map((h) => [h.symbol, h.balanceFormatted, h.priceUsd, h.priceSource, h.valueUsd]),
+    [
+      ["ETH", "1.5", 2000, "0x", 3000],
+      ["MKR", "2", 1000, "subgraph", 2000],
+      ["USDC", "100", 1, "usdc", 100],
+    ]
+  );
+  assert.equal(res.body.holdings[0].native, true);
+  assert.equal(res.body.totalUsd, 5100);
+  assert.equal(res.body.totalText, "$5.10k");
+  assert.equal(res.body.unpriced, 0);
+
+  // 0x 가격은 토큰 1개(10^decimals) → USDC
+  const [ethPrice] = mock.requests.filter((r) => r.path === "/swap/allowance-holder/price" && r.query.sellToken === ETH_SENTINEL);
+  assert.deepEqual(
+    { buyToken: ethPrice.query.buyToken, sellAmount: ethPrice.query.sellAmount },
+    { buyToken: USDC, sellAmount: "1000000000000000000" }
+  );
+});
+
+test("balances and prices are cached; zero balances only on request", async () => {
+  await srv.request("GET", `/wallet/${OWNER}/portfolio?chainId=1`);
+  const before = mock.requests.length;
+  const res = await srv.request("GET", `/wallet/${OWNER}/portfolio?chainId=1&includeZero=true`);
+  assert.equal(res.body.cache.status, "hit");
+  assert.equal(mock.requests.length, before);
+
+  const dai = res.body.holdings.find((h) => h.symbol === "DAI");
+  assert.deepEqual([dai.balance, dai.priceUsd, dai.valueUsd], ["0", null, null]);
+  assert.equal(res.body.unpriced, 0);
+});
+
+test("tokens without any price are counted as unpriced", async () => {
+  mock.on("POST /subgraph", { body: { data: { token: null, bundle: { ethPrice: "2000" } } } });
+  const owner = "0x3333333333333333333333333333333333333333";
+  const other = "0x4444444444444444444444444444444444444444";
+  mock.rpc("eth_call", ([call]) => {
+    if (call.to.toLowerCase() === MULTICALL3) {
+      return encodeResults([{ success: true, data: word(0) }, { success: true, data: word(0) }, { success: true, data: word(0) }, { success: true, data: word(7) }]);
+    }
+    return tokenMetaCall({ [other]: { symbol: "OTH", decimals: 0 } }, call);
+  });
+  const res = await srv.request("GET", `/wallet/${owner}/portfolio?chainId=1&tokens=${other}`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.holdings.map((h) => [h.symbol, h.valueUsd]), [["OTH", null]]);
+  assert.equal(res.body.unpriced, 1);
+  assert.equal(res.body.totalUsd, 0);
+});
+
+test("rejects bad addresses, too many tokens and unknown chains", async () => {
+  assert.equal((await srv.request("GET", "/wallet/0x123/portfolio?chainId=1")).status, 400);
+  assert.equal((await srv.request("GET", `/wallet/${OWNER}/portfolio?chainId=999`)).status, 400);
+  const bad = await srv.request("GET", `/wallet/${OWNER}/portfolio?chainId=1&tokens=${MKR},nope`);
+  assert.equal(bad.body.message, "Invalid token address: nope");
+  const many = Array.from({ length: 51 }, (_, i) => `0x${String(i).padStart(40, "0")}`).join(",");
+  const tooMany = await srv.request("GET", `/wallet/${OWNER}/portfolio?chainId=1&tokens=${many}`);
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.message, "At most 50 extra tokens");
+  assert.equal(multicalls().length, 0);
+});
+
+test("encodeAggregate3 lays out (target, allowFailure, callData) tuples", () => {
+  const { encodeAggregate3 } = srv.mod;
+  const hex = encodeAggregate3([{ target: USDC, data: "0x70a08231" }]);
+  const words = hex.slice(10).match(/.{64}/g).map((w) => BigInt("0x" + w));
+  assert.equal(hex.slice(0, 10), "0x82ad56cb");
+  assert.deepEqual(words, [32n, 1n, 32n, BigInt(USDC), 1n, 96n, 4n, 0x70a08231n << 224n]);
+});
+
+test("decodeAggregate3 reads success flags and return data", () => {
+  const { decodeAggregate3 } = srv.mod;
+  const data = "0x" + "ab".repeat(40);
+  assert.deepEqual(decodeAggregate3(encodeResults([{ success: true, data }, { success: false, data: "0x" }])), [
+    { success: true, data },
+    { success: false, data: "0x" },
+  ]);
+  assert.deepEqual(decodeAggregate3(encodeResults([])), []);
+});
+
+test("mapLimit keeps order and never runs more than limit at once", async () => {
+  const { mapLimit } = srv.mod;
+  let running = 0;
+  let peak = 0;
+  const out = await mapLimit([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    peak = Math.max(peak, ++running);
+    await new Promise((r) => setTimeout(r, ms));
+    running--;
+    return ms * 10 + i;
+  });
+  assert.deepEqual(out, [300, 101, 202, 53, 154]);
+  assert.equal(peak, 2);
+  assert.deepEqual(await mapLimit([], 4, async () => 1), []);
+});
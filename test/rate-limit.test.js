@@ -0,0 +1,82 @@
+// 레이트리밋 (IP/지갑 버킷, 라우트별 한도, 429 + Retry-After, allowlist, 막힌 요청 환불)
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/server");
+
+const WALLET_A = "0x1111111111111111111111111111111111111111";
+const WALLET_B = "0x2222222222222222222222222222222222222222";
+const VIP = "0xabcdef3333333333333333333333333333333333";
+
+let srv;
+
+before(async () => {
+  srv = await startServer(
+    // allowlist는 공백/대소문자 무시
+    { RATE_LIMIT_DISABLED: "false", RATE_LIMIT_ALLOWLIST: ` ${VIP.toUpperCase().replace("0X", "0x")} ` },
+    {
+      files: {
+        // refill을 아주 느리게 해서 테스트 중에는 안 찬다고 봄
+        RATE_LIMIT_CONFIG: {
+          quote: { ip: { capacity: 4, refillPerSec: 0.001 }, wallet: { capacity: 2, refillPerSec: 0.001 } },
+          default: { ip: { capacity: 2, refillPerSec: 0.5 } },
+        },
+      },
+    }
+  );
+});
+
+after(() => srv.close());
+
+// 검증 단계에서 400으로 끝나는 요청 (레이트리밋은 그 전에 적용)
+const quote = (taker) => srv.request("POST", "/quote", { chainId: 999, ...(taker ? { taker } : {}) });
+
+test("per-route IP buckets answer 429 with Retry-After", async () => {
+  for (let i = 0; i < 2; i++) {
+    const res = await srv.request("GET", "/tokens/ETH?chainId=1");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-ratelimit-remaining"), String(1 - i));
+  }
+  const res = await srv.request("GET", "/tokens/ETH?chainId=1");
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get("retry-after"), "2"); // 1 토큰 / 0.5 per sec
+  assert.deepEqual(res.body, { message: "Too many requests", retryAfter: 2 });
+
+  // 다른 라우트 버킷은 별개
+  assert.equal((await quote()).status, 400);
+});
+
+test("wallet buckets are separate and blocked requests are refunded", async () => {
+  // IP 버킷: 위 테스트에서 1개 사용 → 3개 남음
+  assert.equal((await quote(WALLET_A)).status, 400);
+  assert.equal((await quote(WALLET_A)).status, 400);
+  const blocked = await quote(WALLET_A);
+  assert.equal(blocked.status, 429);
+  assert.ok(Number(blocked.headers.get("retry-after")) > 900);
+
+  // 지갑 한도로 막힌 요청은 IP 버킷을 소비하지 않았음 → 1개 남음
+  assert.equal((await quote(WALLET_B)).status, 400);
+  assert.equal((await quote(WALLET_B)).status, 429);
+});
+
+test("allowlisted wallets bypass the limits", async () => {
+  for (let i = 0; i < 5; i++) assert.equal((await quote(VIP)).status, 400);
+  assert.equal((await quote(VIP.toLowerCase())).headers.get("x-ratelimit-remaining"), null);
+});
+
+test("memory store refills over time and refunds up to capacity", async () => {
+  const { createMemoryRateLimitStore } = srv.mod;
+  const store = createMemoryRateLimitStore();
+  const limit = { capacity: 2, refillPerSec: 10 };
+  assert.deepEqual(await store.take("k", limit), { allowed: true, remaining: 1, retryAfterMs: 0 });
+  assert.equal((await store.take("k", limit)).allowed, true);
+  const denied = await store.take("k", limit);
+  assert.equal(denied.allowed, false);
+  assert.ok(denied.retryAfterMs > 0 && denied.retryAfterMs <= 100);
+
+  await store.refund("k", { ...limit, cost: 5 });
+  assert.equal((await store.take("k", limit)).remaining, 1); // capacity 넘게 환불되지 않음
+
+  await new Promise((r) => setTimeout(r, 120));
+  assert.equal((await store.take("k", limit)).allowed, true);
+  assert.equal((await store.take("other", { capacity: 1, refillPerSec: 1, cost: 2 })).allowed, false);
+});
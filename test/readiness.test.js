@@ -0,0 +1,118 @@
+// /healthz, /readyz — 설정 / RPC(eth_chainId) / 0x / subgraph / 뉴스 캐시 점검
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+
+const RSS = `<?xml version="1.0"?><rss><channel>
+  <item><title>ETH hits new high</title><link>https://news.example/eth</link><pubDate>Mon, 19 Oct 2026 10:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+let mock;
+let srv;
+let arbChainId;
+
+before(async () => {
+  mock = await startMock();
+  mock.on("GET /news.xml", { body: RSS, type: "application/rss+xml" });
+  srv = await startServer({
+    MOCK_URL: mock.url,
+    ZEROX_BASE: mock.url,
+    SUPPORTED_CHAINS: "1,42161",
+    RPC_URL: `${mock.url}/rpc`,
+    RPC_URL_42161: `${mock.url}/arb`,
+    SUSHI_SUBGRAPH_URL: `${mock.url}/subgraph`,
+    READY_CACHE_MS: "0",
+  });
+  // 뉴스는 시작 시 비동기로 읽음
+  await eventually(async () => assert.equal((await srv.request("GET", "/readyz")).body.checks.news.status, "ok"));
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  arbChainId = "0xa4b1";
+  mock.rpc("eth_chainId", "0x1");
+  mock.on("POST /arb", (req) => ({ body: { jsonrpc: "2.0", id: req.body.id, result: arbChainId } }));
+  mock.on("GET /sources", { body: { sources: ["Uniswap_V3"] } });
+  mock.on("POST /subgraph", { body: { data: { _meta: { block: { number: 123 } } } } });
+});
+
+test("/healthz is always ok", async () => {
+  const res = await srv.request("GET", "/healthz");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ok");
+  assert.equal(res.headers.get("cache-control"), "no-store");
+});
+
+test("ready when every dependency answers", async () => {
+  const res = await srv.request("GET", "/readyz");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ready");
+  assert.equal(res.body.cached, false);
+  const { checks } = res.body;
+  assert.deepEqual(Object.keys(checks), ["config", "0x", "rpc:ethereum", "rpc:arbitrum", "subgraph:ethereum", "news"]);
+  assert.deepEqual(checks.config.warnings, ["subgraph URL not set for arbitrum"]);
+  assert.equal(checks["0x"].httpStatus, 200);
+  assert.equal(checks["rpc:ethereum"].critical, true);
+  assert.equal(checks["rpc:arbitrum"].critical, false);
+  assert.equal(checks["rpc:arbitrum"].chainId, 42161);
+  assert.equal(checks["subgraph:ethereum"].block, 123);
+  assert.equal(checks.news.items, 1);
+  for (const c of Object.values(checks).filter((c) => c.latencyMs != null)) assert.ok(c.latencyMs >= 0);
+
+  const [sources] = mock.requests.filter((r) => r.path === "/sources");
+  assert.equal(sources.query.chainId, "1");
+  assert.equal(sources.headers["0x-api-key"], "test-key");
+});
+
+test("a non-critical RPC on the wrong chain only degrades", async () => {
+  arbChainId = "0x1";
+  const res = await srv.request("GET", "/readyz");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "degraded");
+  assert.equal(res.body.checks["rpc:arbitrum"].status, "fail");
+  assert.equal(res.body.checks["rpc:arbitrum"].error, "rpc #0: eth_chainId returned 1, expected 42161");
+});
+
+test("not ready when the default chain RPC or 0x fails", async () => {
+  mock.rpc("eth_chainId", () => {
+    throw new Error("node is syncing");
+  });
+  let res = await srv.request("GET", "/readyz");
+  assert.equal(res.status, 503);
+  assert.equal(res.body.status, "not_ready");
+  assert.match(res.body.checks["rpc:ethereum"].error, /node is syncing/);
+
+  mock.rpc("eth_chainId", "0x1");
+  mock.on("GET /sources", { status: 401, body: { message: "invalid key" } });
+  res = await srv.request("GET", "/readyz");
+  assert.equal(res.status, 503);
+  assert.equal(res.body.checks["0x"].error, "0x rejected the API key (HTTP 401)");
+
+  mock.on("GET /sources", { body: {} });
+  assert.equal((await srv.request("GET", "/readyz")).body.status, "ready");
+});
+
+test("failing probes do not open the breaker for user requests", async () => {
+  mock.on("GET /sources", { status: 503, body: {} });
+  for (let i = 0; i < 6; i++) assert.equal((await srv.request("GET", "/readyz")).status, 503);
+
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "1", minBuyAmount: "1" },
+  }));
+  const res = await srv.request("POST", "/quote", { chainId: 1, sellToken: "ETH", buyToken: "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48", sellAmount: "1" });
+  assert.equal(res.status, 200);
+});
+
+test("a failing subgraph only degrades", async () => {
+  mock.on("POST /subgraph", { body: { errors: [{ message: "indexer down" }] } });
+  const res = await srv.request("GET", "/readyz");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "degraded");
+  assert.equal(res.body.checks["subgraph:ethereum"].error, "indexer down");
+});
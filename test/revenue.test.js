@@ -0,0 +1,188 @@
+// fee 수익 기록 (/swap 시 pending, 체결 확인은 별도 줄) + /admin/revenue 집계/CSV
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+const { tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const DAI = "0x6b175474e89094c44da98b954eedeac495271d0f";
+const TAKER = "0x1111111111111111111111111111111111111111";
+const OTHER = "0x9999999999999999999999999999999999999999";
+const EXCHANGE = "0x0000000000001ff3684f28c67538d4d072c22734";
+const ADMIN = { authorization: "Bearer admin-secret" };
+
+let mock;
+let srv;
+let revenueFile;
+let txs; // hash -> { tx, receipt }
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, ADMIN_TOKEN: "admin-secret" });
+  revenueFile = path.join(srv.dir, "revenue.jsonl");
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  txs = {};
+  mock.rpc("eth_call", ([call]) =>
+    tokenMetaCall({ [USDC]: { symbol: "USDC", decimals: 6 }, [DAI]: { symbol: "DAI", decimals: 18 } }, call) || "0x"
+  );
+  mock.rpc("eth_getCode", "0x6080");
+  mock.rpc("eth_estimateGas", "0x186a0");
+  mock.rpc("eth_blockNumber", "0x64");
+  mock.rpc("eth_getTransactionByHash", ([hash]) => (txs[hash] ? txs[hash].tx : null));
+  mock.rpc("eth_getTransactionReceipt", ([hash]) => (txs[hash] ? txs[hash].receipt : null));
+});
+
+const readRevenue = () =>
+  fs.existsSync(revenueFile) ? fs.readFileSync(revenueFile, "utf8").trim().split("\n").filter(Boolean).map(JSON.parse) : [];
+
+function minedTx(hash, from, status = "0x1") {
+  txs[hash] = {
+    tx: { hash, from, to: EXCHANGE, input: "0xdeadbeef", nonce: "0x1" },
+    receipt: { status, blockNumber: "0x64", gasUsed: "0x5208", effectiveGasPrice: "0x1", logs: [] },
+  };
+}
+
+test("swap fees are recorded as pending at /swap and confirmed once the taker's tx mines", async () => {
+  mock.on("GET /swap/allowance-holder/quote", (req) => ({
+    body: {
+      liquidityAvailable: true,
+      sellAmount: req.query.sellAmount,
+      buyAmount: "2500000000",
+      minBuyAmount: "2490000000",
+      fees: { integratorFee: { token: USDC, amount: "2502502" } },
+      transaction: { to: EXCHANGE, data: "0xdeadbeef", value: req.query.sellAmount },
+    },
+  }));
+  const swap = await srv.request("POST", "/swap", { chainId: 1, sellToken: "ETH", buyToken: USDC, sellAmount: "1000000000000000000", taker: TAKER });
+  assert.equal(swap.status, 200);
+  const [row] = await eventually(() => {
+    const rows = readRevenue();
+    assert.equal(rows.length, 1);
+    return rows;
+  });
+  assert.equal(row.type, "swap");
+  assert.equal(row.status, "pending");
+  assert.ok(Date.parse(row.ts) > 0);
+  assert.equal(row.taker, TAKER);
+  assert.equal(row.feeToken, USDC);
+  assert.equal(row.feeAmount, "2502502");
+  assert.equal(row.feeSource, "0x");
+  assert.equal(row.feePercentage, 0.001);
+
+  // 남의 tx(같은 calldata), 실패한 tx로는 기록 안 됨
+  const other = "0x" + "01".repeat(32);
+  const failed = "0x" + "02".repeat(32);
+  const ok = "0x" + "03".repeat(32);
+  minedTx(other, OTHER);
+  minedTx(failed, TAKER, "0x0");
+  minedTx(ok, TAKER);
+  await srv.request("GET", `/tx/${other}?chainId=1`);
+  await srv.request("GET", `/tx/${failed}?chainId=1`);
+  const res = await srv.request("GET", `/tx/${ok}?chainId=1`);
+  assert.equal(res.body.received.amount, "0");
+
+  const [, confirm] = await eventually(() => {
+    const rows = readRevenue();
+    assert.equal(rows.length, 2);
+    return rows;
+  });
+  assert.equal(confirm.type, "status");
+  assert.equal(confirm.id, row.id);
+  assert.equal(confirm.status, "confirmed");
+  assert.equal(confirm.txHash, ok);
+
+  // 같은 swap이 여러 번 조회돼도 확인은 한 번만
+  await srv.request("GET", `/tx/${ok}?chainId=1`);
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(readRevenue().length, 2);
+
+  const report = await srv.request("GET", "/admin/revenue?status=confirmed", null, ADMIN);
+  assert.equal(report.body.totals[0].feeAmount, "2502502");
+});
+
+test("swapRevenueRecord estimates the fee from buyAmount when 0x omits it", () => {
+  const { swapRevenueRecord, getChain } = srv.mod;
+  const base = { chain: getChain(1), taker: TAKER, sellToken: USDC, buyToken: DAI, sellAmount: "1000000" };
+  const fee = { percentage: 0.001, partner: null };
+  const r = swapRevenueRecord({ ...base, quoteData: { buyAmount: "999000000000000000" }, fee });
+  assert.equal(r.feeToken, DAI);
+  assert.equal(r.feeAmount, "1000000000000000"); // 0.999 * 0.001 / 0.999
+  assert.equal(r.feeSource, "estimated");
+  assert.equal(swapRevenueRecord({ ...base, quoteData: { buyAmount: "1" }, fee: { percentage: 0 } }), null);
+});
+
+function seedRevenue() {
+  const swap = (id, ts, chainId, feeToken, feeAmount) => ({ type: "swap", id, ts, status: "pending", chainId, feeToken, feeAmount });
+  const confirm = (id, ts, txHash) => ({ type: "status", id, status: "confirmed", ts, txHash });
+  const lines = [
+    swap("a", "2026-01-01T10:00:00Z", 1, USDC, "1500000"),
+    swap("b", "2026-01-01T12:00:00Z", 1, USDC, "500000"),
+    swap("c", "2026-01-01T13:00:00Z", 1, DAI, "1000000000000000000"),
+    confirm("a", "2026-01-01T10:05:00Z", "0x01"),
+    swap("d", "2026-01-02T09:00:00Z", 1, USDC, "250000"),
+    swap("e", "2026-01-02T09:30:00Z", 137, "0x3c499c542cef5e3811e1192ce70d8cc03d5c3359", "7"),
+    confirm("d", "2026-01-03T00:01:00Z", "0x02"), // 다음 날 확인돼도 swap 날짜로 집계
+  ];
+  fs.writeFileSync(revenueFile, lines.map((l) => JSON.stringify(l)).join("\n") + "\n{\"type\":\"sw");
+}
+
+test("/admin/revenue requires the admin token", async () => {
+  assert.equal((await srv.request("GET", "/admin/revenue")).status, 401);
+  assert.equal((await srv.request("GET", "/admin/revenue", null, { authorization: "Bearer nope" })).status, 401);
+  assert.equal((await srv.request("GET", "/admin/revenue", null, { "x-admin-token": "admin-secret" })).status, 200);
+});
+
+test("/admin/revenue aggregates by day, chain and fee token", async () => {
+  seedRevenue();
+  const res = await srv.request("GET", "/admin/revenue?chainId=1", null, ADMIN);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "all");
+  assert.deepEqual(
+    res.body.rows.map((r) => [r.day, r.feeSymbol, r.swaps, r.feeAmount, r.confirmedSwaps, r.confirmedFeeAmountFormatted]),
+    [
+      ["2026-01-01", "DAI", 1, "1000000000000000000", 0, "0"],
+      ["2026-01-01", "USDC", 2, "2000000", 1, "1.5"],
+      ["2026-01-02", "USDC", 1, "250000", 1, "0.25"],
+    ]
+  );
+  const usdc = res.body.totals.find((t) => t.feeSymbol === "USDC");
+  assert.equal(usdc.feeAmountFormatted, "2.25");
+  assert.equal(usdc.confirmedFeeAmountFormatted, "1.75");
+
+  const confirmed = await srv.request("GET", "/admin/revenue?status=confirmed&from=2026-01-01&to=2026-01-01", null, ADMIN);
+  assert.deepEqual(
+    confirmed.body.rows.map((r) => [r.chainId, r.feeSymbol, r.swaps]),
+    [[1, "USDC", 1]]
+  );
+});
+
+test("/admin/revenue exports CSV and validates the query", async () => {
+  seedRevenue();
+  const res = await srv.request("GET", "/admin/revenue?format=csv&from=2026-01-02", null, ADMIN);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/csv/);
+  assert.match(res.headers.get("content-disposition"), /gdex-revenue\.csv/);
+  const lines = res.body.trim().split("\n");
+  assert.equal(lines[0], "day,chainId,feeToken,feeSymbol,swaps,feeAmount,feeAmountFormatted,confirmedSwaps,confirmedFeeAmount,confirmedFeeAmountFormatted");
+  assert.equal(lines[1], `2026-01-02,1,${USDC},USDC,1,250000,0.25,1,250000,0.25`);
+  assert.equal(lines.length, 3);
+
+  assert.equal((await srv.request("GET", "/admin/revenue?from=yesterday", null, ADMIN)).status, 400);
+  assert.equal((await srv.request("GET", "/admin/revenue?chainId=999", null, ADMIN)).status, 400);
+});
+
+test("toCsv quotes cells with commas, quotes and newlines", () => {
+  const { toCsv } = srv.mod;
+  assert.equal(toCsv([{ a: 'x,"y"', b: null }, { a: "l1\nl2", b: 2 }], ["a", "b"]), 'a,b\n"x,""y""",\n"l1\nl2",2\n');
+});
@@ -0,0 +1,321 @@
+// 토큰 위험 검사 — deny/allow 목록(TOKEN_RISK_LIST), eth_getCode, 판매 시뮬레이션(eth_simulateV1 → eth_call), 0x tokenMetadata tax
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+const { word, revertReason, tokenMetaCall } = require("./support/abi");
+
+const addr = (c) => "0x" + c.repeat(40);
+const TAX = addr("1");
+const HONEY = addr("2");
+const PLAIN = addr("3");
+const BLACKLIST = addr("4");
+const EOA = addr("5");
+const DENIED = addr("6");
+const ALLOWED = addr("7");
+const OTHER_CHAIN = addr("8");
+const LATER = addr("9");
+const GUARDED = addr("b");
+const POOL = addr("a");
+const FACTORY = addr("f");
+const TAKER = addr("c");
+const EMPTY_TAKER = addr("d");
+const BLOCKED_TAKER = addr("e");
+const ROUTER = "0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F"; // 체인 1 Sushi V2 라우터
+const ADMIN = { Authorization: "Bearer admin-secret" };
+
+const META = {
+  [TAX]: { symbol: "TAX", decimals: 18 },
+  [HONEY]: { symbol: "HONEY", decimals: 18 },
+  [PLAIN]: { symbol: "PLAIN", decimals: 18 },
+  [BLACKLIST]: { symbol: "BL", decimals: 18 },
+  [ALLOWED]: { symbol: "OK", decimals: 18 },
+  [GUARDED]: { symbol: "GRD", decimals: 18 },
+};
+
+const notSupported = () => {
+  throw Object.assign(new Error("the method eth_simulateV1 does not exist"), { code: -32601 });
+};
+
+// [잔고(전), transfer, 잔고(후)] 결과
+const simulated = (calls) => [{ calls }];
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  mock.rpc("eth_getCode", ([a]) => (a.toLowerCase() === EOA ? "0x" : "0x6080"));
+  mock.rpc("eth_call", ([call]) => {
+    const meta = tokenMetaCall(META, call);
+    if (meta) return meta;
+    const to = call.to.toLowerCase();
+    const sel = call.data.slice(0, 10);
+    if (to === ROUTER.toLowerCase() && call.data === "0xc45a0155") return word(FACTORY);
+    // TAX만 WETH 풀이 있음
+    if (to === FACTORY && sel === "0xe6a43905") return call.data.includes(TAX.slice(2)) ? word(POOL) : word(0);
+    if (sel === "0x70a08231") return call.data.endsWith(EMPTY_TAKER.slice(2)) ? word(0) : word(1000);
+    if (sel === "0xa9059cbb") {
+      if (to === BLACKLIST) throw Object.assign(new Error("execution reverted"), { data: revertReason("Blacklisted") });
+      return word(1);
+    }
+    return "0x";
+  });
+  mock.rpc("eth_simulateV1", ([{ blockStateCalls }]) => {
+    const token = blockStateCalls[0].calls[0].to.toLowerCase();
+    if (token === TAX) {
+      // 1000 보내면 풀에는 950 도착 → 5%
+      return simulated([
+        { status: "0x1", returnData: word(100) },
+        { status: "0x1", returnData: word(1) },
+        { status: "0x1", returnData: word(1050) },
+      ]);
+    }
+    if (token === HONEY) {
+      return simulated([
+        { status: "0x1", returnData: word(0) },
+        { status: "0x0", returnData: "0x", error: { message: "execution reverted", data: revertReason("Trading not enabled") } },
+        { status: "0x1", returnData: word(0) },
+      ]);
+    }
+    if (token === GUARDED) {
+      // 지갑별 blacklist: BLOCKED_TAKER만 막힘
+      const blocked = blockStateCalls[0].calls[1].from.toLowerCase() === BLOCKED_TAKER;
+      return simulated([
+        { status: "0x1", returnData: word(0) },
+        blocked
+          ? { status: "0x0", returnData: "0x", error: { message: "execution reverted", data: revertReason("Blacklisted") } }
+          : { status: "0x1", returnData: word(1) },
+        { status: "0x1", returnData: word(blocked ? 0 : 1000) },
+      ]);
+    }
+    return notSupported();
+  });
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: {
+      liquidityAvailable: true,
+      sellAmount: req.query.sellAmount,
+      buyAmount: "1000",
+      minBuyAmount: "990",
+      ...(req.query.sellToken.toLowerCase() === TAX
+        ? { tokenMetadata: { sellToken: { buyTaxBps: "100", sellTaxBps: "300" }, buyToken: { buyTaxBps: "0", sellTaxBps: "0" } } }
+        : {}),
+    },
+  }));
+  srv = await startServer(
+    { RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, QUOTE_CACHE_TTL_MS: "0", ADMIN_TOKEN: "admin-secret" },
+    {
+      files: {
+        TOKEN_RISK_LIST: {
+          deny: [{ address: DENIED, reason: "Known scam" }, { chainId: 10, address: OTHER_CHAIN }, "not-an-address"],
+          allow: [ALLOWED],
+        },
+      },
+    }
+  );
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+const quote = (body) => srv.request("POST", "/quote", { chainId: 1, sellAmount: "1000", taker: TAKER, ...body });
+// 배치 요청도 한 건씩
+const rpcBodies = (requests) => requests.filter((r) => r.path === "/rpc").flatMap((r) => [].concat(r.body));
+const rpcCalls = (method) => rpcBodies(mock.requests).filter((b) => b.method === method);
+
+test("denied tokens are refused on every route with the list reason", async () => {
+  const res = await quote({ sellToken: "ETH", buyToken: DENIED });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.message, "buyToken is blocked: Known scam");
+  assert.deepEqual(res.body.details, { token: DENIED, listed: "deny", reason: "Known scam" });
+
+  const swap = await srv.request("POST", "/swap", { chainId: 1, sellToken: DENIED, buyToken: "ETH", sellAmount: "1000", taker: TAKER });
+  assert.equal(swap.status, 403);
+  assert.equal(swap.body.message, "sellToken is blocked: Known scam");
+
+  // 다른 체인 전용 항목은 체인 1에서 막지 않음
+  const other = await quote({ sellToken: "ETH", buyToken: OTHER_CHAIN });
+  assert.equal(other.status, 200);
+});
+
+test("allow-listed and native tokens skip the on-chain checks", async () => {
+  const before = mock.requests.length;
+  const res = await quote({ sellToken: ALLOWED, buyToken: "ETH" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.risk.level, "ok");
+  assert.deepEqual(res.body.risk.warnings, []);
+  assert.equal(res.body.risk.sellToken.listed, "allow");
+  assert.equal(res.body.risk.buyToken.listed, "native");
+  // 메타데이터는 읽어도 코드 / 잔고 / transfer 시뮬레이션은 안 함
+  const rpcs = rpcBodies(mock.requests.slice(before));
+  assert.deepEqual(rpcs.filter((b) => ["eth_getCode", "eth_simulateV1"].includes(b.method)), []);
+  assert.deepEqual(rpcs.filter((b) => b.method === "eth_call" && ["0xa9059cbb", "0x70a08231"].includes(b.params[0].data.slice(0, 10))), []);
+});
+
+test("addresses without code are high risk", async () => {
+  const res = await quote({ sellToken: "ETH", buyToken: EOA });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.risk.level, "high");
+  assert.equal(res.body.risk.buyToken.contract, false);
+  assert.deepEqual(
+    res.body.risk.warnings.map((w) => [w.token, w.code, w.severity]),
+    [
+      ["buyToken", "unknown_metadata", "warn"],
+      ["buyToken", "no_contract", "high"],
+    ]
+  );
+});
+
+test("sell simulation measures the transfer tax at the pool and merges 0x taxes", async () => {
+  const res = await quote({ sellToken: TAX, buyToken: "ETH" });
+  assert.equal(res.status, 200);
+  const { sellToken } = res.body.risk;
+  assert.deepEqual(sellToken.sellSimulation, { to: POOL, target: "pool", status: "ok", reason: null, taxBps: 500 });
+  // 측정 5% vs 0x 3% → 큰 값, buy tax는 0x 값
+  assert.deepEqual(sellToken.taxBps, { buy: 100, sell: 500 });
+  assert.equal(res.body.risk.level, "warn");
+  assert.deepEqual(res.body.risk.warnings, [
+    { token: "sellToken", code: "transfer_tax", severity: "warn", message: "Fee-on-transfer token: buy tax 1%, sell tax 5%" },
+  ]);
+
+  const [sim] = rpcCalls("eth_simulateV1");
+  const [, transfer] = sim.params[0].blockStateCalls[0].calls;
+  assert.equal(transfer.from, TAKER);
+  assert.equal(transfer.to, TAX);
+  assert.equal(transfer.data, "0xa9059cbb" + word(POOL).slice(2) + word(1000).slice(2));
+
+  // 같은 taker + 수량이면 캐시, 수량이 다르면 다시 시뮬레이션
+  await quote({ sellToken: TAX, buyToken: "ETH" });
+  assert.equal(rpcCalls("eth_simulateV1").length, 1);
+  await quote({ sellToken: TAX, buyToken: "ETH", sellAmount: "500" });
+  assert.equal(rpcCalls("eth_simulateV1").length, 2);
+});
+
+test("sell simulation results are not shared between takers", async () => {
+  const ok = await quote({ sellToken: GUARDED, buyToken: "ETH" });
+  assert.equal(ok.body.risk.level, "ok");
+  assert.equal(ok.body.risk.sellToken.sellSimulation.status, "ok");
+  assert.equal(ok.body.risk.sellToken.sellSimulation.taxBps, 0);
+
+  // 다른 지갑의 깨끗한 결과가 이 지갑의 차단을 가리지 않음
+  const blocked = await quote({ sellToken: GUARDED, buyToken: "ETH", taker: BLOCKED_TAKER });
+  assert.equal(blocked.body.risk.level, "high");
+  assert.equal(blocked.body.risk.sellToken.sellSimulation.status, "reverted");
+  assert.equal(blocked.body.risk.sellToken.sellSimulation.reason, "Blacklisted");
+
+  // 막힌 지갑의 revert도 다른 지갑에 재사용되지 않음
+  const again = await quote({ sellToken: GUARDED, buyToken: "ETH" });
+  assert.equal(again.body.risk.level, "ok");
+  assert.equal(rpcCalls("eth_simulateV1").filter((b) => b.params[0].blockStateCalls[0].calls[0].to === GUARDED).length, 2);
+});
+
+test("a reverting transfer is sell_blocked; without a balance the check is skipped and retried later", async () => {
+  const empty = await quote({ sellToken: HONEY, buyToken: "ETH", taker: EMPTY_TAKER });
+  assert.equal(empty.status, 200);
+  assert.equal(empty.body.risk.level, "ok");
+  assert.deepEqual(empty.body.risk.sellToken.sellSimulation, { status: "skipped", reason: "no_balance", to: null, target: null, taxBps: null });
+
+  const res = await quote({ sellToken: HONEY, buyToken: "ETH" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.risk.level, "high");
+  assert.equal(res.body.risk.sellToken.sellSimulation.status, "reverted");
+  assert.equal(res.body.risk.sellToken.sellSimulation.target, "router"); // 풀이 없으면 라우터로
+  assert.deepEqual(res.body.risk.warnings, [
+    {
+      token: "sellToken",
+      code: "sell_blocked",
+      severity: "high",
+      message: "Transfer simulation failed: Trading not enabled; the token may not be sellable",
+    },
+  ]);
+});
+
+test("simulateSell falls back to eth_call when eth_simulateV1 is unsupported", async () => {
+  const { simulateSell, getChain } = srv.mod;
+  const chain = getChain(1);
+  assert.deepEqual(await simulateSell(chain, PLAIN, TAKER, "5000"), {
+    to: ROUTER,
+    target: "router",
+    status: "ok",
+    reason: null,
+    taxBps: null,
+  });
+  const transfer = rpcCalls("eth_call").find((b) => b.params[0].to === PLAIN && b.params[0].data.startsWith("0xa9059cbb"));
+  // 잔고보다 많이 팔면 잔고만큼
+  assert.equal(transfer.params[0].data, "0xa9059cbb" + word(ROUTER).slice(2) + word(1000).slice(2));
+
+  const blocked = await simulateSell(chain, BLACKLIST, TAKER, "10");
+  assert.equal(blocked.status, "reverted");
+  assert.equal(blocked.reason, "Blacklisted");
+});
+
+test("tokenRiskListing matches chain entries and ignores address case", () => {
+  const { tokenRiskListing, getChain } = srv.mod;
+  assert.deepEqual(tokenRiskListing(getChain(1), DENIED.toUpperCase().replace("0X", "0x")), { kind: "deny", reason: "Known scam" });
+  assert.deepEqual(tokenRiskListing(getChain(1), ALLOWED), { kind: "allow", reason: null });
+  assert.deepEqual(tokenRiskListing({ chainId: 10 }, OTHER_CHAIN), { kind: "deny", reason: null });
+  assert.equal(tokenRiskListing(getChain(1), OTHER_CHAIN), null);
+});
+
+test("admin reload re-reads the risk list", async () => {
+  assert.equal((await quote({ sellToken: "ETH", buyToken: LATER })).status, 200);
+
+  const file = process.env.TOKEN_RISK_LIST;
+  fs.writeFileSync(file, JSON.stringify({ deny: [DENIED, { chainId: 1, address: LATER, reason: "Exploited" }], allow: [] }));
+  assert.equal((await srv.request("POST", "/admin/config/reload")).status, 401);
+  const reload = await srv.request("POST", "/admin/config/reload", null, ADMIN);
+  assert.equal(reload.status, 200);
+  assert.deepEqual(reload.body.tokenRiskList, { file, deny: 2, allow: 0 });
+
+  const res = await quote({ sellToken: "ETH", buyToken: LATER });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.message, "buyToken is blocked: Exploited");
+  // allow에서 빠진 토큰은 다시 검사됨
+  assert.equal((await quote({ sellToken: ALLOWED, buyToken: "ETH" })).body.risk.sellToken.listed, null);
+});
+
+test("tokenRiskListing prefers the chain-specific entry", async () => {
+  const { tokenRiskListing, getChain } = srv.mod;
+  fs.writeFileSync(process.env.TOKEN_RISK_LIST, JSON.stringify({ deny: [LATER], allow: [{ chainId: 1, address: LATER }] }));
+  await srv.request("POST", "/admin/config/reload", null, ADMIN);
+  assert.deepEqual(tokenRiskListing(getChain(1), LATER), { kind: "allow", reason: null });
+  assert.deepEqual(tokenRiskListing({ chainId: 10 }, LATER.toUpperCase().replace("0X", "0x")), { kind: "deny", reason: null });
+  assert.equal(tokenRiskListing(getChain(1), DENIED), null);
+});
+
+test("setTaxWarning grades by the larger tax and replaces the previous warning", () => {
+  const { setTaxWarning } = srv.mod;
+  const r = { taxBps: { buy: 0, sell: 1000 }, warnings: [{ code: "transfer_tax", severity: "warn", message: "old" }] };
+  setTaxWarning(r);
+  assert.deepEqual(r.warnings, [{ code: "transfer_tax", severity: "high", message: "Fee-on-transfer token: buy tax 0%, sell tax 10%" }]);
+
+  r.taxBps = { buy: null, sell: 250 };
+  setTaxWarning(r);
+  assert.deepEqual(r.warnings, [{ code: "transfer_tax", severity: "warn", message: "Fee-on-transfer token: sell tax 2.5%" }]);
+
+  r.taxBps = { buy: 0, sell: 0 };
+  setTaxWarning(r);
+  assert.deepEqual(r.warnings, []);
+});
+
+test("applyQuoteTaxes skips listed sides and riskSummary takes the worst severity", () => {
+  const { applyQuoteTaxes, riskSummary } = srv.mod;
+  const side = (extra) => ({ token: "0x", listed: null, contract: true, sellSimulation: null, taxBps: null, warnings: [], ...extra });
+  const risk = { sellToken: side({ listed: "tokenlist" }), buyToken: side() };
+  applyQuoteTaxes(risk, {
+    tokenMetadata: { sellToken: { buyTaxBps: "500", sellTaxBps: "500" }, buyToken: { buyTaxBps: "1200", sellTaxBps: null } },
+  });
+  assert.equal(risk.sellToken.taxBps, null);
+  assert.deepEqual(risk.buyToken.taxBps, { buy: 1200, sell: 0 });
+
+  const summary = riskSummary(risk);
+  assert.equal(summary.level, "high");
+  assert.deepEqual(summary.warnings.map((w) => [w.token, w.code]), [["buyToken", "transfer_tax"]]);
+  assert.equal(summary.buyToken.warnings, undefined);
+
+  assert.equal(applyQuoteTaxes(risk, null), risk);
+  assert.equal(riskSummary({ sellToken: side(), buyToken: side() }).level, "ok");
+});
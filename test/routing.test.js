@@ -0,0 +1,131 @@
+// 멀티 소스 라우팅 (0x + sushi-v2 on-chain) — gas/fee 차감 후 net 기준 선택
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+const { word, tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const SUSHI_ROUTER = "0xd9e1ce17f2641f24ae83637ab66a2cca9c378b9f";
+const TAKER = "0x1111111111111111111111111111111111111111";
+const ONE_ETH = "1000000000000000000";
+
+let mock;
+let srv;
+let sushiOut; // getAmountsOut 마지막 값 (null이면 revert)
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, AGGREGATORS: "0x, sushi-v2", QUOTE_CACHE_TTL_MS: "0" });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  sushiOut = null;
+  mock.rpc("eth_gasPrice", "0x2540be400"); // 10 gwei
+  mock.rpc("eth_getCode", "0x6080");
+  mock.rpc("eth_estimateGas", "0x186a0");
+  mock.rpc("eth_call", ([call]) => {
+    if (call.to.toLowerCase() === SUSHI_ROUTER && call.data.startsWith("0xd06ca61f")) {
+      if (sushiOut == null) throw Object.assign(new Error("execution reverted"), { code: 3 });
+      const amountIn = BigInt("0x" + call.data.slice(10, 74));
+      return word(32) + word(2).slice(2) + word(amountIn).slice(2) + word(sushiOut).slice(2);
+    }
+    return tokenMetaCall({ [USDC]: { symbol: "USDC", decimals: 6 } }, call) || "0x";
+  });
+  // 0x: 1 ETH → 1000 USDC, gas 150000 (1.5 USDC @ 10 gwei)
+  for (const kind of ["price", "quote"]) {
+    mock.on(`GET /swap/allowance-holder/${kind}`, (req) => ({
+      body: {
+        liquidityAvailable: true,
+        sellAmount: req.query.sellAmount,
+        buyAmount: "1000000000",
+        minBuyAmount: "990000000",
+        gas: "150000",
+        transaction: { to: "0x0000000000001fF3684f28c67538d4D072C22734", data: "0xdeadbeef", value: req.query.sellAmount, gas: "150000" },
+      },
+    }));
+  }
+});
+
+const quoteBody = { chainId: 1, sellToken: "ETH", buyToken: USDC, sellAmount: ONE_ETH };
+
+test("a higher gross sushi quote still loses once the uncollected fee is counted", async () => {
+  // 1000.5 - fee 1.0005 - gas 1.3 = 998.1995 < 0x 1000 - gas 1.5 = 998.5
+  sushiOut = 1000500000n;
+  const res = await srv.request("POST", "/quote", quoteBody);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "0x");
+  assert.equal(res.body.route.gasCostInBuyToken, "1500000");
+  assert.equal(res.body.route.netBuyAmount, "998500000");
+  assert.equal(res.body.fee.percentage, 0.001);
+  const [sushi] = res.body.alternatives;
+  assert.deepEqual(sushi, {
+    source: "sushi-v2",
+    buyAmount: "1000500000",
+    minBuyAmount: "980490000", // 기본 슬리피지 2%
+    gas: "130000",
+    gasCostInBuyToken: "1300000",
+    uncollectedFee: "1000500",
+    netBuyAmount: "998199500",
+    feeCollected: false,
+    cache: null,
+  });
+});
+
+test("sushi wins when its net output is better; fee is not echoed", async () => {
+  sushiOut = 1002000000n;
+  const res = await srv.request("POST", "/quote", quoteBody);
+  assert.equal(res.body.source, "sushi-v2");
+  assert.equal(res.body.route.netBuyAmount, "999698000");
+  assert.equal(res.body.allowanceTarget.toLowerCase(), SUSHI_ROUTER);
+  assert.equal(res.body.fee, null);
+  assert.deepEqual(res.body.alternatives.map((a) => a.source), ["0x"]);
+});
+
+test("/swap builds the router tx for the chosen source", async () => {
+  sushiOut = 1002000000n;
+  const res = await srv.request("POST", "/swap", { ...quoteBody, taker: TAKER, source: "sushi-v2" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "sushi-v2");
+  assert.equal(res.body.tx.to.toLowerCase(), SUSHI_ROUTER);
+  assert.equal(res.body.tx.value, "0xde0b6b3a7640000");
+  const data = res.body.tx.data;
+  assert.equal(data.slice(0, 10), "0x7ff36ab5"); // swapExactETHForTokens
+  assert.equal(BigInt("0x" + data.slice(10, 74)), 981960000n); // minOut (기본 슬리피지 2%)
+  assert.equal(data.slice(138, 202), TAKER.slice(2).padStart(64, "0"));
+  assert.equal(data.slice(-128), WETH.slice(2).padStart(64, "0") + USDC.slice(2).padStart(64, "0"));
+  assert.equal(res.body.fee, null);
+  assert.equal(mock.requests.filter((r) => r.path === "/swap/allowance-holder/quote").length, 0);
+});
+
+test("a failing source is reported without failing the quote", async () => {
+  sushiOut = null;
+  const res = await srv.request("POST", "/quote", quoteBody);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "0x");
+  assert.deepEqual(res.body.sourceErrors, [{ source: "sushi-v2", message: "sushi-v2: no pool for this pair" }]);
+});
+
+test("unknown sources and total failure", async () => {
+  let res = await srv.request("POST", "/quote", { ...quoteBody, source: "1inch" });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /Unknown or disabled source: 1inch/);
+
+  mock.on("GET /swap/allowance-holder/price", { body: { liquidityAvailable: false } });
+  res = await srv.request("POST", "/quote", quoteBody);
+  assert.equal(res.status, 502);
+  assert.equal(res.body.message, "All liquidity sources failed");
+  assert.deepEqual(res.body.details.errors.map((e) => e.source), ["0x", "sushi-v2"]);
+
+  // 소스 하나만 지정하면 원래 에러 그대로
+  res = await srv.request("POST", "/quote", { ...quoteBody, source: "0x" });
+  assert.equal(res.status, 404);
+  assert.match(res.body.message, /no liquidity/);
+});
@@ -0,0 +1,125 @@
+// /swap pre-flight 시뮬레이션 (eth_call) + revert 디코딩
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+const { word, revertReason, tokenMetaCall } = require("./support/abi");
+
+const DAI = "0x6b175474e89094c44da98b954eedeac495271d0f";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const TAKER = "0x1111111111111111111111111111111111111111";
+const EXCHANGE = "0x0000000000001ff3684f28c67538d4d072c22734";
+
+let mock;
+let srv;
+let swapCall; // EXCHANGE 대상 eth_call 결과 (throw하면 revert)
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  swapCall = () => "0x";
+  mock.on("GET /swap/allowance-holder/quote", (req) => ({
+    body: {
+      liquidityAvailable: true,
+      sellAmount: req.query.sellAmount,
+      buyAmount: "2000000000000000000000",
+      minBuyAmount: "1990000000000000000000",
+      transaction: { to: EXCHANGE, data: "0xdeadbeef", value: req.query.sellAmount, gas: "300000" },
+    },
+  }));
+  // 가스 비용 USD 환산용 (WETH → USDC)
+  mock.on("GET /swap/allowance-holder/price", { body: { liquidityAvailable: true, buyAmount: "2500000000" } });
+  mock.rpc("eth_call", ([call]) => {
+    if (call.to.toLowerCase() === EXCHANGE) return swapCall(call);
+    return tokenMetaCall({ [DAI]: { symbol: "DAI", decimals: 18 }, [USDC]: { symbol: "USDC", decimals: 6 } }, call) || "0x";
+  });
+  mock.rpc("eth_getCode", "0x6080");
+  mock.rpc("eth_estimateGas", "0x186a0"); // 100000
+  mock.rpc("eth_getBlockByNumber", { number: "0x64" }); // baseFee 없음 → legacy
+  mock.rpc("eth_gasPrice", "0x3b9aca00");
+});
+
+const swapBody = { chainId: 1, sellToken: "ETH", buyToken: DAI, sellAmount: "1000000000000000000", taker: TAKER };
+
+const revert = (data, message = "execution reverted") => () => {
+  throw Object.assign(new Error(message), { code: 3, data });
+};
+
+test("successful simulation sets gas from eth_estimateGas", async () => {
+  const res = await srv.request("POST", "/swap", swapBody);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.simulation, { ok: true, revertReason: null, revertType: null, revertData: null, gasUsed: "100000" });
+  assert.equal(res.body.tx.gas, "0x1d4c0"); // 100000 + 20%
+  assert.equal(res.body.tx.value, "0xde0b6b3a7640000");
+  assert.equal(res.body.gas.type, "legacy");
+  assert.ok(res.body.tx.gasPrice);
+  assert.equal(typeof res.body.gas.estimatedCost.usd, "number");
+
+  const [sim] = mock.requests.filter((r) => r.path === "/rpc" && r.body.method === "eth_call" && r.body.params[0].to === EXCHANGE);
+  assert.deepEqual(sim.body.params, [{ from: TAKER, to: EXCHANGE, data: "0xdeadbeef", value: "0xde0b6b3a7640000" }, "latest"]);
+});
+
+test("reverted simulation keeps the quote gas and decodes the reason", async () => {
+  swapCall = revert(revertReason("Insufficient output"));
+  const res = await srv.request("POST", "/swap", swapBody);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.simulation.ok, false);
+  assert.equal(res.body.simulation.revertType, "error");
+  assert.equal(res.body.simulation.revertReason, "Insufficient output");
+  assert.equal(res.body.tx.gas, "0x493e0"); // 0x가 준 300000
+});
+
+test("strict mode refuses a tx that would revert", async () => {
+  swapCall = revert("0x4e487b71" + word(0x11).slice(2));
+  let res = await srv.request("POST", "/swap", { ...swapBody, strict: true });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.message, "Swap would revert: Panic(0x11): arithmetic overflow/underflow");
+  assert.equal(res.body.tx, undefined);
+
+  res = await srv.request("POST", "/swap?strict=true", swapBody);
+  assert.equal(res.status, 422);
+
+  swapCall = () => "0x";
+  res = await srv.request("POST", "/swap", { ...swapBody, strict: true });
+  assert.equal(res.status, 200);
+});
+
+test("revert without data falls back to the node message", async () => {
+  swapCall = revert(undefined, "execution reverted: STF");
+  const res = await srv.request("POST", "/swap", swapBody);
+  assert.equal(res.body.simulation.revertType, "unknown");
+  assert.equal(res.body.simulation.revertReason, "execution reverted: STF");
+  assert.equal(res.body.simulation.revertData, null);
+});
+
+test("decodeRevertData handles Error, Panic and custom errors", () => {
+  const { decodeRevertData } = srv.mod;
+  assert.deepEqual(decodeRevertData(revertReason("nope")), { type: "error", reason: "nope", selector: "0x08c379a0" });
+  assert.deepEqual(decodeRevertData("0x4e487b71" + word(0x12).slice(2)), {
+    type: "panic",
+    reason: "Panic(0x12): division or modulo by zero",
+    selector: "0x4e487b71",
+    code: 0x12,
+  });
+  assert.equal(decodeRevertData("0x4e487b71" + word(0x99).slice(2)).reason, "Panic(0x99): unknown panic");
+  assert.equal(decodeRevertData("0xE450D38C" + word(1).slice(2)).reason, "ERC20InsufficientBalance(address,uint256,uint256)");
+  assert.equal(decodeRevertData("0x12345678").reason, "custom error 0x12345678");
+  assert.deepEqual(decodeRevertData("0x"), { type: "empty", reason: null, selector: null });
+});
+
+test("extractRevertData reads error.data and error.data.data", () => {
+  const { extractRevertData } = srv.mod;
+  assert.equal(extractRevertData({ data: "0x1234" }), "0x1234");
+  assert.equal(extractRevertData({ data: { data: "0xabcd" } }), "0xabcd");
+  assert.equal(extractRevertData({ data: "reverted" }), null);
+  assert.equal(extractRevertData(null), null);
+});
@@ -0,0 +1,118 @@
+// /quote/stream — SSE 가격 스트림 (구독 묶기, 새 블록 갱신, 연결 종료 정리)
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+const { tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+
+let mock;
+let srv;
+let block;
+
+before(async () => {
+  mock = await startMock();
+  // 가격 캐시를 끄고 업스트림 폴링 횟수를 셈
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, QUOTE_CACHE_TTL_MS: "0" });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  block = 100;
+  mock.rpc("eth_blockNumber", () => "0x" + block.toString(16));
+  mock.rpc("eth_call", ([call]) => tokenMetaCall({ [USDC]: { symbol: "USDC", decimals: 6 } }, call) || "0x");
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: String(2000000000 + block), minBuyAmount: "1990000000" },
+  }));
+});
+
+// SSE 구독: next(event) → 다음 해당 이벤트의 data, close()로 연결 종료
+async function subscribe(query) {
+  const ac = new AbortController();
+  const res = await fetch(`${srv.url}/quote/stream?${new URLSearchParams(query)}`, { signal: ac.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  return {
+    res,
+    async next(event) {
+      for (;;) {
+        let i;
+        while ((i = buf.indexOf("\n\n")) !== -1) {
+          const chunk = buf.slice(0, i);
+          buf = buf.slice(i + 2);
+          const ev = /^event: (.*)$/m.exec(chunk);
+          const data = /^data: (.*)$/m.exec(chunk);
+          if (ev && ev[1] === event) return JSON.parse(data[1]);
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error("stream ended");
+        buf += decoder.decode(value, { stream: true });
+      }
+    },
+    close() {
+      ac.abort();
+      reader.cancel().catch(() => {});
+    },
+  };
+}
+
+async function streamGauges() {
+  const text = (await srv.request("GET", "/metrics")).body;
+  const value = (name) => Number(new RegExp(`^${name} (\\d+)$`, "m").exec(text)[1]);
+  return { clients: value("gdex_quote_stream_clients"), keys: value("gdex_quote_stream_keys") };
+}
+
+const priceCalls = () => mock.requests.filter((r) => r.path === "/swap/allowance-holder/price").length;
+const query = { chainId: "1", sellToken: "ETH", buyToken: USDC, sellAmount: "1000000000000000000" };
+
+test("identical subscriptions share one upstream poll and refresh on new blocks", async () => {
+  const a = await subscribe(query);
+  assert.equal(a.res.status, 200);
+  assert.equal(a.res.headers.get("content-type"), "text/event-stream");
+  const first = await a.next("price");
+  assert.equal(first.buyAmount, "2000000100");
+  assert.equal(first.blockNumber, 100);
+  assert.equal(first.formatted.buyAmount, "2000.0001");
+
+  // 두 번째 구독자는 마지막 가격을 바로 받고 폴링은 늘지 않음
+  const b = await subscribe(query);
+  assert.deepEqual(await b.next("price"), first);
+  assert.equal(priceCalls(), 1);
+  assert.deepEqual(await streamGauges(), { clients: 2, keys: 1 });
+
+  block = 101;
+  const [pa, pb] = await Promise.all([a.next("price"), b.next("price")]);
+  assert.equal(pa.blockNumber, 101);
+  assert.deepEqual(pb, pa);
+  assert.equal(priceCalls(), 2);
+
+  a.close();
+  await eventually(async () => assert.deepEqual(await streamGauges(), { clients: 1, keys: 1 }));
+  b.close();
+  await eventually(async () => assert.deepEqual(await streamGauges(), { clients: 0, keys: 0 }));
+});
+
+test("upstream failures are sent as error events", async () => {
+  mock.on("GET /swap/allowance-holder/price", { status: 400, body: { message: "bad pair" } });
+  const s = await subscribe({ ...query, sellAmount: "5" });
+  const err = await s.next("error");
+  assert.equal(err.status, 400);
+  s.close();
+  await eventually(async () => assert.deepEqual(await streamGauges(), { clients: 0, keys: 0 }));
+});
+
+test("validates the input before opening the stream", async () => {
+  let res = await srv.request("GET", "/quote/stream?chainId=1&sellToken=ETH");
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /Missing/);
+  res = await srv.request("GET", `/quote/stream?chainId=999&sellToken=ETH&buyToken=${USDC}&sellAmount=1`);
+  assert.equal(res.status, 400);
+  assert.deepEqual(await streamGauges(), { clients: 0, keys: 0 });
+});
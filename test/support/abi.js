@@ -0,0 +1,21 @@
+// mock RPC 응답용 ABI 인코딩
+const word = (v) => "0x" + BigInt(v).toString(16).padStart(64, "0");
+
+function abiString(s) {
+  const hex = Buffer.from(s, "utf8").toString("hex");
+  return word(32) + word(hex.length / 2).slice(2) + hex.padEnd(Math.ceil(hex.length / 64) * 64 || 64, "0");
+}
+
+// Error(string) revert data
+const revertReason = (s) => "0x08c379a0" + abiString(s).slice(2);
+
+// { address: { symbol, decimals } } → eth_call 핸들러 조각 (name/symbol/decimals만, 나머지는 undefined)
+function tokenMetaCall(tokens, call) {
+  const t = tokens[String(call.to).toLowerCase()];
+  if (!t) return undefined;
+  if (call.data === "0x313ce567") return word(t.decimals);
+  if (call.data === "0x95d89b41" || call.data === "0x06fdde03") return abiString(t.symbol);
+  return undefined;
+}
+
+module.exports = { word, abiString, revertReason, tokenMetaCall };
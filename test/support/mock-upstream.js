@@ -0,0 +1,81 @@
+// 테스트용 로컬 upstream (0x, JSON-RPC, Li.Fi, 뉴스 피드 ...)
+// - on("GET /path", handler): 경로별 응답. handler(req) → { status, body, headers, delayMs } (객체를 주면 고정 응답)
+// - rpc("eth_call", handler): POST /rpc JSON-RPC (배치 포함). handler(params) → result, throw하면 JSON-RPC error
+// - requests: 받은 요청 기록 { method, path, query, headers, body }
+const http = require("http");
+
+function startMock() {
+  const routes = new Map();
+  const rpcMethods = new Map();
+  const requests = [];
+  const sockets = new Set();
+
+  function rpcOne(call) {
+    const handler = rpcMethods.get(call.method);
+    if (!handler) return { jsonrpc: "2.0", id: call.id, error: { code: -32601, message: `unsupported ${call.method}` } };
+    try {
+      return { jsonrpc: "2.0", id: call.id, result: handler(call.params || []) };
+    } catch (e) {
+      return { jsonrpc: "2.0", id: call.id, error: { code: e.code || 3, message: e.message, ...(e.data ? { data: e.data } : {}) } };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", async () => {
+      const u = new URL(req.url, "http://mock");
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        body = raw;
+      }
+      const entry = { method: req.method, path: u.pathname, query: Object.fromEntries(u.searchParams), headers: req.headers, body };
+      requests.push(entry);
+
+      let out;
+      if (req.method === "POST" && u.pathname === "/rpc") {
+        out = { body: Array.isArray(body) ? body.map(rpcOne) : rpcOne(body) };
+      } else {
+        const handler = routes.get(`${req.method} ${u.pathname}`);
+        out = handler ? await handler(entry) : { status: 404, body: { message: "no mock route" } };
+      }
+      if (out.delayMs) await new Promise((r) => setTimeout(r, out.delayMs));
+      if (res.destroyed) return;
+      const text = typeof out.body === "string" ? out.body : JSON.stringify(out.body ?? {});
+      res.writeHead(out.status || 200, { "content-type": out.type || "application/json", ...(out.headers || {}) });
+      res.end(text);
+    });
+  });
+  server.on("connection", (s) => {
+    sockets.add(s);
+    s.on("close", () => sockets.delete(s));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        on(route, handler) {
+          routes.set(route, typeof handler === "function" ? handler : () => handler);
+        },
+        rpc(method, handler) {
+          rpcMethods.set(method, typeof handler === "function" ? handler : () => handler);
+        },
+        reset() {
+          routes.clear();
+          rpcMethods.clear();
+          requests.length = 0;
+        },
+        close() {
+          for (const s of sockets) s.destroy();
+          return new Promise((r) => server.close(r));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startMock };
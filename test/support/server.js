@@ -0,0 +1,81 @@
+// server.js를 테스트 환경으로 로드 (env는 require 시점에 읽히므로 파일마다 한 번)
+// - data 파일은 임시 디렉터리, 뉴스 피드는 mock으로, 주문 감시/레이트리밋은 끔
+// - files: { ENV_NAME: JSON } → 임시 디렉터리에 써서 env에 경로로 넘김 (CHAINS_CONFIG, FEE_CONFIG, TOKEN_RISK_LIST 등)
+//   env 값이 함수면 (파일 경로 맵) → 값 (TOKEN_LIST처럼 경로를 다른 값과 섞을 때)
+// - app.listen(0) → { mod, url, dir, request, close }
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+async function startServer(env = {}, { files = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gdex-test-"));
+  const fileEnv = {};
+  for (const [name, json] of Object.entries(files)) {
+    fileEnv[name] = path.join(dir, `${name.toLowerCase()}.json`);
+    fs.writeFileSync(fileEnv[name], JSON.stringify(json));
+  }
+  const newsSources = path.join(dir, "news-sources.json");
+  fs.writeFileSync(newsSources, JSON.stringify([{ name: "Mock", url: `${env.MOCK_URL || "http://127.0.0.1:9"}/news.xml` }]));
+
+  Object.assign(process.env, {
+    LOG_LEVEL: "error",
+    ZEROX_API_KEY: "test-key",
+    ORDERS_FILE: path.join(dir, "orders.json"),
+    REVENUE_LOG_FILE: path.join(dir, "revenue.jsonl"),
+    NEWS_ARCHIVE_FILE: path.join(dir, "news.json"),
+    NEWS_SOURCES_CONFIG: newsSources,
+    RUNTIME_CONFIG_FILE: path.join(dir, "runtime-config.json"),
+    ADMIN_AUDIT_FILE: path.join(dir, "admin-audit.jsonl"),
+    ORDER_WATCH_INTERVAL_MS: "0",
+    RATE_LIMIT_DISABLED: "true",
+    ...fileEnv,
+    ...Object.fromEntries(Object.entries(env).map(([k, v]) => [k, typeof v === "function" ? v(fileEnv) : v])),
+  });
+
+  const mod = require("../../server");
+  const server = await new Promise((resolve) => {
+    const s = mod.app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, headers, body(JSON이면 파싱) }
+  async function request(method, route, body, headers = {}) {
+    const res = await fetch(url + route, {
+      method,
+      headers: { ...(body != null ? { "Content-Type": "application/json" } : {}), ...headers },
+      ...(body != null ? { body: JSON.stringify(body) } : {}),
+    });
+    const text = await res.text();
+    let json = text;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {}
+    return { status: res.status, headers: res.headers, body: json };
+  }
+
+  return {
+    mod,
+    url,
+    dir,
+    request,
+    close() {
+      server.closeAllConnections();
+      return new Promise((r) => server.close(r)).then(() => fs.rmSync(dir, { recursive: true, force: true }));
+    },
+  };
+}
+
+// 백그라운드 작업(토큰 목록 로드, 수익/감사 로그 쓰기 등) 확인용: fn이 throw 안 할 때까지 재시도
+async function eventually(fn, timeoutMs = 2000) {
+  const start = Date.now();
+  for (;;) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (Date.now() - start > timeoutMs) throw e;
+      await new Promise((r) => setTimeout(r, 20));
+    }
+  }
+}
+
+module.exports = { startServer, eventually };
@@ -0,0 +1,182 @@
+// Sushi 풀 목록 (정렬 / cursor 페이지 / 토큰·TVL 필터 / 실패 시 빈 목록) + 풀 상세 (24h 거래량, 수수료 APR)
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const POOL = "0x397ff1542f962076d0bfe58ea045ffa2d347aca0";
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ SUSHI_SUBGRAPH_URL: `${mock.url}/subgraph` });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+const pair = (i, v) => ({
+  id: `0x${String(i).padStart(40, "0")}`,
+  createdAtTimestamp: String(1700000000 + i),
+  token0: { id: USDC, symbol: "USDC" },
+  token1: { id: WETH, symbol: "WETH" },
+  reserveUSD: v,
+  volumeUSD: "100",
+});
+
+const graphCalls = () => mock.requests.filter((r) => r.path === "/subgraph").map((r) => r.body);
+
+test("orderBy, direction and minTvl map to the subgraph query", async () => {
+  mock.on("POST /subgraph", { body: { data: { pairs: [pair(1, "2500000"), pair(2, "1200")] } } });
+  const res = await srv.request("GET", "/sushi/pools?orderBy=tvl&direction=asc&minTvl=1000&limit=5");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.cached, false);
+  assert.equal(res.body.nextCursor, null);
+  assert.deepEqual(res.body.items.map((p) => p.tvlText), ["$2.50m", "$1.20k"]);
+  assert.equal(res.body.items[0].name, "USDC / WETH");
+  assert.equal(res.body.items[0].feePct, 0.3);
+  assert.equal(res.body.items[0].url, `https://www.sushi.com/ethereum/pool/${pair(1).id}`);
+
+  const [{ variables }] = graphCalls();
+  assert.deepEqual(variables, { first: 6, skip: 0, orderBy: "reserveUSD", dir: "asc", where: { reserveUSD_gte: "1000" } });
+
+  // 같은 조합은 캐시에서
+  const again = await srv.request("GET", "/sushi/pools?orderBy=tvl&direction=asc&minTvl=1000&limit=5");
+  assert.equal(again.body.cached, true);
+  assert.equal(graphCalls().length, 1);
+});
+
+test("cursor pagination carries ties across pages", async () => {
+  // limit=2: 3개를 받으면 다음 페이지가 있음. 마지막 값(500)과 같은 항목 2개를 지나옴
+  mock.on("POST /subgraph", { body: { data: { pairs: [pair(1, "500"), pair(2, "500"), pair(3, "500")] } } });
+  const first = await srv.request("GET", "/sushi/pools?orderBy=tvl&limit=2");
+  assert.equal(first.body.items.length, 2);
+  const cursor = srv.mod.decodeSushiCursor(first.body.nextCursor);
+  assert.deepEqual(cursor, { v: "500", skip: 2 });
+
+  // 다음 페이지도 전부 500이면 skip이 누적됨
+  const second = await srv.request("GET", `/sushi/pools?orderBy=tvl&limit=2&cursor=${first.body.nextCursor}`);
+  assert.deepEqual(graphCalls()[1].variables.where, { reserveUSD_lte: "500" });
+  assert.equal(graphCalls()[1].variables.skip, 2);
+  assert.deepEqual(srv.mod.decodeSushiCursor(second.body.nextCursor), { v: "500", skip: 4 });
+});
+
+test("token filter matches either side by symbol or address", async () => {
+  mock.on("POST /subgraph", { body: { data: { pairs: [] } } });
+  await srv.request("GET", "/sushi/pools?token=usd&minTvl=10");
+  await srv.request("GET", `/sushi/pools?token=${WETH.toUpperCase().replace("0X", "0x")}`);
+  const [bySymbol, byAddress] = graphCalls().map((b) => b.variables.where);
+  assert.deepEqual(bySymbol, {
+    or: [
+      { reserveUSD_gte: "10", token0_: { symbol_contains_nocase: "usd" } },
+      { reserveUSD_gte: "10", token1_: { symbol_contains_nocase: "usd" } },
+    ],
+  });
+  assert.deepEqual(byAddress, { or: [{ token0: WETH }, { token1: WETH }] });
+});
+
+test("invalid parameters are rejected before calling the subgraph", async () => {
+  for (const q of ["orderBy=apr", "direction=up", "minTvl=-1", "cursor=nope", `token=${"x".repeat(65)}`]) {
+    const res = await srv.request("GET", `/sushi/pools?${q}`);
+    assert.equal(res.status, 400, q);
+    assert.deepEqual(res.body.items, []);
+  }
+  assert.equal((await srv.request("GET", "/sushi/pools?chain=solana")).status, 400);
+  assert.equal(graphCalls().length, 0);
+});
+
+test("subgraph failures return an empty list and the error, not fake pools", async () => {
+  mock.on("POST /subgraph", { body: { errors: [{ message: "indexer down" }] } });
+  const res = await srv.request("GET", "/sushi/pools?orderBy=volume");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, {
+    ok: false,
+    chain: "ethereum",
+    error: "GraphQL errors: indexer down",
+    items: [],
+    nextCursor: null,
+    exploreUrl: "https://www.sushi.com/ethereum/explore/pools",
+  });
+
+  // 실패는 캐시되지 않음
+  mock.on("POST /subgraph", { body: { data: { pairs: [pair(1, "1")] } } });
+  assert.equal((await srv.request("GET", "/sushi/pools?orderBy=volume")).body.items.length, 1);
+});
+
+test("pool detail: token prices, last completed day volume and fee APR", async () => {
+  const today = Math.floor(Date.now() / 86400000) * 86400;
+  mock.on("POST /subgraph", {
+    body: {
+      data: {
+        pair: {
+          id: POOL,
+          createdAtTimestamp: "1599000000",
+          reserve0: "2000000",
+          reserve1: "1000",
+          reserveUSD: "4000000",
+          volumeUSD: "9000000",
+          token0Price: "2000",
+          token1Price: "0.0005",
+          txCount: "42",
+          token0: { id: USDC, symbol: "USDC", name: "USD Coin", decimals: "6", derivedETH: "0.0005" },
+          token1: { id: WETH, symbol: "WETH", name: "Wrapped Ether", decimals: "18", derivedETH: "1" },
+        },
+        pairDayDatas: [
+          { date: today, volumeUSD: "999999", reserveUSD: "4000000", txCount: "5" }, // 진행 중 → 제외
+          { date: today - 86400, volumeUSD: "400000", reserveUSD: "4000000", txCount: "10" },
+          { date: today - 2 * 86400, volumeUSD: "200000", reserveUSD: "3900000", txCount: "8" },
+        ],
+        bundle: { ethPrice: "2000" },
+      },
+    },
+  });
+
+  const res = await srv.request("GET", `/sushi/pools/${POOL.toUpperCase().replace("0X", "0x")}`);
+  assert.equal(res.status, 200);
+  const { pool } = res.body;
+  assert.equal(graphCalls()[0].variables.id, POOL);
+  assert.equal(pool.name, "USDC / WETH");
+  assert.deepEqual(pool.token0, { id: USDC, symbol: "USDC", name: "USD Coin", decimals: 6, reserve: "2000000", priceUsd: 1 });
+  assert.equal(pool.token1.priceUsd, 2000);
+  assert.deepEqual(pool.price, { token0InToken1: 0.0005, token1InToken0: 2000 });
+  assert.equal(pool.volume24hUsd, 400000);
+  assert.equal(pool.fees24hUsd, 1200);
+  assert.equal(pool.lpFees24hUsd, 1000);
+  // 1000 × 365 / 4,000,000
+  assert.equal(pool.feeApr, 0.09125);
+  // 7일 평균 300,000 → 750 × 365 / 4,000,000
+  assert.equal(pool.feeApr7d, 0.0684375);
+  assert.equal(pool.dayData.length, 3);
+});
+
+test("pool detail: bad ids, missing pools and upstream errors", async () => {
+  assert.equal((await srv.request("GET", "/sushi/pools/not-a-pool")).status, 400);
+
+  mock.on("POST /subgraph", { body: { data: { pair: null, pairDayDatas: [], bundle: null } } });
+  const missing = await srv.request("GET", `/sushi/pools/${WETH}`);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, "Pool not found");
+
+  mock.on("POST /subgraph", { body: { errors: [{ message: "bad query" }] } });
+  const failed = await srv.request("GET", `/sushi/pools/${USDC}`);
+  assert.equal(failed.status, 502);
+  assert.equal(failed.body.error, "GraphQL errors: bad query");
+});
+
+test("sushi cursors round-trip and reject tampering", () => {
+  const { encodeSushiCursor, decodeSushiCursor } = srv.mod;
+  assert.deepEqual(decodeSushiCursor(encodeSushiCursor("1700000000", 3)), { v: "1700000000", skip: 3 });
+  assert.equal(decodeSushiCursor(encodeSushiCursor(5, 0)), null);
+  assert.equal(decodeSushiCursor(encodeSushiCursor("1", -1)), null);
+  assert.equal(decodeSushiCursor(encodeSushiCursor("1", 5001)), null);
+  assert.equal(decodeSushiCursor("%%%"), null);
+});
@@ -0,0 +1,152 @@
+// 토큰 리스트 / 메타데이터 / 사람 단위 금액
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer, eventually } = require("./support/server");
+const { word, abiString } = require("./support/abi");
+
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const DAI = "0x6B175474E89094C44Da98b954EedeAC495271d0F";
+const MKR = "0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2";
+const ARB_USDC = "0xaf88d065e77c8cC2239327C5EDb3A432268e5831";
+const ETH_SENTINEL = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+let mock;
+let srv;
+let metaCalls;
+
+before(async () => {
+  mock = await startMock();
+  mock.on("GET /tokens.json", {
+    body: {
+      name: "Remote",
+      tokens: [
+        { chainId: 1, address: USDC, symbol: "USDC.e", name: "Duplicate", decimals: 6 },
+        { chainId: 1, address: DAI, symbol: "DAI", name: "Dai Stablecoin", decimals: 18 },
+        { chainId: 1, address: "0x1234", symbol: "BAD", decimals: 18 },
+      ],
+    },
+  });
+  srv = await startServer(
+    { RPC_URL: `${mock.url}/rpc`, ZEROX_BASE: mock.url, TOKEN_LIST: (files) => `${files.TOKENS_FILE},${mock.url}/tokens.json` },
+    {
+      files: {
+        TOKENS_FILE: {
+          name: "Local",
+          tokens: [
+            { chainId: 1, address: USDC, symbol: "USDC", name: "USD Coin", decimals: 6, logoURI: "https://x/usdc.png" },
+            { chainId: 42161, address: ARB_USDC, symbol: "USDC", name: "USD Coin", decimals: 6 },
+          ],
+        },
+      },
+    }
+  );
+  // 토큰 리스트는 시작 시 비동기로 읽음
+  await eventually(async () => assert.ok((await srv.request("GET", "/tokens")).body.tokens.length > 0));
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  metaCalls = 0;
+  mock.rpc("eth_call", ([call]) => {
+    metaCalls++;
+    if (call.to.toLowerCase() !== MKR.toLowerCase()) throw Object.assign(new Error("execution reverted"), { code: 3 });
+    if (call.data === "0x313ce567") return word(18);
+    // MKR은 symbol/name을 bytes32로 반환
+    return "0x" + Buffer.from(call.data === "0x95d89b41" ? "MKR" : "Maker").toString("hex").padEnd(64, "0");
+  });
+});
+
+test("merges token lists, first source wins, invalid entries skipped", async () => {
+  const res = await srv.request("GET", "/tokens");
+  assert.equal(res.status, 200);
+  const symbols = res.body.tokens.filter((t) => t.chainId === 1).map((t) => t.symbol);
+  assert.deepEqual(symbols, ["USDC", "DAI", "BAD"]); // 원본은 그대로, 인덱스에서만 걸러짐
+  assert.equal(res.headers.get("cache-control"), "public, max-age=300");
+
+  const arb = await srv.request("GET", "/tokens?chainId=arbitrum");
+  assert.deepEqual(arb.body.tokens.map((t) => t.address), [ARB_USDC]);
+});
+
+test("/tokens/:token looks up symbols and addresses", async () => {
+  let res = await srv.request("GET", "/tokens/usdc?chainId=1");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { chainId: 1, address: USDC, symbol: "USDC", name: "USD Coin", decimals: 6, logoURI: "https://x/usdc.png" });
+
+  res = await srv.request("GET", "/tokens/usdc?chainId=42161");
+  assert.equal(res.body.address, ARB_USDC);
+
+  res = await srv.request("GET", "/tokens/ETH?chainId=1");
+  assert.deepEqual(res.body, { chainId: 1, address: ETH_SENTINEL, symbol: "ETH", name: "ETH", decimals: 18, logoURI: null });
+
+  res = await srv.request("GET", "/tokens/BAD?chainId=1");
+  assert.equal(res.status, 404);
+  assert.equal(metaCalls, 0);
+});
+
+test("unlisted tokens are read on-chain and cached", async () => {
+  let res = await srv.request("GET", `/tokens/${MKR}?chainId=1`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { chainId: 1, address: MKR, symbol: "MKR", name: "Maker", decimals: 18, logoURI: null });
+  const calls = metaCalls;
+  assert.equal(calls, 3);
+
+  res = await srv.request("GET", `/tokens/${MKR}?chainId=1`);
+  assert.equal(res.body.symbol, "MKR");
+  assert.equal(metaCalls, calls);
+
+  // decimals()가 실패하면 토큰 아님 → 404 (실패도 잠시 캐시)
+  const notToken = "0x000000000000000000000000000000000000dEaD";
+  res = await srv.request("GET", `/tokens/${notToken}?chainId=1`);
+  assert.equal(res.status, 404);
+  const after404 = metaCalls;
+  await srv.request("GET", `/tokens/${notToken}?chainId=1`);
+  assert.equal(metaCalls, after404);
+});
+
+test("/quote accepts symbols and human amounts", async () => {
+  mock.on("GET /swap/allowance-holder/price", (req) => ({
+    body: { liquidityAvailable: true, sellAmount: req.query.sellAmount, buyAmount: "1000500000000000000000", minBuyAmount: "995000000000000000000" },
+  }));
+  const res = await srv.request("POST", "/quote", { chainId: 1, sellToken: "usdc", buyToken: "DAI", sellAmountHuman: "1000.5" });
+  assert.equal(res.status, 200);
+  const [call] = mock.requests.filter((r) => r.path === "/swap/allowance-holder/price");
+  assert.equal(call.query.sellToken, USDC);
+  assert.equal(call.query.buyToken, DAI);
+  assert.equal(call.query.sellAmount, "1000500000");
+  assert.equal(res.body.formatted.sellAmount, "1000.5");
+  assert.equal(res.body.formatted.buyAmount, "1000.5");
+  assert.equal(res.body.formatted.minBuyAmount, "995");
+
+  let bad = await srv.request("POST", "/quote", { chainId: 1, sellToken: "USDC", buyToken: "DAI", sellAmountHuman: "1.0000001" });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.message, /max 6/);
+  bad = await srv.request("POST", "/quote", { chainId: 1, sellToken: "NOPE", buyToken: "DAI", sellAmount: "1" });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.message, /Unknown sellToken symbol/);
+});
+
+test("parseUnits / formatUnits round-trip", () => {
+  const { parseUnits, formatUnits } = srv.mod;
+  assert.equal(parseUnits("1.5", 18), "1500000000000000000");
+  assert.equal(parseUnits("0.000001", 6), "1");
+  assert.equal(parseUnits("42", 0), "42");
+  assert.throws(() => parseUnits("1.5", 0), { status: 400 });
+  assert.throws(() => parseUnits("-1", 6), { status: 400 });
+  assert.throws(() => parseUnits("1e6", 6), { status: 400 });
+  assert.equal(formatUnits("1500000000000000000", 18), "1.5");
+  assert.equal(formatUnits("1", 6), "0.000001");
+  assert.equal(formatUnits("1000000", 6), "1");
+  assert.equal(formatUnits(parseUnits("123.456789", 6), 6), "123.456789");
+});
+
+test("decodeAbiString handles string and bytes32 returns", () => {
+  const { decodeAbiString } = srv.mod;
+  assert.equal(decodeAbiString(abiString("Wrapped Ether")), "Wrapped Ether");
+  assert.equal(decodeAbiString("0x" + Buffer.from("MKR").toString("hex").padEnd(64, "0")), "MKR");
+  assert.equal(decodeAbiString("0x"), "");
+});
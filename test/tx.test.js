@@ -0,0 +1,143 @@
+// tx 상태 추적 (/tx/:hash, decodeTransferLogs)
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+const { word, tokenMetaCall } = require("./support/abi");
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const DAI = "0x6b175474e89094c44da98b954eedeac495271d0f";
+const TAKER = "0x1111111111111111111111111111111111111111";
+const POOL = "0x3333333333333333333333333333333333333333";
+const HASH = "0x" + "ab".repeat(32);
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+const topic = (addr) => "0x" + addr.slice(2).padStart(64, "0");
+const transferLog = (token, from, to, amount, logIndex) => ({
+  address: token,
+  topics: [TRANSFER_TOPIC, topic(from), topic(to)],
+  data: word(amount),
+  logIndex: "0x" + logIndex.toString(16),
+});
+
+let mock;
+let srv;
+let tx;
+let receipt;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({ RPC_URL: `${mock.url}/rpc` });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  tx = { hash: HASH, from: TAKER, to: "0x0000000000001ff3684f28c67538d4d072c22734", nonce: "0x7", input: "0x1234", gasPrice: "0x3b9aca00" };
+  receipt = null;
+  mock.rpc("eth_getTransactionByHash", () => tx);
+  mock.rpc("eth_getTransactionReceipt", () => receipt);
+  mock.rpc("eth_blockNumber", "0x6e"); // 110
+  mock.rpc("eth_call", ([call]) => tokenMetaCall({ [DAI]: { symbol: "DAI", decimals: 18 } }, call) || "0x");
+});
+
+test("pending while there is no receipt", async () => {
+  const res = await srv.request("GET", `/tx/${HASH}?chainId=1`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+  assert.equal(res.body.status, "pending");
+  assert.equal(res.body.nonce, 7);
+  assert.equal(res.body.confirmations, 0);
+  assert.equal(res.body.explorerUrl, `https://etherscan.io/tx/${HASH}`);
+  assert.equal(res.body.received, null);
+});
+
+test("404 when the node does not know the tx", async () => {
+  tx = null;
+  const res = await srv.request("GET", `/tx/${HASH}?chainId=1`);
+  assert.equal(res.status, 404);
+  assert.deepEqual(res.body, { hash: HASH, chainId: 1, status: "not_found" });
+});
+
+test("confirmed tx reports gas, confirmations and realized slippage", async () => {
+  receipt = {
+    status: "0x1",
+    blockNumber: "0x64", // 100
+    gasUsed: "0x186a0", // 100000
+    effectiveGasPrice: "0x77359400", // 2 gwei
+    logs: [
+      transferLog(USDC, TAKER, POOL, 1000000, 0),
+      transferLog(DAI, POOL, TAKER, 990000000000000000n, 1),
+      transferLog(DAI, POOL, "0x4444444444444444444444444444444444444444", 5000000000000000n, 2),
+      // ERC-721 Transfer (topics 4개)는 무시
+      { address: POOL, topics: [TRANSFER_TOPIC, topic(POOL), topic(TAKER), word(1)], data: "0x", logIndex: "0x3" },
+    ],
+  };
+  const res = await srv.request("GET", `/tx/${HASH}?chainId=1&buyToken=${DAI}&expectedBuyAmount=1000000000000000000`);
+  assert.equal(res.status, 200);
+  const s = res.body;
+  assert.equal(s.status, "confirmed");
+  assert.equal(s.blockNumber, 100);
+  assert.equal(s.confirmations, 11);
+  assert.equal(s.gasUsed, "100000");
+  assert.equal(s.effectiveGasPrice, "2000000000");
+  assert.equal(s.feeWei, "200000000000000");
+  assert.equal(s.transfers.length, 3);
+  assert.deepEqual(s.received, {
+    token: DAI,
+    amount: "990000000000000000",
+    formatted: "0.99",
+    expected: "1000000000000000000",
+    expectedFormatted: "1",
+    minExpected: null,
+    slippageBps: -100,
+    source: "query",
+  });
+});
+
+test("failed tx has no received amount", async () => {
+  receipt = { status: "0x0", blockNumber: "0x6e", gasUsed: "0x5208", logs: [] };
+  const res = await srv.request("GET", `/tx/${HASH}?chainId=1&buyToken=${DAI}`);
+  assert.equal(res.body.status, "failed");
+  assert.equal(res.body.confirmations, 1);
+  assert.equal(res.body.effectiveGasPrice, "1000000000"); // receipt에 없으면 tx.gasPrice
+  assert.equal(res.body.received, null);
+});
+
+test("native buyToken is not visible in logs", async () => {
+  receipt = { status: "0x1", blockNumber: "0x6e", gasUsed: "0x5208", effectiveGasPrice: "0x1", logs: [] };
+  const res = await srv.request("GET", `/tx/${HASH}?chainId=1&buyToken=ETH`);
+  assert.equal(res.body.received.amount, null);
+  assert.match(res.body.received.note, /Native token/);
+});
+
+test("validates the input", async () => {
+  const cases = [
+    [`/tx/0x1234?chainId=1`, 400, /Invalid tx hash/],
+    [`/tx/${HASH}?chainId=999`, 400, /Unsupported chainId/],
+    [`/tx/${HASH}?chainId=1&buyToken=0x12`, 400, /Invalid buyToken/],
+    [`/tx/${HASH}?chainId=1&expectedBuyAmount=1.5`, 400, /integer string/],
+    [`/tx/${HASH}?chainId=10`, 503, /RPC URL not set/],
+  ];
+  for (const [route, status, message] of cases) {
+    const res = await srv.request("GET", route);
+    assert.equal(res.status, status, route);
+    assert.match(res.body.message, message);
+  }
+  assert.equal(mock.requests.length, 0);
+});
+
+test("decodeTransferLogs keeps only ERC-20 transfers", () => {
+  const { decodeTransferLogs } = srv.mod;
+  const logs = [
+    transferLog(DAI, POOL, TAKER, 42, 5),
+    { address: DAI, topics: ["0x" + "00".repeat(32), topic(POOL), topic(TAKER)], data: word(1) },
+    { address: DAI, topics: [TRANSFER_TOPIC, topic(POOL), topic(TAKER)], data: "0x" },
+  ];
+  assert.deepEqual(decodeTransferLogs(logs), [{ token: DAI, from: POOL, to: TAKER, amount: "42", logIndex: 5 }]);
+  assert.deepEqual(decodeTransferLogs(null), []);
+});
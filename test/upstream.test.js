@@ -0,0 +1,120 @@
+// 업스트림 공통 클라이언트 (timeout / 재시도 / 429 / circuit breaker) + RPC URL failover
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock } = require("./support/mock-upstream");
+const { startServer } = require("./support/server");
+
+let mock;
+let srv;
+
+before(async () => {
+  mock = await startMock();
+  srv = await startServer({
+    RPC_URL: `${mock.url}/rpc-dead, ${mock.url}/rpc`,
+    UPSTREAM_TIMEOUT_MS: "200",
+    BREAKER_FAILURES: "3",
+    BREAKER_COOLDOWN_MS: "300",
+  });
+});
+
+after(async () => {
+  await srv.close();
+  await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+// 호출마다 다음 응답을 씀 (마지막 응답은 반복)
+function sequence(route, responses) {
+  let i = 0;
+  mock.on(route, () => responses[Math.min(i++, responses.length - 1)]);
+}
+
+const hits = (path) => mock.requests.filter((r) => r.path === path).length;
+const fetchUp = (path, options) => srv.mod.upstreamFetch("test", `${mock.url}${path}`, {}, options);
+
+test("idempotent calls retry 5xx; others return the response as is", async () => {
+  sequence("GET /flaky", [{ status: 503 }, { body: { ok: true } }]);
+  const res = await fetchUp("/flaky", { idempotent: true, breaker: "retry" });
+  assert.equal(res.status, 200);
+  assert.equal(hits("/flaky"), 2);
+
+  sequence("GET /once", [{ status: 503 }, { body: { ok: true } }]);
+  assert.equal((await fetchUp("/once", { breaker: "no-retry" })).status, 503);
+  assert.equal(hits("/once"), 1);
+});
+
+test("timeouts abort the request and are retried when idempotent", async () => {
+  mock.on("GET /slow", { delayMs: 400 });
+  await assert.rejects(fetchUp("/slow", { idempotent: true, retries: 1, breaker: "slow" }), {
+    code: "UPSTREAM_TIMEOUT",
+    status: 504,
+    message: "test timed out after 200ms",
+  });
+  assert.equal(hits("/slow"), 2);
+});
+
+test("429 honours Retry-After and pauses the upstream", async () => {
+  sequence("GET /limited", [{ status: 429, headers: { "retry-after": "0" } }, { body: {} }]);
+  assert.equal((await fetchUp("/limited", { idempotent: true, breaker: "short-429" })).status, 200);
+  assert.equal(hits("/limited"), 2);
+
+  // 오래 기다려야 하면 429를 그대로 돌려주고, 그동안은 호출하지 않음
+  mock.reset();
+  mock.on("GET /limited", { status: 429, headers: { "retry-after": "60" } });
+  assert.equal((await fetchUp("/limited", { idempotent: true, breaker: "long-429" })).status, 429);
+  const err = await fetchUp("/limited", { breaker: "long-429" }).catch((e) => e);
+  assert.equal(err.status, 429);
+  assert.match(err.message, /long-429 is rate limited/);
+  assert.ok(err.retryAfterMs > 59000);
+  assert.equal(hits("/limited"), 1);
+});
+
+test("the breaker opens after repeated failures and half-opens after the cooldown", async () => {
+  mock.on("GET /down", { status: 500 });
+  for (let i = 0; i < 3; i++) assert.equal((await fetchUp("/down", { breaker: "down" })).status, 500);
+  const open = await fetchUp("/down", { breaker: "down" }).catch((e) => e);
+  assert.equal(open.status, 503);
+  assert.equal(open.code, "UPSTREAM_UNAVAILABLE");
+  assert.equal(hits("/down"), 3);
+
+  await new Promise((r) => setTimeout(r, 350));
+  // half-open: 한 건만 시도하고, 그동안 다른 요청은 막힘
+  mock.on("GET /down", { body: {}, delayMs: 50 });
+  const [trial, blocked] = await Promise.allSettled([fetchUp("/down", { breaker: "down" }), fetchUp("/down", { breaker: "down" })]);
+  assert.equal(trial.value.status, 200);
+  assert.equal(blocked.reason.status, 503);
+  assert.equal((await fetchUp("/down", { breaker: "down" })).status, 200);
+
+  const metrics = (await srv.request("GET", "/metrics")).body;
+  assert.match(metrics, /^gdex_upstream_requests_total\{outcome="circuit_open",upstream="test"\} \d+$/m);
+});
+
+test("rpc fails over to the next URL and keeps using it", async () => {
+  const { rpc, getChain } = srv.mod;
+  mock.on("POST /rpc-dead", { status: 502 });
+  mock.rpc("eth_blockNumber", "0x10");
+  assert.equal(await rpc("eth_blockNumber", [], getChain(1)), "0x10");
+  const dead = hits("/rpc-dead");
+  assert.ok(dead >= 1);
+
+  assert.equal(await rpc("eth_blockNumber", [], getChain(1)), "0x10");
+  assert.equal(hits("/rpc-dead"), dead);
+
+  // JSON-RPC 에러(revert 등)는 다른 URL로 넘기지 않음
+  mock.rpc("eth_call", () => {
+    throw Object.assign(new Error("execution reverted"), { code: 3, data: "0x" });
+  });
+  await assert.rejects(rpc("eth_call", [{}, "latest"], getChain(1)), { message: "execution reverted", code: 3 });
+  assert.equal(hits("/rpc-dead"), dead);
+});
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  const { parseRetryAfter } = srv.mod;
+  assert.equal(parseRetryAfter("5"), 5000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter("soon"), null);
+  const ms = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+  assert.ok(ms > 8000 && ms <= 10000);
+  assert.equal(parseRetryAfter(new Date(0).toUTCString()), 0);
+});